@@ -0,0 +1,77 @@
+/**
+ * Migration: Add GeoJSON location to existing listings
+ *
+ * Listings store lat/lng as strings. This migration:
+ * - sets location = { type: 'Point', coordinates: [lng, lat] } from them
+ * - sets searchLocation, the point near / bounds search uses: location, or the
+ *   approximate point for listings that hide their address (showApprox)
+ * - removes both from listings whose lat/lng are missing or invalid
+ * - creates the 2dsphere indexes
+ *
+ * New and edited listings keep both in sync through the Listing model hooks.
+ * Safe to run more than once.
+ *
+ * Run with: node migrations/add-listing-location.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../src/models/Listing');
+const { toPoint, searchPoint } = require('../src/utils/geo');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/flexidesk';
+
+async function addListingLocation() {
+  try {
+    console.log('\n=== Adding Listing Location Migration ===\n');
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✓ Connected\n');
+
+    const listings = await Listing.find({}).select('lat lng showApprox location searchLocation venue').lean();
+    console.log(`Found ${listings.length} listings to check\n`);
+
+    let located = 0;
+    let cleared = 0;
+    let unchanged = 0;
+    for (const listing of listings) {
+      const point = toPoint(listing.lat, listing.lng);
+      const searchAt = searchPoint(listing);
+      const same = (a, b) => a?.coordinates?.[0] === b?.coordinates?.[0] && a?.coordinates?.[1] === b?.coordinates?.[1];
+
+      if (point && same(listing.location, point) && same(listing.searchLocation, searchAt)) {
+        unchanged++;
+        continue;
+      }
+
+      // Raw collection updates so updatedAt (the default listing sort) is left alone
+      if (point) {
+        await Listing.collection.updateOne({ _id: listing._id }, { $set: { location: point, searchLocation: searchAt } });
+        located++;
+      } else if (listing.location || listing.searchLocation) {
+        await Listing.collection.updateOne({ _id: listing._id }, { $unset: { location: 1, searchLocation: 1 } });
+        cleared++;
+      } else {
+        unchanged++;
+        if (listing.lat || listing.lng) {
+          console.log(`⚠ Skipped ${listing.venue || listing._id}: invalid lat/lng "${listing.lat}", "${listing.lng}"`);
+        }
+      }
+    }
+
+    console.log('Creating 2dsphere indexes on location and searchLocation...');
+    await Listing.collection.createIndex({ location: '2dsphere' });
+    await Listing.collection.createIndex({ searchLocation: '2dsphere' });
+    console.log('✓ Index ready\n');
+
+    console.log(`✅ ${located} listing(s) located, ${cleared} cleared, ${unchanged} unchanged`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed\n');
+  }
+}
+
+addListingLocation();
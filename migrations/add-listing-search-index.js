@@ -0,0 +1,53 @@
+/**
+ * Migration: Add the listing text search index
+ *
+ * Creates the weighted text index used by search relevance, replacing an
+ * older text index (a collection can only have one). Run it again whenever
+ * TEXT_WEIGHTS change. Safe to run more than once.
+ *
+ * Run with: node migrations/add-listing-search-index.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../src/models/Listing');
+const { TEXT_WEIGHTS } = require('../src/utils/search');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/flexidesk';
+
+async function addListingSearchIndex() {
+  try {
+    console.log('\n=== Adding Listing Search Index Migration ===\n');
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✓ Connected\n');
+
+    console.log('Creating text index...');
+    const textIndexes = (await Listing.collection.indexes()).filter((idx) => idx.key._fts === 'text');
+    for (const idx of textIndexes) {
+      // A collection can only have one text index; replace an older one or one with other weights
+      const weights = idx.weights || {};
+      const current =
+        idx.name === 'listing_text' &&
+        Object.keys(weights).length === Object.keys(TEXT_WEIGHTS).length &&
+        Object.keys(TEXT_WEIGHTS).every((field) => weights[field] === TEXT_WEIGHTS[field]);
+      if (!current) {
+        console.log(`Dropping old text index ${idx.name}`);
+        await Listing.collection.dropIndex(idx.name);
+      }
+    }
+    await Listing.collection.createIndex(
+      Object.fromEntries(Object.keys(TEXT_WEIGHTS).map((field) => [field, 'text'])),
+      { name: 'listing_text', weights: TEXT_WEIGHTS }
+    );
+    console.log('✓ Index ready\n');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed\n');
+  }
+}
+
+addListingSearchIndex();
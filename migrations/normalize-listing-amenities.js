@@ -0,0 +1,130 @@
+/**
+ * Migration: Normalize listing amenities into catalog keys
+ *
+ * amenities and accessibility used to be free-form Mixed values ({ wifi: true }
+ * maps, lists or comma-separated names) and wifiMbps / outletsPerSeat were text.
+ * This migration:
+ * - seeds the default amenity catalog
+ * - turns amenities and accessibility into arrays of catalog keys, adding a
+ *   catalog entry (category "other") for any name the catalog doesn't know yet
+ * - turns wifiMbps and outletsPerSeat into numbers ("100 Mbps" -> 100), and
+ *   removes them when no number can be read
+ * - removes amenityKeys, which amenities now replaces
+ *
+ * Run migrations/add-listing-search-index.js afterwards so the text index
+ * covers the new fields. Safe to run more than once.
+ *
+ * Run with: node migrations/normalize-listing-amenities.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../src/models/Listing');
+const Amenity = require('../src/models/Amenity');
+const AmenityCatalogService = require('../src/services/AmenityCatalogService');
+const { amenityKeys } = require('../src/utils/search');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/flexidesk';
+
+const FIELD_BY_KIND = { amenity: 'amenities', accessibility: 'accessibility' };
+const KIND_BY_FIELD = { amenities: 'amenity', accessibility: 'accessibility' };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const m = String(value).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+
+function sameList(a, b) {
+  return Array.isArray(a) && a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+async function normalizeListingAmenities() {
+  try {
+    console.log('\n=== Normalizing Listing Amenities Migration ===\n');
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('✓ Connected\n');
+
+    const seeded = await AmenityCatalogService.seedDefaults();
+    console.log(`✓ Catalog seeded (${seeded} new entr${seeded === 1 ? 'y' : 'ies'})\n`);
+
+    const kindOf = new Map((await Amenity.find({}).select('key kind').lean()).map((e) => [e.key, e.kind]));
+
+    // Raw documents: the Listing schema would cast the old Mixed values
+    const listings = await Listing.collection
+      .find({})
+      .project({ amenities: 1, accessibility: 1, wifiMbps: 1, outletsPerSeat: 1, amenityKeys: 1, venue: 1 })
+      .toArray();
+    console.log(`Found ${listings.length} listings to check\n`);
+
+    let updated = 0;
+    let unchanged = 0;
+    let added = 0;
+    for (const listing of listings) {
+      const keys = { amenities: [], accessibility: [] };
+
+      for (const field of Object.keys(keys)) {
+        const value = listing[field];
+        const raw = typeof value === 'string' ? value.split(',') : value;
+        for (const name of amenityKeys(raw)) {
+          const key = AmenityCatalogService.normalizeKey(name);
+          if (!key || key.length > 48) continue;
+
+          if (!kindOf.has(key)) {
+            const label = key.replace(/-/g, ' ').replace(/^./, (c) => c.toUpperCase());
+            await Amenity.create({ key, kind: KIND_BY_FIELD[field], label, category: 'other' });
+            kindOf.set(key, KIND_BY_FIELD[field]);
+            added++;
+            console.log(`+ Added catalog entry ${key} (${KIND_BY_FIELD[field]})`);
+          }
+          // A name filed under the wrong field moves to where the catalog has it
+          const target = keys[FIELD_BY_KIND[kindOf.get(key)]];
+          if (!target.includes(key)) target.push(key);
+        }
+      }
+
+      const $set = {};
+      const $unset = {};
+      for (const field of Object.keys(keys)) {
+        if (!sameList(listing[field], keys[field])) $set[field] = keys[field];
+      }
+      for (const field of ['wifiMbps', 'outletsPerSeat']) {
+        if (listing[field] === undefined) continue;
+        const n = toNumber(listing[field]);
+        if (n === null) $unset[field] = 1;
+        else if (n !== listing[field]) $set[field] = n;
+      }
+      if (listing.amenityKeys !== undefined) $unset.amenityKeys = 1;
+
+      if (!Object.keys($set).length && !Object.keys($unset).length) {
+        unchanged++;
+        continue;
+      }
+
+      // Raw collection updates so updatedAt (the default listing sort) is left alone
+      await Listing.collection.updateOne(
+        { _id: listing._id },
+        { ...(Object.keys($set).length ? { $set } : {}), ...(Object.keys($unset).length ? { $unset } : {}) }
+      );
+      updated++;
+    }
+
+    console.log('Creating amenity indexes...');
+    await Listing.collection.createIndex({ amenities: 1 });
+    await Listing.collection.createIndex({ accessibility: 1 });
+    console.log('✓ Indexes ready\n');
+
+    console.log(`✅ ${updated} listing(s) updated, ${unchanged} unchanged, ${added} catalog entr${added === 1 ? 'y' : 'ies'} added`);
+    console.log('Next: node migrations/add-listing-search-index.js');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed\n');
+  }
+}
+
+normalizeListingAmenities();
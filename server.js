@@ -25,7 +25,19 @@ app.use(
   })
 );
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw bytes for webhook signature verification
+    verify: (req, _res, buf) => {
+      if (
+        req.originalUrl.startsWith("/api/paymongo/webhook") ||
+        /^\/api\/payments\/[^/]+\/webhook/.test(req.originalUrl)
+      ) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(cookieParser());
 
 // Security: Sanitize data to prevent MongoDB injection attacks
@@ -42,13 +54,19 @@ app.use("/api", require("./src/routes/emailTest.routes"));
 app.use("/api/auth", require("./src/routes/auth.routes"));
 app.use("/api/users", require("./src/routes/users.routes"));
 app.use("/api/listings", require("./src/routes/listings.routes"));
+app.use("/api/amenities", require("./src/routes/amenities.routes"));
 app.use("/api/saves", require("./src/routes/saves.routes"));
 app.use("/api/bookings", require("./src/routes/bookings.routes"));
+app.use("/api/waitlist", require("./src/routes/waitlist.routes"));
+app.use("/api/organizations", require("./src/routes/organizations.routes"));
+app.use("/api/credits", require("./src/routes/credits.routes"));
 app.use("/api/inquiries", require("./src/routes/inquiries.routes"));
 app.use("/api/account", require("./src/routes/account.routes"));
 app.use("/api/reviews", require("./src/routes/reviews.routes"));
 app.use("/api/cases", require("./src/routes/cases.routes"));
 app.use("/api/jobs", require("./src/routes/jobs.routes"));
+app.use("/api/paymongo", require("./src/routes/paymongo.routes"));
+app.use("/api/payments", require("./src/routes/payments.routes"));
 app.use("/api", require("./src/routes/cancellations.routes"));
 
 app.use("/api/owner", require("./src/owners"));
@@ -77,5 +95,13 @@ const PORT = process.env.PORT || 4000;
   // Start background jobs
   const reviewReminderJob = require('./src/jobs/reviewReminderJob');
   reviewReminderJob.start();
+  const bookingHoldExpiryJob = require('./src/jobs/bookingHoldExpiryJob');
+  bookingHoldExpiryJob.start();
+  const calendarSyncJob = require('./src/jobs/calendarSyncJob');
+  calendarSyncJob.start();
+  const organizationStatementJob = require('./src/jobs/organizationStatementJob');
+  organizationStatementJob.start();
+  const payoutJob = require('./src/jobs/payoutJob');
+  payoutJob.start();
   console.log('[Server] Background jobs started');
 })();
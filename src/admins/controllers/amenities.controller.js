@@ -0,0 +1,59 @@
+// src/admins/controllers/amenities.controller.js
+const AmenityCatalogService = require("../../services/AmenityCatalogService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label, fallback) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: fallback });
+}
+
+/* ========== CATALOG ========== */
+/**
+ * GET /api/admin/amenities?kind=amenity|accessibility&status=active|archived|all
+ * Catalog entries, every status by default.
+ */
+async function listAmenities(req, res) {
+  try {
+    const { kind, status = "all" } = req.query;
+    res.json({ items: await AmenityCatalogService.list({ kind, status }) });
+  } catch (err) {
+    sendError(res, err, "listAmenities", "Failed to load amenities");
+  }
+}
+
+/**
+ * POST /api/admin/amenities
+ * body: { key, kind?: "amenity"|"accessibility", label, icon?, category, sortOrder? }
+ */
+async function createAmenity(req, res) {
+  try {
+    const amenity = await AmenityCatalogService.create(uid(req), req.body || {});
+    res.status(201).json({ amenity });
+  } catch (err) {
+    sendError(res, err, "createAmenity", "Failed to create amenity");
+  }
+}
+
+/**
+ * PATCH /api/admin/amenities/:key
+ * body: { label?, icon?, category?, sortOrder?, status?: "active"|"archived" }
+ * Archived entries can't be added to listings but stay on those that have them.
+ */
+async function updateAmenity(req, res) {
+  try {
+    const amenity = await AmenityCatalogService.update(req.params.key, uid(req), req.body || {});
+    res.json({ amenity });
+  } catch (err) {
+    sendError(res, err, "updateAmenity", "Failed to update amenity");
+  }
+}
+
+module.exports = {
+  listAmenities,
+  createAmenity,
+  updateAmenity,
+};
@@ -1,5 +1,7 @@
 const Booking = require("../../models/Booking");
 const Listing = require("../../models/Listing");
+const FeeConfigService = require("../../services/FeeConfigService");
+const LedgerService = require("../../services/LedgerService");
 
 function formatPeso(amount) {
   const n = Number(amount || 0);
@@ -94,10 +96,9 @@ async function getIncomeAnalytics(req, res) {
     const getListingCategory = (b) => b?.listingId?.category || "Workspace";
     const getGross = (b) =>
       Number(b.amount) || Number(b.pricingSnapshot?.total) || 0;
-    const getFee = (b) =>
-      Number(b.pricingSnapshot?.fees?.service || 0) +
-      Number(b.pricingSnapshot?.fees?.cleaning || 0);
-    const getRefund = (b) => 0;
+    const getRefund = (b) => Math.min(getGross(b), LedgerService.refundedAmount(b));
+    // Commission and tax on what was kept, at the rates stored on the booking
+    const getSplit = (b) => FeeConfigService.breakdown(b, getGross(b) - getRefund(b));
     const getDateField = (b) =>
       b.createdAt ? new Date(b.createdAt) : new Date();
     const getProductType = (b) => b?.listingId?.category || "Workspace";
@@ -117,15 +118,16 @@ async function getIncomeAnalytics(req, res) {
 
     let totalGross = 0;
     let totalFees = 0;
+    let totalTaxes = 0;
     let totalRefunds = 0;
     let totalNet = 0;
     let totalBookings = 0;
 
     bookingList.forEach((b) => {
       const gross = getGross(b);
-      const fee = getFee(b);
       const refund = getRefund(b);
-      const net = gross - fee - refund;
+      const { commission: fee, tax } = getSplit(b);
+      const net = gross - refund - tax - fee;
 
       const date = getDateField(b);
       const dateKey = isoDayKey(date);
@@ -135,6 +137,7 @@ async function getIncomeAnalytics(req, res) {
 
       totalGross += gross;
       totalFees += fee;
+      totalTaxes += tax;
       totalRefunds += refund;
       totalNet += net;
       totalBookings++;
@@ -145,6 +148,7 @@ async function getIncomeAnalytics(req, res) {
           gross: 0,
           refunds: 0,
           fees: 0,
+          taxes: 0,
           net: 0,
           bookings: 0,
         });
@@ -153,6 +157,7 @@ async function getIncomeAnalytics(req, res) {
       s.gross += gross;
       s.refunds += refund;
       s.fees += fee;
+      s.taxes += tax;
       s.net += net;
       s.bookings += 1;
 
@@ -171,6 +176,7 @@ async function getIncomeAnalytics(req, res) {
           gross: 0,
           refunds: 0,
           fees: 0,
+          taxes: 0,
           net: 0,
           bookings: 0,
         }
@@ -186,16 +192,18 @@ async function getIncomeAnalytics(req, res) {
       .sort((a, b) => b.revenue - a.revenue);
 
     const avgBookingValue = totalBookings > 0 ? totalGross / totalBookings : 0;
-    const takeRate = totalGross > 0 ? totalFees / totalGross : 0;
+    // Commission over taxable revenue kept
+    const takeBase = totalGross - totalRefunds - totalTaxes;
+    const takeRate = takeBase > 0 ? totalFees / takeBase : 0;
     const mrr = days > 0 ? totalNet / (days / 30) : 0;
 
     const rows = bookingList
       .sort((a, b) => getDateField(b) - getDateField(a))
       .map((b) => {
         const gross = getGross(b);
-        const fee = getFee(b);
         const refund = getRefund(b);
-        const net = gross - fee - refund;
+        const { commission: fee, tax, commissionPercent } = getSplit(b);
+        const net = gross - refund - tax - fee;
 
         return {
           id: b._id.toString(),
@@ -207,6 +215,8 @@ async function getIncomeAnalytics(req, res) {
           status: b.status,
           gross,
           fee,
+          commissionPercent,
+          tax,
           refund,
           net,
         };
@@ -222,6 +232,7 @@ async function getIncomeAnalytics(req, res) {
         totalNet,
         refunds: totalRefunds,
         fees: totalFees,
+        taxes: totalTaxes,
         avgBookingValue,
         bookings: totalBookings,
         takeRate,
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const Booking = require("../../models/Booking");
+const ManualPaymentService = require("../../services/ManualPaymentService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
 
 const BOOKING_STATUSES = [
   "pending",
@@ -15,7 +18,10 @@ function derivePaymentStatus(doc) {
   if (doc.payment && typeof doc.payment.status === "string") {
     return String(doc.payment.status);
   }
-  if (doc.status === "pending" || doc.status === "cancelled") return "unpaid";
+  if (["pending", "cancelled", "pending_approval", "rejected"].includes(doc.status)) return "unpaid";
+  if (doc.status === "awaiting_payment") {
+    return doc.manualPayment?.status === "submitted" ? "under_review" : "unpaid";
+  }
   return "paid";
 }
 
@@ -37,6 +43,15 @@ function parseSort(sortParam) {
 function buildFilter(q) {
   const filter = {};
   if (q.status && q.status !== "all") filter.status = q.status;
+  if (q.organizationId === "none") {
+    filter.organizationId = null;
+  } else if (q.organizationId && mongoose.isValidObjectId(q.organizationId)) {
+    filter.organizationId = q.organizationId;
+  }
+  // Bank transfer proofs waiting for review: manualPaymentStatus=submitted
+  if (q.manualPaymentStatus && q.manualPaymentStatus !== "all") {
+    filter["manualPayment.status"] = q.manualPaymentStatus;
+  }
   if (q.paymentStatus && q.paymentStatus !== "all") {
     filter.paymentStatus = q.paymentStatus;
   }
@@ -66,7 +81,8 @@ exports.list = async (req, res, next) => {
       .skip((page - 1) * limit)
       .limit(limit)
       .populate("listingId", "venue shortDesc")
-      .populate("userId", "fullName email");
+      .populate("userId", "fullName email")
+      .populate("organizationId", "name");
 
     let [rows, total] = await Promise.all([
       query.lean(),
@@ -82,6 +98,7 @@ exports.list = async (req, res, next) => {
           b.listingId?.venue || "",
           b.userId?.fullName || "",
           b.userId?.email || "",
+          b.organizationId?.name || "",
         ];
         return fields.some((v) => String(v).toLowerCase().includes(s));
       });
@@ -94,8 +111,21 @@ exports.list = async (req, res, next) => {
       listingName: b.listingId?.venue || b.listingId?.shortDesc || null,
       userName: b.userId?.fullName || null,
       userEmail: b.userId?.email || null,
+      organization: b.organizationId
+        ? { id: String(b.organizationId._id), name: b.organizationId.name || null }
+        : null,
+      approvalStatus: b.approval?.status || null,
       status: b.status || "pending",
       paymentStatus: derivePaymentStatus(b),
+      paymentMethod: b.provider || "paymongo",
+      manualPayment: b.manualPayment
+        ? {
+            status: b.manualPayment.status,
+            deadlineAt: b.manualPayment.deadlineAt || null,
+            reference: b.manualPayment.reference || null,
+            proofs: b.manualPayment.proofs || [],
+          }
+        : null,
       amount:
         b.amount ??
         (b.pricingSnapshot && typeof b.pricingSnapshot.total === "number"
@@ -165,3 +195,26 @@ exports.update = async (req, res, next) => {
     next(err);
   }
 };
+
+// POST /api/admin/bookings/:id/payment/confirm
+// Confirm a bank transfer or cash payment on the owner's behalf
+exports.confirmPayment = async (req, res, next) => {
+  try {
+    const doc = await ManualPaymentService.confirm(req.params.id, { userId: uid(req), role: "admin" });
+    res.json({ id: String(doc._id), status: doc.status, manualPayment: doc.manualPayment });
+  } catch (err) {
+    if (err?.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    next(err);
+  }
+};
+
+// POST /api/admin/bookings/:id/payment/reject  body: { reason }
+exports.rejectPayment = async (req, res, next) => {
+  try {
+    const doc = await ManualPaymentService.reject(req.params.id, { userId: uid(req), role: "admin" }, req.body?.reason);
+    res.json({ id: String(doc._id), status: doc.status, manualPayment: doc.manualPayment });
+  } catch (err) {
+    if (err?.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    next(err);
+  }
+};
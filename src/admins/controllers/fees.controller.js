@@ -0,0 +1,87 @@
+// src/admins/controllers/fees.controller.js
+const FeeConfigService = require("../../services/FeeConfigService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label, fallback) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: fallback });
+}
+
+/* ========== OVERVIEW ========== */
+/**
+ * GET /api/admin/fees
+ * Commission rates (global, per category, per owner) and tax rules.
+ */
+async function getFeeConfig(req, res) {
+  try {
+    res.json(await FeeConfigService.listConfig());
+  } catch (err) {
+    sendError(res, err, "getFeeConfig", "Failed to load fee configuration");
+  }
+}
+
+/* ========== COMMISSION ========== */
+/**
+ * PUT /api/admin/fees/commissions
+ * body: { scope: "global"|"category"|"owner", category?, ownerId?, percent, note? }
+ * Sets the rate for that scope; applies to bookings made from now on.
+ */
+async function setCommission(req, res) {
+  try {
+    const commission = await FeeConfigService.setCommission(req.body || {}, uid(req));
+    res.json({ commission });
+  } catch (err) {
+    sendError(res, err, "setCommission", "Failed to set commission rate");
+  }
+}
+
+/**
+ * DELETE /api/admin/fees/commissions/:id
+ */
+async function removeCommission(req, res) {
+  try {
+    await FeeConfigService.removeCommission(req.params.id, uid(req));
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, "removeCommission", "Failed to remove commission rate");
+  }
+}
+
+/* ========== TAXES ========== */
+/**
+ * POST /api/admin/fees/taxes
+ * body: { code, label, percent, mode?: "inclusive"|"exclusive", enabled? }
+ */
+async function createTax(req, res) {
+  try {
+    const tax = await FeeConfigService.createTax(req.body || {}, uid(req));
+    res.status(201).json({ tax });
+  } catch (err) {
+    sendError(res, err, "createTax", "Failed to create tax rule");
+  }
+}
+
+/**
+ * PATCH /api/admin/fees/taxes/:id
+ * body: { label?, percent?, mode?, enabled? }
+ */
+async function updateTax(req, res) {
+  try {
+    const tax = await FeeConfigService.updateTax(req.params.id, req.body || {}, uid(req));
+    res.json({ tax });
+  } catch (err) {
+    sendError(res, err, "updateTax", "Failed to update tax rule");
+  }
+}
+
+module.exports = {
+  getFeeConfig,
+  setCommission,
+  removeCommission,
+  createTax,
+  updateTax,
+};
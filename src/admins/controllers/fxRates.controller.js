@@ -0,0 +1,66 @@
+// src/admins/controllers/fxRates.controller.js
+const FxService = require("../../services/FxService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label, fallback) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: fallback });
+}
+
+/* ========== CURRENT ========== */
+/**
+ * GET /api/admin/fx-rates
+ * Current rate (PHP per unit) for each supported currency.
+ */
+async function listFxRates(req, res) {
+  try {
+    const rates = await FxService.currentRates();
+    res.json({
+      settlementCurrency: FxService.SETTLEMENT_CURRENCY,
+      currencies: FxService.SUPPORTED_CURRENCIES,
+      rates,
+      missing: FxService.SUPPORTED_CURRENCIES.filter((c) => !rates[c]),
+    });
+  } catch (err) {
+    sendError(res, err, "listFxRates", "Failed to load exchange rates");
+  }
+}
+
+/* ========== SET ========== */
+/**
+ * POST /api/admin/fx-rates
+ * body: { currency, rate, note?, effectiveAt? }
+ * Adds a new rate; earlier rates stay in the history.
+ */
+async function setFxRate(req, res) {
+  try {
+    const { currency, rate, note, effectiveAt } = req.body || {};
+    const fxRate = await FxService.setRate(currency, rate, uid(req), { note, effectiveAt });
+    res.status(201).json({ fxRate });
+  } catch (err) {
+    sendError(res, err, "setFxRate", "Failed to set exchange rate");
+  }
+}
+
+/* ========== HISTORY ========== */
+/**
+ * GET /api/admin/fx-rates/:currency/history?limit=100
+ */
+async function getFxRateHistory(req, res) {
+  try {
+    const items = await FxService.history(req.params.currency, req.query.limit);
+    res.json({ items });
+  } catch (err) {
+    sendError(res, err, "getFxRateHistory", "Failed to load exchange rate history");
+  }
+}
+
+module.exports = {
+  listFxRates,
+  setFxRate,
+  getFxRateHistory,
+};
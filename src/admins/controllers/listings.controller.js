@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const Listing = require("../../models/Listing");
 const User = require("../../models/User");
+const AmenityCatalogService = require("../../services/AmenityCatalogService");
 
 function pickName(u) {
   if (!u) return null;
@@ -30,7 +31,8 @@ function dbToApi(r, ownerDoc) {
     address2: r.address2,
     shortDesc: r.shortDesc,
     longDesc: r.longDesc,
-    amenities: r.amenities || {},
+    amenities: r.amenities || [],
+    accessibility: r.accessibility || [],
     isFeatured: !!r.isFeatured,
     owner: r.owner
       ? {
@@ -73,23 +75,6 @@ function apiToDb(src) {
     if (!src.shortDesc && out.longDesc) out.shortDesc = out.longDesc.slice(0, 120);
   }
 
-  if (src.amenities !== undefined) {
-    let list = [];
-    if (Array.isArray(src.amenities))
-      list = src.amenities.map((s) => String(s).trim()).filter(Boolean);
-    else if (typeof src.amenities === "string")
-      list = src.amenities
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-
-    const known = ["wifi", "ac", "power", "coffee", "whiteboard", "projector"];
-    out.amenities = {};
-    known.forEach((k) => {
-      out.amenities[k] = list.includes(k);
-    });
-  }
-
   if (src.isFeatured !== undefined) {
     out.isFeatured = !!src.isFeatured;
   }
@@ -227,9 +212,11 @@ exports.create = async (req, res, next) => {
     const payload = apiToDb(req.body || {});
     if (!payload.venue)
       return res.status(400).json({ error: "Name (venue) is required" });
+    Object.assign(payload, await AmenityCatalogService.validateListingFeatures(req.body || {}));
     const doc = await Listing.create(payload);
     res.status(201).json({ id: String(doc._id) });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     next(err);
   }
 };
@@ -240,9 +227,13 @@ exports.update = async (req, res, next) => {
     if (!mongoose.isValidObjectId(id))
       return res.status(400).json({ error: "Invalid id" });
     const payload = apiToDb(req.body || {});
+    const current = await Listing.findById(id).select("amenities accessibility").lean();
+    if (!current) return res.status(404).json({ error: "Not found" });
+    Object.assign(payload, await AmenityCatalogService.validateListingFeatures(req.body || {}, current));
     await Listing.findByIdAndUpdate(id, payload, { runValidators: true });
     res.json({ ok: true });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     next(err);
   }
 };
@@ -1,32 +1,16 @@
 // src/admins/controllers/payments.controller.js
-const axios = require("axios");
 const mongoose = require("mongoose");
 
 const Booking = require("../../models/Booking");
-
-const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY || "";
+const LedgerService = require("../../services/LedgerService");
+const InvoiceService = require("../../services/InvoiceService");
+const payments = require("../../services/payments");
 
 /* ========== helpers ========== */
 
 const isAdmin = (req) =>
   String(req.user?.role || "").toLowerCase() === "admin";
 
-function buildPaymongoClient() {
-  if (!PAYMONGO_SECRET_KEY) {
-    throw new Error("PAYMONGO_SECRET_KEY is not set in env");
-  }
-
-  const basic = Buffer.from(`${PAYMONGO_SECRET_KEY}:`).toString("base64");
-
-  return axios.create({
-    baseURL: "https://api.paymongo.com/v1",
-    headers: {
-      Authorization: `Basic ${basic}`,
-      "Content-Type": "application/json",
-    },
-  });
-}
-
 /* ========== LIST PAYMENTS ========== */
 /**
  * GET /api/admin/payments
@@ -34,7 +18,7 @@ function buildPaymongoClient() {
  * Query params:
  *  - page, limit
  *  - status    -> Booking.status ("pending_payment", "paid", etc.)
- *  - method    -> Booking.provider ("paymongo")
+ *  - method    -> Booking.provider ("paymongo", "fake", "bank_transfer", ...)
  *  - userId    -> Booking.userId
  *  - listingId -> Booking.listingId
  *  - dateFrom, dateTo -> filter by createdAt
@@ -201,7 +185,7 @@ async function listAdminPayments(req, res) {
  * POST /api/admin/payments/:paymentId/capture
  *
  * IMPORTANT:
- *  - PayMongo capture requires the real PayMongo `payment_id` (e.g. "pay_xxx"),
+ *  - Capture requires the gateway's payment id (e.g. PayMongo "pay_xxx"),
  *    NOT the checkoutId.
  *  - You currently only store `payment.checkoutId` in Booking.
  *  - Once you store `payment.paymentId` from PayMongo (via webhook/success),
@@ -231,31 +215,21 @@ async function capturePayment(req, res) {
       return res.status(400).json({ message: "Payment already captured" });
     }
 
-    const client = buildPaymongoClient();
-
-    const amountCentavos = Math.round((booking.amount || 0) * 100);
-
-    const { data } = await client.post(`/payments/${paymentId}/capture`, {
-      data: {
-        attributes: {
-          amount: amountCentavos,
-        },
-      },
-    });
+    const capture = await payments.forBooking(booking).capture(paymentId, booking.amount || 0);
 
     booking.status = "paid"; // valid value in your enum
     booking.payment = booking.payment || {};
-    booking.payment.captureResponse = data;
+    booking.payment.captureResponse = capture.raw;
 
     await booking.save();
 
     res.json({
       message: "Payment captured successfully",
       booking,
-      paymongo: data,
+      gateway: capture.raw,
     });
   } catch (err) {
-    console.error("capturePayment error:", err.response?.data || err.message);
+    console.error("capturePayment error:", err.gatewayError || err.message);
     res.status(500).json({ message: "Failed to capture payment" });
   }
 }
@@ -292,35 +266,33 @@ async function refundPayment(req, res) {
         .json({ message: "Booking with this payment not found or not stored yet" });
     }
 
-    const client = buildPaymongoClient();
-
-    const refundAmountCentavos = Math.round(
-      (amount || booking.amount || 0) * 100
-    );
-
-    const { data } = await client.post("/refunds", {
-      data: {
-        attributes: {
-          amount: refundAmountCentavos,
-          payment_id: paymentId,
-          reason: "requested_by_customer",
-        },
-      },
+    const refundAmount = Number(amount || booking.amount || 0);
+    const refund = await payments.forBooking(booking).refund({
+      paymentId,
+      amount: refundAmount,
+      reason: "requested_by_customer",
     });
 
     booking.payment = booking.payment || {};
     booking.payment.refunds = booking.payment.refunds || [];
-    booking.payment.refunds.push(data);
+    booking.payment.refunds.push({
+      refundId: refund.id,
+      amount: refundAmount,
+      status: refund.status,
+      createdAt: new Date(),
+    });
 
     await booking.save();
+    await LedgerService.syncBookingSafe(booking._id);
+    await InvoiceService.syncBookingSafe(booking._id);
 
     res.json({
       message: "Refund created successfully",
       booking,
-      paymongo: data,
+      gateway: refund.raw,
     });
   } catch (err) {
-    console.error("refundPayment error:", err.response?.data || err.message);
+    console.error("refundPayment error:", err.gatewayError || err.message);
     res.status(500).json({ message: "Failed to create refund" });
   }
 }
@@ -0,0 +1,78 @@
+// src/admins/controllers/payouts.controller.js
+const mongoose = require("mongoose");
+
+const PayoutService = require("../../services/PayoutService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label, fallback) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: fallback });
+}
+
+/* ========== LIST ========== */
+/**
+ * GET /api/admin/payouts
+ *
+ * Query params:
+ *  - status  -> scheduled | processing | paid | failed | cancelled
+ *  - ownerId -> one owner's payouts
+ *  - limit
+ */
+async function listPayouts(req, res) {
+  try {
+    const { status, ownerId, limit } = req.query;
+    if (ownerId && !mongoose.Types.ObjectId.isValid(ownerId)) {
+      return res.status(400).json({ message: "Invalid ownerId" });
+    }
+    const items = await PayoutService.list({
+      status: status && status !== "all" ? status : undefined,
+      ownerId: ownerId || undefined,
+      limit,
+    });
+    res.json({ items });
+  } catch (err) {
+    sendError(res, err, "listPayouts", "Failed to load payouts");
+  }
+}
+
+/* ========== BATCH ========== */
+/**
+ * POST /api/admin/payouts/batch
+ * Schedule payouts now for every owner with enough available earnings,
+ * without waiting for the weekly run.
+ */
+async function createPayoutBatch(req, res) {
+  try {
+    const result = await PayoutService.createBatch(new Date());
+    res.status(201).json(result);
+  } catch (err) {
+    sendError(res, err, "createPayoutBatch", "Failed to create payouts");
+  }
+}
+
+/* ========== UPDATE ========== */
+/**
+ * PATCH /api/admin/payouts/:id
+ * body: { status: processing | paid | failed | cancelled, reference?, failureReason? }
+ */
+async function updatePayout(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+    const payout = await PayoutService.updateStatus(req.params.id, uid(req), req.body || {});
+    res.json({ payout });
+  } catch (err) {
+    sendError(res, err, "updatePayout", "Failed to update payout");
+  }
+}
+
+module.exports = {
+  listPayouts,
+  createPayoutBatch,
+  updatePayout,
+};
@@ -0,0 +1,80 @@
+// src/admins/controllers/promoCodes.controller.js
+const mongoose = require("mongoose");
+
+const PromoCodeService = require("../../services/PromoCodeService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label, fallback) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: fallback });
+}
+
+/* ========== LIST ========== */
+/**
+ * GET /api/admin/promo-codes
+ *
+ * Query params:
+ *  - scope  -> platform | listing
+ *  - status -> active | disabled
+ */
+async function listPromoCodes(req, res) {
+  try {
+    const { scope, status } = req.query;
+    const items = await PromoCodeService.list(
+      { userId: uid(req), isAdmin: true },
+      {
+        scope: scope && scope !== "all" ? scope : undefined,
+        status: status && status !== "all" ? status : undefined,
+      }
+    );
+    res.json({ items });
+  } catch (err) {
+    sendError(res, err, "listPromoCodes", "Failed to load promo codes");
+  }
+}
+
+/* ========== CREATE ========== */
+/**
+ * POST /api/admin/promo-codes
+ * body: { code, type, value, description?, maxDiscount?, minSpend?, maxUses?,
+ *         maxUsesPerUser?, firstBookingOnly?, startsAt?, endsAt? }
+ */
+async function createPromoCode(req, res) {
+  try {
+    const promoCode = await PromoCodeService.createPlatformCode(uid(req), req.body || {});
+    res.status(201).json({ promoCode });
+  } catch (err) {
+    sendError(res, err, "createPromoCode", "Failed to create promo code");
+  }
+}
+
+/* ========== UPDATE ========== */
+/**
+ * PATCH /api/admin/promo-codes/:id
+ * Admins can edit or disable any code, including owners' listing codes.
+ */
+async function updatePromoCode(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+    const promoCode = await PromoCodeService.update(
+      req.params.id,
+      { userId: uid(req), isAdmin: true },
+      req.body || {}
+    );
+    res.json({ promoCode });
+  } catch (err) {
+    sendError(res, err, "updatePromoCode", "Failed to update promo code");
+  }
+}
+
+module.exports = {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+};
@@ -0,0 +1,165 @@
+// src/admins/controllers/webhooks.controller.js
+const mongoose = require("mongoose");
+
+const WebhookEvent = require("../../models/WebhookEvent");
+const PaymentWebhookService = require("../../services/PaymentWebhookService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+/* ========== LIST EVENTS ========== */
+/**
+ * GET /api/admin/webhooks/events
+ *
+ * Query params:
+ *  - page, limit
+ *  - status   -> received | processed | ignored | failed
+ *  - type     -> e.g. "payment.paid"
+ *  - provider -> paymongo | fake
+ *  - search   -> matches eventId or resourceId
+ *  - dateFrom, dateTo -> filter by receivedAt
+ */
+async function listWebhookEvents(req, res) {
+  try {
+    const { page = 1, limit = 20, status, type, provider, search, dateFrom, dateTo } = req.query;
+
+    const pageNum = Math.max(1, Number(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, Number(limit) || 20));
+
+    const filter = {};
+    if (status && status !== "all") filter.status = status;
+    if (type && type !== "all") filter.type = type;
+    if (provider && provider !== "all") filter.provider = provider;
+
+    if (search) {
+      const term = String(search).trim();
+      filter.$or = [{ eventId: term }, { resourceId: term }];
+    }
+
+    if (dateFrom || dateTo) {
+      filter.receivedAt = {};
+      if (dateFrom) filter.receivedAt.$gte = new Date(dateFrom + "T00:00:00Z");
+      if (dateTo) filter.receivedAt.$lte = new Date(dateTo + "T23:59:59Z");
+    }
+
+    const [rows, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload")
+        .sort({ receivedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      items: rows.map((e) => ({ id: e._id, ...e })),
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+    });
+  } catch (err) {
+    console.error("listWebhookEvents error:", err);
+    res.status(500).json({ message: "Failed to load webhook events" });
+  }
+}
+
+/* ========== EVENT DETAILS ========== */
+/**
+ * GET /api/admin/webhooks/events/:id
+ */
+async function getWebhookEvent(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const event = await WebhookEvent.findById(id).lean();
+    if (!event) return res.status(404).json({ message: "Webhook event not found" });
+
+    res.json({ event: { id: event._id, ...event } });
+  } catch (err) {
+    console.error("getWebhookEvent error:", err);
+    res.status(500).json({ message: "Failed to load webhook event" });
+  }
+}
+
+/* ========== REPLAY ========== */
+/**
+ * POST /api/admin/webhooks/events/:id/replay
+ * Re-runs the stored event through the same handlers as a live delivery.
+ * Handlers are idempotent, so replaying a processed event is safe.
+ */
+async function replayWebhookEvent(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const event = await PaymentWebhookService.replayEvent(id, uid(req));
+
+    res.json({
+      message: event.status === "failed" ? "Replay failed" : "Event replayed",
+      event: { id: event._id, ...event.toObject() },
+    });
+  } catch (err) {
+    if (err?.statusCode === 404) {
+      return res.status(404).json({ message: err.message });
+    }
+    console.error("replayWebhookEvent error:", err);
+    res.status(500).json({ message: "Failed to replay webhook event" });
+  }
+}
+
+/**
+ * POST /api/admin/webhooks/events/replay-failed
+ * body: { since?, limit? }
+ * Replays failed events oldest-first, e.g. after a database outage.
+ */
+async function replayFailedWebhookEvents(req, res) {
+  try {
+    const { since, limit = 50 } = req.body || {};
+    const limitNum = Math.min(200, Math.max(1, Number(limit) || 50));
+
+    const filter = { status: "failed" };
+    if (since) {
+      const d = new Date(since);
+      if (Number.isFinite(d.getTime())) filter.receivedAt = { $gte: d };
+    }
+
+    const failed = await WebhookEvent.find(filter)
+      .select("_id")
+      .sort({ receivedAt: 1 })
+      .limit(limitNum)
+      .lean();
+
+    const results = [];
+    for (const e of failed) {
+      const event = await PaymentWebhookService.replayEvent(e._id, uid(req));
+      results.push({
+        id: event._id,
+        eventId: event.eventId,
+        type: event.type,
+        status: event.status,
+        error: event.lastError || null,
+      });
+    }
+
+    res.json({
+      replayed: results.length,
+      recovered: results.filter((r) => r.status !== "failed").length,
+      results,
+    });
+  } catch (err) {
+    console.error("replayFailedWebhookEvents error:", err);
+    res.status(500).json({ message: "Failed to replay webhook events" });
+  }
+}
+
+module.exports = {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  replayFailedWebhookEvents,
+};
@@ -0,0 +1,17 @@
+// src/admins/routes/amenities.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  listAmenities,
+  createAmenity,
+  updateAmenity,
+} = require("../controllers/amenities.controller");
+
+// All routes here are admin-protected
+router.get("/", requireAuth, requireAdmin, listAmenities);
+router.post("/", requireAuth, requireAdmin, createAmenity);
+router.patch("/:key", requireAuth, requireAdmin, updateAmenity);
+
+module.exports = router;
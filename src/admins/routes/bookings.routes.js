@@ -4,5 +4,7 @@ const ctrl = require("../controllers/bookings.controller");
 
 router.get("/", requireAuth, requireAdmin, ctrl.list);
 router.patch("/:id", requireAuth, requireAdmin, ctrl.update);
+router.post("/:id/payment/confirm", requireAuth, requireAdmin, ctrl.confirmPayment);
+router.post("/:id/payment/reject", requireAuth, requireAdmin, ctrl.rejectPayment);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+// src/admins/routes/fees.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  getFeeConfig,
+  setCommission,
+  removeCommission,
+  createTax,
+  updateTax,
+} = require("../controllers/fees.controller");
+
+// All routes here are admin-protected
+router.get("/", requireAuth, requireAdmin, getFeeConfig);
+router.put("/commissions", requireAuth, requireAdmin, setCommission);
+router.delete("/commissions/:id", requireAuth, requireAdmin, removeCommission);
+router.post("/taxes", requireAuth, requireAdmin, createTax);
+router.patch("/taxes/:id", requireAuth, requireAdmin, updateTax);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// src/admins/routes/fxRates.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  listFxRates,
+  setFxRate,
+  getFxRateHistory,
+} = require("../controllers/fxRates.controller");
+
+// All routes here are admin-protected
+router.get("/", requireAuth, requireAdmin, listFxRates);
+router.post("/", requireAuth, requireAdmin, setFxRate);
+router.get("/:currency/history", requireAuth, requireAdmin, getFxRateHistory);
+
+module.exports = router;
@@ -28,6 +28,12 @@ router.use("/analytics", require("./analytics.routes"));
 router.use("/cases", require("./cases.routes"));
 router.use("/reports", require("./reports.route"));
 router.use("/bookings", require("./bookings.routes"));
+router.use("/webhooks", require("./webhooks.routes"));
+router.use("/promo-codes", require("./promoCodes.routes"));
+router.use("/fx-rates", require("./fxRates.routes"));
+router.use("/fees", require("./fees.routes"));
+router.use("/amenities", require("./amenities.routes"));
+router.use("/payouts", require("./payouts.routes"));
 router.use("/", require("./reviews.routes"));
 router.use("/", require("./cancellations.routes"));
 
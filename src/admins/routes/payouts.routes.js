@@ -0,0 +1,17 @@
+// src/admins/routes/payouts.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  listPayouts,
+  createPayoutBatch,
+  updatePayout,
+} = require("../controllers/payouts.controller");
+
+// All routes here are admin-protected
+router.get("/", requireAuth, requireAdmin, listPayouts);
+router.post("/batch", requireAuth, requireAdmin, createPayoutBatch);
+router.patch("/:id", requireAuth, requireAdmin, updatePayout);
+
+module.exports = router;
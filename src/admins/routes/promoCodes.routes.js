@@ -0,0 +1,17 @@
+// src/admins/routes/promoCodes.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+} = require("../controllers/promoCodes.controller");
+
+// All routes here are admin-protected
+router.get("/", requireAuth, requireAdmin, listPromoCodes);
+router.post("/", requireAuth, requireAdmin, createPromoCode);
+router.patch("/:id", requireAuth, requireAdmin, updatePromoCode);
+
+module.exports = router;
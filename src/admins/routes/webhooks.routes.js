@@ -0,0 +1,19 @@
+// src/admins/routes/webhooks.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { requireAuth, requireAdmin } = require("../../middleware/auth");
+const {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  replayFailedWebhookEvents,
+} = require("../controllers/webhooks.controller");
+
+// All routes here are admin-protected
+router.get("/events", requireAuth, requireAdmin, listWebhookEvents);
+router.post("/events/replay-failed", requireAuth, requireAdmin, replayFailedWebhookEvents);
+router.get("/events/:id", requireAuth, requireAdmin, getWebhookEvent);
+router.post("/events/:id/replay", requireAuth, requireAdmin, replayWebhookEvent);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// src/controllers/amenities.controller.js
+const AmenityCatalogService = require("../services/AmenityCatalogService");
+
+// GET /api/amenities?kind=amenity|accessibility
+// Active catalog entries, for listing forms and search filters
+async function list(req, res, next) {
+  try {
+    const entries = await AmenityCatalogService.list({ kind: req.query.kind });
+    res.json({
+      items: entries.map((e) => ({
+        key: e.key,
+        kind: e.kind,
+        label: e.label,
+        icon: e.icon || "",
+        category: e.category,
+      })),
+    });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
+module.exports = { list };
@@ -0,0 +1,126 @@
+// src/controllers/bookingReschedule.controller.js
+const mongoose = require("mongoose");
+const Booking = require("../models/Booking");
+const BookingRescheduleService = require("../services/BookingRescheduleService");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+const isAdmin = (req) => String(req.user?.role || "").toLowerCase() === "admin";
+
+function rescheduleInput(body = {}) {
+  const changes = {};
+  for (const key of ["startDate", "endDate", "checkInTime", "checkOutTime", "guests"]) {
+    if (key in body) changes[key] = body[key];
+  }
+  return changes;
+}
+
+function summarize(evaluation) {
+  return {
+    from: evaluation.from,
+    to: evaluation.to,
+    currency: evaluation.quote.currency,
+    pricing: evaluation.quote,
+    changeFee: evaluation.changeFee,
+    priceDifference: evaluation.priceDifference,
+    amountDue: evaluation.amountDue,
+    refundAmount: evaluation.refundAmount,
+    policy: evaluation.policy,
+  };
+}
+
+// POST /api/bookings/:id/reschedule/preview
+// body: { startDate?, endDate?, checkInTime?, checkOutTime?, guests? }
+async function previewReschedule(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const evaluation = await BookingRescheduleService.preview(id, me, rescheduleInput(req.body));
+    return res.json(summarize(evaluation));
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
+// POST /api/bookings/:id/reschedule
+// body: { startDate?, endDate?, checkInTime?, checkOutTime?, guests?, returnUrl? }
+async function reschedule(req, res) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const result = await BookingRescheduleService.request(id, me, rescheduleInput(req.body), {
+      successUrl: req.body?.returnUrl || `${APP_URL}/app/bookings/rescheduled`,
+      cancelUrl: `${APP_URL}/app/bookings?rescheduleCancelled=1`,
+    });
+
+    return res.status(result.status === "completed" ? 200 : 201).json({
+      rescheduleId: String(result._id),
+      bookingId: String(result.bookingId),
+      status: result.status,
+      from: result.from,
+      to: result.to,
+      changeFee: result.changeFee,
+      priceDifference: result.priceDifference,
+      amountDue: result.amountDue,
+      refundAmount: result.refundAmount,
+      refund: result.refund || null,
+      holdExpiresAt: result.holdExpiresAt || null,
+      checkout: result.payment?.checkoutId
+        ? { id: result.payment.checkoutId, url: result.payment.checkoutUrl }
+        : null,
+    });
+  } catch (err) {
+    console.error("reschedule error:", err?.response?.data || err);
+    if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    const apiError =
+      err?.response?.data?.errors?.[0]?.detail ||
+      err?.response?.data?.errors?.[0]?.title ||
+      err?.message;
+    return res.status(500).json({ message: apiError || "Failed to reschedule booking" });
+  }
+}
+
+// GET /api/bookings/:id/reschedules
+async function listReschedules(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const booking = await Booking.findById(id).select("userId ownerId").lean();
+    if (!booking) return res.status(404).json({ message: "Booking not found" });
+
+    const allowed =
+      isAdmin(req) || String(booking.userId) === String(me) || String(booking.ownerId) === String(me);
+    if (!allowed) return res.status(403).json({ message: "Forbidden" });
+
+    const items = await BookingRescheduleService.listForBooking(id);
+    return res.json({ items });
+  } catch (e) {
+    next(e);
+  }
+}
+
+module.exports = {
+  previewReschedule,
+  reschedule,
+  listReschedules,
+};
@@ -0,0 +1,161 @@
+// src/controllers/bookingSeries.controller.js
+const mongoose = require("mongoose");
+const Listing = require("../models/Listing");
+const RecurringBookingService = require("../services/RecurringBookingService");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+const isAdmin = (req) => String(req.user?.role || "").toLowerCase() === "admin";
+
+const VALID_CANCEL_REASONS = ["schedule_change", "found_alternative", "emergency", "other"];
+
+function seriesInput(body = {}) {
+  const { startDate, rule, rrule, checkInTime, checkOutTime, guests } = body;
+  return { startDate, rule, rrule, checkInTime, checkOutTime, guests };
+}
+
+function sendError(res, e) {
+  const body = { message: e.message };
+  if (e.occurrences) body.occurrences = e.occurrences;
+  return res.status(e.statusCode).json(body);
+}
+
+// POST /api/bookings/series/quote
+// body: { listingId, startDate, rule | rrule, checkInTime?, checkOutTime?, guests? }
+async function quoteSeries(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthenticated" });
+
+    const { listingId } = req.body || {};
+    if (!listingId || !mongoose.isValidObjectId(listingId)) {
+      return res.status(422).json({ message: "Invalid listingId" });
+    }
+
+    const listing = await Listing.findOne({ _id: listingId, status: "active" }).lean();
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    const result = await RecurringBookingService.issueSeriesQuote(listing, seriesInput(req.body), me);
+    return res.json(result);
+  } catch (e) {
+    if (e?.statusCode) return sendError(res, e);
+    next(e);
+  }
+}
+
+// POST /api/bookings/series
+// body: { listingId, startDate, rule | rrule, checkInTime?, checkOutTime?, guests?, quoteToken, skipConflicts?, returnUrl? }
+async function createSeries(req, res) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthenticated" });
+
+    const { listingId, quoteToken, skipConflicts, returnUrl } = req.body || {};
+    if (!listingId || !mongoose.isValidObjectId(listingId)) {
+      return res.status(422).json({ message: "Invalid listingId" });
+    }
+
+    const listing = await Listing.findById(listingId).lean();
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    const { series, bookings, preview } = await RecurringBookingService.createSeries(
+      listing,
+      seriesInput(req.body),
+      me,
+      {
+        quoteToken,
+        skipConflicts: skipConflicts === true || skipConflicts === "true",
+        successUrl: returnUrl || `${APP_URL}/app/bookings/thank-you`,
+        cancelUrl: `${APP_URL}/checkout?cancelled=1`,
+        idempotencyKey: req.get("X-Idempotency-Key") || req.get("Idempotency-Key") || null,
+      }
+    );
+
+    return res.status(201).json({
+      seriesId: String(series._id),
+      status: series.status,
+      amount: series.amount,
+      currency: series.currency,
+      holdExpiresAt: series.holdExpiresAt,
+      checkout: { id: series.payment?.checkoutId, url: series.payment?.checkoutUrl },
+      occurrences: preview.occurrences.map((o) => {
+        const booking = bookings.find((b) => b.seriesIndex === o.index);
+        return {
+          index: o.index,
+          date: o.date,
+          booked: !!booking,
+          bookingId: booking ? String(booking._id) : null,
+          total: o.total ?? null,
+          reason: o.reason || null,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("createSeries error:", err?.response?.data || err);
+    if (err?.statusCode) return sendError(res, err);
+    const apiError =
+      err?.response?.data?.errors?.[0]?.detail ||
+      err?.response?.data?.errors?.[0]?.title ||
+      err?.message;
+    return res.status(500).json({ message: apiError || "Failed to create recurring booking" });
+  }
+}
+
+// GET /api/bookings/series/:id
+async function getSeries(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const result = await RecurringBookingService.getSeries(id, me, isAdmin(req));
+    return res.json(result);
+  } catch (e) {
+    if (e?.statusCode) return sendError(res, e);
+    next(e);
+  }
+}
+
+// POST /api/bookings/series/:id/cancel
+// body: { reason, reasonOther?, fromDate? } - cancels occurrences on/after fromDate (default today)
+async function cancelSeries(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const { reason, reasonOther, fromDate } = req.body || {};
+    if (!reason || !VALID_CANCEL_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: `Invalid cancellation reason. Must be one of: ${VALID_CANCEL_REASONS.join(", ")}`,
+      });
+    }
+    if (reason === "other" && (!reasonOther || reasonOther.trim() === "")) {
+      return res.status(400).json({
+        message: 'Please provide a reason for cancellation when selecting "other"',
+      });
+    }
+
+    const result = await RecurringBookingService.cancelRemaining(id, me, { reason, reasonOther, fromDate });
+    return res.json(result);
+  } catch (e) {
+    if (e?.statusCode) return sendError(res, e);
+    next(e);
+  }
+}
+
+module.exports = {
+  quoteSeries,
+  createSeries,
+  getSeries,
+  cancelSeries,
+};
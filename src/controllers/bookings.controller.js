@@ -1,5 +1,4 @@
 // src/controllers/bookings.controller.js
-const axios = require("axios");
 const mongoose = require("mongoose");
 const Booking = require("../models/Booking");
 const Listing = require("../models/Listing");
@@ -7,13 +6,29 @@ const User = require("../models/User");
 const Case = require("../models/Case");
 const { generateQrToken } = require("../utils/qrToken");
 const { sendBookingConfirmationEmail } = require("../utils/mailer");
+const BookingPaymentService = require("../services/BookingPaymentService");
+const PriceQuoteService = require("../services/PriceQuoteService");
+const AvailabilityManager = require("../services/AvailabilityManager");
+const BookingReservationService = require("../services/BookingReservationService");
+const CalendarSyncService = require("../services/CalendarSyncService");
+const WaitlistService = require("../services/WaitlistService");
+const OrganizationService = require("../services/OrganizationService");
+const CreditService = require("../services/CreditService");
+const PromoCodeService = require("../services/PromoCodeService");
+const FxService = require("../services/FxService");
+const FeeConfigService = require("../services/FeeConfigService");
+const InvoiceService = require("../services/InvoiceService");
+const ManualPaymentService = require("../services/ManualPaymentService");
+const payments = require("../services/payments");
 
-const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY;
 const APP_URL = process.env.APP_URL || "http://localhost:5173";
 
 const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
 const isAdmin = (req) => String(req.user?.role || "").toLowerCase() === "admin";
 
+// Listing fields needed to evaluate the owner's availability calendar
+const CALENDAR_FIELDS = "availability openingHoursWeekdays openingHoursWeekends";
+
 function pickListing(l) {
   if (!l) return null;
   const { _id, title, venue, city, country, photosMeta = [], coverIndex = 0 } = l;
@@ -66,29 +81,17 @@ function diffDaysISO(a, b) {
   return Math.max(1, Math.round(ms / (1000 * 60 * 60 * 24)));
 }
 
-function firstPrice(listing) {
-  const cands = [
-    listing.priceSeatDay,
-    listing.priceRoomDay,
-    listing.priceWholeDay,
-    listing.priceSeatHour,
-    listing.priceRoomHour,
-    listing.priceWholeMonth,
-  ];
-  for (const v of cands) {
-    const n = Number(v);
-    if (Number.isFinite(n) && n > 0) return n;
-  }
-  return 0;
-}
-
-const toCentavos = (php) => Math.max(0, Math.round(Number(php || 0) * 100));
-
+// Tokens are deterministic per booking window, so a rescheduled booking or a
+// legacy unsigned token gets a fresh one. Works for documents and lean objects.
 async function ensureBookingQrToken(booking) {
-  if (!booking.qrToken) {
-    booking.qrToken = generateQrToken(booking);
+  const token = generateQrToken(booking);
+  if (booking.qrToken !== token) {
+    booking.qrToken = token;
     booking.qrGeneratedAt = new Date();
-    await booking.save();
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { qrToken: token, qrGeneratedAt: booking.qrGeneratedAt } }
+    );
   }
   return booking.qrToken;
 }
@@ -185,45 +188,32 @@ function bookingIntervalForDay(booking, dayISO) {
   return { start: s, end: e };
 }
 
-async function findOverlappingBooking({
-  listingId,
-  startDate,
-  endDate,
-  checkInTime,
-  checkOutTime,
-  excludeBookingId,
-  requestedGuests,
-  listingDoc,
-}) {
-  console.log('[findOverlappingBooking] Input:', {
-    listingId,
-    startDate,
-    endDate,
-    checkInTime,
-    checkOutTime,
-    requestedGuests
-  });
-
-  const windowStart = buildDateTime(startDate, checkInTime, "start");
-  const windowEnd = buildDateTime(endDate, checkOutTime, "end");
-  
-  console.log('[findOverlappingBooking] Window:', {
-    windowStart: windowStart?.toISOString(),
-    windowEnd: windowEnd?.toISOString()
-  });
-
-  if (!windowStart || !windowEnd || windowEnd <= windowStart) {
-    console.log('[findOverlappingBooking] Invalid window, returning null');
-    return null;
-  }
-
-  const q = { listingId, status: { $ne: "cancelled" } };
+// A timed stay's interval on one of its days: from check-in on the first day,
+// until check-out on the last, the whole day in between
+function timedIntervalForDay(day, { startDate, endDate, checkInTime, checkOutTime }) {
+  const singleDay = startDate === endDate;
+  const start = singleDay || day === startDate ? checkInTime : "00:00";
+  const end = singleDay || day === endDate ? checkOutTime : "23:59";
+  return { start: buildDateTime(day, start, "start"), end: buildDateTime(day, end, "end") };
+}
 
-  if (excludeBookingId && mongoose.Types.ObjectId.isValid(excludeBookingId)) {
-    q._id = { $ne: excludeBookingId };
+// Intervals a request occupies: the whole window, or each day's slot on seat-based listings
+function requestIntervals({ startDate, endDate, checkInTime, checkOutTime }, seatBased) {
+  if (!seatBased) {
+    return [{ start: buildDateTime(startDate, checkInTime, "start"), end: buildDateTime(endDate, checkOutTime, "end") }];
   }
+  const reqHasTimes = hasTimes({ checkInTime, checkOutTime });
+  return dateListInclusive(startDate, endDate).map((day) =>
+    bookingIntervalForDay(
+      reqHasTimes ? { startDate: day, endDate: day, checkInTime, checkOutTime } : { startDate: day, endDate: day },
+      day
+    )
+  );
+}
 
-  const dateOverlapFilter = {
+// Bookings whose dates touch [startDate, endDate]; dates are stored as strings
+function dateOverlapFilter(startDate, endDate) {
+  return {
     $expr: {
       $and: [
         { $lte: [{ $toDate: "$startDate" }, new Date(endDate)] },
@@ -231,72 +221,44 @@ async function findOverlappingBooking({
       ],
     },
   };
+}
 
-  const candidates = await Booking.find({ ...q, ...dateOverlapFilter })
-    .select("_id startDate endDate checkInTime checkOutTime status guests")
-    .lean();
-
-  console.log(`[findOverlappingBooking] Found ${candidates.length} candidate bookings:`, 
-    candidates.map(b => ({
-      id: b._id,
-      dates: `${b.startDate} - ${b.endDate}`,
-      times: `${b.checkInTime || 'N/A'} - ${b.checkOutTime || 'N/A'}`,
-      status: b.status
-    }))
-  );
+/**
+ * Check a request against a listing's occupying bookings and waitlist holds.
+ * Seat-based listings conflict once a day runs out of seats, other listings
+ * on any overlap.
+ * @param {Array} candidates - Bookings and holds around the requested dates
+ * @param {Object} request - { startDate, endDate, checkInTime, checkOutTime, requestedGuests, listingDoc }
+ * @returns {Object|null} The conflicting booking or a capacity conflict, null if there is room
+ */
+function findCandidateConflict(candidates, { startDate, endDate, checkInTime, checkOutTime, requestedGuests, listingDoc }) {
+  const windowStart = buildDateTime(startDate, checkInTime, "start");
+  const windowEnd = buildDateTime(endDate, checkOutTime, "end");
+  if (!windowStart || !windowEnd || windowEnd <= windowStart) return null;
 
   const reqHasTimes = hasTimes({ checkInTime, checkOutTime });
   const reqIsMultiDay = startDate !== endDate;
 
-  console.log('[findOverlappingBooking] Request info:', {
-    reqHasTimes,
-    reqIsMultiDay
-  });
-
-  const seatBased = isSeatBasedListing(listingDoc);
-  const seatCapacity = seatBased ? Math.max(1, Number(listingDoc.seats || 1)) : 1;
-  const reqGuests = normalizeGuests(requestedGuests);
-
-  console.log('[findOverlappingBooking] Listing info:', {
-    seatBased,
-    seatCapacity,
-    seats: listingDoc?.seats,
-    priceSeatHour: listingDoc?.priceSeatHour,
-    priceSeatDay: listingDoc?.priceSeatDay
-  });
-
-  if (seatBased) {
-    console.log('[findOverlappingBooking] Using seat-based logic...');
+  if (isSeatBasedListing(listingDoc)) {
+    const seatCapacity = Math.max(1, Number(listingDoc.seats || 1));
+    const reqGuests = normalizeGuests(requestedGuests);
     const days = dateListInclusive(startDate, endDate);
-    
-    console.log(`[findOverlappingBooking] Checking ${days.length} days for seat capacity...`);
-    
-    for (const day of days) {
-      const reqInterval = reqHasTimes
-        ? bookingIntervalForDay({ startDate: day, endDate: day, checkInTime, checkOutTime }, day)
-        : bookingIntervalForDay({ startDate: day, endDate: day }, day);
+    const intervals = requestIntervals({ startDate, endDate, checkInTime, checkOutTime }, true);
 
+    for (let i = 0; i < days.length; i++) {
+      const day = days[i];
+      const reqInterval = intervals[i];
       if (!reqInterval) continue;
 
       let used = 0;
-
       for (const b of candidates) {
         const bInterval = bookingIntervalForDay(b, day);
-        if (!bInterval) continue;
-        
-        const hasOverlap = overlap(reqInterval.start, reqInterval.end, bInterval.start, bInterval.end);
-        
-        if (hasOverlap) {
-          const guestsUsed = normalizeGuests(b.guests);
-          used += guestsUsed;
-          console.log(`[findOverlappingBooking] Day ${day}: Booking ${b._id} overlaps, uses ${guestsUsed} seats`);
+        if (bInterval && overlap(reqInterval.start, reqInterval.end, bInterval.start, bInterval.end)) {
+          used += normalizeGuests(b.guests);
         }
       }
 
-      console.log(`[findOverlappingBooking] Day ${day}: ${used} seats used, ${reqGuests} requested, ${seatCapacity} total capacity`);
-
       if (used + reqGuests > seatCapacity) {
-        console.log(`[findOverlappingBooking] CAPACITY EXCEEDED on ${day}`);
         return {
           _id: null,
           startDate: day,
@@ -309,104 +271,29 @@ async function findOverlappingBooking({
         };
       }
     }
-    
-    console.log('[findOverlappingBooking] Seat-based check: All days have capacity available');
+
     return null;
   }
 
-  console.log('[findOverlappingBooking] Using standard overlap detection...');
-
   for (const b of candidates) {
     if (!b) continue;
 
-    const bookingHasTimes = hasTimes(b);
     const bookingIsMultiDay = b.startDate !== b.endDate;
 
-    console.log(`[findOverlappingBooking] Checking booking ${b._id}:`, {
-      bookingHasTimes,
-      bookingIsMultiDay,
-      dates: `${b.startDate} - ${b.endDate}`,
-      times: `${b.checkInTime} - ${b.checkOutTime}`
-    });
-
-    if (reqHasTimes && bookingHasTimes && (reqIsMultiDay || bookingIsMultiDay)) {
-      console.log('[findOverlappingBooking] Multi-day with times check...');
-      
+    // Timed stays spanning several days only occupy their slot on each day
+    if (reqHasTimes && hasTimes(b) && (reqIsMultiDay || bookingIsMultiDay)) {
       const reqDates = new Set(dateListInclusive(startDate, endDate));
-      const bookDates = dateListInclusive(b.startDate, b.endDate);
-
-      console.log('[findOverlappingBooking] Date ranges:', {
-        reqDates: Array.from(reqDates),
-        bookDates
-      });
 
-      for (const day of bookDates) {
+      for (const day of dateListInclusive(b.startDate, b.endDate)) {
         if (!reqDates.has(day)) continue;
 
-        console.log(`[findOverlappingBooking] Checking day: ${day}`);
-
-        // For multi-day bookings, determine the actual time range for this specific day
-        let reqStart, reqEnd, bStart, bEnd;
-
-        // Request booking time range for this day
-        if (startDate === endDate) {
-          // Single day request
-          reqStart = buildDateTime(day, checkInTime, "start");
-          reqEnd = buildDateTime(day, checkOutTime, "end");
-        } else {
-          // Multi-day request
-          if (day === startDate) {
-            // First day: checkInTime to end of day
-            reqStart = buildDateTime(day, checkInTime, "start");
-            reqEnd = buildDateTime(day, "23:59", "end");
-          } else if (day === endDate) {
-            // Last day: start of day to checkOutTime
-            reqStart = buildDateTime(day, "00:00", "start");
-            reqEnd = buildDateTime(day, checkOutTime, "end");
-          } else {
-            // Middle day: full day
-            reqStart = buildDateTime(day, "00:00", "start");
-            reqEnd = buildDateTime(day, "23:59", "end");
-          }
-        }
-
-        // Existing booking time range for this day
-        if (b.startDate === b.endDate) {
-          // Single day booking
-          bStart = buildDateTime(day, b.checkInTime, "start");
-          bEnd = buildDateTime(day, b.checkOutTime, "end");
-        } else {
-          // Multi-day booking
-          if (day === b.startDate) {
-            // First day: checkInTime to end of day
-            bStart = buildDateTime(day, b.checkInTime, "start");
-            bEnd = buildDateTime(day, "23:59", "end");
-          } else if (day === b.endDate) {
-            // Last day: start of day to checkOutTime
-            bStart = buildDateTime(day, "00:00", "start");
-            bEnd = buildDateTime(day, b.checkOutTime, "end");
-          } else {
-            // Middle day: full day
-            bStart = buildDateTime(day, "00:00", "start");
-            bEnd = buildDateTime(day, "23:59", "end");
-          }
-        }
-
-        console.log(`[findOverlappingBooking] Day ${day} intervals:`, {
-          request: `${reqStart?.toISOString()} - ${reqEnd?.toISOString()}`,
-          booking: `${bStart?.toISOString()} - ${bEnd?.toISOString()}`
-        });
-
-        if (!reqStart || !reqEnd || !bStart || !bEnd) continue;
-        if (reqEnd <= reqStart || bEnd <= bStart) continue;
+        const req = timedIntervalForDay(day, { startDate, endDate, checkInTime, checkOutTime });
+        const booked = timedIntervalForDay(day, b);
 
-        const hasOverlap = overlap(reqStart, reqEnd, bStart, bEnd);
-        console.log(`[findOverlappingBooking] Overlap check: ${hasOverlap}`);
+        if (!req.start || !req.end || !booked.start || !booked.end) continue;
+        if (req.end <= req.start || booked.end <= booked.start) continue;
 
-        if (hasOverlap) {
-          console.log(`[findOverlappingBooking] CONFLICT FOUND with booking ${b._id}`);
-          return b;
-        }
+        if (overlap(req.start, req.end, booked.start, booked.end)) return b;
       }
 
       continue;
@@ -422,6 +309,158 @@ async function findOverlappingBooking({
   return null;
 }
 
+async function findOverlappingBooking({
+  listingId,
+  startDate,
+  endDate,
+  checkInTime,
+  checkOutTime,
+  excludeBookingId,
+  excludeWaitlistEntryId = null,
+  requestedGuests,
+  listingDoc,
+  session = null,
+}) {
+  console.log('[findOverlappingBooking] Input:', {
+    listingId,
+    startDate,
+    endDate,
+    checkInTime,
+    checkOutTime,
+    requestedGuests
+  });
+
+  const windowStart = buildDateTime(startDate, checkInTime, "start");
+  const windowEnd = buildDateTime(endDate, checkOutTime, "end");
+
+  if (!windowStart || !windowEnd || windowEnd <= windowStart) {
+    console.log('[findOverlappingBooking] Invalid window, returning null');
+    return null;
+  }
+
+  // Events imported from the owner's other calendars block the whole space
+  const external = await CalendarSyncService.findExternalConflict({
+    listingId,
+    intervals: requestIntervals({ startDate, endDate, checkInTime, checkOutTime }, isSeatBasedListing(listingDoc)),
+    session,
+  });
+  if (external) {
+    console.log(`[findOverlappingBooking] CONFLICT with external calendar event ${external._id}`);
+    return {
+      _id: null,
+      startDate,
+      endDate,
+      checkInTime,
+      checkOutTime,
+      status: "conflict_external",
+      externalStart: external.start,
+      externalEnd: external.end,
+    };
+  }
+
+  const q = { listingId, ...BookingPaymentService.occupyingFilter() };
+
+  if (excludeBookingId && mongoose.Types.ObjectId.isValid(excludeBookingId)) {
+    q._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find({ ...q, ...dateOverlapFilter(startDate, endDate) })
+    .select("_id startDate endDate checkInTime checkOutTime status guests")
+    .session(session)
+    .lean();
+
+  // Slots held for a waitlisted client occupy the space like a booking
+  const holds = await WaitlistService.activeHolds({
+    listingId,
+    startDate,
+    endDate,
+    excludeEntryId: excludeWaitlistEntryId,
+    session,
+  });
+  const candidates = bookings.concat(holds);
+
+  console.log(`[findOverlappingBooking] Found ${candidates.length} candidate bookings:`, 
+    candidates.map(b => ({
+      id: b._id,
+      dates: `${b.startDate} - ${b.endDate}`,
+      times: `${b.checkInTime || 'N/A'} - ${b.checkOutTime || 'N/A'}`,
+      status: b.status
+    }))
+  );
+
+  const conflict = findCandidateConflict(candidates, {
+    startDate,
+    endDate,
+    checkInTime,
+    checkOutTime,
+    requestedGuests,
+    listingDoc,
+  });
+  if (conflict) {
+    console.log(`[findOverlappingBooking] CONFLICT (${conflict.status}) with ${conflict._id || 'seat capacity'}`);
+  }
+  return conflict;
+}
+
+/**
+ * Narrow a batch of listings to those that can take a request: open on the
+ * owner's calendar, clear of imported events, and with room left after
+ * bookings and waitlist holds. Same rules as checkAvailability, with one
+ * query per collection for the whole batch.
+ * @param {Array} listings - Lean listings (seats, seat prices and calendar fields)
+ * @param {Object} request - { startDate, endDate, checkInTime, checkOutTime, guests }
+ * @returns {Promise<Array>} The bookable listings, in their original order
+ */
+async function findAvailableListings(listings, { startDate, endDate, checkInTime, checkOutTime, guests }) {
+  const request = { startDate, endDate, checkInTime, checkOutTime };
+  const windowStart = buildDateTime(startDate, checkInTime, "start");
+  const windowEnd = buildDateTime(endDate, checkOutTime, "end");
+  if (!windowStart || !windowEnd || windowEnd <= windowStart) return [];
+
+  const open = listings.filter((l) => !AvailabilityManager.checkWindow(l, request));
+  if (!open.length) return open;
+
+  const listingIds = open.map((l) => l._id);
+  const [events, bookings, holds] = await Promise.all([
+    CalendarSyncService.eventsOverlapping(listingIds, windowStart, windowEnd),
+    Booking.find({
+      listingId: { $in: listingIds },
+      ...BookingPaymentService.occupyingFilter(),
+      ...dateOverlapFilter(startDate, endDate),
+    })
+      .select("_id listingId startDate endDate checkInTime checkOutTime status guests")
+      .lean(),
+    WaitlistService.activeHolds({ listingId: listingIds, startDate, endDate }),
+  ]);
+
+  const byListing = (rows) => {
+    const map = new Map();
+    for (const row of rows) {
+      const key = String(row.listingId);
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(row);
+    }
+    return map;
+  };
+  const eventsByListing = byListing(events);
+  const candidatesByListing = byListing(bookings.concat(holds));
+
+  return open.filter((listing) => {
+    const id = String(listing._id);
+    const intervals = requestIntervals(request, isSeatBasedListing(listing)).filter((i) => i && i.start < i.end);
+    const blocked = (eventsByListing.get(id) || []).some((e) =>
+      intervals.some((i) => e.start < i.end && e.end > i.start)
+    );
+    if (blocked) return false;
+
+    return !findCandidateConflict(candidatesByListing.get(id) || [], {
+      ...request,
+      requestedGuests: guests,
+      listingDoc: listing,
+    });
+  });
+}
+
 function expandNights(startDate, endDate) {
   const s = parseISO(startDate);
   const e = parseISO(endDate);
@@ -444,94 +483,53 @@ async function sendBookingEmailSafe(booking) {
 
     if (!user || !user.email) return;
 
+    const plain = booking.toObject ? booking.toObject() : booking;
+
+    // The official receipt goes out with the confirmation; the email is still sent without it
+    let invoice = null;
+    try {
+      const doc = await InvoiceService.issueForBooking(plain);
+      if (doc) invoice = { number: doc.number, pdf: InvoiceService.renderPdf(doc) };
+    } catch (err) {
+      console.error("Failed to issue invoice for booking email:", err.message);
+    }
+
     await sendBookingConfirmationEmail({
       to: user.email,
       user,
-      booking: booking.toObject ? booking.toObject() : booking,
+      booking: plain,
       listing,
+      invoice,
     });
   } catch (err) {
     console.error("Failed to send booking confirmation email:", err);
   }
 }
 
-function sumNumericObject(obj) {
-  if (!obj || typeof obj !== "object") return 0;
-  let sum = 0;
-  for (const v of Object.values(obj)) {
-    const n = Number(v);
-    if (Number.isFinite(n)) sum += n;
-  }
-  return sum;
-}
-
-function calcTotalFromPricing({
-  pricing,
-  listing,
-  nightsCount,
-  totalHours,
-  guestCount,
-  multiplyByGuests,
-}) {
-  const currency = String(listing?.currency || "PHP").toUpperCase();
-
-  const explicitTotal = Number(pricing?.total);
-  if (Number.isFinite(explicitTotal) && explicitTotal >= 0) {
-    return {
-      total: explicitTotal,
-      currency,
-      mode: String(pricing?.mode || "").toLowerCase(),
-      unitPrice: Number(pricing?.unitPrice) || null,
-      qty: Number(pricing?.qty) || null,
-      feesObj: pricing?.fees && typeof pricing.fees === "object" ? pricing.fees : {},
-      discounts: Number(pricing?.discount || 0),
-    };
-  }
-
-  const mode = String(pricing?.mode || "").toLowerCase();
-
-  const unitPrice =
-    Number(pricing?.unitPrice) ||
-    Number(pricing?.base) ||
-    Number(pricing?.rate) ||
-    firstPrice(listing);
-
-  if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
-    const err = new Error("Invalid unit price");
-    err.statusCode = 422;
-    throw err;
-  }
-
-  const fallbackQty =
-    mode === "hour"
-      ? Math.max(1, Number(totalHours) || 0)
-      : Math.max(1, Number(nightsCount) || 1);
-
-  const qty = Math.max(1, Number(pricing?.qty) || fallbackQty);
-
-  const perGuestFactor = multiplyByGuests ? Math.max(1, Number(guestCount) || 1) : 1;
-
-  const base = unitPrice * qty * perGuestFactor;
-
-  const feesObj =
-    pricing?.fees && typeof pricing.fees === "object" ? pricing.fees : {};
-
-  const feesTotal = sumNumericObject(feesObj);
-  const discounts = Number(pricing?.discount || 0);
-
-  const total = Math.max(0, base + feesTotal - discounts);
-
-  return { total, currency, unitPrice, qty, feesObj, discounts, mode };
-}
-
 /* ===================== READ ===================== */
 
+// GET /api/bookings/me[?organizationId=]
+// With organizationId, returns the team's consolidated bookings (members only)
 async function listMine(req, res, next) {
   try {
     const me = uid(req);
     if (!me) return res.status(401).json({ message: "Unauthorized" });
 
-    const docs = await Booking.find({ userId: me }).sort({ createdAt: -1 }).lean();
+    const { organizationId } = req.query;
+    let docs;
+    if (organizationId) {
+      try {
+        docs = await OrganizationService.listBookings(organizationId, me, {
+          status: req.query.status,
+          memberId: req.query.memberId,
+        });
+      } catch (e) {
+        if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+        throw e;
+      }
+    } else {
+      docs = await Booking.find({ userId: me }).sort({ createdAt: -1 }).lean();
+    }
     const withListings = await attachListings(docs);
     
     // Attach cancellation request status for each booking
@@ -608,28 +606,93 @@ async function getOne(req, res, next) {
     if (!isAdmin(req) && String(b.userId) !== String(me)) {
       return res.status(403).json({ message: "Forbidden" });
     }
+    if (b.status === "paid") await ensureBookingQrToken(b);
 
     const [withListing] = await attachListings([b]);
+    if (b.status === "awaiting_payment" && ManualPaymentService.isManual(b)) {
+      const listing = await Listing.findById(b.listingId).select("manualPayment").lean();
+      withListing.paymentInstructions = ManualPaymentService.instructions(listing, b);
+    }
     return res.json(withListing);
   } catch (e) {
     next(e);
   }
 }
 
+// GET /api/bookings/:id/invoice[?format=json][&document=CN-2026-000001]
+// The booking's invoice / official receipt as a PDF (client, owner or admin).
+// format=json lists the invoice and any credit notes; document picks a credit note.
+async function getInvoice(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { invoice, creditNotes } = await InvoiceService.getForBooking(req.params.id, me, {
+      isAdmin: isAdmin(req),
+    });
+
+    if (req.query.format === "json") return res.json({ invoice, creditNotes });
+
+    const doc = req.query.document
+      ? [invoice, ...creditNotes].find((d) => d.number === String(req.query.document))
+      : invoice;
+    if (!doc) return res.status(404).json({ message: "Document not found" });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${doc.number}.pdf"`);
+    return res.send(InvoiceService.renderPdf(doc));
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
+// POST /api/bookings/:id/payment-proof (multipart: proof, reference, note)
+// Bank transfer receipt for the owner to check before confirming the booking.
+async function uploadPaymentProof(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+    if (!req.file) return res.status(400).json({ message: "Attach the proof of payment as 'proof'" });
+
+    const booking = await ManualPaymentService.submitProof(req.params.id, me, {
+      url: req.file.path,
+      publicId: req.file.filename,
+      reference: req.body?.reference,
+      note: req.body?.note,
+    });
+
+    const [withListing] = await attachListings([booking]);
+    return res.status(201).json({ message: "Proof of payment submitted for review", booking: withListing });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
 async function getBlockedDates(req, res, next) {
   try {
-    const { listingId } = req.query || {};
+    const { listingId, from, to } = req.query || {};
 
     if (!listingId || !mongoose.isValidObjectId(listingId)) {
       return res.status(422).json({ message: "Invalid listingId" });
     }
 
+    const listing = await Listing.findById(listingId).select(CALENDAR_FIELDS).lean();
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
+    // Calendar closures are expanded over a bounded window (default ~6 months)
+    const rangeFrom = parseISO(from) ? String(from) : today.toISOString().slice(0, 10);
+    const rangeTo = parseISO(to)
+      ? String(to)
+      : new Date(today.getTime() + 180 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
     const bookings = await Booking.find({
       listingId,
-      status: { $ne: "cancelled" },
+      ...BookingPaymentService.occupyingFilter(),
       endDate: { $gte: today.toISOString().slice(0, 10) },
     })
       .select("startDate endDate checkInTime checkOutTime status")
@@ -642,7 +705,14 @@ async function getBlockedDates(req, res, next) {
       for (const d of expandNights(b.startDate, b.endDate)) set.add(d);
     }
 
-    return res.json({ blockedDates: Array.from(set).sort() });
+    const closedDates = AvailabilityManager.closedDates(listing, rangeFrom, rangeTo);
+    for (const d of closedDates) set.add(d);
+
+    const externalEvents = await CalendarSyncService.eventsBetween(listingId, rangeFrom, rangeTo);
+    const externalDates = CalendarSyncService.blockedDays(externalEvents, rangeFrom, rangeTo);
+    for (const d of externalDates) set.add(d);
+
+    return res.json({ blockedDates: Array.from(set).sort(), closedDates, externalDates });
   } catch (e) {
     next(e);
   }
@@ -656,7 +726,9 @@ async function getBusySlots(req, res, next) {
       return res.status(422).json({ message: "Invalid listingId" });
     }
 
-    const listing = await Listing.findById(listingId).select("seats priceSeatHour priceSeatDay").lean();
+    const listing = await Listing.findById(listingId)
+      .select(`seats priceSeatHour priceSeatDay ${CALENDAR_FIELDS}`)
+      .lean();
     if (!listing) return res.status(404).json({ message: "Listing not found" });
 
     const dayStart = String(date || startDate || "");
@@ -680,7 +752,7 @@ async function getBusySlots(req, res, next) {
 
     const bookings = await Booking.find({
       listingId,
-      status: { $ne: "cancelled" },
+      ...BookingPaymentService.occupyingFilter(),
       ...dateOverlapFilter,
     })
       .select("_id startDate endDate checkInTime checkOutTime guests status")
@@ -690,7 +762,12 @@ async function getBusySlots(req, res, next) {
     const seats = seatBased ? Math.max(1, Number(listing.seats || 1)) : 1;
 
     const busyByDay = {};
-    for (const day of days) busyByDay[day] = [];
+    const hoursByDay = {};
+    for (const day of days) {
+      busyByDay[day] = [];
+      const { closed, open, close, reason } = AvailabilityManager.hoursForDate(listing, day);
+      hoursByDay[day] = { closed, open, close, reason: reason || null };
+    }
 
     for (const b of bookings) {
       for (const day of days) {
@@ -710,11 +787,35 @@ async function getBusySlots(req, res, next) {
       }
     }
 
+    // Imported events occupy every seat
+    const externalEvents = await CalendarSyncService.eventsBetween(listingId, dayStart, dayEnd);
+    for (const ev of externalEvents) {
+      for (const day of days) {
+        const dayFrom = buildDateTime(day, "00:00", "start");
+        const dayTo = buildDateTime(day, "23:59", "end");
+        const start = ev.start > dayFrom ? ev.start : dayFrom;
+        const end = ev.end < dayTo ? ev.end : dayTo;
+        if (start >= end) continue;
+
+        busyByDay[day].push({
+          bookingId: null,
+          start: start.toISOString(),
+          end: end.toISOString(),
+          checkInTime: null,
+          checkOutTime: null,
+          guests: seats,
+          allDay: start <= dayFrom && end >= dayTo,
+          status: "external",
+        });
+      }
+    }
+
     return res.json({
       seatBased,
       seats,
       days,
       busyByDay,
+      hoursByDay,
     });
   } catch (e) {
     next(e);
@@ -754,7 +855,10 @@ async function findAvailableSlots({
 
   // 1. Check same-day alternative slots
   console.log('[findAvailableSlots] Checking same-day slots...');
-  for (const slot of commonSlots) {
+  const sameDayOpenSlots = listingDoc
+    ? AvailabilityManager.filterSlots(listingDoc, startDate, commonSlots)
+    : commonSlots;
+  for (const slot of sameDayOpenSlots) {
     // Skip if it's the same as requested time
     if (slot.start === checkInTime && slot.end === checkOutTime) {
       console.log(`[findAvailableSlots] Skipping requested slot: ${slot.start}-${slot.end}`);
@@ -798,7 +902,10 @@ async function findAvailableSlots({
 
       // Count available slots for this date
       let availableCount = 0;
-      for (const slot of commonSlots) {
+      const openSlots = listingDoc
+        ? AvailabilityManager.filterSlots(listingDoc, dateStr, commonSlots)
+        : commonSlots;
+      for (const slot of openSlots) {
         const overlap = await findOverlappingBooking({
           listingId,
           startDate: dateStr,
@@ -857,9 +964,53 @@ async function checkAvailability(req, res, next) {
       return res.status(422).json({ message: "Missing startDate or endDate" });
     }
 
-    const listing = await Listing.findById(listingId).select("seats priceSeatHour priceSeatDay").lean();
+    const listing = await Listing.findById(listingId)
+      .select(`seats priceSeatHour priceSeatDay ${CALENDAR_FIELDS}`)
+      .lean();
     if (!listing) return res.status(404).json({ message: "Listing not found" });
 
+    // Owner calendar (blackouts, closed days, opening hours) comes before bookings
+    const calendarConflict = AvailabilityManager.checkWindow(listing, {
+      startDate,
+      endDate,
+      checkInTime,
+      checkOutTime,
+    });
+
+    if (calendarConflict) {
+      console.log('[checkAvailability] Calendar conflict:', calendarConflict);
+
+      let suggestions = null;
+      if (checkInTime && checkOutTime) {
+        try {
+          suggestions = await findAvailableSlots({
+            listingId,
+            startDate,
+            endDate,
+            checkInTime,
+            checkOutTime,
+            guests,
+            listingDoc: listing
+          });
+        } catch (err) {
+          console.error("Error finding available slots:", err);
+        }
+      }
+
+      return res.json({
+        available: false,
+        reason: calendarConflict.reason,
+        message: AvailabilityManager.describeConflict(calendarConflict),
+        calendar: {
+          date: calendarConflict.date,
+          open: calendarConflict.hours.open,
+          close: calendarConflict.hours.close,
+        },
+        capacity: null,
+        suggestions
+      });
+    }
+
     const overlapBooking = await findOverlappingBooking({
       listingId,
       startDate,
@@ -900,7 +1051,9 @@ async function checkAvailability(req, res, next) {
       capacity: overlapBooking?.status === "conflict_capacity"
         ? { seats: overlapBooking.seats, used: overlapBooking.guestsUsed, requested: normalizeGuests(guests) }
         : null,
-      suggestions // Include suggestions when unavailable
+      suggestions, // Include suggestions when unavailable
+      // Slots taken by other bookings may free up; external calendar blocks will not
+      canJoinWaitlist: !!overlapBooking && overlapBooking.status !== "conflict_external",
     };
 
     console.log('[checkAvailability] Response:', response);
@@ -912,6 +1065,52 @@ async function checkAvailability(req, res, next) {
   }
 }
 
+/* ===================== PRICING ===================== */
+
+// POST /api/bookings/quote
+// body: { listingId, startDate, endDate, checkInTime?, checkOutTime?, guests?, mode?, unit?, promoCode?, currency? }
+// currency is the display currency; checkout is always charged in PHP
+async function quote(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { listingId, startDate, endDate, checkInTime, checkOutTime, guests, mode, unit, promoCode, currency } =
+      req.body || {};
+
+    if (!listingId || !mongoose.isValidObjectId(listingId)) {
+      return res.status(422).json({ message: "Invalid listingId" });
+    }
+    if (!startDate || !endDate) {
+      return res.status(422).json({ message: "Missing startDate or endDate" });
+    }
+
+    const listing = await Listing.findOne({ _id: listingId, status: "active" }).lean();
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    const promo = promoCode
+      ? await PromoCodeService.resolve(promoCode, { listing, userId: me })
+      : null;
+
+    const [fx, feeRates] = await Promise.all([
+      FxService.snapshot(listing.currency, currency || null),
+      FeeConfigService.ratesFor(listing),
+    ]);
+
+    const result = PriceQuoteService.issueQuote(
+      listing,
+      { startDate, endDate, checkInTime, checkOutTime, guests, mode, unit },
+      me,
+      { promo, fx, taxes: feeRates.taxes }
+    );
+
+    return res.json(result);
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
 /* ===================== WRITE ===================== */
 
 async function cancel(req, res, next) {
@@ -1021,14 +1220,16 @@ async function markPaid(req, res, next) {
     const booking = await Booking.findById(id);
     if (!booking) return res.status(404).json({ message: "Not found" });
 
-    if (!isAdmin(req) && String(booking.userId) !== String(me)) {
+    // Manual override for admins only; clients go through syncPayment
+    if (!isAdmin(req)) {
       return res.status(403).json({ message: "Forbidden" });
     }
 
-    booking.status = "paid";
-    await ensureBookingQrToken(booking);
+    if (!BookingPaymentService.canTransition(booking.status, "paid")) {
+      return res.status(409).json({ message: `Cannot mark a ${booking.status} booking as paid` });
+    }
 
-    await sendBookingEmailSafe(booking);
+    await BookingPaymentService.markPaid(booking, { source: "admin" });
 
     const [withListing] = await attachListings([booking.toObject()]);
     return res.json({ ok: true, booking: withListing });
@@ -1037,11 +1238,53 @@ async function markPaid(req, res, next) {
   }
 }
 
-/* ===================== PAYMONGO CHECKOUT ===================== */
+// POST /api/bookings/:id/payment/sync
+// Server-side poll of the PayMongo checkout session, e.g. from the thank-you page
+async function syncPayment(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id))
+      return res.status(400).json({ message: "Invalid id" });
+
+    const booking = await Booking.findById(id);
+    if (!booking) return res.status(404).json({ message: "Not found" });
+
+    if (!isAdmin(req) && String(booking.userId) !== String(me)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    let gatewayStatus = null;
+    if (BookingPaymentService.canTransition(booking.status, "paid")) {
+      try {
+        ({ gatewayStatus } = await BookingPaymentService.syncCheckoutSession(booking));
+      } catch (err) {
+        console.error("syncPayment checkout poll failed:", err?.response?.data || err.message);
+        return res.status(502).json({ message: "Could not reach payment gateway" });
+      }
+    }
+
+    const [withListing] = await attachListings([booking.toObject()]);
+    return res.json({
+      status: booking.status,
+      gatewayStatus,
+      holdExpiresAt: booking.holdExpiresAt || null,
+      booking: withListing,
+    });
+  } catch (e) {
+    next(e);
+  }
+}
+
+/* ===================== CHECKOUT ===================== */
 
 async function createBookingIntent(req, res) {
   try {
-    if (!PAYMONGO_SECRET_KEY) {
+    // Credit redemptions and bank transfer / cash bookings never reach the payment gateway
+    const offline = req.body?.creditPurchaseId || ManualPaymentService.MANUAL_METHODS.includes(req.body?.paymentMethod);
+    if (!offline && !payments.get().isConfigured()) {
       return res.status(500).json({ message: "Payment gateway not configured." });
     }
 
@@ -1055,14 +1298,17 @@ async function createBookingIntent(req, res) {
       listingId,
       startDate,
       endDate,
-      nights,
       guests = 1,
       returnUrl,
-      multiplyByGuests = false,
       checkInTime,
       checkOutTime,
-      totalHours,
       pricing,
+      quoteToken,
+      waitlistEntryId,
+      organizationId,
+      creditPurchaseId,
+      promoCode,
+      paymentMethod = "online",
     } = req.body || {};
 
     if (!listingId || !startDate || !endDate) {
@@ -1071,6 +1317,25 @@ async function createBookingIntent(req, res) {
     if (!mongoose.isValidObjectId(listingId)) {
       return res.status(422).json({ message: "Invalid listingId" });
     }
+    if (waitlistEntryId && !mongoose.isValidObjectId(waitlistEntryId)) {
+      return res.status(422).json({ message: "Invalid waitlistEntryId" });
+    }
+    if (organizationId && !mongoose.isValidObjectId(organizationId)) {
+      return res.status(422).json({ message: "Invalid organizationId" });
+    }
+    if (creditPurchaseId && !mongoose.isValidObjectId(creditPurchaseId)) {
+      return res.status(422).json({ message: "Invalid creditPurchaseId" });
+    }
+    if (creditPurchaseId && organizationId) {
+      return res.status(422).json({ message: "Organization bookings cannot be paid with credits" });
+    }
+    if (creditPurchaseId && promoCode) {
+      return res.status(422).json({ message: "Promo codes cannot be combined with credits" });
+    }
+    const isManual = paymentMethod !== "online";
+    if (isManual && creditPurchaseId) {
+      return res.status(422).json({ message: "Bookings paid with credits have no payment method" });
+    }
 
     const s = parseISO(startDate);
     const e = parseISO(endDate);
@@ -1082,19 +1347,53 @@ async function createBookingIntent(req, res) {
     const listing = await Listing.findById(listingId).lean();
     if (!listing) return res.status(404).json({ message: "Listing not found" });
 
-    const nightsCount =
-      Number.isFinite(Number(nights)) && Number(nights) > 0
-        ? Number(nights)
-        : diffDaysISO(startDate, endDate) || 1;
+    const nightsCount = diffDaysISO(startDate, endDate) || 1;
 
     const guestCount = normalizeGuests(guests);
 
+    // Bank transfer / cash: the listing must accept it, and the deadline must fit before the start
+    const manual = isManual
+      ? ManualPaymentService.assertAvailable(listing, paymentMethod, { startDate, checkInTime })
+      : null;
+
+    // A held waitlist slot is reserved for its owner and this exact window
+    if (waitlistEntryId) {
+      await WaitlistService.assertConvertible(waitlistEntryId, me, {
+        listingId,
+        startDate,
+        endDate,
+        checkInTime,
+        checkOutTime,
+        guests: guestCount,
+      });
+    }
+
+    const calendarConflict = AvailabilityManager.checkWindow(listing, {
+      startDate,
+      endDate,
+      checkInTime,
+      checkOutTime,
+    });
+
+    if (calendarConflict) {
+      return res.status(409).json({
+        message: AvailabilityManager.describeConflict(calendarConflict),
+        reason: calendarConflict.reason,
+        calendar: {
+          date: calendarConflict.date,
+          open: calendarConflict.hours.open,
+          close: calendarConflict.hours.close,
+        },
+      });
+    }
+
     const overlapping = await findOverlappingBooking({
       listingId,
       startDate,
       endDate,
       checkInTime,
       checkOutTime,
+      excludeWaitlistEntryId: waitlistEntryId || null,
       requestedGuests: guestCount,
       listingDoc: listing,
     });
@@ -1114,27 +1413,119 @@ async function createBookingIntent(req, res) {
               requested: guestCount,
             }
           : null,
+        canJoinWaitlist: overlapping.status !== "conflict_external",
       });
     }
 
-    const resolved = calcTotalFromPricing({
-      pricing,
+    // The promo code is re-checked at checkout; its use is claimed with the slot below
+    const promo = promoCode
+      ? await PromoCodeService.resolve(promoCode, { listing, userId: me })
+      : null;
+
+    // Price comes from a server-signed quote, never from the request body
+    const resolved = PriceQuoteService.verifyQuote(quoteToken, {
       listing,
-      nightsCount,
-      totalHours,
-      guestCount,
-      multiplyByGuests,
+      userId: me,
+      input: { startDate, endDate, checkInTime, checkOutTime, guests: guestCount },
+      promo,
     });
 
-    if (resolved.currency !== "PHP") {
-      return res.status(422).json({
-        message: "Only PHP currency is supported for PayMongo checkout.",
+    const clientTotal = Number(pricing?.total);
+    if (pricing?.total != null && Math.abs(clientTotal - resolved.total) > 0.005) {
+      return res.status(409).json({
+        message: "Displayed total does not match the current price quote.",
+        quote: resolved,
       });
     }
 
-    const totalPhp = resolved.total;
+    // PayMongo settles in PHP: listings priced in other currencies are converted at the quoted rate
+    const totalPhp = resolved.settlement.total;
+    const fx = resolved.currency !== FxService.SETTLEMENT_CURRENCY ||
+      resolved.display.currency !== FxService.SETTLEMENT_CURRENCY
+      ? FxService.bookingSnapshot(resolved)
+      : undefined;
+
+    // Commission applies as of purchase; taxes are the ones the quote was priced with
+    const currentRates = await FeeConfigService.ratesFor(listing);
+    const feeRates = { ...currentRates, taxes: (resolved.taxes || []).map((t) => FeeConfigService.taxSnapshot(t)) };
+
+    if (creditPurchaseId) {
+      const { purchase, credits } = await CreditService.assertRedeemable(creditPurchaseId, me, listing, resolved);
+      const paidAt = new Date();
+
+      // Credits are spent in the same transaction that reserves the slot
+      const redemption = await BookingReservationService.reserve(listing, [{
+        userId: me,
+        ownerId: listing.owner,
+        listingId,
+        startDate,
+        endDate,
+        nights: nightsCount,
+        guests: guestCount,
+        currency: "PHP",
+        amount: totalPhp,
+        status: "paid",
+        holdExpiresAt: null,
+        provider: "credits",
+        checkInTime: checkInTime || null,
+        checkOutTime: checkOutTime || null,
+        totalHours: resolved.totalHours,
+        pricingSnapshot: resolved,
+        fx,
+        feeRates,
+        waitlistEntryId: waitlistEntryId || null,
+        payment: { amount: 0, currency: "PHP", paidAt, confirmedVia: "credits" },
+        credit: { purchaseId: purchase._id, kind: purchase.kind, unit: purchase.unit, credits },
+      }]);
+
+      if (redemption.conflict) {
+        const isCap = redemption.conflict.status === "conflict_capacity";
+        return res.status(409).json({
+          message: isCap
+            ? "Not enough seats available for the selected time."
+            : "Selected dates and times are no longer available for this listing.",
+          conflictBookingId: redemption.conflict._id ? String(redemption.conflict._id) : null,
+          reason: isCap ? "capacity" : "overlap",
+          canJoinWaitlist: redemption.conflict.status !== "conflict_external",
+        });
+      }
+
+      const [paidBooking] = redemption.bookings;
+      await ensureBookingQrToken(paidBooking);
+      await sendBookingEmailSafe(paidBooking);
+
+      return res.status(201).json({
+        bookingId: String(paidBooking._id),
+        amount: totalPhp,
+        currency: "PHP",
+        nights: nightsCount,
+        guests: guestCount,
+        status: "paid",
+        credit: {
+          purchaseId: String(purchase._id),
+          kind: purchase.kind,
+          creditsUsed: credits,
+          creditsRemaining: purchase.creditsRemaining - credits,
+        },
+      });
+    }
 
-    const booking = await Booking.create({
+    // Booking on an organization's behalf: spending limit, then approval threshold
+    const org = organizationId
+      ? await OrganizationService.authorizeBooking(organizationId, me, totalPhp)
+      : null;
+    const needsApproval = !!org?.requiresApproval;
+
+    // Manual payments get their deadline once approved (see OrganizationService.approve)
+    const holdExpiresAt = needsApproval
+      ? OrganizationService.approvalHoldExpiry({ startDate, checkInTime })
+      : manual
+        ? manual.deadlineAt
+        : BookingPaymentService.holdExpiry();
+    const initialStatus = needsApproval ? "pending_approval" : manual ? "awaiting_payment" : "pending_payment";
+
+    // Re-check and insert atomically so parallel requests cannot oversell the slot
+    const reservation = await BookingReservationService.reserve(listing, [{
       userId: me,
       ownerId: listing.owner,
       listingId,
@@ -1144,73 +1535,132 @@ async function createBookingIntent(req, res) {
       guests: guestCount,
       currency: "PHP",
       amount: totalPhp,
-      status: "paid",
-      provider: "paymongo",
+      status: initialStatus,
+      holdExpiresAt,
+      provider: manual ? manual.method : payments.get().name,
       checkInTime: checkInTime || null,
       checkOutTime: checkOutTime || null,
-      totalHours: totalHours || null,
-      pricingSnapshot: pricing || null,
-    });
+      totalHours: resolved.totalHours,
+      pricingSnapshot: resolved,
+      fx,
+      feeRates,
+      waitlistEntryId: waitlistEntryId || null,
+      organizationId: org ? org.organization._id : undefined,
+      approval: needsApproval ? { status: "pending", requestedAt: new Date() } : undefined,
+      manualPayment: manual
+        ? { method: manual.method, status: "awaiting", deadlineAt: needsApproval ? undefined : manual.deadlineAt }
+        : undefined,
+      payment: manual ? { amount: totalPhp, currency: "PHP" } : undefined,
+    }]);
+
+    if (reservation.conflict) {
+      const isCap = reservation.conflict.status === "conflict_capacity";
+      return res.status(409).json({
+        message: isCap
+          ? "Not enough seats available for the selected time."
+          : "Selected dates and times are no longer available for this listing.",
+        conflictBookingId: reservation.conflict._id ? String(reservation.conflict._id) : null,
+        reason: isCap ? "capacity" : "overlap",
+        capacity: isCap
+          ? {
+              seats: reservation.conflict.seats,
+              used: reservation.conflict.guestsUsed,
+              requested: guestCount,
+            }
+          : null,
+        canJoinWaitlist: reservation.conflict.status !== "conflict_external",
+      });
+    }
+
+    const [booking] = reservation.bookings;
+
+    // The checkout is opened once an org admin approves
+    if (needsApproval) {
+      try {
+        const NotificationService = require("../services/NotificationService");
+        await NotificationService.sendOrganizationApprovalRequest(booking._id);
+      } catch (err) {
+        console.error("Failed to request organization approval:", err);
+      }
+
+      return res.status(202).json({
+        bookingId: String(booking._id),
+        amount: totalPhp,
+        currency: "PHP",
+        nights: nightsCount,
+        guests: guestCount,
+        organizationId: String(org.organization._id),
+        status: "pending_approval",
+        holdExpiresAt,
+        message: `This booking needs approval from a ${org.organization.name} admin before you can pay.`,
+      });
+    }
+
+    // Bank transfer / cash: the slot is held until the deadline while the owner waits for the money
+    if (manual) {
+      await ManualPaymentService.notify(booking._id, "awaiting");
+
+      return res.status(201).json({
+        bookingId: String(booking._id),
+        amount: totalPhp,
+        currency: "PHP",
+        nights: nightsCount,
+        guests: guestCount,
+        status: "awaiting_payment",
+        holdExpiresAt,
+        paymentMethod: manual.method,
+        paymentInstructions: ManualPaymentService.instructions(listing, booking),
+      });
+    }
 
     const successUrl =
       (returnUrl || `${APP_URL}/app/bookings/thank-you`) + `?bookingId=${booking._id}`;
     const cancelUrl = `${APP_URL}/checkout?cancelled=1&bookingId=${booking._id}`;
 
-    const payload = {
-      data: {
-        attributes: {
-          amount: toCentavos(totalPhp),
-          currency: "PHP",
-          description: `Booking ${booking._id} • ${listing.venue || listing.title || "Workspace"}`,
-          payment_method_types: ["card", "gcash"],
-          success_url: successUrl,
-          cancel_url: cancelUrl,
-          statement_descriptor: "FLEXIDESK",
-          metadata: {
-            bookingId: String(booking._id),
-            listingId: String(listing._id),
-            userId: String(me),
-            nights: String(nightsCount),
-            guests: String(guestCount),
-            pricingMode: String(resolved.mode || ""),
-            unitPrice: String(resolved.unitPrice || ""),
-            qty: String(resolved.qty || ""),
-            feesTotal: String(sumNumericObject(resolved.feesObj) || ""),
-            discounts: String(resolved.discounts || ""),
-            total: String(totalPhp || ""),
-          },
-          line_items: [
-            {
-              name: listing.venue || listing.title || "Workspace",
-              amount: toCentavos(totalPhp),
-              currency: "PHP",
-              quantity: 1,
-            },
-          ],
-        },
-      },
-    };
-
-    const pmRes = await axios.post(
-      "https://api.paymongo.com/v1/checkout_sessions",
-      payload,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization:
-            "Basic " + Buffer.from(PAYMONGO_SECRET_KEY + ":").toString("base64"),
-          "Idempotency-Key": requestIdem ? String(requestIdem) : String(booking._id),
+    let checkout;
+    try {
+      checkout = await BookingPaymentService.createCheckoutSession({
+        amount: totalPhp,
+        description: `Booking ${booking._id} • ${listing.venue || listing.title || "Workspace"}`,
+        successUrl,
+        cancelUrl,
+        metadata: {
+          bookingId: String(booking._id),
+          listingId: String(listing._id),
+          userId: String(me),
+          nights: String(nightsCount),
+          guests: String(guestCount),
+          pricingMode: String(resolved.mode || ""),
+          pricingUnit: String(resolved.unit || ""),
+          unitPrice: String(resolved.unitPrice || ""),
+          qty: String(resolved.qty || ""),
+          feesTotal: String(resolved.fees.service + resolved.fees.cleaning || ""),
+          discounts: String(resolved.discount || ""),
+          total: String(totalPhp || ""),
+          ...(org ? { organizationId: String(org.organization._id) } : {}),
         },
-        timeout: 15000,
-      }
-    );
+        lineItems: [{ name: listing.venue || listing.title || "Workspace", amount: totalPhp }],
+        idempotencyKey: requestIdem || booking._id,
+      });
+    } catch (err) {
+      // Release the slot (and promo use) right away instead of waiting for the hold to lapse
+      await Booking.findByIdAndUpdate(booking._id, {
+        $set: { status: "expired", expiredAt: new Date() },
+      });
+      await PromoCodeService.releaseForBooking(booking);
+      throw err;
+    }
 
-    const checkout = pmRes?.data?.data?.attributes || {};
-    const checkoutId = pmRes?.data?.data?.id;
-    const checkoutUrl = checkout?.checkout_url || checkout?.url;
+    const checkoutId = checkout.id;
+    const checkoutUrl = checkout.url;
 
     await Booking.findByIdAndUpdate(booking._id, {
-      $set: { payment: { checkoutId, checkoutUrl, amount: totalPhp, currency: "PHP" } },
+      $set: {
+        "payment.checkoutId": checkoutId,
+        "payment.checkoutUrl": checkoutUrl,
+        "payment.amount": totalPhp,
+        "payment.currency": "PHP",
+      },
     });
 
     return res.json({
@@ -1222,13 +1672,19 @@ async function createBookingIntent(req, res) {
       checkout: { id: checkoutId, url: checkoutUrl },
       pricingResolved: {
         mode: resolved.mode,
+        unit: resolved.unit,
         unitPrice: resolved.unitPrice,
         qty: resolved.qty,
-        fees: resolved.feesObj,
-        discounts: resolved.discounts,
-        total: totalPhp,
+        fees: resolved.fees,
+        discounts: resolved.discount,
+        lineItems: resolved.lineItems,
+        currency: resolved.currency,
+        total: resolved.total,
+        settlement: resolved.settlement,
+        display: resolved.display,
       },
-      status: "paid",
+      status: "pending_payment",
+      holdExpiresAt,
     });
   } catch (err) {
     console.error("createBookingIntent error:", err?.response?.data || err);
@@ -1237,7 +1693,7 @@ async function createBookingIntent(req, res) {
       err?.response?.data?.errors?.[0]?.title ||
       err?.message;
     const statusCode = err?.statusCode || 500;
-    return res.status(statusCode).json({ message: apiError || "Failed to create checkout" });
+    return res.status(statusCode).json({ message: apiError || "Failed to create checkout", reason: err?.reason });
   }
 }
 
@@ -1245,10 +1701,19 @@ module.exports = {
   listMine,
   list,
   getOne,
+  getInvoice,
+  uploadPaymentProof,
   cancel,
   createBookingIntent,
   markPaid,
+  syncPayment,
+  quote,
   checkAvailability,
   getBlockedDates,
   getBusySlots,
+  ensureBookingQrToken,
+  sendBookingEmailSafe,
+  findOverlappingBooking,
+  findCandidateConflict,
+  findAvailableListings,
 };
\ No newline at end of file
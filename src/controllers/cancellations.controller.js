@@ -56,7 +56,9 @@ async function calculateRefund(req, res, next) {
     const calculation = RefundCalculator.calculateRefund(
       {
         amount: booking.amount,
-        startDate: booking.startDate
+        startDate: booking.startDate,
+        pricingSnapshot: booking.pricingSnapshot,
+        feeRates: booking.feeRates
       },
       policy,
       new Date()
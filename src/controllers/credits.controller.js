@@ -0,0 +1,66 @@
+// src/controllers/credits.controller.js
+const mongoose = require("mongoose");
+const CreditService = require("../services/CreditService");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function handle(fn) {
+  return async (req, res, next) => {
+    try {
+      const me = uid(req);
+      if (!me) return res.status(401).json({ message: "Unauthorized" });
+      return await fn(req, res, me);
+    } catch (e) {
+      if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+      console.error("[CreditsAPI] Error:", e?.response?.data || e);
+      next(e);
+    }
+  };
+}
+
+// GET /api/credits/plans?listingId=
+const listPlans = handle(async (req, res) => {
+  const items = await CreditService.listPlansForListing(req.query.listingId);
+  return res.json({ items });
+});
+
+// POST /api/credits/plans/:planId/purchase
+// body: { returnUrl? }
+const purchase = handle(async (req, res, me) => {
+  const { purchase: bought, checkout } = await CreditService.purchase(req.params.planId, me, {
+    successUrl: req.body?.returnUrl || `${APP_URL}/app/credits/thank-you`,
+    cancelUrl: `${APP_URL}/app/credits?cancelled=1`,
+  });
+
+  return res.status(201).json({
+    creditPurchaseId: String(bought._id),
+    amount: bought.price,
+    currency: bought.currency,
+    status: bought.status,
+    holdExpiresAt: bought.holdExpiresAt,
+    checkout: { id: checkout.id, url: checkout.url },
+  });
+});
+
+// GET /api/credits/me
+const listMine = handle(async (req, res, me) => {
+  const items = await CreditService.listMine(me);
+  return res.json({ items });
+});
+
+// GET /api/credits/:id/ledger
+const getLedger = handle(async (req, res, me) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid id" });
+  }
+  return res.json(await CreditService.ledger(req.params.id, me));
+});
+
+module.exports = {
+  listPlans,
+  purchase,
+  listMine,
+  getLedger,
+};
@@ -1,11 +1,32 @@
 // controllers/listings.public.controller.js
 const mongoose = require("mongoose");
 const Listing = require("../models/Listing");
-const Booking = require("../models/Booking"); // <-- add this
+const FxService = require("../services/FxService");
+const ListingSearchService = require("../services/ListingSearchService");
+const AmenityCatalogService = require("../services/AmenityCatalogService");
+const { findAvailableListings } = require("./bookings.controller");
+const { toPoint, parseLatLng, parseBounds, distanceKm, approximate } = require("../utils/geo");
+const { escapeRegex } = require("../utils/search");
 
 // Only expose safe owner fields
 const ownerSelect = "fullName role"; // no email for public payloads
 
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+
+// Date-filtered searches check availability in batches, in result order
+const AVAILABILITY_BATCH = 100;
+const MAX_AVAILABILITY_SCAN = 1000;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+function queryError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
 function toObjectId(v) {
   try {
     return new mongoose.Types.ObjectId(String(v));
@@ -14,8 +35,104 @@ function toObjectId(v) {
   }
 }
 
-function exposeListing(doc) {
+// ?near=lat,lng&radiusKm= and/or ?bounds=swLat,swLng,neLat,neLng
+// Results are sorted by distance from `near`, or from the middle of the map.
+function parseGeoQuery({ near, radiusKm, bounds }) {
+  if (!near && !bounds) return null;
+
+  const box = bounds ? parseBounds(bounds) : null;
+  const origin = near ? parseLatLng(near) : box.center;
+
+  // A map viewport is its own limit; `near` alone gets the default radius
+  const hasRadius = radiusKm !== undefined && radiusKm !== "";
+  let maxDistance = null;
+  if (hasRadius || !box) {
+    const km = hasRadius ? Number(radiusKm) : DEFAULT_RADIUS_KM;
+    if (!Number.isFinite(km) || km <= 0 || km > MAX_RADIUS_KM) {
+      throw queryError(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    maxDistance = km * 1000;
+  }
+
+  return { origin, maxDistance, within: box ? box.polygon : null };
+}
+
+// ?checkIn=&checkOut= are the first and last day (YYYY-MM-DD), like a booking's
+// startDate/endDate; checkInTime/checkOutTime (HH:MM) narrow it to an hourly slot.
+function parseAvailabilityQuery({ checkIn, checkOut, checkInTime, checkOutTime, guests }) {
+  if (!checkIn && !checkOut) {
+    if (checkInTime || checkOutTime) throw queryError("checkInTime/checkOutTime need checkIn");
+    return null;
+  }
+
+  const startDate = String(checkIn || checkOut);
+  const endDate = String(checkOut || checkIn);
+  for (const day of [startDate, endDate]) {
+    if (!DATE_RE.test(day) || !Number.isFinite(new Date(`${day}T00:00:00`).getTime())) {
+      throw queryError("checkIn and checkOut must be YYYY-MM-DD");
+    }
+  }
+  if (endDate < startDate) throw queryError("checkOut must not be before checkIn");
+
+  if (Boolean(checkInTime) !== Boolean(checkOutTime)) throw queryError("checkInTime and checkOutTime go together");
+  if (checkInTime && (!TIME_RE.test(checkInTime) || !TIME_RE.test(checkOutTime))) {
+    throw queryError("checkInTime and checkOutTime must be HH:MM");
+  }
+  if (checkInTime && startDate === endDate && checkOutTime <= checkInTime) {
+    throw queryError("checkOutTime must be after checkInTime");
+  }
+
+  return {
+    startDate,
+    endDate,
+    checkInTime: checkInTime || undefined,
+    checkOutTime: checkOutTime || undefined,
+    guests: Number(guests) > 0 ? Number(guests) : 1,
+  };
+}
+
+// Fetch results in order until `pageSize` of them pass `keep` (or the scan limit is hit),
+// so filters that can't run in the query still fill a whole page.
+// fetchBatch(after, limit) returns the listings following the listing `after` (null: from the cursor).
+// Returns { docs, last, hasMore }: the next page starts after `last`, the last listing
+// shown, or the last one checked when the scan limit ran out first.
+async function collectPage(fetchBatch, pageSize, keep) {
+  if (!keep) {
+    const docs = await fetchBatch(null, pageSize + 1);
+    const hasMore = docs.length > pageSize;
+    const page = docs.slice(0, pageSize);
+    return { docs: page, last: page[page.length - 1] || null, hasMore };
+  }
+
+  const out = [];
+  let after = null;
+  let scanned = 0;
+  while (out.length <= pageSize && scanned < MAX_AVAILABILITY_SCAN) {
+    const batch = await fetchBatch(after, AVAILABILITY_BATCH);
+    scanned += batch.length;
+    out.push(...(await keep(batch)));
+    if (batch.length < AVAILABILITY_BATCH) {
+      const docs = out.slice(0, pageSize);
+      return { docs, last: docs[docs.length - 1] || null, hasMore: out.length > pageSize };
+    }
+    after = batch[batch.length - 1];
+  }
+
+  if (out.length > pageSize) return { docs: out.slice(0, pageSize), last: out[pageSize - 1], hasMore: true };
+  return { docs: out, last: after, hasMore: true };
+}
+
+// ?currency= adds converted display prices; listings are still priced (and charged) as stored
+async function displayConverter(currency) {
+  if (!currency) return null;
+  const code = FxService.normalizeCurrency(currency);
+  const rates = await FxService.currentRates();
+  return (doc) => FxService.displayPrices(doc, code, rates);
+}
+
+function exposeListing(doc, toDisplay = null) {
   const d = { ...doc };
+  if (toDisplay) d.display = toDisplay(doc);
 
   // Normalize id field
   d.id = String(d._id);
@@ -37,20 +154,58 @@ function exposeListing(doc) {
     d.owner = { id: String(ow) };
   }
 
+  // lat/lng carry the same point
+  delete d.location;
+  delete d.searchLocation;
+  // Search sort keys (see ListingSearchService.sortKeys)
+  delete d._sort;
+
+  // Exact address hidden: show a stable point a few hundred metres away instead
+  if (d.showApprox) {
+    const point = toPoint(d.lat, d.lng);
+    if (point) {
+      const approx = approximate({ lat: point.coordinates[1], lng: point.coordinates[0] }, d.id);
+      d.lat = String(approx.lat);
+      d.lng = String(approx.lng);
+    } else {
+      delete d.lat;
+      delete d.lng;
+    }
+    delete d.address;
+    delete d.address2;
+  }
+
+  // Which offline payment methods are accepted; bank details are only shown once booked
+  if (d.manualPayment) {
+    d.manualPayment = {
+      methods: d.manualPayment.methods || [],
+      deadlineHours: d.manualPayment.deadlineHours,
+    };
+  }
+
   return d;
 }
 
 /* ------------------------------------------------------------------ */
 /*  NEW: SEARCH HANDLER FOR /api/listings/search                      */
-/*  query: where, checkIn, checkOut, guests, limit                    */
+/*  query: where, fuzzy, near, radiusKm, bounds, checkIn, checkOut,   */
+/*         checkInTime, checkOutTime, guests, amenities,              */
+/*         accessibility, minWifiMbps, minOutletsPerSeat, sort,       */
+/*         priceUnit, limit, cursor, currency                         */
 /* ------------------------------------------------------------------ */
 // GET /api/listings/search?where=Makati&checkIn=2025-11-20&checkOut=2025-11-22&guests=3&minPrice=500&maxPrice=2000&category=office&noiseLevel=quiet&idealFor=freelancers&workStyle=focused
+// GET /api/listings/search?where=standing desk makati&fuzzy=true
+// GET /api/listings/search?near=14.5547,121.0244&radiusKm=5
+// GET /api/listings/search?bounds=14.50,120.98,14.60,121.06
+// GET /api/listings/search?checkIn=2025-11-20&checkOut=2025-11-20&checkInTime=09:00&checkOutTime=13:00&guests=2
+// GET /api/listings/search?where=Makati&sort=price&priceUnit=hour&cursor=<nextCursor>
+// GET /api/listings/search?amenities=standing-desk,phone-booth&minWifiMbps=100&accessibility=wheelchair-access
+// sort: relevance | price | price_desc | rating | reviewCount | distance | newest | featured
 exports.searchPublic = async (req, res) => {
   try {
     const {
       where = "",
-      checkIn,
-      checkOut,
+      fuzzy,
       guests,
       minPrice,
       maxPrice,
@@ -59,134 +214,128 @@ exports.searchPublic = async (req, res) => {
       idealFor,
       workStyle,
       industry,
+      currency,
+      sort,
+      priceUnit = "day",
       limit = 24,
+      cursor,
     } = req.query;
 
     const pageSize = Math.min(Number(limit) || 24, 50);
+    const toDisplay = await displayConverter(currency);
+    const geo = parseGeoQuery(req.query);
+    const availability = parseAvailabilityQuery(req.query);
+    const text = ListingSearchService.textQuery(where, {
+      fuzzy: fuzzy === "true" || fuzzy === "1",
+      regex: !!geo,
+    });
+    const sortBy = ListingSearchService.resolveSort(sort, { text, geo });
+    const rates = sortBy.startsWith("price") ? await FxService.currentRates() : {};
+    const { stage: sortStage, keys } = ListingSearchService.sortKeys(sortBy, { text, geo, priceUnit, rates });
+    const start = ListingSearchService.decodeCursor(cursor, sortBy, req.query, keys.length);
 
     // base query: only active listings
-    const q = { status: "active" };
-    const andConditions = [];
-
-    // ---- text / location filter ----
-    if (where.trim()) {
-      const regex = new RegExp(where.trim(), "i");
-      andConditions.push({
-        $or: [
-          { title: regex },
-          { venue: regex },
-          { city: regex },
-          { country: regex },
-          { address: regex },
-        ]
-      });
-    }
+    const base = { status: "active" };
 
     // ---- capacity filter ----
     if (guests) {
       const g = Number(guests);
       if (!Number.isNaN(g) && g > 0) {
-        q.seats = { $gte: g };
-      }
-    }
-
-    // ---- price filter (daily rates only for consistency) ----
-    if (minPrice || maxPrice) {
-      const min = minPrice ? Number(minPrice) : 0;
-      const max = maxPrice ? Number(maxPrice) : Infinity;
-
-      if (!Number.isNaN(min) || !Number.isNaN(max)) {
-        const priceConditions = [];
-        // Focus on daily rates for filtering
-        const dailyPriceFields = [
-          'priceSeatDay',
-          'priceRoomDay',
-          'priceWholeDay'
-        ];
-
-        dailyPriceFields.forEach(field => {
-          const condition = { [field]: { $exists: true, $ne: 0 } };
-          if (min > 0) condition[field].$gte = min;
-          if (max < Infinity) condition[field].$lte = max;
-          priceConditions.push(condition);
-        });
-
-        if (priceConditions.length > 0) {
-          andConditions.push({ $or: priceConditions });
-        }
+        base.seats = { $gte: g };
       }
     }
 
-    // ---- category filter ----
-    if (category && category.trim()) {
-      q.category = new RegExp(category.trim(), "i");
-    }
-
-    // ---- noise level filter ----
-    if (noiseLevel && noiseLevel.trim()) {
-      q.noiseLevel = new RegExp(noiseLevel.trim(), "i");
-    }
-
-    // ---- ideal for filter (demographic) ----
-    if (idealFor && idealFor.trim()) {
-      q.idealFor = idealFor.trim().toLowerCase();
-    }
-
-    // ---- work style filter (demographic) ----
-    if (workStyle && workStyle.trim()) {
-      q.workStyle = workStyle.trim().toLowerCase();
-    }
-
     // ---- industry filter (demographic) ----
     if (industry && industry.trim()) {
-      q.industries = new RegExp(industry.trim(), "i");
-    }
-
-    // Combine all AND conditions
-    if (andConditions.length > 0) {
-      q.$and = andConditions;
+      base.industries = new RegExp(escapeRegex(industry.trim()), "i");
     }
 
-    // Initial set of listings matching filters
-    let docs = await Listing.find(q)
-      .sort({ updatedAt: -1, _id: -1 })
-      .limit(pageSize)
-      .populate({ path: "owner", select: ownerSelect })
-      .lean();
-
-    // ---- optional availability filter (date range) ----
-    if (checkIn && checkOut && docs.length) {
-      const from = new Date(checkIn + "T00:00:00.000Z");
-      const to = new Date(checkOut + "T00:00:00.000Z");
-
-      const listingIds = docs.map((l) => l._id);
-
-      // Adjust Booking fields / statuses to your schema
-      const overlappingBookings = await Booking.find({
-        listing: { $in: listingIds },
-        status: { $in: ["pending", "paid", "confirmed"] },
-        // simple date overlap logic
-        checkIn: { $lt: to },
-        checkOut: { $gt: from },
-      }).select("listing");
-
-      const blocked = new Set(
-        overlappingBookings.map((b) => String(b.listing))
-      );
+    // ---- amenity / accessibility filters (every key required) ----
+    // Each condition is on its own field; facets apply them all, since picking
+    // another amenity narrows the results rather than widening them
+    Object.assign(base, ...(await AmenityCatalogService.searchFilters(req.query)));
+
+    // Faceted filters; each facet count leaves its own filter out
+    const filters = {
+      category: category && category.trim() ? { category: new RegExp(escapeRegex(category.trim()), "i") } : null,
+      noiseLevel: noiseLevel && noiseLevel.trim()
+        ? { noiseLevel: new RegExp(escapeRegex(noiseLevel.trim()), "i") }
+        : null,
+      idealFor: idealFor && idealFor.trim() ? { idealFor: idealFor.trim().toLowerCase() } : null,
+      workStyle: workStyle && workStyle.trim() ? { workStyle: workStyle.trim().toLowerCase() } : null,
+      // ---- price filter (daily rates only for consistency) ----
+      price: ListingSearchService.priceFilter(minPrice, maxPrice),
+    };
 
-      docs = docs.filter((l) => !blocked.has(String(l._id)));
-    }
+    const andConditions = [text && text.match, ...Object.values(filters)].filter(Boolean);
+    const q = andConditions.length ? { ...base, $and: andConditions } : base;
+
+    // Listings matching filters, in the requested order
+    const geoNear = (query) => ({
+      $geoNear: {
+        near: { type: "Point", coordinates: [geo.origin.lng, geo.origin.lat] },
+        // The approximate point for listings that hide their address
+        key: "searchLocation",
+        distanceField: "distanceMeters",
+        spherical: true,
+        query: geo.within ? { ...query, searchLocation: { $geoWithin: { $geometry: geo.within } } } : query,
+        ...(geo.maxDistance ? { maxDistance: geo.maxDistance } : {}),
+      },
+    });
+    const relevance = text ? [{ $addFields: { relevance: text.score } }] : [];
+    const leading = [geo ? geoNear(q) : { $match: q }, ...relevance, sortStage];
+    const fetchBatch = (after, limit) =>
+      Listing.aggregate([
+        ...leading,
+        ...ListingSearchService.pageStages(keys, after ? ListingSearchService.sortValues(after, keys) : start),
+        { $limit: limit },
+        { $project: { calendarFeedToken: 0, distanceMeters: 0 } },
+      ]);
+
+    // With dates, only listings that can take the booking fill the page
+    const [page, facets] = await Promise.all([
+      collectPage(
+        fetchBatch,
+        pageSize,
+        availability && ((batch) => findAvailableListings(batch, availability))
+      ),
+      // Counts cover the other filters, not date availability
+      ListingSearchService.facets(
+        [geo ? geoNear(text ? { ...base, ...text.match } : base) : { $match: text ? { ...base, ...text.match } : base }],
+        filters
+      ),
+    ]);
+    const { docs, last, hasMore } = page;
+    await Listing.populate(docs, { path: "owner", select: ownerSelect });
+
+    const items = docs.map((doc) => {
+      const item = exposeListing(doc, toDisplay);
+      if (text) item.relevance = Math.round(doc.relevance * 100) / 100;
+      // From the shown point, so approximate listings don't leak their real distance
+      const point = geo && toPoint(item.lat, item.lng);
+      if (point) {
+        const km = distanceKm(geo.origin, { lat: point.coordinates[1], lng: point.coordinates[0] });
+        item.distanceKm = Math.round(km * 10) / 10;
+      }
+      return item;
+    });
 
-    const items = docs.map(exposeListing);
+    const nextCursor = hasMore && last
+      ? ListingSearchService.encodeCursor(sortBy, ListingSearchService.sortValues(last, keys), req.query)
+      : null;
 
     res.json({
       items,
       count: items.length,
+      sort: sortBy,
+      nextCursor,
+      hasMore,
+      facets,
     });
   } catch (e) {
     console.error("searchPublic error", e);
     res
-      .status(500)
+      .status(e.statusCode || 500)
       .json({ message: e.message || "Failed to search listings" });
   }
 };
@@ -217,7 +366,7 @@ exports.listPublic = async (req, res) => {
     const hasMore = docs.length > pageSize;
     if (hasMore) docs.pop();
 
-    const items = docs.map(exposeListing);
+    const items = docs.map((doc) => exposeListing(doc));
     const nextCursor = hasMore ? String(docs[docs.length - 1]._id) : null;
 
     res.json({ items, nextCursor });
@@ -226,10 +375,11 @@ exports.listPublic = async (req, res) => {
   }
 };
 
-// GET /api/listings/:id
+// GET /api/listings/:id?currency=USD
 exports.getPublicById = async (req, res) => {
   try {
     const { id } = req.params;
+    const toDisplay = await displayConverter(req.query.currency);
 
     const doc = await Listing.findOne({ _id: id, status: "active" })
       .populate({ path: "owner", select: ownerSelect })
@@ -237,9 +387,9 @@ exports.getPublicById = async (req, res) => {
 
     if (!doc) return res.status(404).json({ message: "Not found" });
 
-    res.json({ listing: exposeListing(doc) });
+    res.json({ listing: exposeListing(doc, toDisplay) });
   } catch (e) {
-    res.status(500).json({ message: e.message || "Failed to load listing" });
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to load listing" });
   }
 };
 
@@ -0,0 +1,157 @@
+// src/controllers/organizations.controller.js
+const mongoose = require("mongoose");
+const OrganizationService = require("../services/OrganizationService");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+// Service errors carry statusCode; anything else goes to the error handler
+function handle(fn) {
+  return async (req, res, next) => {
+    try {
+      const me = uid(req);
+      if (!me) return res.status(401).json({ message: "Unauthorized" });
+      return await fn(req, res, me);
+    } catch (e) {
+      if (e?.statusCode) {
+        return res.status(e.statusCode).json({ message: e.message, reason: e.reason });
+      }
+      console.error("[OrganizationsAPI] Error:", e?.response?.data || e);
+      next(e);
+    }
+  };
+}
+
+function validId(res, id, name = "id") {
+  if (mongoose.Types.ObjectId.isValid(id)) return true;
+  res.status(400).json({ message: `Invalid ${name}` });
+  return false;
+}
+
+// POST /api/organizations
+// body: { name, billingEmail?, approvalThreshold?, defaultSpendingLimit? }
+const create = handle(async (req, res, me) => {
+  const organization = await OrganizationService.create(me, req.body || {});
+  return res.status(201).json({ organization });
+});
+
+// GET /api/organizations
+const listMine = handle(async (req, res, me) => {
+  const items = await OrganizationService.listForUser(me);
+  return res.json({ items });
+});
+
+// GET /api/organizations/:id
+const getOne = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  return res.json(await OrganizationService.getForMember(req.params.id, me));
+});
+
+// PATCH /api/organizations/:id
+// body: { name?, billingEmail?, approvalThreshold?, defaultSpendingLimit? }
+const update = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const organization = await OrganizationService.update(req.params.id, me, req.body || {});
+  return res.json({ organization });
+});
+
+// POST /api/organizations/:id/members
+// body: { email, role?, spendingLimit? }
+const addMember = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const member = await OrganizationService.addMember(req.params.id, me, req.body || {});
+  return res.status(201).json({ member });
+});
+
+// PATCH /api/organizations/:id/members/:userId
+// body: { role?, spendingLimit? }
+const updateMember = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id) || !validId(res, req.params.userId, "userId")) return;
+  const member = await OrganizationService.updateMember(req.params.id, me, req.params.userId, req.body || {});
+  return res.json({ member });
+});
+
+// DELETE /api/organizations/:id/members/:userId
+const removeMember = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id) || !validId(res, req.params.userId, "userId")) return;
+  await OrganizationService.removeMember(req.params.id, me, req.params.userId);
+  return res.json({ ok: true });
+});
+
+// GET /api/organizations/:id/bookings?status=&memberId=&from=&to=
+const listBookings = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const { status, memberId, from, to } = req.query;
+  const items = await OrganizationService.listBookings(req.params.id, me, { status, memberId, from, to });
+  return res.json({ items });
+});
+
+// GET /api/organizations/:id/approvals
+const listApprovals = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const items = await OrganizationService.listApprovals(req.params.id, me);
+  return res.json({ items });
+});
+
+// POST /api/organizations/:id/bookings/:bookingId/approve
+// body: { returnUrl? }
+const approveBooking = handle(async (req, res, me) => {
+  const { id, bookingId } = req.params;
+  if (!validId(res, id) || !validId(res, bookingId, "bookingId")) return;
+
+  const { booking, checkout } = await OrganizationService.approve(id, bookingId, me, {
+    successUrl: (req.body?.returnUrl || `${APP_URL}/app/bookings/thank-you`) + `?bookingId=${bookingId}`,
+    cancelUrl: `${APP_URL}/checkout?cancelled=1&bookingId=${bookingId}`,
+  });
+
+  return res.json({
+    bookingId: String(booking._id),
+    status: booking.status,
+    amount: booking.amount,
+    currency: booking.currency,
+    holdExpiresAt: booking.holdExpiresAt,
+    // Bank transfer / cash bookings have no checkout; the member pays by the deadline
+    checkout: checkout ? { id: checkout.id, url: checkout.url } : null,
+  });
+});
+
+// POST /api/organizations/:id/bookings/:bookingId/reject
+// body: { reason? }
+const rejectBooking = handle(async (req, res, me) => {
+  const { id, bookingId } = req.params;
+  if (!validId(res, id) || !validId(res, bookingId, "bookingId")) return;
+
+  const booking = await OrganizationService.reject(id, bookingId, me, req.body?.reason);
+  return res.json({ bookingId: String(booking._id), status: booking.status, approval: booking.approval });
+});
+
+// GET /api/organizations/:id/statements
+const listStatements = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const items = await OrganizationService.listStatements(req.params.id, me);
+  return res.json({ items });
+});
+
+// GET /api/organizations/:id/statements/:period  (period = YYYY-MM)
+const getStatement = handle(async (req, res, me) => {
+  if (!validId(res, req.params.id)) return;
+  const statement = await OrganizationService.getStatement(req.params.id, me, req.params.period);
+  return res.json({ statement });
+});
+
+module.exports = {
+  create,
+  listMine,
+  getOne,
+  update,
+  addMember,
+  updateMember,
+  removeMember,
+  listBookings,
+  listApprovals,
+  approveBooking,
+  rejectBooking,
+  listStatements,
+  getStatement,
+};
@@ -0,0 +1,48 @@
+// src/controllers/payments.controller.js
+const PaymentWebhookService = require("../services/PaymentWebhookService");
+const payments = require("../services/payments");
+
+// POST /api/payments/:provider/webhook (and /api/paymongo/webhook)
+async function handleWebhook(req, res) {
+  const provider = req.params.provider || "paymongo";
+  try {
+    const { event, duplicate } = await PaymentWebhookService.receive(
+      provider,
+      req.rawBody,
+      req.headers
+    );
+
+    // Always 200 once the event is stored: failed events are retried via
+    // gateway redelivery or the admin replay endpoint.
+    return res.json({
+      ok: true,
+      eventId: event.eventId,
+      status: event.status,
+      duplicate,
+    });
+  } catch (err) {
+    if (err?.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error(`${provider} webhook error:`, err);
+    return res.status(500).json({ message: "Webhook error" });
+  }
+}
+
+// GET /api/payments/fake/checkout/:id?outcome=success|failure|delay
+// Stand-in for a hosted checkout page: settles the fake checkout and sends
+// the customer back to the app.
+async function completeFakeCheckout(req, res) {
+  try {
+    const result = await payments.get("fake").simulatePayment(req.params.id, {
+      outcome: req.query.outcome || undefined,
+    });
+    return res.redirect(result.status === "paid" ? result.successUrl : result.cancelUrl);
+  } catch (err) {
+    const statusCode = err?.statusCode || 500;
+    if (statusCode >= 500) console.error("completeFakeCheckout error:", err);
+    return res.status(statusCode).json({ message: err.message });
+  }
+}
+
+module.exports = { handleWebhook, completeFakeCheckout };
@@ -0,0 +1,112 @@
+// src/controllers/waitlist.controller.js
+const mongoose = require("mongoose");
+const Listing = require("../models/Listing");
+const WaitlistService = require("../services/WaitlistService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+// POST /api/waitlist
+// body: { listingId, startDate, endDate, checkInTime?, checkOutTime?, guests? }
+async function join(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { listingId, startDate, endDate, checkInTime, checkOutTime, guests } = req.body || {};
+
+    if (!listingId || !mongoose.isValidObjectId(listingId)) {
+      return res.status(422).json({ message: "Invalid listingId" });
+    }
+    if (!startDate || !endDate) {
+      return res.status(422).json({ message: "Missing startDate or endDate" });
+    }
+
+    const listing = await Listing.findById(listingId).lean();
+    if (!listing) return res.status(404).json({ message: "Listing not found" });
+
+    const entry = await WaitlistService.join(listing, me, {
+      startDate,
+      endDate,
+      checkInTime,
+      checkOutTime,
+      guests,
+    });
+    return res.status(201).json({ entry });
+  } catch (e) {
+    if (e?.statusCode) {
+      return res.status(e.statusCode).json({ message: e.message, reason: e.reason || null });
+    }
+    next(e);
+  }
+}
+
+// GET /api/waitlist/me
+async function listMine(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const items = await WaitlistService.listMine(me);
+    return res.json({ items });
+  } catch (e) {
+    next(e);
+  }
+}
+
+// POST /api/waitlist/:id/accept
+async function accept(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const entry = await WaitlistService.accept(id, me);
+    return res.json({
+      entry,
+      // Pass these to POST /api/bookings/intent with waitlistEntryId to claim the slot
+      booking: {
+        waitlistEntryId: String(entry._id),
+        listingId: String(entry.listingId),
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        checkInTime: entry.checkInTime || null,
+        checkOutTime: entry.checkOutTime || null,
+        guests: entry.guests,
+      },
+      holdExpiresAt: entry.holdExpiresAt,
+    });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
+// DELETE /api/waitlist/:id
+async function leave(req, res, next) {
+  try {
+    const me = uid(req);
+    if (!me) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    await WaitlistService.leave(id, me);
+    return res.json({ ok: true });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ message: e.message });
+    next(e);
+  }
+}
+
+module.exports = {
+  join,
+  listMine,
+  accept,
+  leave,
+};
@@ -0,0 +1,111 @@
+// src/jobs/bookingHoldExpiryJob.js
+const cron = require('node-cron');
+const BookingPaymentService = require('../services/BookingPaymentService');
+const BookingRescheduleService = require('../services/BookingRescheduleService');
+const WaitlistService = require('../services/WaitlistService');
+const CreditService = require('../services/CreditService');
+
+/**
+ * Booking Hold Expiry Background Job
+ * 
+ * Runs every 5 minutes and moves unpaid bookings whose hold has lapsed
+ * to "expired", releasing their slot for other guests. Unpaid reschedule
+ * checkouts, lapsed waitlist offers/holds and lapsed credit packs/memberships
+ * are expired on the same schedule.
+ */
+class BookingHoldExpiryJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      totalExpired: 0,
+      lastRunExpired: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Start the cron job
+   * Runs every 5 minutes
+   */
+  start() {
+    console.log('[BookingHoldExpiryJob] Starting booking hold expiry job...');
+
+    this.job = cron.schedule('*/5 * * * *', async () => {
+      await this.run();
+    });
+
+    console.log('[BookingHoldExpiryJob] Job scheduled to run every 5 minutes');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      console.log('[BookingHoldExpiryJob] Job stopped');
+    }
+  }
+
+  /**
+   * Run the job manually (for testing)
+   */
+  async run() {
+    if (this.isRunning) {
+      console.log('[BookingHoldExpiryJob] Job already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+    this.stats.totalRuns++;
+    this.stats.lastRunExpired = 0;
+
+    try {
+      const { checked, expired } = await BookingPaymentService.expireStaleHolds(new Date());
+
+      this.stats.lastRunExpired = expired;
+      this.stats.totalExpired += expired;
+
+      if (checked > 0) {
+        console.log(`[BookingHoldExpiryJob] Checked ${checked} stale holds, expired ${expired}`);
+      }
+
+      const reschedules = await BookingRescheduleService.expireStale(new Date());
+      if (reschedules > 0) {
+        console.log(`[BookingHoldExpiryJob] Expired ${reschedules} unpaid reschedule(s)`);
+      }
+
+      const waitlist = await WaitlistService.expireStale(new Date());
+      if (waitlist.missed || waitlist.expired) {
+        console.log(`[BookingHoldExpiryJob] Waitlist: ${waitlist.missed} missed offer(s), ${waitlist.expired} expired, ${waitlist.offered} new offer(s)`);
+      }
+
+      const credits = await CreditService.expireStale(new Date());
+      if (credits.expired || credits.lapsedCheckouts) {
+        console.log(`[BookingHoldExpiryJob] Credits: ${credits.expired} pack(s)/membership(s) expired, ${credits.lapsedCheckouts} unpaid checkout(s) lapsed`);
+      }
+    } catch (error) {
+      console.error('[BookingHoldExpiryJob] Error running job:', error);
+      this.stats.errors++;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      lastRun: this.lastRun,
+      isRunning: this.isRunning,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BookingHoldExpiryJob();
@@ -0,0 +1,94 @@
+// src/jobs/calendarSyncJob.js
+const cron = require('node-cron');
+const CalendarSyncService = require('../services/CalendarSyncService');
+
+/**
+ * External Calendar Sync Background Job
+ * 
+ * Runs every 30 minutes and re-imports every owner-registered ICS feed so
+ * bookings made on other platforms block the same times here.
+ */
+class CalendarSyncJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      totalSynced: 0,
+      totalFailed: 0,
+      lastRunSynced: 0,
+      lastRunFailed: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Start the cron job
+   * Runs every 30 minutes
+   */
+  start() {
+    console.log('[CalendarSyncJob] Starting external calendar sync job...');
+
+    this.job = cron.schedule('*/30 * * * *', async () => {
+      await this.run();
+    });
+
+    console.log('[CalendarSyncJob] Job scheduled to run every 30 minutes');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      console.log('[CalendarSyncJob] Job stopped');
+    }
+  }
+
+  /**
+   * Run the job manually (for testing)
+   */
+  async run() {
+    if (this.isRunning) {
+      console.log('[CalendarSyncJob] Job already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+    this.stats.totalRuns++;
+
+    try {
+      const { checked, synced, failed } = await CalendarSyncService.syncAll(new Date());
+
+      this.stats.lastRunSynced = synced;
+      this.stats.lastRunFailed = failed;
+      this.stats.totalSynced += synced;
+      this.stats.totalFailed += failed;
+
+      if (checked > 0) {
+        console.log(`[CalendarSyncJob] Synced ${synced} of ${checked} calendars (${failed} failed)`);
+      }
+    } catch (error) {
+      console.error('[CalendarSyncJob] Error running job:', error);
+      this.stats.errors++;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      lastRun: this.lastRun,
+      isRunning: this.isRunning,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CalendarSyncJob();
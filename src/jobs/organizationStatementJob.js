@@ -0,0 +1,95 @@
+// src/jobs/organizationStatementJob.js
+const cron = require('node-cron');
+const OrganizationService = require('../services/OrganizationService');
+
+/**
+ * Organization Statement Background Job
+ * 
+ * Runs at 06:00 on the first day of every month and emails each active
+ * organization its consolidated statement for the month that just ended.
+ * Statements that were already sent are skipped, so re-running is safe.
+ */
+class OrganizationStatementJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      totalGenerated: 0,
+      totalSent: 0,
+      lastRunPeriod: null,
+      lastRunGenerated: 0,
+      lastRunSent: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Start the cron job
+   * Runs monthly on the 1st at 6:00 AM
+   */
+  start() {
+    console.log('[OrganizationStatementJob] Starting organization statement job...');
+
+    this.job = cron.schedule('0 6 1 * *', async () => {
+      await this.run();
+    });
+
+    console.log('[OrganizationStatementJob] Job scheduled to run monthly on the 1st at 6:00 AM');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      console.log('[OrganizationStatementJob] Job stopped');
+    }
+  }
+
+  /**
+   * Run the job manually (for testing)
+   */
+  async run() {
+    if (this.isRunning) {
+      console.log('[OrganizationStatementJob] Job already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+    this.stats.totalRuns++;
+
+    try {
+      const { period, generated, sent } = await OrganizationService.generateMonthlyStatements(new Date());
+
+      this.stats.lastRunPeriod = period;
+      this.stats.lastRunGenerated = generated;
+      this.stats.lastRunSent = sent;
+      this.stats.totalGenerated += generated;
+      this.stats.totalSent += sent;
+
+      console.log(`[OrganizationStatementJob] ${period}: generated ${generated} statement(s), sent ${sent}`);
+    } catch (error) {
+      console.error('[OrganizationStatementJob] Error running job:', error);
+      this.stats.errors++;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      lastRun: this.lastRun,
+      isRunning: this.isRunning,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrganizationStatementJob();
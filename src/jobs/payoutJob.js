@@ -0,0 +1,112 @@
+// src/jobs/payoutJob.js
+const cron = require('node-cron');
+const LedgerService = require('../services/LedgerService');
+const PayoutService = require('../services/PayoutService');
+
+// Bookings refunded or rescheduled this long after payment are still re-checked
+const SYNC_LOOKBACK_DAYS = 35;
+
+/**
+ * Owner Payout Background Job
+ * 
+ * Runs daily at 5:00 AM. Re-syncs the ledger for bookings and credit sales
+ * with recent payment activity (catching refunds and reschedule charges),
+ * then on the payout weekday schedules a payout for every owner with enough
+ * available earnings.
+ */
+class PayoutJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      totalPosted: 0,
+      totalPayouts: 0,
+      lastRunChecked: 0,
+      lastRunPosted: 0,
+      lastRunPayouts: 0,
+      lastRunPayoutTotal: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Start the cron job
+   * Runs daily at 5:00 AM
+   */
+  start() {
+    console.log('[PayoutJob] Starting payout job...');
+
+    this.job = cron.schedule('0 5 * * *', async () => {
+      await this.run();
+    });
+
+    console.log('[PayoutJob] Job scheduled to run daily at 5:00 AM');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      console.log('[PayoutJob] Job stopped');
+    }
+  }
+
+  /**
+   * Run the job manually (for testing)
+   * @param {Object} options - { forceBatch: create payouts even if today is not the payout day }
+   */
+  async run({ forceBatch = false } = {}) {
+    if (this.isRunning) {
+      console.log('[PayoutJob] Job already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    this.lastRun = new Date();
+    this.stats.totalRuns++;
+
+    try {
+      const now = new Date();
+      const since = new Date(now.getTime() - SYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const { checked, posted } = await LedgerService.syncRecent(since);
+
+      this.stats.lastRunChecked = checked;
+      this.stats.lastRunPosted = posted;
+      this.stats.totalPosted += posted;
+
+      if (forceBatch || PayoutService.isBatchDay(now)) {
+        const { created, total } = await PayoutService.createBatch(now);
+        this.stats.lastRunPayouts = created;
+        this.stats.lastRunPayoutTotal = total;
+        this.stats.totalPayouts += created;
+      } else {
+        this.stats.lastRunPayouts = 0;
+        this.stats.lastRunPayoutTotal = 0;
+      }
+
+      console.log(`[PayoutJob] Checked ${checked}, posted ${posted} ledger entr${posted === 1 ? 'y' : 'ies'}, scheduled ${this.stats.lastRunPayouts} payout(s)`);
+    } catch (error) {
+      console.error('[PayoutJob] Error running job:', error);
+      this.stats.errors++;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      lastRun: this.lastRun,
+      isRunning: this.isRunning,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PayoutJob();
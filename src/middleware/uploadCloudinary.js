@@ -42,7 +42,16 @@ const reviewPhotosStorage = new CloudinaryStorage({
   },
 });
 
+const paymentProofStorage = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: "flexidesk/payment-proofs",
+    allowed_formats: ["jpg", "jpeg", "png", "webp", "pdf"],
+  },
+});
+
 exports.uploadAvatar = multer({ storage: avatarStorage });
 exports.uploadIdentity = multer({ storage: identityStorage });
 exports.uploadListingPhotos = multer({ storage: listingPhotosStorage });
 exports.uploadReviewPhotos = multer({ storage: reviewPhotosStorage });
+exports.uploadPaymentProof = multer({ storage: paymentProofStorage });
@@ -0,0 +1,36 @@
+const AvailabilityManager = require("../services/AvailabilityManager");
+
+/**
+ * Middleware to validate availability calendar data
+ * Validates weekly schedule, special hours and blackout ranges
+ */
+const validateAvailability = (req, res, next) => {
+  try {
+    const data = req.body;
+
+    if (!data || typeof data !== 'object') {
+      return res.status(400).json({
+        message: "Invalid availability data",
+        errors: ["Availability data must be an object"]
+      });
+    }
+
+    const validation = AvailabilityManager.validateAvailability(data);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Invalid availability configuration",
+        errors: validation.errors
+      });
+    }
+
+    next();
+  } catch (e) {
+    res.status(500).json({
+      message: "Availability validation error",
+      error: e.message
+    });
+  }
+};
+
+module.exports = validateAvailability;
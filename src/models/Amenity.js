@@ -0,0 +1,22 @@
+// src/models/Amenity.js
+const mongoose = require("mongoose");
+
+// Admin-managed catalog entry for a listing feature. Listings store the keys
+// in amenities[] or accessibility[] (by kind). Keys never change once created;
+// an archived entry can't be added to listings but stays on those that have it.
+const AmenitySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, lowercase: true, trim: true, maxlength: 48 }, // "standing-desk"
+    kind: { type: String, enum: ["amenity", "accessibility"], required: true, default: "amenity", index: true },
+    label: { type: String, required: true, trim: true, maxlength: 80 },
+    icon: { type: String, trim: true, maxlength: 64, default: "" }, // icon name in the client's icon set
+    category: { type: String, required: true, lowercase: true, trim: true, maxlength: 40 }, // "workspace"
+    sortOrder: { type: Number, default: 0 },
+    status: { type: String, enum: ["active", "archived"], default: "active", index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Amenity", AmenitySchema);
@@ -22,6 +22,29 @@ const BookingSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Organization the booking was made on behalf of (billed on its monthly statement)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Org admin approval for bookings above the organization's threshold
+    approval: {
+      status: { type: String, enum: ["pending", "approved", "rejected"] },
+      requestedAt: Date,
+      decidedAt: Date,
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reason: String,
+    },
+
+    // Recurring series this booking is an occurrence of, if any
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BookingSeries",
+      index: true,
+    },
+    seriesIndex: { type: Number },
+
     // Core schedule
     startDate: { type: String, required: true }, // ISO date string (YYYY-MM-DD)
     endDate:   { type: String, required: true }, // ISO date string (YYYY-MM-DD)
@@ -36,15 +59,74 @@ const BookingSchema = new mongoose.Schema(
     // Money
     currency: { type: String, default: "PHP" },
     amount:   { type: Number, required: true }, // total in PHP
+    quotedAmount: { type: Number },             // price of the current schedule after a reschedule, when it differs from amount
+
+    // Exchange rates the booking was quoted with (listing priced or shown in another currency).
+    // Rates are PHP per one unit; refunds convert back at these rates, never today's.
+    fx: {
+      listingCurrency: String,
+      listingTotal:    Number,
+      listingRate:     Number,
+      displayCurrency: String,
+      displayTotal:    Number,
+      displayRate:     Number,
+    },
+
+    // Commission and tax rules in force when the booking was made (see FeeConfigService).
+    // Earnings, analytics and refunds use these, never the current configuration.
+    feeRates: {
+      commissionPercent: Number,
+      commissionSource:  { type: String, enum: ["owner", "category", "global", "default"] },
+      taxes: [
+        {
+          _id: false,
+          code:    String,
+          label:   String,
+          percent: Number,
+          mode:    { type: String, enum: ["inclusive", "exclusive"] },
+        },
+      ],
+      resolvedAt: Date,
+    },
 
     // Status lifecycle
     status: {
       type: String,
-      enum: ["pending_payment", "paid", "cancelled", "awaiting_payment","completed"],
-      default: "pending_payment", // created -> pending_payment -> paid / cancelled
+      enum: ["pending_payment", "paid", "cancelled", "awaiting_payment","completed", "expired", "pending_approval", "rejected"],
+      default: "pending_payment", // created -> pending_payment -> paid / expired / cancelled
+                                  // org bookings over the approval threshold start at pending_approval
+                                  // bank transfer / cash bookings wait at awaiting_payment
     },
 
-    provider: { type: String, default: "paymongo" },
+    // Unpaid bookings hold their slot until this time, then expire
+    holdExpiresAt: { type: Date, index: true },
+    expiredAt: Date,
+
+    provider: { type: String, default: "paymongo" }, // "paymongo" | "fake" | "credits" | "bank_transfer" | "cash"
+
+    // Bank transfer / cash payments confirmed by the owner or an admin (see ManualPaymentService)
+    manualPayment: {
+      method:     { type: String, enum: ["bank_transfer", "cash"] },
+      status:     { type: String, enum: ["awaiting", "submitted", "rejected", "confirmed", "expired"] },
+      deadlineAt: Date,
+      reference:  String, // latest bank reference given by the client
+      proofs: {
+        type: [{
+          _id: false,
+          url:        String,
+          publicId:   String,
+          reference:  String,
+          note:       String,
+          uploadedAt: Date,
+        }],
+        default: undefined,
+      },
+      submittedAt:     Date,
+      reviewedAt:      Date,
+      reviewedBy:      { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewerRole:    { type: String, enum: ["owner", "admin"] },
+      rejectionReason: String,
+    },
 
     // NEW: snapshot of pricing logic from frontend/server
     // e.g. { mode, unitPrice, qty, base, fees:{service,cleaning}, total, currencySymbol, label }
@@ -53,7 +135,7 @@ const BookingSchema = new mongoose.Schema(
       default: null,
     },
 
-    // QR token (hash only, not the image)
+    // Signed QR token (see utils/qrToken), not the image
     qrToken: {
       type: String,
       index: true,
@@ -61,10 +143,53 @@ const BookingSchema = new mongoose.Schema(
     },
     qrGeneratedAt: Date,
 
+    // Check-in / check-out, recorded when the host scans the QR code
+    checkedInAt:  Date,
+    checkedInBy:  { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    checkedOutAt: Date,
+    checkedOutBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completedAt:  Date,
+
     // Payment gateway metadata
     payment: {
       checkoutId:  String,
       checkoutUrl: String,
+      paymentId:   String,  // PayMongo payment id ("pay_xxx"), set by webhook
+      amount:      Number,
+      currency:    String,
+      paidAt:      Date,
+      failedAt:    Date,
+      failureReason: String,
+      confirmedVia: String, // "webhook" | "poll" | "admin" | "manual"
+      lateConflict: Boolean, // paid after hold expiry but slot was re-booked
+      refundedAmount: { type: Number, default: 0 },
+      refunds:     { type: [mongoose.Schema.Types.Mixed], default: undefined },
+      // Extra charges / partial refunds from reschedules: { type, amount, paymentId?, refundId?, rescheduleId, at }
+      adjustments: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+      captureResponse: mongoose.Schema.Types.Mixed,
+    },
+
+    // Prepaid credit pack or membership used instead of a checkout
+    credit: {
+      purchaseId:      { type: mongoose.Schema.Types.ObjectId, ref: "CreditPurchase", index: true },
+      kind:            String, // "pack" | "membership"
+      unit:            String, // "hour" | "day" (packs)
+      credits:         Number, // spent on this booking
+      refundedCredits: { type: Number, default: 0 },
+    },
+
+    // Reschedules applied to this booking
+    rescheduleCount: { type: Number, default: 0 },
+    rescheduleHistory: {
+      type: [mongoose.Schema.Types.Mixed], // { rescheduleId, from, to, at }
+      default: undefined,
+    },
+
+    // Waitlist entry whose held slot this booking claimed
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistEntry",
+      default: null,
     },
 
     // Review tracking
@@ -0,0 +1,59 @@
+// src/models/BookingReschedule.js
+const mongoose = require("mongoose");
+
+const ScheduleSnapshot = {
+  startDate: String,
+  endDate: String,
+  checkInTime: String,
+  checkOutTime: String,
+  guests: Number,
+  amount: Number,
+};
+
+// A request to move a booking to another date, time or guest count.
+// Cheaper (or same-price) moves apply immediately; pricier ones wait for the
+// difference to be paid through a separate checkout.
+const BookingRescheduleSchema = new mongoose.Schema(
+  {
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true },
+
+    from: ScheduleSnapshot,
+    to: ScheduleSnapshot,
+    pricingSnapshot: { type: mongoose.Schema.Types.Mixed }, // quote for the new schedule
+
+    changeFee: { type: Number, default: 0 },
+    priceDifference: { type: Number, default: 0 }, // new total - old amount
+    amountDue: { type: Number, default: 0 },       // collected through checkout
+    refundAmount: { type: Number, default: 0 },    // returned through PaymentGatewayService
+
+    status: {
+      type: String,
+      enum: ["pending_payment", "completed", "expired", "superseded", "conflict"],
+      default: "pending_payment",
+      index: true,
+    },
+    holdExpiresAt: { type: Date },
+    completedAt: Date,
+    failureReason: String,
+
+    payment: {
+      checkoutId: { type: String, index: true },
+      checkoutUrl: String,
+      paymentId: String,
+      paidAt: Date,
+    },
+
+    refund: {
+      refundId: String,
+      // Gateway status, "failed", or "refund_pending": waiting for the payment id, or for an admin
+      status: String,
+      error: String,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("BookingReschedule", BookingRescheduleSchema);
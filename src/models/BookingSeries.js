@@ -0,0 +1,48 @@
+// src/models/BookingSeries.js
+const mongoose = require("mongoose");
+
+// A recurring reservation. Each occurrence is a regular Booking with seriesId set;
+// the series carries the rule and the single checkout that pays for all of them.
+const BookingSeriesSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true },
+
+    // Normalized weekly rule: { byDay: [0-6], interval, weeks?, until?, count? }
+    rule: { type: mongoose.Schema.Types.Mixed, required: true },
+    rrule: { type: String }, // RRULE string as submitted, if any
+
+    startDate: { type: String, required: true }, // YYYY-MM-DD, first day the rule applies
+    checkInTime: { type: String },
+    checkOutTime: { type: String },
+    guests: { type: Number, default: 1 },
+
+    // Dates that were booked, and dates skipped because they were unavailable
+    occurrenceDates: [{ type: String }],
+    skipped: [{ date: String, reason: String, _id: false }],
+
+    currency: { type: String, default: "PHP" },
+    amount: { type: Number, required: true }, // sum of occurrence totals
+
+    status: {
+      type: String,
+      enum: ["pending_payment", "paid", "expired"],
+      default: "pending_payment",
+      index: true,
+    },
+    holdExpiresAt: { type: Date },
+    expiredAt: Date,
+
+    payment: {
+      checkoutId: String,
+      checkoutUrl: String,
+      paymentId: String,
+      paidAt: Date,
+      confirmedVia: String,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("BookingSeries", BookingSeriesSchema);
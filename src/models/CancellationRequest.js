@@ -35,10 +35,13 @@ const CancellationRequestSchema = new mongoose.Schema({
   // Refund calculation
   refundCalculation: {
     originalAmount: { type: Number, required: true },
+    discount: { type: Number, default: 0 }, // promo discount, not refundable
     refundPercentage: { type: Number, required: true },
     refundAmount: { type: Number, required: true },
     processingFee: { type: Number, default: 0 },
     finalRefund: { type: Number, required: true },
+    taxRefund: { type: Number, default: 0 }, // tax included in finalRefund
+    commissionRefund: { type: Number, default: 0 }, // platform commission returned with it
     hoursUntilBooking: { type: Number, required: true },
     appliedTier: { type: mongoose.Schema.Types.Mixed }
   },
@@ -0,0 +1,22 @@
+// src/models/CommissionRate.js
+const mongoose = require("mongoose");
+
+// Share of each booking the platform keeps, in percent of the pre-tax amount.
+// The most specific rate wins: owner override, then listing category, then
+// the global rate (PLATFORM_FEE_PERCENT when none is configured).
+const CommissionRateSchema = new mongoose.Schema(
+  {
+    scope: { type: String, enum: ["global", "category", "owner"], required: true },
+    category: { type: String, trim: true, lowercase: true }, // scope "category"
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // scope "owner"
+    percent: { type: Number, required: true, min: 0, max: 100 },
+    note: { type: String, trim: true, maxlength: 500 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// One rate per scope target
+CommissionRateSchema.index({ scope: 1, category: 1, ownerId: 1 }, { unique: true });
+
+module.exports = mongoose.model("CommissionRate", CommissionRateSchema);
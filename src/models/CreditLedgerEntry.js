@@ -0,0 +1,29 @@
+// src/models/CreditLedgerEntry.js
+const mongoose = require("mongoose");
+
+// Append-only history of a CreditPurchase balance. `credits` is signed:
+// grant (+), redeem (-), refund (+), expire (-). balanceAfter is the
+// purchase's creditsRemaining right after the entry.
+const CreditLedgerEntrySchema = new mongoose.Schema(
+  {
+    purchaseId: { type: mongoose.Schema.Types.ObjectId, ref: "CreditPurchase", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    type: {
+      type: String,
+      enum: ["grant", "redeem", "refund", "expire"],
+      required: true,
+    },
+    credits: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    cancellationRequestId: { type: mongoose.Schema.Types.ObjectId, ref: "CancellationRequest" },
+    note: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+CreditLedgerEntrySchema.index({ purchaseId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("CreditLedgerEntry", CreditLedgerEntrySchema);
@@ -0,0 +1,37 @@
+// src/models/CreditPlan.js
+const mongoose = require("mongoose");
+
+// A prepaid product an owner sells for their workspaces:
+//   pack       - N hour or day credits, e.g. "10 day-passes for ₱4,500"
+//   membership - unlimited bookings for validityDays, e.g. "unlimited hot desk for a month"
+// Clients buy a plan as a CreditPurchase and redeem it in createBookingIntent.
+const CreditPlanSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // Listings the plan can be redeemed at (empty = all of the owner's listings)
+    listingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Listing" }],
+
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 1000 },
+
+    kind: { type: String, enum: ["pack", "membership"], required: true },
+    unit: { type: String, enum: ["hour", "day"], default: "day" }, // packs: what one credit buys per guest
+    credits: { type: Number, min: 1 }, // packs only
+    maxGuests: { type: Number, default: 1, min: 1 }, // memberships: guests covered per booking
+
+    validityDays: { type: Number, required: true, min: 1, max: 730 },
+
+    price: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "PHP" },
+
+    status: {
+      type: String,
+      enum: ["active", "archived"],
+      default: "active",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CreditPlan", CreditPlanSchema);
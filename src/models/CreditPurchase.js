@@ -0,0 +1,59 @@
+// src/models/CreditPurchase.js
+const mongoose = require("mongoose");
+
+// A client's copy of a CreditPlan, with its remaining balance.
+//
+//   pending_payment ──(checkout paid)──> active ──(balance reaches 0)──> exhausted
+//         │                                │  ▲                             │
+//         └──(checkout lapses)──> expired  │  └──(credits refunded)─────────┘
+//                                          └──(expiresAt passes)──> expired
+//
+// Every balance change is recorded in CreditLedgerEntry.
+const CreditPurchaseSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: "CreditPlan", required: true },
+
+    // Snapshot of the plan at purchase time
+    name: { type: String, required: true },
+    kind: { type: String, enum: ["pack", "membership"], required: true },
+    unit: { type: String, enum: ["hour", "day"], default: "day" },
+    listingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Listing" }],
+    maxGuests: { type: Number, default: 1 },
+    validityDays: { type: Number, required: true },
+
+    creditsTotal: { type: Number, default: 0 },
+    creditsRemaining: { type: Number, default: 0, min: 0 },
+
+    price: { type: Number, required: true },
+    currency: { type: String, default: "PHP" },
+    // Platform commission in force at purchase (owner override or global rate)
+    commissionPercent: Number,
+
+    status: {
+      type: String,
+      enum: ["pending_payment", "active", "exhausted", "expired"],
+      default: "pending_payment",
+    },
+    holdExpiresAt: Date, // unpaid checkout lapses at this time
+    activatedAt: Date,
+    expiresAt: Date,
+    expiredAt: Date,
+
+    payment: {
+      checkoutId: String,
+      checkoutUrl: String,
+      paymentId: String,
+      amount: Number,
+      paidAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+CreditPurchaseSchema.index({ userId: 1, status: 1 });
+CreditPurchaseSchema.index({ status: 1, expiresAt: 1 });
+CreditPurchaseSchema.index({ "payment.checkoutId": 1 }, { sparse: true });
+
+module.exports = mongoose.model("CreditPurchase", CreditPurchaseSchema);
@@ -0,0 +1,11 @@
+// src/models/DocumentSequence.js
+const mongoose = require("mongoose");
+
+// Counter behind sequential document numbers, one per series
+// (e.g. _id "INV-2026" -> INV-2026-000001, INV-2026-000002, ...).
+const DocumentSequenceSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("DocumentSequence", DocumentSequenceSchema);
@@ -0,0 +1,25 @@
+// src/models/ExternalCalendar.js
+const mongoose = require("mongoose");
+
+// An iCalendar feed from another platform (Airbnb, Google Calendar, ...) that
+// an owner registered for a listing. Its events are synced into
+// ExternalCalendarEvent and block those times for FlexiDesk bookings.
+const ExternalCalendarSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true, index: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, trim: true, maxlength: 80 },
+    url: { type: String, required: true },
+
+    status: { type: String, enum: ["pending", "ok", "error"], default: "pending" },
+    lastSyncedAt: Date,      // last successful sync
+    lastAttemptAt: Date,
+    lastError: String,
+    eventCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+ExternalCalendarSchema.index({ listingId: 1, url: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExternalCalendar", ExternalCalendarSchema);
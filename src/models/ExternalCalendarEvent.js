@@ -0,0 +1,21 @@
+// src/models/ExternalCalendarEvent.js
+const mongoose = require("mongoose");
+
+// A busy interval imported from an ExternalCalendar feed. Replaced on every sync.
+const ExternalCalendarEventSchema = new mongoose.Schema(
+  {
+    calendarId: { type: mongoose.Schema.Types.ObjectId, ref: "ExternalCalendar", required: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true },
+    uid: { type: String, required: true },
+    summary: String,
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    allDay: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+ExternalCalendarEventSchema.index({ calendarId: 1, uid: 1 }, { unique: true });
+ExternalCalendarEventSchema.index({ listingId: 1, start: 1, end: 1 });
+
+module.exports = mongoose.model("ExternalCalendarEvent", ExternalCalendarEventSchema);
@@ -0,0 +1,20 @@
+// src/models/FxRate.js
+const mongoose = require("mongoose");
+
+// Admin-maintained exchange rate: how many units of the settlement currency
+// (PHP) one unit of `currency` buys. Rows are never edited - a new row with a
+// later effectiveAt replaces the rate, so the collection is the rate history.
+const FxRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, uppercase: true, trim: true },
+    rate: { type: Number, required: true, min: 0 }, // PHP per 1 unit of currency
+    effectiveAt: { type: Date, required: true, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+FxRateSchema.index({ currency: 1, effectiveAt: -1 });
+
+module.exports = mongoose.model("FxRate", FxRateSchema);
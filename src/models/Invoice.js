@@ -0,0 +1,86 @@
+// src/models/Invoice.js
+const mongoose = require("mongoose");
+
+const AmountLineSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const TaxLineSchema = new mongoose.Schema(
+  {
+    code: String,
+    label: String,
+    percent: Number,
+    mode: { type: String, enum: ["inclusive", "exclusive"] },
+    amount: Number,
+  },
+  { _id: false }
+);
+
+// Invoice / official receipt issued when a booking is paid, and credit notes
+// issued for refunds against it. Everything printed on the document is copied
+// in when it is issued, so later edits to the listing, owner or booking never
+// change an issued document. Amounts are PHP (the settlement currency).
+const InvoiceSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["invoice", "credit_note"], required: true },
+    // Sequential per kind and year; assigned right after the document is claimed
+    number: { type: String, unique: true, sparse: true },
+    // What the document is for: "booking:<id>" or "booking:<id>:credit:<n>"
+    source: { type: String, required: true, unique: true },
+
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" }, // credit note -> invoice
+    invoiceNumber: String,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing" },
+
+    issuedAt: { type: Date, required: true, default: Date.now },
+    currency: { type: String, default: "PHP" },
+
+    seller: {
+      name: String,
+      businessName: String,
+      tin: String,
+      address: String,
+      email: String,
+    },
+    buyer: {
+      name: String,
+      email: String,
+      organization: String,
+    },
+    listing: {
+      title: String,
+      address: String,
+    },
+    service: {
+      startDate: String,
+      endDate: String,
+      checkInTime: String,
+      checkOutTime: String,
+      guests: Number,
+    },
+
+    lineItems: [AmountLineSchema],
+    subtotal: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    discountLabel: String,
+    taxes: [TaxLineSchema],
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+
+    paymentMethod: String,
+    paymentReference: String,
+    reason: String, // credit notes
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index({ bookingId: 1, kind: 1, issuedAt: 1 });
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,60 @@
+// src/models/LedgerEntry.js
+const mongoose = require("mongoose");
+
+// Double-entry ledger of money moving between clients, owners and the platform.
+// Rows sharing a journalId form one balanced posting (total debit = total credit).
+//
+// Accounts:
+//   gateway_receivable - money held by the payment gateway for the platform
+//   owner_payable      - what the platform owes an owner (per ownerId)
+//   platform_revenue   - platform commission
+//   payouts            - money sent to owners' bank accounts
+//
+// A booking payment posts booking_gross (gateway -> owner), then platform_fee
+// and processing_fee (owner -> platform / gateway); refunds move money back
+// out of owner_payable. An owner's balance is credit - debit on owner_payable.
+// Bank transfer / cash bookings also post offline_collection (owner -> gateway):
+// the owner already holds that money, so only the platform fee remains owed.
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    journalId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    type: {
+      type: String,
+      enum: ["booking_gross", "platform_fee", "processing_fee", "refund", "offline_collection", "payout"],
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: ["gateway_receivable", "owner_payable", "platform_revenue", "payouts"],
+      required: true,
+    },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "PHP" },
+
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // What the posting is for: "booking:<id>", "credit_purchase:<id>" or "payout:<id>".
+    // seq numbers repeated postings of the same type for a source (e.g. a second refund).
+    source: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    creditPurchaseId: { type: mongoose.Schema.Types.ObjectId, ref: "CreditPurchase" },
+
+    // Owner earnings can be paid out from this time (after the stay plus a hold period)
+    availableAt: { type: Date, required: true },
+    // Payout that settled this owner_payable row
+    payoutId: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+
+    memo: String,
+    occurredAt: { type: Date, default: Date.now },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Two syncs of the same source cannot both post the same change
+LedgerEntrySchema.index({ source: 1, type: 1, seq: 1, account: 1 }, { unique: true });
+LedgerEntrySchema.index({ ownerId: 1, account: 1, payoutId: 1, availableAt: 1 });
+LedgerEntrySchema.index({ ownerId: 1, account: 1, occurredAt: -1 });
+
+module.exports = mongoose.model("LedgerEntry", LedgerEntrySchema);
@@ -1,5 +1,7 @@
 // models/Listing.js
 const { Schema, model, Types } = require("mongoose");
+const { toPoint, searchPoint } = require("../utils/geo");
+const { TEXT_WEIGHTS } = require("../utils/search");
 
 const Money = { type: Number, default: 0 };
 
@@ -23,6 +25,81 @@ const CancellationPolicySchema = new Schema({
   updatedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
+// Reschedule Policy Schema
+const ReschedulePolicySchema = new Schema({
+  allowReschedule: { type: Boolean, default: false },
+  minHoursBeforeStart: { type: Number, min: 0, default: 24 },
+  maxReschedules: { type: Number, min: 0, default: 2 },
+  changeFee: Money,
+  refundPriceDifference: { type: Boolean, default: true },
+  customNotes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Manual Payment Schema
+// Offline payment methods the owner accepts besides the online checkout
+const ManualPaymentSchema = new Schema({
+  methods: [{ type: String, enum: ['bank_transfer', 'cash'] }],
+  bankName: { type: String, trim: true },
+  accountName: { type: String, trim: true },
+  accountNumber: { type: String, trim: true },
+  instructions: { type: String, trim: true },
+  // Bank transfers must be made within this many hours of booking
+  deadlineHours: { type: Number, min: 1, max: 168 },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Availability Schema
+// Times are "HH:MM" (24h, "24:00" allowed as close); dates are "YYYY-MM-DD".
+const AvailabilitySchema = new Schema({
+  weeklySchedule: [{
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    closed: { type: Boolean, default: false },
+    open: { type: String },
+    close: { type: String },
+    _id: false
+  }],
+  specialHours: [{
+    date: { type: String, required: true },
+    closed: { type: Boolean, default: false },
+    open: { type: String },
+    close: { type: String },
+    note: { type: String },
+    _id: false
+  }],
+  blackouts: [{
+    startDate: { type: String, required: true },
+    endDate: { type: String, required: true },
+    reason: { type: String, default: "" }
+  }],
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Pricing rule (see PricingRuleManager): a percentage adjustment of the rental
+const PricingRuleSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['day_of_week', 'peak_hours', 'early_bird', 'last_minute', 'length_of_stay'],
+    required: true
+  },
+  label: { type: String, trim: true },
+  adjustmentPercent: { type: Number, min: -90, max: 300, required: true }, // + surcharge, - discount
+  enabled: { type: Boolean, default: true },
+  days: { type: [Number], default: undefined }, // 0 = Sunday (day_of_week, optional for peak_hours)
+  startTime: { type: String }, // peak_hours "HH:MM"
+  endTime: { type: String },
+  minDaysBefore: { type: Number, min: 1 }, // early_bird
+  maxHoursBefore: { type: Number, min: 0 }, // last_minute
+  minDays: { type: Number, min: 2 } // length_of_stay
+});
+
+// GeoJSON point derived from lat/lng, coordinates are [lng, lat]
+const GeoPointSchema = new Schema({
+  type: { type: String, enum: ['Point'], required: true },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
 const ListingSchema = new Schema(
   {
     owner: { type: Types.ObjectId, ref: "User", required: true, index: true },
@@ -40,7 +117,12 @@ const ListingSchema = new Schema(
     country: String,
     lat: String,
     lng: String,
+    // Kept in sync with lat/lng by the hooks below
+    location: { type: GeoPointSchema, default: undefined },
     showApprox: { type: Boolean, default: false },
+    // Point near/bounds search uses: location, or the approximate point shown
+    // publicly when showApprox is on (kept in sync by the hooks below)
+    searchLocation: { type: GeoPointSchema, default: undefined },
 
     seats: { type: Number, default: 0 },
     rooms: { type: Number, default: 0 },
@@ -50,8 +132,8 @@ const ListingSchema = new Schema(
 
     shortDesc: String,
     longDesc: String,
-    wifiMbps: String,
-    outletsPerSeat: String,
+    wifiMbps: { type: Number, min: 0 },
+    outletsPerSeat: { type: Number, min: 0 },
     noiseLevel: String,
 
     currency: { type: String, default: "PHP" },
@@ -64,8 +146,9 @@ const ListingSchema = new Schema(
     serviceFee: Money,
     cleaningFee: Money,
 
-    amenities: { type: Schema.Types.Mixed, default: {} },
-    accessibility: { type: Schema.Types.Mixed, default: {} },
+    // Amenity catalog keys (see AmenityCatalogService)
+    amenities: { type: [String], default: [], index: true },
+    accessibility: { type: [String], default: [], index: true },
     parking: { type: String, default: "none" },
 
     // Demographic fields for better matching
@@ -124,8 +207,65 @@ const ListingSchema = new Schema(
 
     // Cancellation Policy
     cancellationPolicy: CancellationPolicySchema,
+
+    // Reschedule Policy
+    reschedulePolicy: ReschedulePolicySchema,
+
+    // Availability calendar (structured opening hours, special hours, blackouts)
+    availability: AvailabilitySchema,
+
+    // Bank transfer / cash on arrival (see ManualPaymentService)
+    manualPayment: ManualPaymentSchema,
+
+    // Rule-based price adjustments (weekends, peak hours, lead time, length of stay)
+    pricingRules: { type: [PricingRuleSchema], default: undefined },
+
+    // Secret for the owner's calendar.ics feed (rotatable, never returned by default)
+    calendarFeedToken: { type: String, select: false },
   },
   { timestamps: true }
 );
 
+ListingSchema.index({ location: "2dsphere" });
+ListingSchema.index({ searchLocation: "2dsphere" });
+ListingSchema.index(
+  Object.fromEntries(Object.keys(TEXT_WEIGHTS).map((field) => [field, "text"])),
+  { name: "listing_text", weights: TEXT_WEIGHTS }
+);
+
+// Derive location and searchLocation from lat/lng (and showApprox) whenever they are written
+ListingSchema.pre("save", function () {
+  if (this.isNew || this.isModified("lat") || this.isModified("lng") || this.isModified("showApprox")) {
+    this.location = toPoint(this.lat, this.lng) || undefined;
+    this.searchLocation = searchPoint(this) || undefined;
+  }
+});
+
+ListingSchema.pre(["findOneAndUpdate", "updateOne"], async function () {
+  const update = this.getUpdate() || {};
+  const set = update.$set || update;
+  delete set.location;
+  delete set.searchLocation;
+  if (!("lat" in set) && !("lng" in set) && !("showApprox" in set)) return;
+
+  // Pair the changed fields with the stored ones; the approximate point is keyed on _id
+  const current = await this.model.findOne(this.getQuery()).select("lat lng showApprox").lean();
+  if (!current) return;
+  const listing = {
+    _id: current._id,
+    lat: "lat" in set ? set.lat : current.lat,
+    lng: "lng" in set ? set.lng : current.lng,
+    showApprox: "showApprox" in set ? set.showApprox : current.showApprox,
+  };
+
+  const point = toPoint(listing.lat, listing.lng);
+  if (point) {
+    set.location = point;
+    set.searchLocation = searchPoint(listing);
+  } else {
+    update.$unset = { ...(update.$unset || {}), location: 1, searchLocation: 1 };
+  }
+  this.setUpdate(update);
+});
+
 module.exports = model("Listing", ListingSchema);
@@ -0,0 +1,18 @@
+// src/models/ListingDayLock.js
+const mongoose = require("mongoose");
+
+// One document per listing per day. Every booking write touches the documents
+// for the days it covers inside its transaction, so concurrent writers for the
+// same listing/day conflict and retry instead of both passing the overlap check.
+const ListingDayLockSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD
+    version: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+ListingDayLockSchema.index({ listingId: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model("ListingDayLock", ListingDayLockSchema);
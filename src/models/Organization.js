@@ -0,0 +1,30 @@
+// src/models/Organization.js
+const mongoose = require("mongoose");
+
+// A company/team account. People join through OrganizationMember; bookings made
+// on the organization's behalf carry Booking.organizationId and are billed on
+// one monthly OrganizationStatement.
+const OrganizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    billingEmail: { type: String, required: true, lowercase: true, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    currency: { type: String, default: "PHP" },
+
+    // Member bookings above this amount need an org admin's approval (null = never)
+    approvalThreshold: { type: Number, default: null, min: 0 },
+    // Monthly spend allowed per member unless the member has their own limit (null = unlimited)
+    defaultSpendingLimit: { type: Number, default: null, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["active", "archived"],
+      default: "active",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Organization", OrganizationSchema);
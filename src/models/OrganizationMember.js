@@ -0,0 +1,34 @@
+// src/models/OrganizationMember.js
+const mongoose = require("mongoose");
+
+// A user's membership in an organization. Org roles are separate from
+// User.role: any client can be an org "admin" (manages members, approves
+// bookings) or "member" (books on the org's behalf within their limit).
+const OrganizationMemberSchema = new mongoose.Schema(
+  {
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    role: {
+      type: String,
+      enum: ["admin", "member"],
+      default: "member",
+    },
+
+    // Monthly spend limit for this member (null = use the organization default)
+    spendingLimit: { type: Number, default: null, min: 0 },
+
+    status: {
+      type: String,
+      enum: ["active", "removed"],
+      default: "active",
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    removedAt: Date,
+  },
+  { timestamps: true }
+);
+
+OrganizationMemberSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("OrganizationMember", OrganizationMemberSchema);
@@ -0,0 +1,35 @@
+// src/models/OrganizationStatement.js
+const mongoose = require("mongoose");
+
+// Consolidated monthly statement of an organization's paid bookings.
+// One per organization and calendar month; rebuilt in place until it is sent.
+const OrganizationStatementSchema = new mongoose.Schema(
+  {
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    period: { type: String, required: true }, // "YYYY-MM"
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true }, // exclusive
+
+    currency: { type: String, default: "PHP" },
+    totals: {
+      bookings: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+    },
+
+    // Per-member subtotals: { userId, name, email, bookings, gross, refunded, net }
+    members: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // One line per booking: { bookingId, userId, listingId, listingTitle, startDate, endDate, status, paidAt, amount, refunded }
+    lines: { type: [mongoose.Schema.Types.Mixed], default: [] },
+
+    generatedAt: Date,
+    sentAt: Date,
+    sentTo: String,
+  },
+  { timestamps: true }
+);
+
+OrganizationStatementSchema.index({ organizationId: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model("OrganizationStatement", OrganizationStatementSchema);
@@ -0,0 +1,43 @@
+// src/models/Payout.js
+const mongoose = require("mongoose");
+
+// A batch transfer of an owner's available earnings.
+//
+//   scheduled ──> processing ──> paid
+//       │              │
+//       └──────────────┴──> failed / cancelled (earnings go back into the next batch)
+//
+// The ledger rows it settles point back to it through LedgerEntry.payoutId.
+const PayoutSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    amount: { type: Number, required: true },
+    currency: { type: String, default: "PHP" },
+    entryCount: { type: Number, default: 0 },
+    // Earnings that became available up to this time are included
+    cutoff: { type: Date, required: true },
+
+    status: {
+      type: String,
+      enum: ["scheduled", "processing", "paid", "failed", "cancelled"],
+      default: "scheduled",
+      index: true,
+    },
+    scheduledFor: { type: Date, required: true },
+    processingAt: Date,
+    paidAt: Date,
+    failedAt: Date,
+    cancelledAt: Date,
+    failureReason: String,
+
+    method: { type: String, default: "bank_transfer" },
+    reference: String, // bank transfer reference, entered by the admin who sent it
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+PayoutSchema.index({ ownerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payout", PayoutSchema);
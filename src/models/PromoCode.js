@@ -0,0 +1,40 @@
+// src/models/PromoCode.js
+const mongoose = require("mongoose");
+
+// A discount code applied to a price quote and redeemed at checkout:
+//   platform - created by an admin, valid on every listing
+//   listing  - created by an owner, valid on their listings (listingIds, empty = all of them)
+const PromoCodeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true, unique: true, maxlength: 32 },
+    description: { type: String, trim: true, maxlength: 500 },
+
+    scope: { type: String, enum: ["platform", "listing"], required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true }, // listing scope
+    listingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Listing" }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    type: { type: String, enum: ["percentage", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 }, // percent (1-100) or PHP amount
+    maxDiscount: { type: Number, default: null, min: 0 }, // caps percentage codes
+    minSpend: { type: Number, default: 0, min: 0 }, // quote subtotal before discount
+
+    maxUses: { type: Number, default: null, min: 1 }, // null = unlimited
+    maxUsesPerUser: { type: Number, default: 1, min: 1 },
+    usesCount: { type: Number, default: 0 }, // active redemptions
+    firstBookingOnly: { type: Boolean, default: false },
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: ["active", "disabled"],
+      default: "active",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PromoCode", PromoCodeSchema);
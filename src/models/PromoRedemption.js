@@ -0,0 +1,22 @@
+// src/models/PromoRedemption.js
+const mongoose = require("mongoose");
+
+// One use of a PromoCode by a booking. Created with the booking in the
+// reservation transaction; released again if the booking is never paid.
+const PromoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCodeId: { type: mongoose.Schema.Types.ObjectId, ref: "PromoCode", required: true },
+    code: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, unique: true },
+    discount: { type: Number, required: true },
+
+    status: { type: String, enum: ["active", "released"], default: "active" },
+    releasedAt: Date,
+  },
+  { timestamps: true }
+);
+
+PromoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+
+module.exports = mongoose.model("PromoRedemption", PromoRedemptionSchema);
@@ -27,6 +27,12 @@ const RefundTransactionSchema = new mongoose.Schema({
   // Transaction details
   amount: { type: Number, required: true },
   currency: { type: String, default: 'PHP' },
+  // The refund in the currency the client booked in, at the booking's rate
+  fx: {
+    displayCurrency: String,
+    displayRate: Number,
+    displayAmount: Number,
+  },
   paymentMethod: { type: String, required: true },
   originalTransactionId: { type: String, required: true },
   refundTransactionId: { type: String },
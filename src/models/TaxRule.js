@@ -0,0 +1,19 @@
+// src/models/TaxRule.js
+const mongoose = require("mongoose");
+
+// Tax applied to every booking price (e.g. 12% VAT). Inclusive taxes are
+// already part of listing prices and are only broken out; exclusive taxes are
+// added on top of the discounted subtotal as their own line item.
+const TaxRuleSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    label: { type: String, required: true, trim: true, maxlength: 80 },
+    percent: { type: Number, required: true, min: 0, max: 100 },
+    mode: { type: String, enum: ["inclusive", "exclusive"], default: "inclusive" },
+    enabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TaxRule", TaxRuleSchema);
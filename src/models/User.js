@@ -92,6 +92,13 @@ const UserSchema = new Schema(
       trim: true,
     },
 
+    // Owner's registered business, printed on invoices issued for their bookings
+    business: {
+      name: { type: String, trim: true, maxlength: 120 },
+      tin: { type: String, trim: true }, // BIR TIN, 000-000-000-000
+      address: { type: String, trim: true, maxlength: 300 },
+    },
+
     // Notification preferences
     notificationPreferences: {
       email: {
@@ -119,6 +126,14 @@ const UserSchema = new Schema(
         default: true,
       },
     },
+
+    // Secret for the personal bookings.ics feed (rotatable, never returned by default)
+    calendarFeedToken: {
+      type: String,
+      select: false,
+      unique: true,
+      sparse: true,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,46 @@
+// src/models/WaitlistEntry.js
+const mongoose = require("mongoose");
+
+// A client waiting for a listing/time window that was full.
+//
+//   waiting ──(slot frees up)──> offered ──(accept)──> held ──(createBookingIntent)──> converted
+//      ▲                           │                     │
+//      └──(slot taken meanwhile)───┤                     └──(hold lapses)──> expired
+//                                  └──(claim window lapses)──> missed
+//
+// Entries are served in FIFO order (createdAt). A "held" entry occupies its
+// window in findOverlappingBooking until holdExpiresAt.
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: "Listing", required: true },
+
+    startDate: { type: String, required: true }, // "YYYY-MM-DD"
+    endDate: { type: String, required: true },
+    checkInTime: { type: String, default: null }, // "HH:MM"
+    checkOutTime: { type: String, default: null },
+    guests: { type: Number, default: 1, min: 1 },
+
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "held", "converted", "missed", "expired", "cancelled"],
+      default: "waiting",
+    },
+
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    offersSent: { type: Number, default: 0 },
+    heldAt: Date,
+    holdExpiresAt: Date,
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" },
+    convertedAt: Date,
+    closedAt: Date, // missed / expired / cancelled
+  },
+  { timestamps: true }
+);
+
+WaitlistEntrySchema.index({ listingId: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+WaitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+module.exports = mongoose.model("WaitlistEntry", WaitlistEntrySchema);
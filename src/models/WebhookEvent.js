@@ -0,0 +1,51 @@
+// src/models/WebhookEvent.js
+const mongoose = require("mongoose");
+
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: "paymongo", index: true }, // "paymongo" | "fake"
+
+    // Provider event id ("evt_xxx") - used for idempotent de-duplication
+    eventId: { type: String, required: true },
+    type: { type: String, required: true, index: true },
+    livemode: { type: Boolean, default: false },
+
+    // Id of the resource the event is about (checkout session, payment, refund)
+    resourceId: { type: String, index: true },
+    resourceType: { type: String },
+
+    // Full event body as received
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    signatureVerified: { type: Boolean, default: false },
+
+    // Processing lifecycle
+    status: {
+      type: String,
+      enum: ["received", "processed", "ignored", "failed"],
+      default: "received",
+      index: true,
+    },
+    result: { type: mongoose.Schema.Types.Mixed },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date },
+
+    // Manual replays from the admin panel
+    replays: [
+      {
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        status: String,
+        error: String,
+        _id: false,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", WebhookEventSchema);
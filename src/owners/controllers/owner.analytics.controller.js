@@ -2,6 +2,7 @@
 const mongoose = require("mongoose");
 const Booking = require("../../models/Booking");
 const Listing = require("../../models/Listing");
+const PricingRuleManager = require("../../services/PricingRuleManager");
 
 /* Helper – mirror your other controllers */
 const uid = (req) =>
@@ -573,7 +574,8 @@ async function getRecommendations(req, res) {
     const validStatuses = ["paid", "confirmed", "completed", "checked_in"];
 
     // Get owner's listings
-    const listingIds = await Listing.find({ owner: ownerObjectId }).distinct("_id");
+    const ownerListings = await Listing.find({ owner: ownerObjectId }).select("_id pricingRules").lean();
+    const listingIds = ownerListings.map((l) => l._id);
 
     if (!listingIds.length) {
       return res.json({
@@ -656,6 +658,21 @@ async function getRecommendations(req, res) {
       ? (repeatCustomers / uniqueCustomers.length) * 100
       : 0;
 
+    // Booking patterns behind concrete pricing rule suggestions
+    const recentBookings = await Booking.find({
+      listingId: { $in: listingIds },
+      status: { $in: validStatuses },
+      createdAt: { $gte: thirtyDaysAgo, $lte: now }
+    }).select("startDate nights createdAt").lean();
+    const patterns = bookingPatterns(recentBookings);
+
+    // Rule types the owner already uses are not suggested again
+    const configuredRuleTypes = new Set(
+      ownerListings.flatMap((l) => (l.pricingRules || []).map((r) => r.type))
+    );
+    const suggestedRules = PricingRuleManager.suggestRules({ occupancyRate, ...patterns })
+      .filter((r) => !configuredRuleTypes.has(r.type));
+
     // Generate recommendations
     const recommendations = generateRecommendations({
       occupancyRate,
@@ -663,7 +680,8 @@ async function getRecommendations(req, res) {
       retentionRate,
       revenue: analytics.revenue,
       bookings: analytics.bookings,
-      avgBookingValue: analytics.bookings > 0 ? analytics.revenue / analytics.bookings : 0
+      avgBookingValue: analytics.bookings > 0 ? analytics.revenue / analytics.bookings : 0,
+      suggestedRules
     });
 
     return res.json({
@@ -685,6 +703,30 @@ async function getRecommendations(req, res) {
 
 /* ========== HELPER FUNCTIONS ========== */
 
+// Share of bookings starting on a weekday, average lead time and average length of stay
+function bookingPatterns(bookings) {
+  if (!bookings.length) {
+    return { weekdayShare: null, avgLeadDays: null, avgStayDays: null };
+  }
+
+  let weekdays = 0;
+  let leadDays = 0;
+  let stayDays = 0;
+  for (const b of bookings) {
+    const start = new Date(`${b.startDate}T00:00:00Z`);
+    const day = start.getUTCDay();
+    if (day !== 0 && day !== 6) weekdays++;
+    leadDays += Math.max(0, (start - new Date(b.createdAt)) / (1000 * 60 * 60 * 24));
+    stayDays += Number(b.nights || 1);
+  }
+
+  return {
+    weekdayShare: weekdays / bookings.length,
+    avgLeadDays: leadDays / bookings.length,
+    avgStayDays: stayDays / bookings.length
+  };
+}
+
 // Predict next month's revenue using 3-month moving average
 function predictRevenue(monthlyData) {
   if (monthlyData.length < 2) {
@@ -985,6 +1027,23 @@ function generateRecommendations(analytics) {
     });
   }
 
+  // Rule 9: Concrete pricing rules
+  if (analytics.suggestedRules?.length) {
+    recommendations.push({
+      type: "pricing",
+      priority: "medium",
+      title: "Automate pricing with rules",
+      description: `Based on when and how far ahead clients book, ${analytics.suggestedRules.length} pricing rule(s) could adjust your rates automatically.`,
+      expectedImpact: "+10% revenue",
+      action: "apply_pricing_rules",
+      actionDetails: {
+        rules: analytics.suggestedRules,
+        endpoint: "PUT /api/owner/listings/:id/pricing-rules"
+      },
+      icon: "🧮"
+    });
+  }
+
   // Sort by priority
   const priorityOrder = { high: 1, medium: 2, low: 3 };
   recommendations.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
@@ -1,6 +1,8 @@
 // src/owners/controllers/owner.bookings.controller.js
 const Booking = require("../../models/Booking");
 const Listing = require("../../models/Listing");
+const ManualPaymentService = require("../../services/ManualPaymentService");
+const PromoCodeService = require("../../services/PromoCodeService");
 
 const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
 
@@ -117,56 +119,6 @@ exports.getOwnerBookingOne = async function getOwnerBookingOne(req, res) {
   }
 };
 
-exports.completeOwnerBooking = async function completeOwnerBooking(req, res) {
-  try {
-    const ownerId = uid(req);
-    if (!ownerId) {
-      return res.status(401).json({ message: "Unauthorized" });
-    }
-
-    const { id } = req.params;
-
-    const booking = await Booking.findById(id)
-      .populate({
-        path: "listingId",
-        select: "owner",
-      })
-      .exec();
-
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" });
-    }
-
-    if (
-      !booking.listingId ||
-      String(booking.listingId.owner) !== String(ownerId)
-    ) {
-      return res.status(403).json({ message: "Forbidden" });
-    }
-
-    if (booking.status === "completed") {
-      return res.status(400).json({ message: "Booking already completed" });
-    }
-
-    booking.status = "completed";
-    booking.checkedInAt = new Date();
-
-    await booking.save();
-
-    const obj = booking.toObject ? booking.toObject() : booking;
-    obj.id = obj._id;
-    if (obj.listingId && obj.listingId._id) obj.listing = obj.listingId;
-
-    return res.json({
-      message: "Booking marked as completed",
-      booking: obj,
-    });
-  } catch (err) {
-    console.error("completeOwnerBooking error:", err);
-    return res.status(500).json({ message: "Failed to update booking status" });
-  }
-};
-
 exports.updateOwnerBookingStatus = async function updateOwnerBookingStatus(req, res) {
   try {
     const ownerId = uid(req);
@@ -205,15 +157,29 @@ exports.updateOwnerBookingStatus = async function updateOwnerBookingStatus(req,
 
     // Validate status transitions
     const currentStatus = booking.status;
+    // Paid bookings are completed by a QR check-in scan (POST /api/owner/checkin/scan)
+    // and cancelled through a cancellation request, which settles refunds,
+    // credits, the ledger and waitlist offers
     const allowedTransitions = {
-      paid: ['completed', 'cancelled'], // Paid bookings can be completed or cancelled
+      paid: [],
       pending_payment: ['cancelled'], // Pending payment can only be cancelled
       awaiting_payment: ['cancelled'], // Awaiting payment can only be cancelled
       completed: [], // Cannot change from completed
       cancelled: [], // Cannot change from cancelled
+      expired: [], // Unpaid hold lapsed; client must book again
     };
 
     const allowed = allowedTransitions[currentStatus] || [];
+    if (currentStatus === 'paid' && status === 'completed') {
+      return res.status(409).json({
+        message: "Paid bookings are completed by scanning the client's QR code at check-in"
+      });
+    }
+    if (currentStatus === 'paid' && status === 'cancelled') {
+      return res.status(409).json({
+        message: "Paid bookings are cancelled through a cancellation request so the refund is settled"
+      });
+    }
     if (!allowed.includes(status)) {
       return res.status(400).json({ 
         message: `Cannot change status from ${currentStatus} to ${status}` 
@@ -224,15 +190,17 @@ exports.updateOwnerBookingStatus = async function updateOwnerBookingStatus(req,
     booking.status = status;
     
     // Set timestamps based on status
-    if (status === 'completed' && !booking.completedAt) {
-      booking.completedAt = new Date();
-    }
     if (status === 'cancelled' && !booking.cancelledAt) {
       booking.cancelledAt = new Date();
     }
 
     await booking.save();
 
+    // An unpaid booking cancelled here never uses its promo code
+    if (status === 'cancelled') {
+      await PromoCodeService.releaseForBooking(booking);
+    }
+
     const obj = booking.toObject ? booking.toObject() : booking;
     obj.id = obj._id;
     if (obj.listingId && obj.listingId._id) obj.listing = obj.listingId;
@@ -246,3 +214,39 @@ exports.updateOwnerBookingStatus = async function updateOwnerBookingStatus(req,
     return res.status(500).json({ message: "Failed to update booking status" });
   }
 };
+
+// POST /api/owner/bookings/:id/payment/confirm
+// The bank transfer arrived or the client paid in cash: the booking becomes paid.
+exports.confirmManualPayment = async function confirmManualPayment(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const booking = await ManualPaymentService.confirm(req.params.id, { userId: ownerId, role: "owner" });
+    return res.json({ message: "Payment confirmed", booking: { ...booking, id: booking._id } });
+  } catch (err) {
+    if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error("confirmManualPayment error:", err);
+    return res.status(500).json({ message: "Failed to confirm payment" });
+  }
+};
+
+// POST /api/owner/bookings/:id/payment/reject  body: { reason }
+// The proof of payment does not match a transfer; the client may upload another.
+exports.rejectManualPayment = async function rejectManualPayment(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const booking = await ManualPaymentService.reject(req.params.id, { userId: ownerId, role: "owner" }, req.body?.reason);
+    return res.json({ message: "Proof of payment rejected", booking: { ...booking, id: booking._id } });
+  } catch (err) {
+    if (err?.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error("rejectManualPayment error:", err);
+    return res.status(500).json({ message: "Failed to reject payment" });
+  }
+};
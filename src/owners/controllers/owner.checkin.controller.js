@@ -0,0 +1,33 @@
+// src/owners/controllers/owner.checkin.controller.js
+const CheckInService = require("../../services/CheckInService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+// POST /api/owner/checkin/scan
+// body: { token, action?: "check_in" | "check_out" } - first scan checks in, second checks out
+exports.scanCheckIn = async function scanCheckIn(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const { token, action } = req.body || {};
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ message: "QR token is required" });
+    }
+
+    const result = await CheckInService.scan(token, ownerId, { action });
+
+    return res.json({
+      message: result.action === "checked_in" ? "Guest checked in" : "Guest checked out",
+      ...result,
+    });
+  } catch (err) {
+    if (err?.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("scanCheckIn error:", err);
+    return res.status(500).json({ message: "Failed to process QR code" });
+  }
+};
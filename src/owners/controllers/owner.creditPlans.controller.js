@@ -0,0 +1,72 @@
+// src/owners/controllers/owner.creditPlans.controller.js
+const mongoose = require("mongoose");
+const CreditService = require("../../services/CreditService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Failed to process credit plan" });
+}
+
+// GET /api/owner/credit-plans
+exports.listPlans = async function listPlans(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const items = await CreditService.listOwnerPlans(ownerId);
+    return res.json({ items });
+  } catch (err) {
+    return sendError(res, err, "listPlans");
+  }
+};
+
+// POST /api/owner/credit-plans
+// body: { name, description?, kind: "pack" | "membership", unit?: "hour" | "day", credits?, maxGuests?, validityDays?, price, listingIds? }
+exports.createPlan = async function createPlan(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const plan = await CreditService.createPlan(ownerId, req.body || {});
+    return res.status(201).json({ plan });
+  } catch (err) {
+    return sendError(res, err, "createPlan");
+  }
+};
+
+// PATCH /api/owner/credit-plans/:id
+exports.updatePlan = async function updatePlan(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const plan = await CreditService.updatePlan(req.params.id, ownerId, req.body || {});
+    return res.json({ plan });
+  } catch (err) {
+    return sendError(res, err, "updatePlan");
+  }
+};
+
+// DELETE /api/owner/credit-plans/:id  -> stop selling (existing purchases stay valid)
+exports.archivePlan = async function archivePlan(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const plan = await CreditService.archivePlan(req.params.id, ownerId);
+    return res.json({ plan });
+  } catch (err) {
+    return sendError(res, err, "archivePlan");
+  }
+};
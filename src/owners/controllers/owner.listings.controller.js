@@ -4,12 +4,21 @@ const User = require("../../models/User");
 const cloudinary = require("../../utils/cloudinary");
 const { signJwt } = require("../../utils/jwt");
 const PolicyManager = require("../../services/PolicyManager");
+const AvailabilityManager = require("../../services/AvailabilityManager");
+const CalendarSyncService = require("../../services/CalendarSyncService");
+const PricingRuleManager = require("../../services/PricingRuleManager");
+const ManualPaymentService = require("../../services/ManualPaymentService");
+const AmenityCatalogService = require("../../services/AmenityCatalogService");
+const ExternalCalendar = require("../../models/ExternalCalendar");
 
 exports.create = async (req, res) => {
   try {
     const user = await User.findById(req.user.uid);
     if (!user) return res.status(401).json({ message: "Unauthorized" });
 
+    // amenities / accessibility must be catalog keys
+    const features = await AmenityCatalogService.validateListingFeatures(req.body);
+
     let upgradedToken = null;
     if (user.role === "client") {
       user.role = "owner";
@@ -17,9 +26,19 @@ exports.create = async (req, res) => {
       upgradedToken = signJwt({ uid: user.id, email: user.email, role: user.role });
     }
 
+    const fields = { ...req.body };
+    delete fields._id;
+    delete fields.owner;
+    delete fields.pricingRules; // validated via PUT /:id/pricing-rules
+    delete fields.manualPayment; // validated via PUT /:id/payment-methods
+    delete fields.availability; // validated via PUT /:id/availability
+    delete fields.reschedulePolicy; // validated via PUT /:id/reschedule-policy
+    delete fields.calendarFeedToken; // set only via POST /:id/calendar/token
+
     const listing = await Listing.create({
+      ...fields,
+      ...features,
       owner: user._id,
-      ...req.body,
       status: "draft",
     });
 
@@ -28,7 +47,7 @@ exports.create = async (req, res) => {
       ...(upgradedToken ? { token: upgradedToken } : {}),
     });
   } catch (e) {
-    res.status(500).json({ message: e.message || "Create failed" });
+    res.status(e.statusCode || 500).json({ message: e.message || "Create failed" });
   }
 };
 
@@ -70,6 +89,21 @@ exports.update = async (req, res) => {
     const fields = { ...req.body, updatedAt: new Date() };
     delete fields._id;
     delete fields.owner;
+    delete fields.pricingRules; // validated via PUT /:id/pricing-rules
+    delete fields.manualPayment; // validated via PUT /:id/payment-methods
+    delete fields.availability; // validated via PUT /:id/availability
+    delete fields.reschedulePolicy; // validated via PUT /:id/reschedule-policy
+    delete fields.calendarFeedToken; // set only via POST /:id/calendar/token
+
+    // Archived catalog entries may stay on a listing that already has them
+    let current = null;
+    if (req.body.amenities !== undefined || req.body.accessibility !== undefined) {
+      current = await Listing.findOne({ _id: req.params.id, owner: req.user.uid })
+        .select("amenities accessibility")
+        .lean();
+      if (!current) return res.status(404).json({ message: "Not found" });
+    }
+    Object.assign(fields, await AmenityCatalogService.validateListingFeatures(req.body, current));
 
     const doc = await Listing.findOneAndUpdate(
       { _id: req.params.id, owner: req.user.uid },
@@ -80,7 +114,7 @@ exports.update = async (req, res) => {
     if (!doc) return res.status(404).json({ message: "Not found" });
     res.json({ listing: { id: String(doc._id), ...doc } });
   } catch (e) {
-    res.status(500).json({ message: e.message || "Update failed" });
+    res.status(e.statusCode || 500).json({ message: e.message || "Update failed" });
   }
 };
 
@@ -286,3 +320,384 @@ exports.setCancellationPolicy = async (req, res) => {
     res.status(500).json({ message: e.message || "Failed to set cancellation policy" });
   }
 };
+
+/**
+ * Get reschedule policy for a listing
+ * GET /api/owner/listings/:id/reschedule-policy
+ */
+exports.getReschedulePolicy = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("reschedulePolicy").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    res.json({ policy: PolicyManager.resolveReschedulePolicy(listing) });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to get reschedule policy" });
+  }
+};
+
+/**
+ * Set/Update reschedule policy for a listing
+ * PUT /api/owner/listings/:id/reschedule-policy
+ */
+exports.setReschedulePolicy = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const validation = PolicyManager.validateReschedulePolicy(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Invalid reschedule policy",
+        errors: validation.errors
+      });
+    }
+
+    const policy = await PolicyManager.setReschedulePolicy(req.params.id, req.body);
+
+    res.json({
+      policy,
+      message: "Reschedule policy updated successfully"
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to set reschedule policy" });
+  }
+};
+
+/**
+ * Get the bank transfer / cash settings for a listing
+ * GET /api/owner/listings/:id/payment-methods
+ */
+exports.getPaymentMethods = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("manualPayment").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    res.json({ manualPayment: listing.manualPayment || { methods: [] } });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to get payment methods" });
+  }
+};
+
+/**
+ * Replace the bank transfer / cash settings for a listing
+ * PUT /api/owner/listings/:id/payment-methods
+ * body: { methods: ["bank_transfer", "cash"], bankName?, accountName?, accountNumber?,
+ *         instructions?, deadlineHours? }
+ */
+exports.setPaymentMethods = async (req, res) => {
+  try {
+    const manualPayment = await ManualPaymentService.setSettings(req.params.id, req.user.uid, req.body || {});
+    res.json({
+      manualPayment,
+      message: "Payment methods updated successfully"
+    });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to set payment methods" });
+  }
+};
+
+/**
+ * Get pricing rules for a listing
+ * GET /api/owner/listings/:id/pricing-rules
+ */
+exports.getPricingRules = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("pricingRules").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    res.json({ rules: listing.pricingRules || [] });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to get pricing rules" });
+  }
+};
+
+/**
+ * Replace pricing rules for a listing
+ * PUT /api/owner/listings/:id/pricing-rules
+ * body: { rules: [{ type, adjustmentPercent, label?, enabled?, days?, startTime?, endTime?,
+ *                   minDaysBefore?, maxHoursBefore?, minDays? }] }
+ */
+exports.setPricingRules = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const rules = req.body?.rules;
+    const validation = PricingRuleManager.validateRules(rules);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Invalid pricing rules",
+        errors: validation.errors
+      });
+    }
+
+    const saved = await PricingRuleManager.setRules(req.params.id, rules);
+
+    res.json({
+      rules: saved,
+      message: "Pricing rules updated successfully"
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to set pricing rules" });
+  }
+};
+
+/**
+ * Get availability calendar for a listing
+ * GET /api/owner/listings/:id/availability
+ */
+exports.getAvailability = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const availability = await AvailabilityManager.getAvailability(req.params.id);
+    res.json({ availability });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to get availability" });
+  }
+};
+
+/**
+ * Replace availability calendar for a listing
+ * PUT /api/owner/listings/:id/availability
+ */
+exports.setAvailability = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    // Validation is handled by middleware
+    const availability = await AvailabilityManager.setAvailability(req.params.id, req.body);
+
+    res.json({
+      availability,
+      message: "Availability updated successfully"
+    });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to set availability" });
+  }
+};
+
+/**
+ * Add a blackout range to a listing
+ * POST /api/owner/listings/:id/availability/blackouts
+ */
+exports.addBlackout = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const availability = await AvailabilityManager.addBlackout(req.params.id, req.body || {});
+    res.status(201).json({ availability });
+  } catch (e) {
+    const status = /^Invalid blackout/.test(e.message) ? 400 : 500;
+    res.status(status).json({ message: e.message || "Failed to add blackout" });
+  }
+};
+
+/**
+ * Remove a blackout range from a listing
+ * DELETE /api/owner/listings/:id/availability/blackouts/:blackoutId
+ */
+exports.removeBlackout = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const availability = await AvailabilityManager.removeBlackout(req.params.id, req.params.blackoutId);
+    res.json({ availability });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to remove blackout" });
+  }
+};
+
+function feedBaseUrl(req) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+}
+
+/**
+ * Calendar sync settings: export feed URL and connected external calendars
+ * GET /api/owner/listings/:id/calendar
+ */
+exports.getCalendarSync = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const token = await CalendarSyncService.listingFeedToken(req.params.id);
+    const externalCalendars = await CalendarSyncService.listExternalCalendars(req.params.id);
+
+    res.json({
+      feedUrl: `${feedBaseUrl(req)}/${req.params.id}/calendar.ics?token=${token}`,
+      externalCalendars,
+    });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to get calendar settings" });
+  }
+};
+
+/**
+ * Replace the export feed token (old subscription URLs stop working)
+ * POST /api/owner/listings/:id/calendar/token
+ */
+exports.rotateCalendarToken = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const token = await CalendarSyncService.listingFeedToken(req.params.id, { rotate: true });
+    res.json({ feedUrl: `${feedBaseUrl(req)}/${req.params.id}/calendar.ics?token=${token}` });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to rotate calendar token" });
+  }
+};
+
+/**
+ * Public ICS feed of confirmed bookings, authorized by the feed token
+ * GET /api/owner/listings/:id/calendar.ics?token=...
+ */
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const ics = await CalendarSyncService.listingFeed(req.params.id, req.query.token);
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(ics);
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to build calendar" });
+  }
+};
+
+/**
+ * Connect an external ICS feed whose events block this listing
+ * POST /api/owner/listings/:id/calendar/external
+ */
+exports.addExternalCalendar = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id owner").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    const calendar = await CalendarSyncService.addExternalCalendar(listing, req.body || {});
+    res.status(201).json({ calendar });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to add calendar" });
+  }
+};
+
+/**
+ * Sync an external calendar now
+ * POST /api/owner/listings/:id/calendar/external/:calendarId/sync
+ */
+exports.syncExternalCalendar = async (req, res) => {
+  try {
+    const calendar = await ExternalCalendar.findOne({
+      _id: req.params.calendarId,
+      listingId: req.params.id,
+      ownerId: req.user.uid
+    });
+
+    if (!calendar) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    const result = await CalendarSyncService.syncCalendar(calendar);
+    res.status(result.ok ? 200 : 502).json({ calendar: calendar.toObject(), ...result });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to sync calendar" });
+  }
+};
+
+/**
+ * Disconnect an external calendar
+ * DELETE /api/owner/listings/:id/calendar/external/:calendarId
+ */
+exports.removeExternalCalendar = async (req, res) => {
+  try {
+    const listing = await Listing.findOne({
+      _id: req.params.id,
+      owner: req.user.uid
+    }).select("_id").lean();
+
+    if (!listing) {
+      return res.status(404).json({ message: "Listing not found" });
+    }
+
+    await CalendarSyncService.removeExternalCalendar(req.params.id, req.params.calendarId);
+    res.json({ message: "Calendar removed" });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ message: e.message || "Failed to remove calendar" });
+  }
+};
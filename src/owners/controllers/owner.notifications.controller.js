@@ -33,7 +33,19 @@ exports.getSummary = async (req, res) => {
 
     const unreadInquiriesCount = unreadInquiries.length;
 
-    // STEP 4: Compose response
+    // STEP 4: Bank transfer proofs waiting for the host to confirm or reject
+    const paymentReviews = await Booking.find({
+      listingId: { $in: listingIds },
+      status: "awaiting_payment",
+      "manualPayment.status": "submitted",
+    })
+      .sort({ "manualPayment.submittedAt": 1 })
+      .limit(5)
+      .lean();
+
+    const paymentReviewsCount = paymentReviews.length;
+
+    // STEP 5: Compose response
     return res.json({
       bookings: {
         unreadCount: newBookingsCount,
@@ -57,7 +69,18 @@ exports.getSummary = async (req, res) => {
           meta: i.meta
         }))
       },
-      totalUnread: newBookingsCount + unreadInquiriesCount
+      paymentReviews: {
+        unreadCount: paymentReviewsCount,
+        latest: paymentReviews.map(b => ({
+          id: b._id,
+          listingId: b.listingId,
+          amount: b.amount,
+          reference: b.manualPayment.reference || null,
+          submittedAt: b.manualPayment.submittedAt,
+          holdExpiresAt: b.holdExpiresAt
+        }))
+      },
+      totalUnread: newBookingsCount + unreadInquiriesCount + paymentReviewsCount
     });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -0,0 +1,103 @@
+// src/owners/controllers/owner.payouts.controller.js
+const mongoose = require("mongoose");
+const User = require("../../models/User");
+const LedgerService = require("../../services/LedgerService");
+const PayoutService = require("../../services/PayoutService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Failed to load payouts" });
+}
+
+// GET /api/owner/payouts/summary
+// Available / pending balances, when pending earnings become available and the next payout date
+exports.getSummary = async function getSummary(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    return res.json(await PayoutService.summary(ownerId));
+  } catch (err) {
+    return sendError(res, err, "getPayoutSummary");
+  }
+};
+
+// GET /api/owner/payouts[?status=]
+exports.listPayouts = async function listPayouts(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const items = await PayoutService.list({ ownerId, status: req.query.status, limit: req.query.limit });
+    return res.json({ items });
+  } catch (err) {
+    return sendError(res, err, "listPayouts");
+  }
+};
+
+// GET /api/owner/payouts/ledger[?from=&to=&type=&cursor=&limit=]
+exports.listLedger = async function listLedger(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const { from, to, type, cursor, limit } = req.query;
+    return res.json(await LedgerService.listOwnerEntries(ownerId, { from, to, type, cursor, limit }));
+  } catch (err) {
+    return sendError(res, err, "listLedger");
+  }
+};
+
+// GET /api/owner/payouts/statements/:period[?format=json|csv|pdf]
+// period is "YYYY-MM"
+exports.getStatement = async function getStatement(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(422).json({ message: "format must be json, csv or pdf" });
+    }
+
+    const statement = await LedgerService.statement(ownerId, req.params.period);
+    const filename = `flexidesk-statement-${statement.period}`;
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(LedgerService.statementCsv(statement));
+    }
+    if (format === "pdf") {
+      const owner = await User.findById(ownerId).select("fullName email").lean();
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+      return res.send(LedgerService.statementPdf(statement, owner || {}));
+    }
+
+    return res.json({ statement });
+  } catch (err) {
+    return sendError(res, err, "getStatement");
+  }
+};
+
+// GET /api/owner/payouts/:id
+exports.getPayout = async function getPayout(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const payout = await PayoutService.getForOwner(ownerId, req.params.id);
+    return res.json({ payout });
+  } catch (err) {
+    return sendError(res, err, "getPayout");
+  }
+};
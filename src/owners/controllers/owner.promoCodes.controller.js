@@ -0,0 +1,73 @@
+// src/owners/controllers/owner.promoCodes.controller.js
+const mongoose = require("mongoose");
+const PromoCodeService = require("../../services/PromoCodeService");
+
+const uid = (req) => req.user?._id || req.user?.id || req.user?.uid || null;
+
+function sendError(res, err, label) {
+  if (err?.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: "Failed to process promo code" });
+}
+
+// GET /api/owner/promo-codes[?status=]
+exports.listPromoCodes = async function listPromoCodes(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const items = await PromoCodeService.list({ userId: ownerId, isAdmin: false }, { status: req.query.status });
+    return res.json({ items });
+  } catch (err) {
+    return sendError(res, err, "listPromoCodes");
+  }
+};
+
+// POST /api/owner/promo-codes
+// body: { code, type: "percentage" | "fixed", value, listingIds?, description?, maxDiscount?, minSpend?,
+//         maxUses?, maxUsesPerUser?, firstBookingOnly?, startsAt?, endsAt? }
+exports.createPromoCode = async function createPromoCode(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+
+    const promoCode = await PromoCodeService.createOwnerCode(ownerId, req.body || {});
+    return res.status(201).json({ promoCode });
+  } catch (err) {
+    return sendError(res, err, "createPromoCode");
+  }
+};
+
+// PATCH /api/owner/promo-codes/:id
+exports.updatePromoCode = async function updatePromoCode(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const promoCode = await PromoCodeService.update(req.params.id, { userId: ownerId, isAdmin: false }, req.body || {});
+    return res.json({ promoCode });
+  } catch (err) {
+    return sendError(res, err, "updatePromoCode");
+  }
+};
+
+// DELETE /api/owner/promo-codes/:id  -> disable (redemptions already made stay valid)
+exports.disablePromoCode = async function disablePromoCode(req, res) {
+  try {
+    const ownerId = uid(req);
+    if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const promoCode = await PromoCodeService.update(req.params.id, { userId: ownerId, isAdmin: false }, { status: "disabled" });
+    return res.json({ promoCode });
+  } catch (err) {
+    return sendError(res, err, "disablePromoCode");
+  }
+};
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const Booking = require("../../models/Booking");
 const Listing = require("../../models/Listing");
+const LedgerService = require("../../services/LedgerService");
+const FeeConfigService = require("../../services/FeeConfigService");
 
 function resolveKind(status) {
   const s = (status || "").toLowerCase();
@@ -8,13 +10,26 @@ function resolveKind(status) {
   return "earning";
 }
 
+// Commission and tax rates stored on the booking, with the tax in its amount
+function feeDetails(b, amount) {
+  const { tax, commissionPercent } = FeeConfigService.breakdown(b, amount);
+  return {
+    tax,
+    rates: {
+      commissionPercent,
+      commissionSource: b.feeRates?.commissionSource || "default",
+      taxes: b.feeRates?.taxes || [],
+    },
+  };
+}
+
 exports.listMine = async (req, res) => {
   try {
     const ownerId = req.user._id;
     const { kind, limit = 20, cursor } = req.query;
     const lim = Math.min(Number(limit) || 20, 50);
 
-    const base = {};
+    const base = { ownerId };
 
     if (cursor) {
       base.createdAt = { $lt: new Date(Number(cursor)) };
@@ -29,17 +44,11 @@ exports.listMine = async (req, res) => {
     const rows = await Booking.find(base)
       .sort({ createdAt: -1 })
       .limit(lim + 1)
-      .populate({
-        path: "listingId",
-        select: "title owner",
-        match: { owner: new mongoose.Types.ObjectId(ownerId) },
-      })
+      .populate({ path: "listingId", select: "title" })
       .lean();
 
-    const owned = rows.filter((b) => b.listingId && b.listingId.owner?.toString() === ownerId.toString());
-
     let nextCursor = null;
-    let items = owned;
+    let items = rows;
 
     if (items.length > lim) {
       const last = items[lim - 1];
@@ -47,6 +56,9 @@ exports.listMine = async (req, res) => {
       items = items.slice(0, lim);
     }
 
+    // Fees and net come from the ledger; bookings not paid yet have no earnings
+    const earnings = await LedgerService.bookingEarnings(items.map((b) => b._id));
+
     const normalized = items.map((b) => {
       const amt =
         typeof b.amount === "number"
@@ -62,11 +74,14 @@ exports.listMine = async (req, res) => {
         amount: amt,
         currency: b.currency || "PHP",
         status: b.status,
-        reference: b.payment?.checkoutId || b._id.toString(),
+        reference: b.payment?.checkoutId || b.manualPayment?.reference || b._id.toString(),
+        paymentMethod: b.provider || "paymongo",
         bookingCode: b._id.toString(),
         listingTitle: b.listingId?.title || null,
         note: null,
         description: b.pricingSnapshot?.label || null,
+        ...feeDetails(b, amt),
+        earnings: earnings.get(String(b._id)) || null,
         effectiveAt: b.startDate ? new Date(b.startDate) : b.createdAt,
         createdAt: b.createdAt,
       };
@@ -86,16 +101,21 @@ exports.getById = async (req, res) => {
   try {
     const ownerId = req.user._id;
 
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Transaction not found" });
+    }
+
     const booking = await Booking.findOne({
       _id: req.params.id,
+      ownerId,
     })
       .populate({
         path: "listingId",
-        select: "title owner",
+        select: "title",
       })
       .lean();
 
-    if (!booking || booking.listingId?.owner?.toString() !== ownerId.toString()) {
+    if (!booking) {
       return res.status(404).json({ message: "Transaction not found" });
     }
 
@@ -106,6 +126,8 @@ exports.getById = async (req, res) => {
         ? booking.pricingSnapshot.total
         : 0;
 
+    const earnings = await LedgerService.bookingEarnings([booking._id]);
+
     const data = {
       id: booking._id,
       kind: resolveKind(booking.status),
@@ -113,11 +135,14 @@ exports.getById = async (req, res) => {
       amount: amt,
       currency: booking.currency || "PHP",
       status: booking.status,
-      reference: booking.payment?.checkoutId || booking._id.toString(),
+      reference: booking.payment?.checkoutId || booking.manualPayment?.reference || booking._id.toString(),
+      paymentMethod: booking.provider || "paymongo",
       bookingCode: booking._id.toString(),
       listingTitle: booking.listingId?.title || null,
       note: null,
       description: booking.pricingSnapshot?.label || null,
+      ...feeDetails(booking, amt),
+      earnings: earnings.get(String(booking._id)) || null,
       effectiveAt: booking.startDate ? new Date(booking.startDate) : booking.createdAt,
       createdAt: booking.createdAt,
       raw: booking,
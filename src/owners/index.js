@@ -3,6 +3,7 @@ const router = require("express").Router();
 router.use("/account", require("./routes/account.routes"));
 router.use("/listings", require("./routes/listings.routes"));
 router.use("/bookings", require("./routes/bookings.routes"));
+router.use("/checkin", require("./routes/checkin.routes"));
 router.use("/inquiries", require("./routes/inquiries.routes"));
 router.use("/analytics", require("./routes/analytics.routes"));
 router.use("/notifications", require("./routes/notifications.routes"));
@@ -10,5 +11,8 @@ router.use("/transactions", require("./routes/transactions.routes"));
 router.use("/cancellation-policies", require("./routes/cancellation-policies.routes"));
 router.use("/refunds", require("./routes/refunds.routes"));
 router.use("/reviews", require("./routes/reviews.routes"));
+router.use("/credit-plans", require("./routes/credit-plans.routes"));
+router.use("/promo-codes", require("./routes/promo-codes.routes"));
+router.use("/payouts", require("./routes/payouts.routes"));
 
 module.exports = router;
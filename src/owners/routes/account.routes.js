@@ -25,4 +25,49 @@ router.post("/ensure-owner", requireUser, async (req, res) => {
   }
 });
 
+// GET /api/owner/account/business
+// Business name, TIN and address printed on invoices for this owner's bookings.
+router.get("/business", requireUser, async (req, res) => {
+  try {
+    const u = await User.findById(req.user.uid).select("fullName business").lean();
+    if (!u) return res.status(404).json({ message: "User not found" });
+    res.json({ business: u.business || {}, fallbackName: u.fullName });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to load business details" });
+  }
+});
+
+// PUT /api/owner/account/business
+// body: { name, tin, address } - applies to invoices issued from now on
+router.put("/business", requireUser, async (req, res) => {
+  try {
+    const { name, tin, address } = req.body || {};
+
+    const business = {
+      name: String(name || "").trim().slice(0, 120),
+      address: String(address || "").trim().slice(0, 300),
+    };
+
+    // 9 digits, optionally followed by a 3-5 digit branch code
+    const digits = String(tin || "").replace(/[\s-]/g, "");
+    if (digits && !/^\d{9}(\d{3,5})?$/.test(digits)) {
+      return res.status(422).json({ message: "TIN must be 9 digits plus an optional 3-5 digit branch code" });
+    }
+    business.tin = digits
+      ? [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6, 9), digits.slice(9)].filter(Boolean).join("-")
+      : "";
+
+    const u = await User.findByIdAndUpdate(
+      req.user.uid,
+      { $set: { business } },
+      { new: true, runValidators: true }
+    ).select("business").lean();
+    if (!u) return res.status(404).json({ message: "User not found" });
+
+    res.json({ business: u.business });
+  } catch (e) {
+    res.status(500).json({ message: e.message || "Failed to save business details" });
+  }
+});
+
 module.exports = router;
@@ -5,8 +5,9 @@ const router = express.Router();
 const {
   getOwnerBookingsMine,
   getOwnerBookingOne,
-  completeOwnerBooking,
   updateOwnerBookingStatus,
+  confirmManualPayment,
+  rejectManualPayment,
 } = require("../controllers/owner.bookings.controller");
 
 const { requireAuth } = require("../../middleware/auth");
@@ -15,7 +16,10 @@ const { requireAuth } = require("../../middleware/auth");
 router.get("/mine", requireAuth, getOwnerBookingsMine);
 
 router.get("/:id", requireAuth, getOwnerBookingOne);
-router.post("/:id/complete", requireAuth, completeOwnerBooking);
 router.patch("/:id/status", requireAuth, updateOwnerBookingStatus);
 
+// bank transfer / cash bookings
+router.post("/:id/payment/confirm", requireAuth, confirmManualPayment);
+router.post("/:id/payment/reject", requireAuth, rejectManualPayment);
+
 module.exports = router;
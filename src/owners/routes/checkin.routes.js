@@ -0,0 +1,12 @@
+// src/owners/routes/checkin.routes.js
+const express = require("express");
+const router = express.Router();
+
+const { scanCheckIn } = require("../controllers/owner.checkin.controller");
+
+const { requireAuth } = require("../../middleware/auth");
+
+// POST /api/owner/checkin/scan
+router.post("/scan", requireAuth, scanCheckIn);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/owners/routes/credit-plans.routes.js
+const express = require("express");
+const router = express.Router();
+
+const {
+  listPlans,
+  createPlan,
+  updatePlan,
+  archivePlan,
+} = require("../controllers/owner.creditPlans.controller");
+
+const { requireAuth } = require("../../middleware/auth");
+
+// GET /api/owner/credit-plans
+router.get("/", requireAuth, listPlans);
+
+// POST /api/owner/credit-plans
+router.post("/", requireAuth, createPlan);
+
+// PATCH /api/owner/credit-plans/:id
+router.patch("/:id", requireAuth, updatePlan);
+
+// DELETE /api/owner/credit-plans/:id
+router.delete("/:id", requireAuth, archivePlan);
+
+module.exports = router;
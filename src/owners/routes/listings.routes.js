@@ -2,6 +2,7 @@ const router = require("express").Router();
 const requireUser = require("../../middleware/requireUser");
 const { uploadListingPhotos } = require("../../middleware/uploadCloudinary");
 const validateCancellationPolicy = require("../../middleware/validateCancellationPolicy");
+const validateAvailability = require("../../middleware/validateAvailability");
 const ctrl = require("../controllers/owner.listings.controller");
 
 // CREATE
@@ -23,6 +24,32 @@ router.patch("/:id/status", requireUser, ctrl.updateStatus);
 router.get("/:id/cancellation-policy", requireUser, ctrl.getCancellationPolicy);
 router.put("/:id/cancellation-policy", requireUser, validateCancellationPolicy, ctrl.setCancellationPolicy);
 
+// RESCHEDULE POLICY
+router.get("/:id/reschedule-policy", requireUser, ctrl.getReschedulePolicy);
+router.put("/:id/reschedule-policy", requireUser, ctrl.setReschedulePolicy);
+
+// PRICING RULES
+router.get("/:id/pricing-rules", requireUser, ctrl.getPricingRules);
+router.put("/:id/pricing-rules", requireUser, ctrl.setPricingRules);
+
+// BANK TRANSFER / CASH PAYMENTS
+router.get("/:id/payment-methods", requireUser, ctrl.getPaymentMethods);
+router.put("/:id/payment-methods", requireUser, ctrl.setPaymentMethods);
+
+// AVAILABILITY CALENDAR
+router.get("/:id/availability", requireUser, ctrl.getAvailability);
+router.put("/:id/availability", requireUser, validateAvailability, ctrl.setAvailability);
+router.post("/:id/availability/blackouts", requireUser, ctrl.addBlackout);
+router.delete("/:id/availability/blackouts/:blackoutId", requireUser, ctrl.removeBlackout);
+
+// CALENDAR SYNC (the .ics feed is authorized by its token, not a session)
+router.get("/:id/calendar.ics", ctrl.getCalendarFeed);
+router.get("/:id/calendar", requireUser, ctrl.getCalendarSync);
+router.post("/:id/calendar/token", requireUser, ctrl.rotateCalendarToken);
+router.post("/:id/calendar/external", requireUser, ctrl.addExternalCalendar);
+router.post("/:id/calendar/external/:calendarId/sync", requireUser, ctrl.syncExternalCalendar);
+router.delete("/:id/calendar/external/:calendarId", requireUser, ctrl.removeExternalCalendar);
+
 // PHOTO MANAGEMENT
 router.post("/:id/photos", requireUser, uploadListingPhotos.array("photos", 10), ctrl.uploadPhotos);
 router.delete("/:id/photos/:index", requireUser, ctrl.deletePhoto);
@@ -0,0 +1,30 @@
+// src/owners/routes/payouts.routes.js
+const express = require("express");
+const router = express.Router();
+
+const {
+  getSummary,
+  listPayouts,
+  listLedger,
+  getStatement,
+  getPayout,
+} = require("../controllers/owner.payouts.controller");
+
+const { requireAuth } = require("../../middleware/auth");
+
+// GET /api/owner/payouts/summary
+router.get("/summary", requireAuth, getSummary);
+
+// GET /api/owner/payouts/ledger
+router.get("/ledger", requireAuth, listLedger);
+
+// GET /api/owner/payouts/statements/:period
+router.get("/statements/:period", requireAuth, getStatement);
+
+// GET /api/owner/payouts
+router.get("/", requireAuth, listPayouts);
+
+// GET /api/owner/payouts/:id
+router.get("/:id", requireAuth, getPayout);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/owners/routes/promo-codes.routes.js
+const express = require("express");
+const router = express.Router();
+
+const {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  disablePromoCode,
+} = require("../controllers/owner.promoCodes.controller");
+
+const { requireAuth } = require("../../middleware/auth");
+
+// GET /api/owner/promo-codes
+router.get("/", requireAuth, listPromoCodes);
+
+// POST /api/owner/promo-codes
+router.post("/", requireAuth, createPromoCode);
+
+// PATCH /api/owner/promo-codes/:id
+router.patch("/:id", requireAuth, updatePromoCode);
+
+// DELETE /api/owner/promo-codes/:id
+router.delete("/:id", requireAuth, disablePromoCode);
+
+module.exports = router;
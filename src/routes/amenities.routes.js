@@ -0,0 +1,8 @@
+// src/routes/amenities.routes.js
+const router = require("express").Router();
+const ctrl = require("../controllers/amenities.controller");
+
+// GET /api/amenities  -> amenity and accessibility catalog (public)
+router.get("/", ctrl.list);
+
+module.exports = router;
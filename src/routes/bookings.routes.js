@@ -1,8 +1,11 @@
 // src/routes/bookings.routes.js
 const router = require("express").Router();
 const { requireAuth } = require("../middleware/auth");
+const { uploadPaymentProof } = require("../middleware/uploadCloudinary");
 const ctrl = require("../controllers/bookings.controller");
 const reviewCtrl = require("../controllers/reviews.controller");
+const seriesCtrl = require("../controllers/bookingSeries.controller");
+const rescheduleCtrl = require("../controllers/bookingReschedule.controller");
 
 // current user's bookings
 router.get("/me", requireAuth, ctrl.listMine);
@@ -10,7 +13,24 @@ router.get("/", requireAuth, ctrl.list);
 router.get("/blocked-dates", requireAuth, ctrl.getBlockedDates);
 router.get("/busy-slots", requireAuth, ctrl.getBusySlots);
 router.post("/check-availability", requireAuth, ctrl.checkAvailability);
+router.post("/quote", requireAuth, ctrl.quote);
 router.post("/intent", requireAuth, ctrl.createBookingIntent);
+
+// recurring series (single occurrences cancel via /api/bookings/:id/cancel)
+router.post("/series/quote", requireAuth, seriesCtrl.quoteSeries);
+router.post("/series", requireAuth, seriesCtrl.createSeries);
+router.get("/series/:id", requireAuth, seriesCtrl.getSeries);
+router.post("/series/:id/cancel", requireAuth, seriesCtrl.cancelSeries);
+
+router.post("/:id/payment/sync", requireAuth, ctrl.syncPayment);
+router.get("/:id/invoice", requireAuth, ctrl.getInvoice);
+router.post("/:id/payment-proof", requireAuth, uploadPaymentProof.single("proof"), ctrl.uploadPaymentProof);
+
+// move a paid booking to a new date/time (policy set by the owner per listing)
+router.post("/:id/reschedule/preview", requireAuth, rescheduleCtrl.previewReschedule);
+router.post("/:id/reschedule", requireAuth, rescheduleCtrl.reschedule);
+router.get("/:id/reschedules", requireAuth, rescheduleCtrl.listReschedules);
+
 // NOTE: Cancel route moved to cancellations.routes.js to use new CancellationRequest flow
 // router.post("/:id/cancel", requireAuth, ctrl.cancel);
 router.post("/:id/review", requireAuth, reviewCtrl.createForBooking);
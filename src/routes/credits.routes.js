@@ -0,0 +1,20 @@
+// src/routes/credits.routes.js
+const router = require("express").Router();
+const { requireAuth } = require("../middleware/auth");
+const ctrl = require("../controllers/credits.controller");
+
+router.use(requireAuth);
+
+// GET /api/credits/plans?listingId=  -> packs and memberships usable at a listing
+router.get("/plans", ctrl.listPlans);
+
+// POST /api/credits/plans/:planId/purchase  -> opens a checkout
+router.post("/plans/:planId/purchase", ctrl.purchase);
+
+// GET /api/credits/me  -> my packs and memberships with balances
+router.get("/me", ctrl.listMine);
+
+// GET /api/credits/:id/ledger
+router.get("/:id/ledger", ctrl.getLedger);
+
+module.exports = router;
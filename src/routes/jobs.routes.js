@@ -3,6 +3,10 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const reviewReminderJob = require('../jobs/reviewReminderJob');
+const bookingHoldExpiryJob = require('../jobs/bookingHoldExpiryJob');
+const calendarSyncJob = require('../jobs/calendarSyncJob');
+const organizationStatementJob = require('../jobs/organizationStatementJob');
+const payoutJob = require('../jobs/payoutJob');
 
 /**
  * GET /api/jobs/review-reminder/stats
@@ -59,4 +63,208 @@ router.post('/review-reminder/run', requireAuth, requireAdmin, async (req, res)
   }
 });
 
+/**
+ * GET /api/jobs/booking-hold-expiry/stats
+ * Get booking hold expiry job statistics
+ * Admin only
+ */
+router.get('/booking-hold-expiry/stats', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: bookingHoldExpiryJob.getStats(),
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error getting job stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job statistics',
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/booking-hold-expiry/run
+ * Manually trigger the booking hold expiry job
+ * Admin only
+ */
+router.post('/booking-hold-expiry/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (bookingHoldExpiryJob.getStats().isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    bookingHoldExpiryJob.run().catch(error => {
+      console.error('[JobsAPI] Error running job:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking hold expiry job started',
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error starting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start job',
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/calendar-sync/stats
+ * Get external calendar sync job statistics
+ * Admin only
+ */
+router.get('/calendar-sync/stats', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: calendarSyncJob.getStats(),
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error getting job stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job statistics',
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/calendar-sync/run
+ * Manually trigger the external calendar sync job
+ * Admin only
+ */
+router.post('/calendar-sync/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (calendarSyncJob.getStats().isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    calendarSyncJob.run().catch(error => {
+      console.error('[JobsAPI] Error running job:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar sync job started',
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error starting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start job',
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/organization-statements/stats
+ * Get organization statement job statistics
+ * Admin only
+ */
+router.get('/organization-statements/stats', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: organizationStatementJob.getStats(),
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error getting job stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job statistics',
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/organization-statements/run
+ * Manually trigger the organization statement job
+ * Admin only
+ */
+router.post('/organization-statements/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (organizationStatementJob.getStats().isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    organizationStatementJob.run().catch(error => {
+      console.error('[JobsAPI] Error running job:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization statement job started',
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error starting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start job',
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/payouts/stats
+ * Get payout job statistics
+ * Admin only
+ */
+router.get('/payouts/stats', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: payoutJob.getStats(),
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error getting job stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job statistics',
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/payouts/run
+ * Manually trigger the payout job (ledger sync, plus a payout batch on the payout day)
+ * Admin only
+ */
+router.post('/payouts/run', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (payoutJob.getStats().isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    payoutJob.run().catch(error => {
+      console.error('[JobsAPI] Error running job:', error);
+    });
+
+    res.json({
+      success: true,
+      message: 'Payout job started',
+    });
+  } catch (error) {
+    console.error('[JobsAPI] Error starting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start job',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,30 @@
+// src/routes/organizations.routes.js
+const router = require("express").Router();
+const { requireAuth } = require("../middleware/auth");
+const ctrl = require("../controllers/organizations.controller");
+
+router.use(requireAuth);
+
+// organizations the current user belongs to
+router.get("/", ctrl.listMine);
+router.post("/", ctrl.create);
+
+router.get("/:id", ctrl.getOne);
+router.patch("/:id", ctrl.update);
+
+// members (org admins; any member may remove themselves)
+router.post("/:id/members", ctrl.addMember);
+router.patch("/:id/members/:userId", ctrl.updateMember);
+router.delete("/:id/members/:userId", ctrl.removeMember);
+
+// consolidated team bookings and approvals
+router.get("/:id/bookings", ctrl.listBookings);
+router.get("/:id/approvals", ctrl.listApprovals);
+router.post("/:id/bookings/:bookingId/approve", ctrl.approveBooking);
+router.post("/:id/bookings/:bookingId/reject", ctrl.rejectBooking);
+
+// monthly statements (org admins)
+router.get("/:id/statements", ctrl.listStatements);
+router.get("/:id/statements/:period", ctrl.getStatement);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+// src/routes/payments.routes.js
+const router = require("express").Router();
+const { handleWebhook, completeFakeCheckout } = require("../controllers/payments.controller");
+
+router.post("/:provider/webhook", handleWebhook);
+router.get("/fake/checkout/:id", completeFakeCheckout);
+
+module.exports = router;
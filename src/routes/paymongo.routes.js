@@ -1,7 +1,8 @@
 // src/routes/paymongo.routes.js
 const router = require("express").Router();
-const { handleWebhook } = require("../controllers/paymongo.controller");
+const { handleWebhook } = require("../controllers/payments.controller");
 
+// Webhook URL registered with PayMongo before providers were pluggable
 router.post("/webhook", handleWebhook);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const router = require("express").Router();
 const requireUser = require("../middleware/requireUser");
 const User = require("../models/User");
 const Booking = require("../models/Booking");
+const CalendarSyncService = require("../services/CalendarSyncService");
 
 // GET /api/users/me
 router.get("/me", requireUser, async (req, res) => {
@@ -38,4 +39,44 @@ router.get("/me/bookings", requireUser, async (req, res) => {
   }
 });
 
+function bookingsFeedUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}/me/bookings.ics?token=${token}`;
+}
+
+// GET /api/users/me/calendar - subscription URL for the bookings.ics feed
+router.get("/me/calendar", requireUser, async (req, res) => {
+  try {
+    const token = await CalendarSyncService.userFeedToken(req.user.uid);
+    res.json({ feedUrl: bookingsFeedUrl(req, token) });
+  } catch (err) {
+    console.error("[Users] Error getting calendar feed:", err);
+    res.status(err.statusCode || 500).json({ error: err.message || "Failed to get calendar feed" });
+  }
+});
+
+// POST /api/users/me/calendar/token - replace the feed token (old URLs stop working)
+router.post("/me/calendar/token", requireUser, async (req, res) => {
+  try {
+    const token = await CalendarSyncService.userFeedToken(req.user.uid, { rotate: true });
+    res.json({ feedUrl: bookingsFeedUrl(req, token) });
+  } catch (err) {
+    console.error("[Users] Error rotating calendar token:", err);
+    res.status(err.statusCode || 500).json({ error: err.message || "Failed to rotate calendar token" });
+  }
+});
+
+// GET /api/users/me/bookings.ics?token=... - calendar apps can't send a bearer token,
+// so the feed token alone identifies the user
+router.get("/me/bookings.ics", async (req, res) => {
+  try {
+    const ics = await CalendarSyncService.userFeed(req.query.token);
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(ics);
+  } catch (err) {
+    if (err.statusCode !== 404) console.error("[Users] Error building bookings feed:", err);
+    res.status(err.statusCode || 500).json({ error: err.message || "Failed to build calendar" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,20 @@
+// src/routes/waitlist.routes.js
+const router = require("express").Router();
+const { requireAuth } = require("../middleware/auth");
+const ctrl = require("../controllers/waitlist.controller");
+
+router.use(requireAuth);
+
+// POST /api/waitlist  -> join the waitlist for a full window
+router.post("/", ctrl.join);
+
+// GET /api/waitlist/me
+router.get("/me", ctrl.listMine);
+
+// POST /api/waitlist/:id/accept  -> claim an offered slot (temporary hold)
+router.post("/:id/accept", ctrl.accept);
+
+// DELETE /api/waitlist/:id  -> leave the waitlist
+router.delete("/:id", ctrl.leave);
+
+module.exports = router;
@@ -0,0 +1,303 @@
+/**
+ * AmenityCatalogService
+ * Admin-managed catalog of listing amenities and accessibility features.
+ *
+ * Listings keep catalog keys in amenities[] and accessibility[], plus numeric
+ * wifiMbps and outletsPerSeat, so search can filter on them ("standing desks
+ * AND wifi >= 100 Mbps AND wheelchair accessible"). Owner and admin edits are
+ * checked against the catalog: unknown keys are rejected, and archived ones
+ * can only stay on listings that already have them. Keys are lower-case words
+ * joined by hyphens ("standing-desk"), like the idealFor values.
+ */
+
+const Amenity = require('../models/Amenity');
+const { amenityKeys } = require('../utils/search');
+
+const KINDS = ['amenity', 'accessibility'];
+const STATUSES = ['active', 'archived'];
+const KEY_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const CACHE_MS = 60 * 1000;
+
+// Listing field holding each kind of key
+const FIELD_BY_KIND = { amenity: 'amenities', accessibility: 'accessibility' };
+const NUMERIC_FIELDS = ['wifiMbps', 'outletsPerSeat'];
+
+// Seeded by migrations/normalize-listing-amenities.js; the first six are the
+// keys listings already used
+const DEFAULT_AMENITIES = [
+  { key: 'wifi', label: 'Wi-Fi', icon: 'wifi', category: 'connectivity' },
+  { key: 'power', label: 'Power outlets', icon: 'plug', category: 'connectivity' },
+  { key: 'ac', label: 'Air conditioning', icon: 'snowflake', category: 'comfort' },
+  { key: 'coffee', label: 'Coffee', icon: 'coffee', category: 'food-drink' },
+  { key: 'whiteboard', label: 'Whiteboard', icon: 'presentation', category: 'meeting' },
+  { key: 'projector', label: 'Projector', icon: 'projector', category: 'meeting' },
+  { key: 'standing-desk', label: 'Standing desks', icon: 'desk', category: 'workspace' },
+  { key: 'ergonomic-chair', label: 'Ergonomic chairs', icon: 'armchair', category: 'workspace' },
+  { key: 'external-monitor', label: 'External monitors', icon: 'monitor', category: 'workspace' },
+  { key: 'phone-booth', label: 'Phone booths', icon: 'phone', category: 'workspace' },
+  { key: 'printer', label: 'Printer', icon: 'printer', category: 'facilities' },
+  { key: 'lockers', label: 'Lockers', icon: 'lock', category: 'facilities' },
+  { key: 'pantry', label: 'Pantry', icon: 'utensils', category: 'food-drink' },
+  { key: 'shower', label: 'Shower', icon: 'shower-head', category: 'facilities' },
+  { key: 'wheelchair-access', kind: 'accessibility', label: 'Wheelchair accessible', icon: 'accessibility', category: 'mobility' },
+  { key: 'step-free-entrance', kind: 'accessibility', label: 'Step-free entrance', icon: 'door-open', category: 'mobility' },
+  { key: 'elevator', kind: 'accessibility', label: 'Elevator', icon: 'arrow-up-down', category: 'mobility' },
+  { key: 'accessible-restroom', kind: 'accessibility', label: 'Accessible restroom', icon: 'bath', category: 'facilities' },
+  { key: 'braille-signage', kind: 'accessibility', label: 'Braille signage', icon: 'hand', category: 'sensory' },
+  { key: 'hearing-loop', kind: 'accessibility', label: 'Hearing loop', icon: 'ear', category: 'sensory' },
+  { key: 'service-animals', kind: 'accessibility', label: 'Service animals welcome', icon: 'dog', category: 'other' },
+];
+
+function catalogError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function requiredText(value, field, max) {
+  const s = String(value ?? '').trim();
+  if (!s) throw catalogError(`${field} is required`);
+  if (s.length > max) throw catalogError(`${field} must be at most ${max} characters`);
+  return s;
+}
+
+/**
+ * Keys from a query value: "standing-desk,wifi" or a repeated parameter
+ */
+function listParam(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(parts.map((p) => String(p).trim().toLowerCase()).filter(Boolean))];
+}
+
+class AmenityCatalogService {
+  constructor() {
+    this._cache = null;
+  }
+
+  /**
+   * Catalog key for a legacy or free-form name: "standingDesk", "Standing desk"
+   * and "standing_desk" all become "standing-desk"
+   * @param {string} value - Name
+   * @returns {string} Key ('' when nothing is left)
+   */
+  normalizeKey(value) {
+    return String(value ?? '')
+      .trim()
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Whole catalog, archived entries included (cached briefly)
+   * @returns {Promise<Array>} Entries
+   */
+  async catalog() {
+    if (this._cache && Date.now() - this._cache.at < CACHE_MS) return this._cache.entries;
+
+    const entries = await Amenity.find({}).sort({ kind: 1, category: 1, sortOrder: 1, label: 1 }).lean();
+    this._cache = { at: Date.now(), entries };
+    return entries;
+  }
+
+  /**
+   * Catalog entries for display
+   * @param {Object} filters - { kind, status ('all' for every status, default active) }
+   * @returns {Promise<Array>} Entries
+   */
+  async list({ kind, status = 'active' } = {}) {
+    if (kind && !KINDS.includes(kind)) throw catalogError(`kind must be one of: ${KINDS.join(', ')}`, 400);
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      throw catalogError(`status must be one of: ${STATUSES.join(', ')}, all`, 400);
+    }
+
+    const entries = await this.catalog();
+    return entries.filter((e) => (!kind || e.kind === kind) && (status === 'all' || e.status === status));
+  }
+
+  /**
+   * Add a catalog entry
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - { key, kind, label, icon, category, sortOrder }
+   * @returns {Promise<Object>} Entry
+   */
+  async create(adminId, data = {}) {
+    const key = String(data.key ?? '').trim().toLowerCase();
+    if (!KEY_RE.test(key) || key.length > 48) {
+      throw catalogError('key must be lower-case words joined by hyphens, e.g. "standing-desk"');
+    }
+    const kind = data.kind || 'amenity';
+    if (!KINDS.includes(kind)) throw catalogError(`kind must be one of: ${KINDS.join(', ')}`);
+
+    if (await Amenity.exists({ key })) throw catalogError(`Amenity ${key} already exists`, 409);
+
+    const entry = await Amenity.create({
+      key,
+      kind,
+      ...this._fields(data, true),
+      createdBy: adminId,
+      updatedBy: adminId,
+    });
+    this._cache = null;
+
+    console.log(`[AmenityCatalogService] ${key} (${kind}) added by ${adminId}`);
+    return entry.toObject();
+  }
+
+  /**
+   * Edit or archive a catalog entry; key and kind can't change
+   * @param {string} key - Entry key
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - { label, icon, category, sortOrder, status }
+   * @returns {Promise<Object>} Entry
+   */
+  async update(key, adminId, data = {}) {
+    const current = await Amenity.findOne({ key }).select('kind').lean();
+    if (!current) throw catalogError('Amenity not found', 404);
+    if ((data.key !== undefined && data.key !== key) || (data.kind !== undefined && data.kind !== current.kind)) {
+      throw catalogError('key and kind cannot be changed; archive the entry and add a new one');
+    }
+
+    const set = this._fields(data, false);
+    if (data.status !== undefined) {
+      if (!STATUSES.includes(data.status)) throw catalogError(`status must be one of: ${STATUSES.join(', ')}`);
+      set.status = data.status;
+    }
+
+    const entry = await Amenity.findOneAndUpdate(
+      { key },
+      { $set: { ...set, updatedBy: adminId } },
+      { new: true }
+    ).lean();
+    if (!entry) throw catalogError('Amenity not found', 404);
+    this._cache = null;
+
+    console.log(`[AmenityCatalogService] ${key} updated by ${adminId}`);
+    return entry;
+  }
+
+  /**
+   * Check the amenity fields of a listing create or update against the catalog.
+   * Only fields present in `input` are returned.
+   * @param {Object} input - Request body: { amenities, accessibility, wifiMbps, outletsPerSeat }
+   * @param {Object} current - Stored listing being updated (null on create)
+   * @returns {Promise<Object>} Normalized fields
+   */
+  async validateListingFeatures(input = {}, current = null) {
+    const out = {};
+
+    for (const field of NUMERIC_FIELDS) {
+      if (input[field] === undefined) continue;
+      if (input[field] === null || input[field] === '') {
+        out[field] = null;
+        continue;
+      }
+      const n = Number(input[field]);
+      if (!Number.isFinite(n) || n < 0) throw catalogError(`${field} must be a number of at least 0`);
+      out[field] = n;
+    }
+
+    const kinds = KINDS.filter((kind) => input[FIELD_BY_KIND[kind]] !== undefined);
+    if (!kinds.length) return out;
+
+    const byKey = new Map((await this.catalog()).map((e) => [e.key, e]));
+    for (const kind of kinds) {
+      const field = FIELD_BY_KIND[kind];
+      // Older clients send { key: true|false } maps or comma-separated names
+      const raw = typeof input[field] === 'string' ? input[field].split(',') : input[field];
+      const keys = [...new Set(amenityKeys(raw).map((k) => this.normalizeKey(k)).filter(Boolean))];
+      const kept = new Set(current?.[field] || []);
+
+      const unknown = keys.filter((k) => !byKey.has(k));
+      if (unknown.length) throw catalogError(`Unknown ${field}: ${unknown.join(', ')}`);
+
+      const misplaced = keys.filter((k) => byKey.get(k).kind !== kind);
+      if (misplaced.length) {
+        throw catalogError(`${misplaced.join(', ')} belong${misplaced.length === 1 ? 's' : ''} in ${field === 'amenities' ? 'accessibility' : 'amenities'}`);
+      }
+
+      const retired = keys.filter((k) => byKey.get(k).status !== 'active' && !kept.has(k));
+      if (retired.length) throw catalogError(`No longer offered: ${retired.join(', ')}`);
+
+      out[field] = keys;
+    }
+
+    return out;
+  }
+
+  /**
+   * Search conditions for amenity filters. Every listed key is required.
+   * @param {Object} query - { amenities, accessibility, minWifiMbps, minOutletsPerSeat }
+   * @returns {Promise<Array>} Match conditions (empty when not filtered)
+   */
+  async searchFilters({ amenities, accessibility, minWifiMbps, minOutletsPerSeat } = {}) {
+    const conditions = [];
+    const wanted = { amenities: listParam(amenities), accessibility: listParam(accessibility) };
+
+    if (wanted.amenities.length || wanted.accessibility.length) {
+      const byKey = new Map((await this.catalog()).map((e) => [e.key, e]));
+      for (const kind of KINDS) {
+        const field = FIELD_BY_KIND[kind];
+        if (!wanted[field].length) continue;
+
+        const unknown = wanted[field].filter((k) => byKey.get(k)?.kind !== kind);
+        if (unknown.length) throw catalogError(`Unknown ${field}: ${unknown.join(', ')}`, 400);
+        conditions.push({ [field]: { $all: wanted[field] } });
+      }
+    }
+
+    for (const [param, field, value] of [
+      ['minWifiMbps', 'wifiMbps', minWifiMbps],
+      ['minOutletsPerSeat', 'outletsPerSeat', minOutletsPerSeat],
+    ]) {
+      if (value === undefined || value === '') continue;
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) throw catalogError(`${param} must be a number of at least 0`, 400);
+      conditions.push({ [field]: { $gte: n } });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Add the default catalog entries that don't exist yet
+   * @returns {Promise<number>} Entries added
+   */
+  async seedDefaults() {
+    let added = 0;
+    for (const entry of DEFAULT_AMENITIES) {
+      const res = await Amenity.updateOne(
+        { key: entry.key },
+        { $setOnInsert: { kind: 'amenity', sortOrder: 0, status: 'active', ...entry } },
+        { upsert: true }
+      );
+      if (res.upsertedCount) added++;
+    }
+    this._cache = null;
+    return added;
+  }
+
+  /**
+   * Validate label, icon, category and sortOrder
+   * @private
+   */
+  _fields(data, creating) {
+    const out = {};
+    if (creating || data.label !== undefined) out.label = requiredText(data.label, 'label', 80);
+    if (creating || data.category !== undefined) {
+      out.category = this.normalizeKey(requiredText(data.category, 'category', 40));
+    }
+    if (data.icon !== undefined) out.icon = String(data.icon ?? '').trim().slice(0, 64);
+    if (data.sortOrder !== undefined) {
+      const n = Number(data.sortOrder);
+      if (!Number.isFinite(n)) throw catalogError('sortOrder must be a number');
+      out.sortOrder = n;
+    }
+    return out;
+  }
+}
+
+module.exports = new AmenityCatalogService();
+module.exports.KINDS = KINDS;
+module.exports.DEFAULT_AMENITIES = DEFAULT_AMENITIES;
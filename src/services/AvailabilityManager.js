@@ -0,0 +1,398 @@
+/**
+ * AvailabilityManager Service
+ * Manages owner-defined availability for workspaces: a weekly opening
+ * schedule, date-specific special hours and blackout ranges.
+ *
+ * Resolution order for a given day: blackout > special hours > weekly
+ * schedule > legacy free-text opening hours > open all day.
+ */
+
+const Listing = require('../models/Listing');
+
+const TIME_RE = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const OPEN_ALL_DAY = { closed: false, open: '00:00', close: '24:00' };
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function weekdayOf(dayISO) {
+  return new Date(`${dayISO}T00:00:00Z`).getUTCDay();
+}
+
+function daysBetween(startISO, endISO) {
+  const out = [];
+  const d = new Date(`${startISO}T00:00:00Z`);
+  const stop = new Date(`${endISO}T00:00:00Z`);
+  if (!Number.isFinite(d.getTime()) || !Number.isFinite(stop.getTime())) return out;
+  while (d <= stop) {
+    out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+/**
+ * Parse legacy free-text hours like "9:00 AM - 6:00 PM", "08:00-20:00" or "Closed"
+ * @returns {Object|null} { closed, open, close } or null if not understood
+ */
+function parseLegacyHours(text) {
+  const raw = String(text || '').trim().toLowerCase();
+  if (!raw) return null;
+  if (/^closed$/.test(raw)) return { closed: true, open: null, close: null };
+  if (/24\s*\/\s*7|24\s*hours/.test(raw)) return { ...OPEN_ALL_DAY };
+
+  const m = raw.match(
+    /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/
+  );
+  if (!m) return null;
+
+  const to24 = (h, min, ap) => {
+    let hour = Number(h) % (ap ? 12 : 24);
+    if (ap === 'pm') hour += 12;
+    if (!ap && Number(h) === 24) hour = 24;
+    return `${String(hour).padStart(2, '0')}:${min || '00'}`;
+  };
+
+  const open = to24(m[1], m[2], m[3]);
+  const close = to24(m[4], m[5], m[6] || (m[3] === 'am' && Number(m[4]) < Number(m[1]) ? 'pm' : m[3]));
+  if (!TIME_RE.test(open) || !TIME_RE.test(close) || toMinutes(close) <= toMinutes(open)) return null;
+  return { closed: false, open, close };
+}
+
+class AvailabilityManager {
+  /**
+   * Get availability settings for a workspace
+   * @param {string} listingId - Workspace ID
+   * @returns {Promise<Object>} Availability settings
+   */
+  async getAvailability(listingId) {
+    const listing = await Listing.findById(listingId)
+      .select('availability openingHoursWeekdays openingHoursWeekends')
+      .lean();
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return this._withDefaults(listing.availability);
+  }
+
+  /**
+   * Replace availability settings for a workspace
+   * @param {string} listingId - Workspace ID
+   * @param {Object} data - { weeklySchedule, specialHours, blackouts }
+   * @returns {Promise<Object>} Saved availability settings
+   */
+  async setAvailability(listingId, data) {
+    const validation = this.validateAvailability(data);
+    if (!validation.valid) {
+      throw new Error(`Invalid availability: ${validation.errors.join(', ')}`);
+    }
+
+    const availability = {
+      weeklySchedule: this._sortedSchedule(data.weeklySchedule || []),
+      specialHours: [...(data.specialHours || [])].sort((a, b) => a.date.localeCompare(b.date)),
+      blackouts: [...(data.blackouts || [])].sort((a, b) => a.startDate.localeCompare(b.startDate)),
+      updatedAt: new Date(),
+    };
+
+    const listing = await Listing.findByIdAndUpdate(
+      listingId,
+      { $set: { availability } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return this._withDefaults(listing.availability);
+  }
+
+  /**
+   * Add a blackout range
+   * @param {string} listingId - Workspace ID
+   * @param {Object} blackout - { startDate, endDate, reason }
+   * @returns {Promise<Object>} Saved availability settings
+   */
+  async addBlackout(listingId, blackout) {
+    const errors = this._validateBlackout(blackout, 0);
+    if (errors.length) {
+      throw new Error(`Invalid blackout: ${errors.join(', ')}`);
+    }
+
+    const listing = await Listing.findByIdAndUpdate(
+      listingId,
+      {
+        $push: {
+          'availability.blackouts': {
+            startDate: blackout.startDate,
+            endDate: blackout.endDate,
+            reason: blackout.reason || '',
+          },
+        },
+        $set: { 'availability.updatedAt': new Date() },
+      },
+      { new: true }
+    ).lean();
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return this._withDefaults(listing.availability);
+  }
+
+  /**
+   * Remove a blackout range
+   * @param {string} listingId - Workspace ID
+   * @param {string} blackoutId - Blackout subdocument ID
+   * @returns {Promise<Object>} Saved availability settings
+   */
+  async removeBlackout(listingId, blackoutId) {
+    const listing = await Listing.findByIdAndUpdate(
+      listingId,
+      {
+        $pull: { 'availability.blackouts': { _id: blackoutId } },
+        $set: { 'availability.updatedAt': new Date() },
+      },
+      { new: true }
+    ).lean();
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return this._withDefaults(listing.availability);
+  }
+
+  /**
+   * Validate availability data
+   * @param {Object} data - { weeklySchedule, specialHours, blackouts }
+   * @returns {Object} { valid: boolean, errors: Array<string> }
+   */
+  validateAvailability(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return { valid: false, errors: ['Availability data must be an object'] };
+    }
+
+    const { weeklySchedule = [], specialHours = [], blackouts = [] } = data;
+
+    if (!Array.isArray(weeklySchedule)) {
+      errors.push('weeklySchedule must be an array');
+    } else {
+      const seen = new Set();
+      weeklySchedule.forEach((entry, i) => {
+        const day = Number(entry?.day);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+          errors.push(`weeklySchedule[${i}].day must be 0 (Sunday) to 6 (Saturday)`);
+          return;
+        }
+        if (seen.has(day)) errors.push(`Duplicate schedule for ${DAY_NAMES[day]}`);
+        seen.add(day);
+        errors.push(...this._validateHours(entry, `weeklySchedule[${i}]`));
+      });
+    }
+
+    if (!Array.isArray(specialHours)) {
+      errors.push('specialHours must be an array');
+    } else {
+      const seen = new Set();
+      specialHours.forEach((entry, i) => {
+        if (!DATE_RE.test(String(entry?.date || ''))) {
+          errors.push(`specialHours[${i}].date must be YYYY-MM-DD`);
+          return;
+        }
+        if (seen.has(entry.date)) errors.push(`Duplicate special hours for ${entry.date}`);
+        seen.add(entry.date);
+        errors.push(...this._validateHours(entry, `specialHours[${i}]`));
+      });
+    }
+
+    if (!Array.isArray(blackouts)) {
+      errors.push('blackouts must be an array');
+    } else {
+      blackouts.forEach((entry, i) => errors.push(...this._validateBlackout(entry, i)));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /* ===================== EVALUATION ===================== */
+
+  /**
+   * Resolve opening hours for a single day
+   * @param {Object} listing - Listing with availability / openingHours fields
+   * @param {string} dayISO - Day (YYYY-MM-DD)
+   * @returns {Object} { closed, open, close, source, reason? }
+   */
+  hoursForDate(listing, dayISO) {
+    const availability = listing?.availability || {};
+
+    const blackout = (availability.blackouts || []).find(
+      (b) => dayISO >= b.startDate && dayISO <= b.endDate
+    );
+    if (blackout) {
+      return { closed: true, open: null, close: null, source: 'blackout', reason: blackout.reason || null };
+    }
+
+    const special = (availability.specialHours || []).find((s) => s.date === dayISO);
+    if (special) {
+      return this._hoursEntry(special, 'special', special.note);
+    }
+
+    const weekday = weekdayOf(dayISO);
+    const schedule = availability.weeklySchedule || [];
+    if (schedule.length) {
+      const entry = schedule.find((s) => Number(s.day) === weekday);
+      // A structured schedule without this weekday means closed that day
+      return entry
+        ? this._hoursEntry(entry, 'weekly')
+        : { closed: true, open: null, close: null, source: 'weekly' };
+    }
+
+    const legacyText = weekday === 0 || weekday === 6
+      ? listing?.openingHoursWeekends
+      : listing?.openingHoursWeekdays;
+    const legacy = parseLegacyHours(legacyText);
+    if (legacy) return { ...legacy, source: 'legacy' };
+
+    return { ...OPEN_ALL_DAY, source: 'default' };
+  }
+
+  /**
+   * Check a requested booking window against the calendar
+   * @param {Object} listing - Listing document
+   * @param {Object} window - { startDate, endDate, checkInTime, checkOutTime }
+   * @returns {Object|null} null if bookable, otherwise { reason, date, hours }
+   */
+  checkWindow(listing, { startDate, endDate, checkInTime, checkOutTime }) {
+    const hasTimes = TIME_RE.test(String(checkInTime || '')) && TIME_RE.test(String(checkOutTime || ''));
+
+    for (const day of daysBetween(startDate, endDate)) {
+      const hours = this.hoursForDate(listing, day);
+
+      if (hours.closed) {
+        return { reason: hours.source === 'blackout' ? 'blackout' : 'closed', date: day, hours };
+      }
+
+      // Timed bookings repeat the same window each day and must fit inside opening hours
+      if (hasTimes) {
+        const inside =
+          toMinutes(checkInTime) >= toMinutes(hours.open) &&
+          toMinutes(checkOutTime) <= toMinutes(hours.close);
+        if (!inside) {
+          return { reason: 'outside_hours', date: day, hours };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List closed days (blackouts, closed weekdays, closed special days) in a range
+   * @param {Object} listing - Listing document
+   * @param {string} fromISO - First day (YYYY-MM-DD)
+   * @param {string} toISO - Last day (YYYY-MM-DD)
+   * @returns {Array<string>} Closed days
+   */
+  closedDates(listing, fromISO, toISO) {
+    return daysBetween(fromISO, toISO).filter((day) => this.hoursForDate(listing, day).closed);
+  }
+
+  /**
+   * Keep only the slots that fit inside a day's opening hours
+   * @param {Object} listing - Listing document
+   * @param {string} dayISO - Day (YYYY-MM-DD)
+   * @param {Array<Object>} slots - [{ start, end }]
+   * @returns {Array<Object>} Slots inside opening hours
+   */
+  filterSlots(listing, dayISO, slots) {
+    const hours = this.hoursForDate(listing, dayISO);
+    if (hours.closed) return [];
+    return slots.filter(
+      (s) => toMinutes(s.start) >= toMinutes(hours.open) && toMinutes(s.end) <= toMinutes(hours.close)
+    );
+  }
+
+  /**
+   * Human-readable message for a checkWindow() result
+   * @param {Object} conflict - { reason, date, hours }
+   * @returns {string}
+   */
+  describeConflict(conflict) {
+    if (conflict.reason === 'blackout') {
+      return `This space is unavailable on ${conflict.date}` +
+        (conflict.hours?.reason ? ` (${conflict.hours.reason}).` : '.');
+    }
+    if (conflict.reason === 'closed') {
+      return `This space is closed on ${conflict.date}.`;
+    }
+    return `Selected times are outside opening hours on ${conflict.date} ` +
+      `(${conflict.hours.open}-${conflict.hours.close}).`;
+  }
+
+  /* ===================== HELPERS ===================== */
+
+  /**
+   * @private
+   */
+  _hoursEntry(entry, source, note) {
+    if (entry.closed) return { closed: true, open: null, close: null, source, reason: note || null };
+    return { closed: false, open: entry.open, close: entry.close, source, reason: note || null };
+  }
+
+  /**
+   * @private
+   */
+  _validateHours(entry, label) {
+    if (entry?.closed) return [];
+    if (!TIME_RE.test(String(entry?.open || '')) || !TIME_RE.test(String(entry?.close || ''))) {
+      return [`${label} needs open and close times (HH:MM) or closed: true`];
+    }
+    if (toMinutes(entry.close) <= toMinutes(entry.open)) {
+      return [`${label} close time must be after open time`];
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  _validateBlackout(entry, i) {
+    const errors = [];
+    if (!DATE_RE.test(String(entry?.startDate || '')) || !DATE_RE.test(String(entry?.endDate || ''))) {
+      errors.push(`blackouts[${i}] needs startDate and endDate (YYYY-MM-DD)`);
+    } else if (entry.endDate < entry.startDate) {
+      errors.push(`blackouts[${i}] endDate must not be before startDate`);
+    }
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _sortedSchedule(schedule) {
+    return [...schedule]
+      .map((s) => ({ ...s, day: Number(s.day) }))
+      .sort((a, b) => a.day - b.day);
+  }
+
+  /**
+   * @private
+   */
+  _withDefaults(availability) {
+    return {
+      weeklySchedule: availability?.weeklySchedule || [],
+      specialHours: availability?.specialHours || [],
+      blackouts: availability?.blackouts || [],
+      updatedAt: availability?.updatedAt || null,
+    };
+  }
+}
+
+module.exports = new AvailabilityManager();
+module.exports.parseLegacyHours = parseLegacyHours;
@@ -0,0 +1,348 @@
+/**
+ * BookingPaymentService
+ * Payment state machine for bookings.
+ *
+ *   pending_payment ──(verified webhook / checkout poll)──> paid
+ *   pending_payment ──(hold expired)──────────────────────> expired
+ *   expired ─────────(late payment, slot still free)──────> paid
+ *   expired ─────────(late payment, slot taken)───────────> expired, flagged lateConflict for refund
+ *
+ * Payment for a hold past holdExpiresAt is treated as late even before the
+ * expiry job marks it expired, since the slot may already be re-booked.
+ *
+ *   pending_approval ──(org admin approves)──> pending_payment (awaiting_payment if paid manually)
+ *   pending_approval ──(rejected / lapsed)───> rejected / expired
+ *
+ *   awaiting_payment ──(owner/admin confirms transfer or cash)──> paid
+ *   awaiting_payment ──(payment deadline passed)──────────────> expired
+ *
+ * A booking only becomes "paid" through markPaid(), which is called by the
+ * payment webhook handler, the server-side checkout session poll and
+ * ManualPaymentService when a bank transfer or cash payment is confirmed.
+ */
+
+const Booking = require('../models/Booking');
+const payments = require('./payments');
+
+const BOOKING_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 30);
+
+const PAYABLE_STATUSES = ['pending_payment', 'awaiting_payment'];
+// Unconfirmed bookings that hold their slot until holdExpiresAt
+const HOLDING_STATUSES = [...PAYABLE_STATUSES, 'pending_approval'];
+
+// Allowed status transitions driven by payment events
+const PAYMENT_TRANSITIONS = {
+  pending_payment: ['paid', 'expired', 'cancelled'],
+  awaiting_payment: ['paid', 'expired', 'cancelled'],
+  pending_approval: ['pending_payment', 'awaiting_payment', 'rejected', 'expired', 'cancelled'],
+  expired: ['paid'],
+  paid: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+class BookingPaymentService {
+  /**
+   * Hold length for unpaid bookings, in minutes
+   * @returns {number}
+   */
+  get holdMinutes() {
+    return BOOKING_HOLD_MINUTES;
+  }
+
+  /**
+   * Compute the hold expiry for a booking created now
+   * @param {Date} now - Reference time
+   * @returns {Date} Hold expiry
+   */
+  holdExpiry(now = new Date()) {
+    return new Date(now.getTime() + BOOKING_HOLD_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Check whether a status transition is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (PAYMENT_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Query fragment matching bookings that currently occupy their slot:
+   * not cancelled/expired, and unpaid holds only while the hold is live.
+   * @param {Date} now - Reference time
+   * @returns {Object} Mongo filter
+   */
+  occupyingFilter(now = new Date()) {
+    const legacyCutoff = new Date(now.getTime() - BOOKING_HOLD_MINUTES * 60 * 1000);
+    return {
+      status: { $nin: ['cancelled', 'expired', 'rejected'] },
+      $or: [
+        { status: { $nin: HOLDING_STATUSES } },
+        { holdExpiresAt: { $gt: now } },
+        // Holds created before hold expiries existed
+        { holdExpiresAt: null, createdAt: { $gt: legacyCutoff } },
+      ],
+    };
+  }
+
+  /**
+   * Whether an unpaid hold no longer occupies its slot (the inverse of
+   * occupyingFilter for a holding booking), even if the expiry job hasn't
+   * marked it expired yet
+   * @param {Object} booking - Booking
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  holdLapsed(booking, now = new Date()) {
+    if (booking.status === 'expired') return true;
+    if (!HOLDING_STATUSES.includes(booking.status)) return false;
+    if (booking.holdExpiresAt) return new Date(booking.holdExpiresAt) <= now;
+    const legacyCutoff = new Date(now.getTime() - BOOKING_HOLD_MINUTES * 60 * 1000);
+    return !!booking.createdAt && new Date(booking.createdAt) <= legacyCutoff;
+  }
+
+  /**
+   * Create a checkout session with a payment provider
+   * @param {Object} params - { amount (PHP), description, successUrl, cancelUrl, metadata, lineItems, idempotencyKey, provider }
+   * @returns {Promise<Object>} { id, url }
+   */
+  async createCheckoutSession({ provider, ...params }) {
+    return payments.get(provider).createCheckout(params);
+  }
+
+  /**
+   * Move a booking to paid and send the confirmation (idempotent)
+   * @param {Object} booking - Booking document
+   * @param {Object} payment - { paymentId, amount (centavos), paidAt (unix seconds), source }
+   * @param {Object} options - { viaSeries, notify }
+   * @returns {Promise<Object>} { action, bookingId } or { ignored, reason, bookingId }
+   */
+  async markPaid(booking, { paymentId, amount, paidAt, source = 'webhook' } = {}, { viaSeries = false, notify = true } = {}) {
+    const { ensureBookingQrToken, sendBookingEmailSafe } = require('../controllers/bookings.controller');
+    const Listing = require('../models/Listing');
+
+    // One checkout pays for every occurrence of a recurring series
+    if (booking.seriesId && !viaSeries) {
+      const RecurringBookingService = require('./RecurringBookingService');
+      return RecurringBookingService.markSeriesPaid(booking.seriesId, { paymentId, amount, paidAt, source });
+    }
+
+    booking.payment = booking.payment || {};
+    if (paymentId) booking.payment.paymentId = paymentId;
+
+    if (!this.canTransition(booking.status, 'paid')) {
+      await booking.save();
+      return { ignored: true, reason: `booking_${booking.status}`, bookingId: String(booking._id) };
+    }
+
+    // Money arrived after the hold lapsed: only confirm if the slot is still free.
+    // A lapsed hold the expiry job hasn't reached yet no longer occupies its slot
+    // either, so it is re-checked the same way.
+    const now = new Date();
+    if (this.holdLapsed(booking, now)) {
+      const BookingReservationService = require('./BookingReservationService');
+      const listing = await Listing.findById(booking.listingId).lean();
+      const conflict = await BookingReservationService.reoccupy(booking, listing, {
+        $set: { status: 'paid' },
+        $unset: { holdExpiresAt: 1 },
+      });
+
+      if (conflict) {
+        const wasHolding = booking.status !== 'expired';
+        if (wasHolding) {
+          booking.status = 'expired';
+          booking.expiredAt = now;
+        }
+        booking.payment.paidAt = this._paidAt(paidAt);
+        booking.payment.lateConflict = true;
+        await booking.save();
+        if (wasHolding) await this._releasePromo(booking);
+        console.warn(`[BookingPaymentService] Booking ${booking._id} paid after expiry but slot was taken; needs refund`);
+        return { ignored: true, reason: 'paid_after_expiry_conflict', bookingId: String(booking._id) };
+      }
+
+      const PromoCodeService = require('./PromoCodeService');
+      await PromoCodeService.reclaimForBooking(booking);
+    }
+
+    booking.status = 'paid';
+    booking.holdExpiresAt = undefined;
+    booking.payment.paidAt = this._paidAt(paidAt);
+    booking.payment.confirmedVia = source;
+    if (Number.isFinite(Number(amount))) booking.payment.amount = Number(amount) / 100;
+    booking.payment.failedAt = undefined;
+    booking.payment.failureReason = undefined;
+
+    await booking.save();
+    await ensureBookingQrToken(booking);
+    if (notify) await sendBookingEmailSafe(booking);
+
+    const LedgerService = require('./LedgerService');
+    const InvoiceService = require('./InvoiceService');
+    await LedgerService.syncBookingSafe(booking._id);
+    await InvoiceService.syncBookingSafe(booking._id);
+
+    console.log(`[BookingPaymentService] Booking ${booking._id} marked paid via ${source}`);
+    return { action: 'marked_paid', bookingId: String(booking._id) };
+  }
+
+  /**
+   * Poll the booking's payment provider for its checkout session and apply the result
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} { status, gatewayStatus, changed }
+   */
+  async syncCheckoutSession(booking) {
+    const checkoutId = booking.payment?.checkoutId;
+    if (!checkoutId) {
+      return { status: booking.status, gatewayStatus: null, changed: false };
+    }
+
+    const checkout = await payments.forBooking(booking).getCheckout(checkoutId);
+    const gatewayStatus = checkout.status;
+
+    if (!checkout.payment) {
+      return { status: booking.status, gatewayStatus, changed: false };
+    }
+
+    const before = booking.status;
+    await this.markPaid(booking, { ...checkout.payment, paymentId: checkout.payment.id, source: 'poll' });
+
+    // Series occurrences are updated from fresh documents, not this instance
+    let status = booking.status;
+    if (booking.seriesId) {
+      const fresh = await Booking.findById(booking._id).select('status').lean();
+      status = fresh?.status || status;
+    }
+
+    return { status, gatewayStatus, changed: before !== status };
+  }
+
+  /**
+   * Expire a single unpaid hold (re-checks the gateway first)
+   * @param {Object} booking - Booking document
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} True if the booking was expired
+   */
+  async expireHold(booking, now = new Date()) {
+    if (!HOLDING_STATUSES.includes(booking.status)) return false;
+
+    // Don't expire a hold whose payment webhook we simply missed
+    if (booking.payment?.checkoutId && payments.forBooking(booking).isConfigured()) {
+      try {
+        const result = await this.syncCheckoutSession(booking);
+        if (result.changed) return false;
+      } catch (error) {
+        console.error(`[BookingPaymentService] Checkout poll failed for booking ${booking._id}:`, error.message);
+        return false;
+      }
+    }
+
+    // Occurrences of a series share one checkout, so they expire together
+    if (booking.seriesId) {
+      const RecurringBookingService = require('./RecurringBookingService');
+      const count = await RecurringBookingService.expireSeries(booking.seriesId, now);
+      if (count > 0) {
+        const occurrences = await Booking.find({ seriesId: booking.seriesId, status: 'expired', expiredAt: now })
+          .select('listingId startDate endDate')
+          .lean();
+        for (const occurrence of occurrences) await this._releaseToWaitlist(occurrence);
+      }
+      return count > 0;
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      { $set: { status: 'expired', expiredAt: now } },
+      { new: true }
+    );
+
+    if (updated) {
+      await this._releaseToWaitlist(updated);
+      await this._releasePromo(updated);
+      await this._expireManualPayment(updated, booking.status);
+    }
+    return !!updated;
+  }
+
+  /**
+   * Expire all unpaid holds whose expiry has passed
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { checked, expired }
+   */
+  async expireStaleHolds(now = new Date()) {
+    const legacyCutoff = new Date(now.getTime() - BOOKING_HOLD_MINUTES * 60 * 1000);
+
+    const stale = await Booking.find({
+      status: { $in: HOLDING_STATUSES },
+      $or: [
+        { holdExpiresAt: { $lte: now } },
+        { holdExpiresAt: null, createdAt: { $lte: legacyCutoff } },
+      ],
+    }).limit(200);
+
+    let expired = 0;
+    const seenSeries = new Set();
+    for (const booking of stale) {
+      if (booking.seriesId) {
+        if (seenSeries.has(String(booking.seriesId))) continue;
+        seenSeries.add(String(booking.seriesId));
+      }
+      if (await this.expireHold(booking, now)) expired++;
+    }
+
+    return { checked: stale.length, expired };
+  }
+
+  /**
+   * Offer an expired hold's slot to waitlisted clients
+   * @private
+   */
+  async _releaseToWaitlist(booking) {
+    try {
+      const WaitlistService = require('./WaitlistService');
+      await WaitlistService.releaseSlot(booking);
+    } catch (error) {
+      console.error(`[BookingPaymentService] Waitlist release failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Give an unpaid booking's promo code use back
+   * @private
+   */
+  async _releasePromo(booking) {
+    try {
+      const PromoCodeService = require('./PromoCodeService');
+      await PromoCodeService.releaseForBooking(booking);
+    } catch (error) {
+      console.error(`[BookingPaymentService] Promo release failed for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Close out an unpaid bank transfer / cash booking and tell both sides
+   * @private
+   */
+  async _expireManualPayment(booking, previousStatus) {
+    const ManualPaymentService = require('./ManualPaymentService');
+    if (previousStatus !== 'awaiting_payment' || !ManualPaymentService.isManual(booking)) return;
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { 'manualPayment.status': 'expired' } });
+    await ManualPaymentService.notify(booking._id, 'expired');
+  }
+
+  /**
+   * @private
+   */
+  _paidAt(paidAt) {
+    const n = Number(paidAt);
+    return Number.isFinite(n) && n > 0 ? new Date(n * 1000) : new Date();
+  }
+}
+
+module.exports = new BookingPaymentService();
+module.exports.PAYABLE_STATUSES = PAYABLE_STATUSES;
+module.exports.HOLDING_STATUSES = HOLDING_STATUSES;
@@ -0,0 +1,536 @@
+/**
+ * BookingRescheduleService
+ * Moves a paid booking to another date, time or guest count.
+ *
+ *   new price + change fee <= old price ──> move now, refund the difference
+ *   new price + change fee >  old price ──> checkout for the difference,
+ *                                           move when the payment is verified
+ *
+ * The new slot is not held while the client pays. When the payment arrives
+ * the move is re-checked atomically; if the slot was taken in the meantime
+ * the extra payment is refunded and the booking keeps its original schedule.
+ */
+
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const BookingReschedule = require('../models/BookingReschedule');
+const PolicyManager = require('./PolicyManager');
+const PriceQuoteService = require('./PriceQuoteService');
+const FxService = require('./FxService');
+const AvailabilityManager = require('./AvailabilityManager');
+const BookingPaymentService = require('./BookingPaymentService');
+const BookingReservationService = require('./BookingReservationService');
+const ManualPaymentService = require('./ManualPaymentService');
+const { generateQrToken } = require('../utils/qrToken');
+
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+function rescheduleError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function scheduleOf(b) {
+  return {
+    startDate: b.startDate,
+    endDate: b.endDate,
+    checkInTime: b.checkInTime || null,
+    checkOutTime: b.checkOutTime || null,
+    guests: Number(b.guests || 1),
+  };
+}
+
+function startOf(schedule) {
+  const time = TIME_RE.test(String(schedule.checkInTime || '')) ? schedule.checkInTime : '00:00';
+  return new Date(`${schedule.startDate}T${time}:00`);
+}
+
+class BookingRescheduleService {
+  /**
+   * Price a proposed reschedule and check it against policy and availability
+   * @param {Object} booking - Booking document
+   * @param {Object} listing - Listing document (lean)
+   * @param {Object} changes - { startDate, endDate, checkInTime, checkOutTime, guests } (omitted = unchanged)
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { policy, from, to, quote, changeFee, priceDifference, amountDue, refundAmount }
+   */
+  async evaluate(booking, listing, changes = {}, now = new Date()) {
+    if (booking.status !== 'paid') {
+      throw rescheduleError(`Only paid bookings can be rescheduled (status: ${booking.status})`, 409);
+    }
+    if (booking.credit?.purchaseId) {
+      throw rescheduleError('Bookings paid with credits cannot be rescheduled; cancel and book again instead', 409);
+    }
+    if (ManualPaymentService.isManual(booking)) {
+      throw rescheduleError('Bookings paid by bank transfer or cash cannot be rescheduled; cancel and book again instead', 409);
+    }
+
+    const policy = PolicyManager.resolveReschedulePolicy(listing);
+    if (!policy.allowReschedule) {
+      throw rescheduleError('This workspace does not allow rescheduling', 403);
+    }
+    if (Number(booking.rescheduleCount || 0) >= Number(policy.maxReschedules)) {
+      throw rescheduleError(`This booking has reached the limit of ${policy.maxReschedules} reschedule(s)`, 403);
+    }
+
+    const from = { ...scheduleOf(booking), amount: Number(booking.amount || 0) };
+    const hoursUntilStart = (startOf(from) - now) / (60 * 60 * 1000);
+    if (hoursUntilStart < Number(policy.minHoursBeforeStart)) {
+      throw rescheduleError(
+        `Bookings can only be rescheduled at least ${policy.minHoursBeforeStart} hour(s) before they start`,
+        403
+      );
+    }
+
+    const to = {
+      startDate: changes.startDate || from.startDate,
+      endDate: changes.endDate || changes.startDate || from.endDate,
+      checkInTime: 'checkInTime' in changes ? changes.checkInTime || null : from.checkInTime,
+      checkOutTime: 'checkOutTime' in changes ? changes.checkOutTime || null : from.checkOutTime,
+      guests: changes.guests != null ? Number(changes.guests) : from.guests,
+    };
+
+    const unchanged = ['startDate', 'endDate', 'checkInTime', 'checkOutTime', 'guests']
+      .every((k) => String(to[k] ?? '') === String(from[k] ?? ''));
+    if (unchanged) {
+      throw rescheduleError('The new schedule is the same as the current one');
+    }
+
+    if (startOf(to) <= now) {
+      throw rescheduleError('The new schedule must be in the future');
+    }
+
+    // Same pricing rules as a new booking (validates dates, guests, min hours);
+    // a promo code already redeemed on the booking keeps applying to the new window.
+    // Foreign-currency bookings are converted at the rates they were booked with,
+    // and taxed with the rules in force when they were made.
+    const rates = {
+      listingCurrency: booking.fx?.listingCurrency || String(booking.currency || 'PHP').toUpperCase(),
+      listingRate: booking.fx?.listingRate || 1,
+      displayCurrency: booking.fx?.displayCurrency || String(booking.currency || 'PHP').toUpperCase(),
+      displayRate: booking.fx?.displayRate || 1,
+    };
+    const quote = FxService.applyFx(PriceQuoteService.calculate(listing, to, {
+      promo: booking.pricingSnapshot?.promo || null,
+      enforceMinSpend: false,
+      settlementRate: rates.listingRate,
+      taxes: booking.feeRates?.taxes || [],
+    }), rates);
+    if (quote.currency !== rates.listingCurrency) {
+      throw rescheduleError('The listing currency changed since this booking was made', 409);
+    }
+    to.guests = quote.guests;
+    to.amount = quote.settlement.total;
+
+    const calendar = AvailabilityManager.checkWindow(listing, to);
+    if (calendar) {
+      throw rescheduleError(AvailabilityManager.describeConflict(calendar), 409);
+    }
+
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+    const overlap = await findOverlappingBooking({
+      listingId: booking.listingId,
+      ...to,
+      excludeBookingId: booking._id,
+      requestedGuests: to.guests,
+      listingDoc: listing,
+    });
+    if (overlap) {
+      throw rescheduleError(
+        overlap.status === 'conflict_capacity'
+          ? 'Not enough seats available for the new schedule.'
+          : 'The new schedule is not available.',
+        409
+      );
+    }
+
+    const changeFee = round2(policy.changeFee);
+    const priceDifference = round2(to.amount - from.amount);
+    const balance = round2(priceDifference + changeFee);
+
+    return {
+      policy,
+      from,
+      to,
+      quote,
+      changeFee,
+      priceDifference,
+      amountDue: balance > 0 ? balance : 0,
+      refundAmount: balance < 0 && policy.refundPriceDifference ? -balance : 0,
+    };
+  }
+
+  /**
+   * Preview a reschedule for the booking's owner (client)
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Requesting client
+   * @param {Object} changes - New schedule fields
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async preview(bookingId, userId, changes) {
+    const { booking, listing } = await this._load(bookingId, userId);
+    return this.evaluate(booking, listing, changes);
+  }
+
+  /**
+   * Reschedule a booking, or start a checkout for the price difference
+   * @param {string} bookingId - Booking ID
+   * @param {string} userId - Requesting client
+   * @param {Object} changes - New schedule fields
+   * @param {Object} options - { successUrl, cancelUrl }
+   * @returns {Promise<Object>} BookingReschedule document (plain object) with checkout when payment is due
+   */
+  async request(bookingId, userId, changes, { successUrl, cancelUrl } = {}) {
+    const { booking, listing } = await this._load(bookingId, userId);
+    const evaluation = await this.evaluate(booking, listing, changes);
+
+    // Only one pending reschedule per booking
+    await BookingReschedule.updateMany(
+      { bookingId: booking._id, status: 'pending_payment' },
+      { $set: { status: 'superseded' } }
+    );
+
+    const reschedule = await BookingReschedule.create({
+      bookingId: booking._id,
+      userId: booking.userId,
+      ownerId: booking.ownerId,
+      listingId: booking.listingId,
+      from: evaluation.from,
+      to: evaluation.to,
+      pricingSnapshot: evaluation.quote,
+      changeFee: evaluation.changeFee,
+      priceDifference: evaluation.priceDifference,
+      amountDue: evaluation.amountDue,
+      refundAmount: evaluation.refundAmount,
+      status: 'pending_payment',
+      holdExpiresAt: evaluation.amountDue > 0 ? BookingPaymentService.holdExpiry() : undefined,
+    });
+
+    if (evaluation.amountDue === 0) {
+      await this.apply(reschedule, booking, listing);
+      return reschedule.toObject();
+    }
+
+    const name = listing.venue || listing.title || 'Workspace';
+    const checkout = await BookingPaymentService.createCheckoutSession({
+      amount: evaluation.amountDue,
+      description: `Reschedule ${reschedule._id} • Booking ${booking._id} • ${name}`,
+      successUrl: `${successUrl}?bookingId=${booking._id}&rescheduleId=${reschedule._id}`,
+      cancelUrl: `${cancelUrl}&bookingId=${booking._id}&rescheduleId=${reschedule._id}`,
+      metadata: {
+        bookingId: String(booking._id),
+        rescheduleId: String(reschedule._id),
+        listingId: String(listing._id),
+        userId: String(booking.userId),
+        priceDifference: String(evaluation.priceDifference),
+        changeFee: String(evaluation.changeFee),
+        total: String(evaluation.amountDue),
+      },
+      lineItems: [
+        ...(evaluation.priceDifference > 0
+          ? [{ name: `${name} • reschedule price difference`, amount: evaluation.priceDifference }]
+          : []),
+        ...(evaluation.amountDue > Math.max(0, evaluation.priceDifference)
+          ? [{ name: 'Change fee', amount: round2(evaluation.amountDue - Math.max(0, evaluation.priceDifference)) }]
+          : []),
+      ],
+      idempotencyKey: reschedule._id,
+    });
+
+    reschedule.payment = { checkoutId: checkout.id, checkoutUrl: checkout.url };
+    await reschedule.save();
+
+    return reschedule.toObject();
+  }
+
+  /**
+   * What the client has paid for the stay once a reschedule completes: the old
+   * amount plus any charge, less any refund and the change fee. A price drop
+   * the owner doesn't refund leaves it above the new quote.
+   * @param {Object} reschedule - BookingReschedule
+   * @returns {number} Booking amount (PHP)
+   */
+  paidAmount(reschedule) {
+    return round2(
+      Number(reschedule.from?.amount || 0) +
+      Number(reschedule.amountDue || 0) -
+      Number(reschedule.refundAmount || 0) -
+      Number(reschedule.changeFee || 0)
+    );
+  }
+
+  /**
+   * Apply a reschedule to its booking and settle any refund
+   * @param {Object} reschedule - BookingReschedule document
+   * @param {Object} booking - Booking document
+   * @param {Object} listing - Listing document (lean)
+   * @returns {Promise<Object>} The updated reschedule
+   */
+  async apply(reschedule, booking, listing) {
+    const { to, from } = reschedule;
+    const now = new Date();
+
+    const adjustments = [];
+    if (reschedule.payment?.paymentId) {
+      adjustments.push({
+        type: 'reschedule_charge',
+        amount: reschedule.amountDue,
+        paymentId: reschedule.payment.paymentId,
+        rescheduleId: String(reschedule._id),
+        at: now,
+      });
+    }
+
+    const conflict = await BookingReservationService.move(booking, listing, to, {
+      $set: {
+        startDate: to.startDate,
+        endDate: to.endDate,
+        checkInTime: to.checkInTime,
+        checkOutTime: to.checkOutTime,
+        guests: to.guests,
+        // Refunds and the ledger work from what was paid; the new price is kept beside it
+        amount: this.paidAmount(reschedule),
+        quotedAmount: to.amount,
+        nights: reschedule.pricingSnapshot?.nights || booking.nights,
+        totalHours: reschedule.pricingSnapshot?.totalHours ?? booking.totalHours,
+        pricingSnapshot: reschedule.pricingSnapshot,
+        ...(booking.fx?.listingCurrency
+          ? {
+              'fx.listingTotal': reschedule.pricingSnapshot.total,
+              'fx.displayTotal': reschedule.pricingSnapshot.display?.total,
+            }
+          : {}),
+        // The QR code expires with the booking window, so it moves too
+        qrToken: generateQrToken({ _id: booking._id, listingId: booking.listingId, ...to }),
+        qrGeneratedAt: now,
+      },
+      $inc: { rescheduleCount: 1 },
+      $push: {
+        rescheduleHistory: { rescheduleId: String(reschedule._id), from, to, at: now },
+        ...(adjustments.length ? { 'payment.adjustments': { $each: adjustments } } : {}),
+      },
+    });
+
+    if (conflict) {
+      reschedule.status = 'conflict';
+      reschedule.failureReason = 'The new schedule was booked by someone else before the reschedule completed';
+      await reschedule.save();
+
+      // Give back what was collected for a move that can no longer happen
+      if (reschedule.amountDue > 0) {
+        await this._refund(reschedule, booking, reschedule.amountDue, 'Reschedule could not be completed');
+      }
+
+      console.warn(`[BookingRescheduleService] Reschedule ${reschedule._id} hit a conflict; booking ${booking._id} unchanged`);
+      return reschedule;
+    }
+
+    reschedule.status = 'completed';
+    reschedule.completedAt = now;
+    reschedule.holdExpiresAt = undefined;
+    await reschedule.save();
+
+    if (reschedule.refundAmount > 0) {
+      await this._refund(reschedule, booking, reschedule.refundAmount, 'Reschedule price difference');
+    }
+
+    const LedgerService = require('./LedgerService');
+    const InvoiceService = require('./InvoiceService');
+    await LedgerService.syncBookingSafe(booking._id);
+    await InvoiceService.syncBookingSafe(booking._id);
+
+    console.log(`[BookingRescheduleService] Booking ${booking._id} rescheduled (${reschedule._id})`);
+    return reschedule;
+  }
+
+  /**
+   * Apply a reschedule once its checkout is paid (idempotent)
+   * @param {Object} reschedule - BookingReschedule document
+   * @param {Object} payment - { paymentId, paidAt (unix seconds) }
+   * @returns {Promise<Object>} { action, rescheduleId, bookingId } or { ignored, reason }
+   */
+  async markPaid(reschedule, { paymentId, paidAt } = {}) {
+    // Claim the payment atomically: checkout_session.payment.paid and payment.paid
+    // can arrive together, and only one of them may move the booking. paidAt is
+    // always set, so the claim holds even when an event carries no payment id.
+    const claimed = await BookingReschedule.findOneAndUpdate(
+      {
+        _id: reschedule._id,
+        status: { $in: ['pending_payment', 'expired', 'superseded'] },
+        'payment.paymentId': null,
+        'payment.paidAt': null,
+      },
+      { $set: { 'payment.paymentId': paymentId || null, 'payment.paidAt': BookingPaymentService._paidAt(paidAt) } },
+      { new: true }
+    );
+    if (!claimed) {
+      // The other event may have had no payment id; keep it for refunds, and
+      // send the refund that was waiting for it
+      if (paymentId) {
+        const backfilled = await BookingReschedule.findOneAndUpdate(
+          { _id: reschedule._id, 'payment.paymentId': null },
+          { $set: { 'payment.paymentId': paymentId } },
+          { new: true }
+        );
+        if (backfilled?.status === 'conflict' && backfilled.refund?.status === 'refund_pending') {
+          const booking = await Booking.findById(backfilled.bookingId);
+          if (booking) {
+            await this._refund(backfilled, booking, backfilled.amountDue, 'Reschedule could not be completed');
+          }
+        }
+      }
+      const current = await BookingReschedule.findById(reschedule._id).select('status').lean();
+      return { ignored: true, reason: `reschedule_${current?.status || reschedule.status}`, rescheduleId: String(reschedule._id) };
+    }
+    reschedule = claimed;
+
+    const booking = await Booking.findById(reschedule.bookingId);
+    const listing = booking ? await Listing.findById(booking.listingId).lean() : null;
+
+    // Paid for a reschedule that can no longer be applied: refund it
+    if (!booking || booking.status !== 'paid' || reschedule.status === 'superseded') {
+      reschedule.status = 'conflict';
+      reschedule.failureReason = booking
+        ? `Booking is ${booking.status === 'paid' ? 'being rescheduled again' : booking.status}`
+        : 'Booking not found';
+      await reschedule.save();
+      if (booking && reschedule.amountDue > 0) {
+        await this._refund(reschedule, booking, reschedule.amountDue, 'Reschedule could not be completed');
+      }
+      return { ignored: true, reason: 'reschedule_not_applicable', rescheduleId: String(reschedule._id) };
+    }
+
+    await this.apply(reschedule, booking, listing);
+    return {
+      action: reschedule.status === 'completed' ? 'rescheduled' : 'reschedule_conflict',
+      rescheduleId: String(reschedule._id),
+      bookingId: String(booking._id),
+    };
+  }
+
+  /**
+   * Find a pending reschedule by id or checkout session id
+   * @param {Object} refs - { rescheduleId, checkoutIds }
+   * @returns {Promise<Object|null>} BookingReschedule document
+   */
+  async findByPayment({ rescheduleId, checkoutIds = [] }) {
+    const mongoose = require('mongoose');
+    const or = [];
+    if (rescheduleId && mongoose.isValidObjectId(rescheduleId)) or.push({ _id: rescheduleId });
+    const ids = checkoutIds.filter(Boolean);
+    if (ids.length) or.push({ 'payment.checkoutId': { $in: ids } });
+    if (!or.length) return null;
+    return BookingReschedule.findOne({ $or: or });
+  }
+
+  /**
+   * Expire unpaid reschedule checkouts whose hold has lapsed
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number expired
+   */
+  async expireStale(now = new Date()) {
+    const result = await BookingReschedule.updateMany(
+      { status: 'pending_payment', holdExpiresAt: { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * List reschedules for a booking
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Array>} Reschedules, newest first
+   */
+  async listForBooking(bookingId) {
+    return BookingReschedule.find({ bookingId }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * @private
+   */
+  async _load(bookingId, userId) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) throw rescheduleError('Booking not found', 404);
+    if (String(booking.userId) !== String(userId)) {
+      throw rescheduleError('Forbidden: This booking does not belong to you', 403);
+    }
+
+    const listing = await Listing.findById(booking.listingId).lean();
+    if (!listing) throw rescheduleError('Listing not found', 404);
+
+    return { booking, listing };
+  }
+
+  /**
+   * @private
+   */
+  async _refund(reschedule, booking, amount, notes) {
+    const PaymentGatewayService = require('./PaymentGatewayService');
+
+    // The extra charge refunds against its own payment; price drops against the booking's
+    let paymentId = reschedule.status === 'conflict'
+      ? reschedule.payment?.paymentId
+      : booking.payment?.paymentId;
+
+    // The payment may have been claimed by an event without its id. Wait for
+    // the event that carries it (markPaid sends the refund then), unless it
+    // has already arrived.
+    if (!paymentId && reschedule.status === 'conflict') {
+      const waiting = await BookingReschedule.updateOne(
+        { _id: reschedule._id, 'payment.paymentId': null },
+        { $set: { refund: { status: 'refund_pending', error: 'Waiting for the payment id' } } }
+      );
+      if (waiting.modifiedCount) {
+        reschedule.refund = { status: 'refund_pending', error: 'Waiting for the payment id' };
+        console.warn(`[BookingRescheduleService] Refund for reschedule ${reschedule._id} waits for its payment id`);
+        return;
+      }
+      const stored = await BookingReschedule.findById(reschedule._id).select('payment.paymentId refund').lean();
+      if (stored?.refund?.status === 'refund_pending') return;
+      paymentId = stored?.payment?.paymentId;
+    }
+
+    // Nothing to refund against: left for an admin to settle
+    if (!paymentId) {
+      reschedule.refund = { status: 'refund_pending', error: 'No payment to refund against' };
+      await reschedule.save();
+      console.warn(`[BookingRescheduleService] Reschedule ${reschedule._id} needs a manual refund of ${amount}`);
+      return;
+    }
+
+    const result = await PaymentGatewayService.refundPayment({
+      bookingId: booking._id,
+      amount,
+      paymentId,
+      notes: `${notes} (${reschedule._id})`,
+    });
+
+    reschedule.refund = result.success
+      ? { refundId: result.gatewayRefundId, status: result.status }
+      : { status: 'failed', error: result.error };
+    await reschedule.save();
+
+    if (result.success) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        {
+          $push: {
+            'payment.adjustments': {
+              type: 'reschedule_refund',
+              amount,
+              paymentId,
+              refundId: result.gatewayRefundId,
+              rescheduleId: String(reschedule._id),
+              at: new Date(),
+            },
+          },
+        }
+      );
+    }
+  }
+}
+
+module.exports = new BookingRescheduleService();
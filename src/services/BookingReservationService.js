@@ -0,0 +1,206 @@
+/**
+ * BookingReservationService
+ * Concurrency-safe slot reservation.
+ *
+ * The availability check and the booking insert run in one MongoDB
+ * transaction that first bumps a ListingDayLock document for every day the
+ * booking covers. Two requests for the same listing/day therefore write the
+ * same document: one commits, the other gets a transient write conflict and
+ * is retried by withTransaction(), at which point it sees the committed
+ * booking and reports the conflict. Seat-based vs. whole-space rules stay in
+ * findOverlappingBooking().
+ *
+ * Requires a replica set (Atlas, or a local mongod started with --replSet).
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const ListingDayLock = require('../models/ListingDayLock');
+
+const TRANSACTION_OPTIONS = {
+  readConcern: { level: 'snapshot' },
+  writeConcern: { w: 'majority' },
+  readPreference: 'primary',
+};
+
+function dayList(startDate, endDate) {
+  const out = [];
+  const d = new Date(`${startDate}T00:00:00Z`);
+  const stop = new Date(`${endDate}T00:00:00Z`);
+  if (!Number.isFinite(d.getTime()) || !Number.isFinite(stop.getTime())) return out;
+  while (d <= stop) {
+    out.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return out;
+}
+
+class BookingReservationService {
+  /**
+   * Days covered by a set of booking windows, sorted and de-duplicated
+   * @param {Array<Object>} windows - [{ startDate, endDate }]
+   * @returns {Array<string>} Days (YYYY-MM-DD)
+   */
+  daysFor(windows) {
+    const days = new Set();
+    for (const w of windows) {
+      for (const day of dayList(w.startDate, w.endDate)) days.add(day);
+    }
+    return Array.from(days).sort();
+  }
+
+  /**
+   * Run fn inside a transaction that holds the listing's day locks
+   * fn may run more than once (transient errors are retried), so it must not
+   * have side effects outside the session.
+   * @param {string} listingId - Listing ID
+   * @param {Array<string>} days - Days to lock (YYYY-MM-DD)
+   * @param {Function} fn - async (session) => result
+   * @returns {Promise<*>} fn's result from the committed attempt
+   */
+  async withListingDays(listingId, days, fn) {
+    await this._ensureLocks(listingId, days);
+
+    const session = await mongoose.startSession();
+    let attempts = 0;
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        attempts++;
+        await ListingDayLock.bulkWrite(
+          days.map((day) => ({
+            updateOne: {
+              filter: { listingId, day },
+              update: { $inc: { version: 1 } },
+            },
+          })),
+          { session, ordered: true }
+        );
+        result = await fn(session);
+      }, TRANSACTION_OPTIONS);
+
+      if (attempts > 1) {
+        console.log(`[BookingReservationService] Listing ${listingId} reservation committed after ${attempts} attempts`);
+      }
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Atomically check availability and create one or more bookings
+   * @param {Object} listing - Listing document (lean)
+   * @param {Array<Object>} docs - Booking documents to insert; a doc with
+   *   waitlistEntryId claims that entry's held slot and converts the entry;
+   *   a doc with credit spends credit.credits from credit.purchaseId; a doc
+   *   priced with a promo code redeems one use of it
+   * @returns {Promise<Object>} { bookings } or { conflict, doc }
+   */
+  async reserve(listing, docs) {
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+
+    return this.withListingDays(listing._id, this.daysFor(docs), async (session) => {
+      for (const doc of docs) {
+        const conflict = await findOverlappingBooking({
+          listingId: listing._id,
+          startDate: doc.startDate,
+          endDate: doc.endDate,
+          checkInTime: doc.checkInTime,
+          checkOutTime: doc.checkOutTime,
+          excludeWaitlistEntryId: doc.waitlistEntryId || null,
+          requestedGuests: doc.guests,
+          listingDoc: listing,
+          session,
+        });
+        if (conflict) return { conflict, doc };
+      }
+
+      const bookings = await Booking.insertMany(docs, { session });
+
+      const WaitlistService = require('./WaitlistService');
+      const CreditService = require('./CreditService');
+      const PromoCodeService = require('./PromoCodeService');
+      for (const booking of bookings) {
+        if (booking.waitlistEntryId) {
+          await WaitlistService.markConverted(booking.waitlistEntryId, booking._id, session);
+        }
+        if (booking.credit?.purchaseId) {
+          await CreditService.redeem(booking.credit.purchaseId, booking, booking.credit.credits, session);
+        }
+        if (booking.pricingSnapshot?.promo) {
+          await PromoCodeService.redeem(booking.pricingSnapshot.promo, booking, session);
+        }
+      }
+
+      return { bookings };
+    });
+  }
+
+  /**
+   * Atomically re-occupy an existing booking's slot (e.g. a late payment on an
+   * lapsed hold) by applying an update only if the slot is still free
+   * @param {Object} booking - Booking document
+   * @param {Object} listing - Listing document (lean)
+   * @param {Object} update - Update applied to the booking when free
+   * @returns {Promise<Object|null>} The conflicting booking, or null if applied
+   */
+  async reoccupy(booking, listing, update) {
+    return this.move(booking, listing, booking, update);
+  }
+
+  /**
+   * Atomically move a booking to a new window (reschedule), ignoring the
+   * booking's own current slot when checking availability
+   * @param {Object} booking - Booking document
+   * @param {Object} listing - Listing document (lean)
+   * @param {Object} window - { startDate, endDate, checkInTime, checkOutTime, guests }
+   * @param {Object} update - Update applied to the booking when free
+   * @returns {Promise<Object|null>} The conflicting booking, or null if applied
+   */
+  async move(booking, listing, window, update) {
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+
+    return this.withListingDays(booking.listingId, this.daysFor([window]), async (session) => {
+      const conflict = await findOverlappingBooking({
+        listingId: booking.listingId,
+        startDate: window.startDate,
+        endDate: window.endDate,
+        checkInTime: window.checkInTime,
+        checkOutTime: window.checkOutTime,
+        excludeBookingId: booking._id,
+        requestedGuests: window.guests,
+        listingDoc: listing,
+        session,
+      });
+      if (conflict) return conflict;
+
+      await Booking.updateOne({ _id: booking._id }, update, { session });
+      return null;
+    });
+  }
+
+  /**
+   * Create missing lock documents outside the transaction, so concurrent
+   * first-time upserts cannot fail the transaction with a duplicate key
+   * @private
+   */
+  async _ensureLocks(listingId, days) {
+    try {
+      await ListingDayLock.bulkWrite(
+        days.map((day) => ({
+          updateOne: {
+            filter: { listingId, day },
+            update: { $setOnInsert: { version: 0 } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+    }
+  }
+}
+
+module.exports = new BookingReservationService();
@@ -0,0 +1,559 @@
+/**
+ * CalendarSyncService
+ * iCalendar feeds in both directions:
+ *
+ *   export  listing calendar.ics (owner)  ─┐ confirmed bookings, tokenized URL
+ *           bookings.ics (client)         ─┘ so calendar apps can subscribe
+ *
+ *   import  owner-registered ICS feeds ──> ExternalCalendarEvent ──> blocked
+ *           in findOverlappingBooking / getBlockedDates / getBusySlots
+ *
+ * Feeds are fetched server-side from owner-supplied URLs, so every request
+ * (and every redirect hop) must reach a public address: loopback, private,
+ * link-local (cloud metadata) and reserved ranges are refused, both for IP
+ * literals and for whatever a hostname resolves to at connect time. Sync
+ * failures are reported to owners generically.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const ExternalCalendar = require('../models/ExternalCalendar');
+const ExternalCalendarEvent = require('../models/ExternalCalendarEvent');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const ICAL_FETCH_TIMEOUT_MS = Number(process.env.ICAL_FETCH_TIMEOUT_MS || 15000);
+const ICAL_MAX_BYTES = Number(process.env.ICAL_MAX_BYTES || 2 * 1024 * 1024);
+const ICAL_SYNC_HORIZON_DAYS = Number(process.env.ICAL_SYNC_HORIZON_DAYS || 365);
+const MAX_EXTERNAL_CALENDARS = 5;
+const MAX_FEED_REDIRECTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIRMED_STATUSES = ['paid', 'completed'];
+
+function calendarError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Addresses a feed URL may not reach. Separate lists per family: a BlockList
+// checks IPv4 addresses against IPv6 rules too (as ::ffff:a.b.c.d)
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, incl. cloud metadata 169.254.169.254
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback, IPv4-compatible
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+const FEED_BLOCKED = 'ECALENDAR_BLOCKED_ADDRESS';
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return family === 4 ? !BLOCKED_IPV4.check(address, 'ipv4') : !BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+function blockedAddressError() {
+  const err = calendarError('Calendar URL must point to a public internet address');
+  err.code = FEED_BLOCKED;
+  return err;
+}
+
+// DNS lookup for feed requests that refuses non-public answers, so a hostname
+// can't be pointed at an internal address between validation and connect
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(blockedAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const feedAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+function newFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function tokensMatch(stored, given) {
+  if (!stored || !given) return false;
+  const a = Buffer.from(String(stored));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function localDate(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDaysISO(iso, days) {
+  const d = new Date(`${iso}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return localDate(d);
+}
+
+const HHMM = /^\d{2}:\d{2}$/;
+
+/**
+ * Calendar event for a booking: all-day bookings become DATE events
+ * (end exclusive), timed ones a single span from check-in to check-out.
+ */
+function bookingEvent(booking, { summary, description, location }) {
+  const base = {
+    uid: `booking-${booking._id}@flexidesk`,
+    summary,
+    description,
+    location,
+    url: `${APP_URL}/app/bookings/${booking._id}`,
+    lastModified: booking.updatedAt,
+  };
+
+  if (!HHMM.test(String(booking.checkInTime || '')) || !HHMM.test(String(booking.checkOutTime || ''))) {
+    return { ...base, startDate: booking.startDate, endDate: addDaysISO(booking.endDate, 1) };
+  }
+
+  return {
+    ...base,
+    start: new Date(`${booking.startDate}T${booking.checkInTime}:00`),
+    end: new Date(`${booking.endDate}T${booking.checkOutTime}:00`),
+  };
+}
+
+function listingName(listing) {
+  return listing?.venue || listing?.shortDesc || listing?.title || 'Workspace';
+}
+
+function listingAddress(listing) {
+  return [listing?.address, listing?.city, listing?.country].filter(Boolean).join(', ');
+}
+
+class CalendarSyncService {
+  /* ===================== FEED TOKENS ===================== */
+
+  /**
+   * Get (creating on first use) or rotate a listing's feed token
+   * @param {string} listingId - Listing ID
+   * @param {Object} options - { rotate }
+   * @returns {Promise<string>} Feed token
+   */
+  async listingFeedToken(listingId, { rotate = false } = {}) {
+    const listing = await Listing.findById(listingId).select('+calendarFeedToken');
+    if (!listing) throw calendarError('Listing not found', 404);
+
+    if (rotate || !listing.calendarFeedToken) {
+      listing.calendarFeedToken = newFeedToken();
+      await listing.save();
+    }
+    return listing.calendarFeedToken;
+  }
+
+  /**
+   * Get (creating on first use) or rotate a user's feed token
+   * @param {string} userId - User ID
+   * @param {Object} options - { rotate }
+   * @returns {Promise<string>} Feed token
+   */
+  async userFeedToken(userId, { rotate = false } = {}) {
+    const user = await User.findById(userId).select('+calendarFeedToken');
+    if (!user) throw calendarError('User not found', 404);
+
+    if (rotate || !user.calendarFeedToken) {
+      user.calendarFeedToken = newFeedToken();
+      await user.save();
+    }
+    return user.calendarFeedToken;
+  }
+
+  /* ===================== EXPORT ===================== */
+
+  /**
+   * ICS feed of a listing's confirmed bookings (token checked against the listing)
+   * @param {string} listingId - Listing ID
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} ICS document
+   */
+  async listingFeed(listingId, token) {
+    if (!mongoose.isValidObjectId(listingId)) throw calendarError('Calendar not found', 404);
+    const listing = await Listing.findById(listingId)
+      .select('+calendarFeedToken venue shortDesc address city country')
+      .lean();
+    if (!listing || !tokensMatch(listing.calendarFeedToken, token)) {
+      throw calendarError('Calendar not found', 404);
+    }
+
+    const since = addDaysISO(localDate(new Date()), -30);
+    const bookings = await Booking.find({
+      listingId,
+      status: { $in: CONFIRMED_STATUSES },
+      endDate: { $gte: since },
+    })
+      .select('startDate endDate checkInTime checkOutTime guests status updatedAt')
+      .sort({ startDate: 1 })
+      .lean();
+
+    // No guest details: owners often paste this URL into other platforms
+    const events = bookings.map((b) =>
+      bookingEvent(b, {
+        summary: `Booked via FlexiDesk (${b.guests || 1} guest${(b.guests || 1) > 1 ? 's' : ''})`,
+        location: listingAddress(listing),
+      })
+    );
+
+    return buildCalendar({ name: `${listingName(listing)} • FlexiDesk bookings`, events });
+  }
+
+  /**
+   * ICS feed of a user's confirmed bookings, identified by feed token only
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} ICS document
+   */
+  async userFeed(token) {
+    if (!token) throw calendarError('Calendar not found', 404);
+    const user = await User.findOne({ calendarFeedToken: String(token) }).select('_id').lean();
+    if (!user) throw calendarError('Calendar not found', 404);
+
+    const since = addDaysISO(localDate(new Date()), -30);
+    const bookings = await Booking.find({
+      userId: user._id,
+      status: { $in: CONFIRMED_STATUSES },
+      endDate: { $gte: since },
+    })
+      .populate('listingId', 'venue shortDesc address city country')
+      .sort({ startDate: 1 })
+      .lean();
+
+    const events = bookings.map((b) =>
+      bookingEvent(b, {
+        summary: listingName(b.listingId),
+        description: `FlexiDesk booking for ${b.guests || 1} guest(s)`,
+        location: listingAddress(b.listingId),
+      })
+    );
+
+    return buildCalendar({ name: 'My FlexiDesk bookings', events });
+  }
+
+  /* ===================== IMPORT ===================== */
+
+  /**
+   * List a listing's external calendars
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array>} External calendars
+   */
+  async listExternalCalendars(listingId) {
+    return ExternalCalendar.find({ listingId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * Register an external ICS feed for a listing and sync it right away
+   * @param {Object} listing - Listing (lean, with owner)
+   * @param {Object} data - { name, url }
+   * @returns {Promise<Object>} External calendar (sync errors are recorded, not thrown)
+   */
+  async addExternalCalendar(listing, { name, url } = {}) {
+    const normalized = this.normalizeFeedUrl(url);
+    await this.assertPublicHost(normalized);
+
+    const count = await ExternalCalendar.countDocuments({ listingId: listing._id });
+    if (count >= MAX_EXTERNAL_CALENDARS) {
+      throw calendarError(`A listing can have at most ${MAX_EXTERNAL_CALENDARS} external calendars`);
+    }
+
+    let calendar;
+    try {
+      calendar = await ExternalCalendar.create({
+        listingId: listing._id,
+        ownerId: listing.owner,
+        name: String(name || '').trim() || new URL(normalized).hostname,
+        url: normalized,
+      });
+    } catch (e) {
+      if (e?.code === 11000) throw calendarError('This calendar is already connected', 409);
+      throw e;
+    }
+
+    await this.syncCalendar(calendar);
+    return calendar.toObject();
+  }
+
+  /**
+   * Remove an external calendar and its imported events
+   * @param {string} listingId - Listing ID
+   * @param {string} calendarId - External calendar ID
+   */
+  async removeExternalCalendar(listingId, calendarId) {
+    const calendar = await ExternalCalendar.findOneAndDelete({ _id: calendarId, listingId });
+    if (!calendar) throw calendarError('Calendar not found', 404);
+    await ExternalCalendarEvent.deleteMany({ calendarId: calendar._id });
+  }
+
+  /**
+   * Accept http(s) and webcal URLs only, and no non-public IP literals
+   * @param {string} url - Feed URL
+   * @returns {string} Normalized URL
+   */
+  normalizeFeedUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim().replace(/^webcals?:\/\//i, 'https://'));
+    } catch {
+      throw calendarError('Invalid calendar URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw calendarError('Calendar URL must start with http(s):// or webcal://');
+    }
+    if (parsed.username || parsed.password) {
+      throw calendarError('Calendar URL must not contain credentials');
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) throw blockedAddressError();
+    return parsed.toString();
+  }
+
+  /**
+   * Reject a feed URL whose hostname resolves to a non-public address
+   * (re-checked on every connection by the feed agents)
+   * @param {string} url - Normalized feed URL
+   */
+  async assertPublicHost(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return;
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+      throw calendarError('Calendar URL host could not be found');
+    }
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) throw blockedAddressError();
+  }
+
+  /**
+   * Fetch and parse an ICS document. Redirects are followed by hand so each
+   * hop is validated like the original URL.
+   * @param {string} url - Feed URL
+   * @returns {Promise<Array>} Parsed events
+   */
+  async fetchEvents(url, now = new Date()) {
+    let target = this.normalizeFeedUrl(url);
+    for (let hop = 0; ; hop++) {
+      const response = await axios.get(target, {
+        timeout: ICAL_FETCH_TIMEOUT_MS,
+        maxContentLength: ICAL_MAX_BYTES,
+        maxRedirects: 0,
+        proxy: false,
+        ...feedAgents,
+        validateStatus: (status) => status >= 200 && status < 400,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        headers: { Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.1' },
+      });
+
+      if (response.status < 300) {
+        return parseCalendar(response.data, { until: new Date(now.getTime() + ICAL_SYNC_HORIZON_DAYS * DAY_MS) });
+      }
+      if (hop >= MAX_FEED_REDIRECTS || !response.headers.location) {
+        throw calendarError('Calendar feed redirected too many times');
+      }
+      target = this.normalizeFeedUrl(new URL(response.headers.location, target).toString());
+    }
+  }
+
+  /**
+   * Replace a calendar's imported events with the feed's current ones.
+   * Past events and those beyond the sync horizon are dropped.
+   * @param {Object} calendar - ExternalCalendar document
+   * @returns {Promise<Object>} { ok, eventCount } or { ok: false, error }
+   */
+  async syncCalendar(calendar, now = new Date()) {
+    calendar.lastAttemptAt = now;
+
+    let events;
+    try {
+      events = await this.fetchEvents(calendar.url, now);
+    } catch (e) {
+      // Owners only see a generic reason, so feed URLs can't be used to probe other hosts
+      calendar.status = 'error';
+      calendar.lastError = e.code === FEED_BLOCKED
+        ? 'Calendar URL must point to a public internet address'
+        : 'Could not fetch the calendar feed';
+      await calendar.save();
+      const detail = e.response ? `HTTP ${e.response.status}` : e.message;
+      console.warn(`[CalendarSyncService] Sync failed for calendar ${calendar._id}: ${detail}`);
+      return { ok: false, error: calendar.lastError };
+    }
+
+    const horizon = new Date(now.getTime() + ICAL_SYNC_HORIZON_DAYS * DAY_MS);
+    const relevant = events.filter((e) => e.end > now && e.start < horizon);
+
+    // De-duplicate uids (recurrence overrides reuse the parent's uid)
+    const byUid = new Map();
+    for (const e of relevant) {
+      byUid.set(byUid.has(e.uid) ? `${e.uid}#${e.start.toISOString()}` : e.uid, e);
+    }
+
+    if (byUid.size) {
+      await ExternalCalendarEvent.bulkWrite(
+        [...byUid].map(([uid, e]) => ({
+          updateOne: {
+            filter: { calendarId: calendar._id, uid },
+            update: {
+              $set: {
+                listingId: calendar.listingId,
+                summary: e.summary ? String(e.summary).slice(0, 200) : null,
+                start: e.start,
+                end: e.end,
+                allDay: e.allDay,
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    }
+    await ExternalCalendarEvent.deleteMany({ calendarId: calendar._id, uid: { $nin: [...byUid.keys()] } });
+
+    calendar.status = 'ok';
+    calendar.lastSyncedAt = now;
+    calendar.lastError = undefined;
+    calendar.eventCount = byUid.size;
+    await calendar.save();
+
+    return { ok: true, eventCount: byUid.size };
+  }
+
+  /**
+   * Sync every registered external calendar (background job)
+   * @returns {Promise<Object>} { checked, synced, failed }
+   */
+  async syncAll(now = new Date()) {
+    const calendars = await ExternalCalendar.find({});
+    let synced = 0;
+    let failed = 0;
+
+    for (const calendar of calendars) {
+      const result = await this.syncCalendar(calendar, now);
+      if (result.ok) synced++;
+      else failed++;
+    }
+
+    return { checked: calendars.length, synced, failed };
+  }
+
+  /* ===================== BLOCKING ===================== */
+
+  /**
+   * First imported event overlapping any of the given intervals
+   * @param {Object} params - { listingId, intervals: [{ start, end }], session }
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async findExternalConflict({ listingId, intervals, session = null }) {
+    const valid = (intervals || []).filter((i) => i && i.start < i.end);
+    if (!valid.length) return null;
+
+    return ExternalCalendarEvent.findOne({
+      listingId,
+      $or: valid.map((i) => ({ start: { $lt: i.end }, end: { $gt: i.start } })),
+    })
+      .select('start end allDay summary calendarId')
+      .session(session)
+      .lean();
+  }
+
+  /**
+   * Imported events of several listings overlapping a time window
+   * @param {Array} listingIds - Listing IDs
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @returns {Promise<Array>} Events { listingId, start, end }
+   */
+  async eventsOverlapping(listingIds, start, end) {
+    if (!listingIds.length) return [];
+
+    return ExternalCalendarEvent.find({
+      listingId: { $in: listingIds },
+      start: { $lt: end },
+      end: { $gt: start },
+    })
+      .select('listingId start end')
+      .lean();
+  }
+
+  /**
+   * Imported events overlapping a date range (YYYY-MM-DD, inclusive)
+   * @param {string} listingId - Listing ID
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @returns {Promise<Array>} Events
+   */
+  async eventsBetween(listingId, from, to) {
+    return ExternalCalendarEvent.find({
+      listingId,
+      start: { $lt: new Date(`${addDaysISO(to, 1)}T00:00:00`) },
+      end: { $gt: new Date(`${from}T00:00:00`) },
+    })
+      .select('start end allDay summary')
+      .sort({ start: 1 })
+      .lean();
+  }
+
+  /**
+   * Days (YYYY-MM-DD) in [from, to] fully covered by imported events
+   * @param {Array} events - Imported events
+   * @param {string} from - First day
+   * @param {string} to - Last day
+   * @returns {string[]} Blocked days
+   */
+  blockedDays(events, from, to) {
+    const out = [];
+    for (let day = from; day <= to; day = addDaysISO(day, 1)) {
+      const dayStart = new Date(`${day}T00:00:00`);
+      const dayEnd = new Date(`${addDaysISO(day, 1)}T00:00:00`);
+      if (events.some((e) => e.start <= dayStart && e.end >= dayEnd)) out.push(day);
+    }
+    return out;
+  }
+}
+
+module.exports = new CalendarSyncService();
+module.exports.isPublicAddress = isPublicAddress;
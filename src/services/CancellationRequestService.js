@@ -8,6 +8,7 @@ const Booking = require('../models/Booking');
 const Listing = require('../models/Listing');
 const RefundCalculator = require('./RefundCalculator');
 const PolicyManager = require('./PolicyManager');
+const FeeConfigService = require('./FeeConfigService');
 
 class CancellationRequestService {
   /**
@@ -54,7 +55,9 @@ class CancellationRequestService {
     const refundCalculation = RefundCalculator.calculateRefund(
       {
         amount: booking.amount,
-        startDate: booking.startDate
+        startDate: booking.startDate,
+        pricingSnapshot: booking.pricingSnapshot,
+        feeRates: booking.feeRates
       },
       policy,
       new Date()
@@ -81,10 +84,13 @@ class CancellationRequestService {
       bookingAmount: booking.amount,
       refundCalculation: {
         originalAmount: refundCalculation.originalAmount,
+        discount: refundCalculation.discount,
         refundPercentage: refundCalculation.refundPercentage,
         refundAmount: refundCalculation.refundAmount,
         processingFee: refundCalculation.processingFee,
         finalRefund: refundCalculation.finalRefund,
+        taxRefund: refundCalculation.taxRefund,
+        commissionRefund: refundCalculation.commissionRefund,
         hoursUntilBooking: refundCalculation.hoursUntilBooking,
         appliedTier: refundCalculation.tier
       },
@@ -203,6 +209,11 @@ class CancellationRequestService {
       
       // Update the final refund in calculation
       request.refundCalculation.finalRefund = amount;
+      if (request.bookingId?.amount) {
+        const { tax, commission } = FeeConfigService.breakdown(request.bookingId, amount);
+        request.refundCalculation.taxRefund = tax;
+        request.refundCalculation.commissionRefund = commission;
+      }
     }
 
     // Update request status to approved
@@ -214,9 +225,9 @@ class CancellationRequestService {
     await request.save();
 
     // Update booking status
-    await Booking.findByIdAndUpdate(request.bookingId, {
+    const cancelledBooking = await Booking.findByIdAndUpdate(request.bookingId, {
       status: 'cancelled'
-    });
+    }, { new: true });
 
     // Process refund through payment gateway
     await this._processRefundPayment(request);
@@ -224,6 +235,12 @@ class CancellationRequestService {
     // Send approval notification to client
     await this._sendApprovalNotification(request);
 
+    // Offer the freed slot to the waitlist
+    await this._releaseToWaitlist(cancelledBooking);
+
+    // Give the promo code use back
+    await this._releasePromo(cancelledBooking);
+
     // Log approval action
     console.log(`[CancellationRequestService] Request ${requestId} approved by owner ${ownerId}`);
 
@@ -313,13 +330,19 @@ class CancellationRequestService {
     await request.save();
 
     // Update booking status
-    await Booking.findByIdAndUpdate(request.bookingId, {
+    const cancelledBooking = await Booking.findByIdAndUpdate(request.bookingId, {
       status: 'cancelled'
-    });
+    }, { new: true });
 
     // Process refund through payment gateway
     await this._processRefundPayment(request);
 
+    // Offer the freed slot to the waitlist
+    await this._releaseToWaitlist(cancelledBooking);
+
+    // Give the promo code use back
+    await this._releasePromo(cancelledBooking);
+
     // Reload request to get updated status
     const updatedRequest = await CancellationRequest.findById(requestId);
 
@@ -433,6 +456,38 @@ class CancellationRequestService {
     }
   }
 
+  /**
+   * Offer a cancelled booking's slot to waitlisted clients
+   * @private
+   * @param {Object} booking - Cancelled booking
+   */
+  async _releaseToWaitlist(booking) {
+    if (!booking) return;
+    try {
+      const WaitlistService = require('./WaitlistService');
+      await WaitlistService.releaseSlot(booking);
+    } catch (error) {
+      // Log error but don't fail the cancellation
+      console.error('Failed to release slot to waitlist:', error);
+    }
+  }
+
+  /**
+   * Give a cancelled booking's promo code use back
+   * @private
+   * @param {Object} booking - Cancelled booking
+   */
+  async _releasePromo(booking) {
+    if (!booking) return;
+    try {
+      const PromoCodeService = require('./PromoCodeService');
+      await PromoCodeService.releaseForBooking(booking);
+    } catch (error) {
+      // Log error but don't fail the cancellation
+      console.error('Failed to release promo code:', error);
+    }
+  }
+
   /**
    * Send rejection notification to client
    * @private
@@ -458,6 +513,23 @@ class CancellationRequestService {
       const PaymentGatewayService = require('./PaymentGatewayService');
       
       const booking = cancellationRequest.bookingId;
+
+      // Bookings paid with credits get the refunded share of their credits back
+      if (booking?.credit?.purchaseId) {
+        await this._refundCredits(cancellationRequest, booking);
+        return;
+      }
+
+      // Bank transfer / cash: the owner returns the money; the refund is recorded, not sent
+      const ManualPaymentService = require('./ManualPaymentService');
+      if (ManualPaymentService.isManual(booking)) {
+        const amount = cancellationRequest.customRefundAmount !== null &&
+                       cancellationRequest.customRefundAmount !== undefined
+          ? cancellationRequest.customRefundAmount
+          : cancellationRequest.refundCalculation?.finalRefund || 0;
+        await ManualPaymentService.recordRefund(cancellationRequest, booking, amount);
+        return;
+      }
       
       // Check if booking has payment ID
       const paymentId = booking?.payment?.paymentId;
@@ -509,6 +581,37 @@ class CancellationRequestService {
       await cancellationRequest.save();
     }
   }
+
+  /**
+   * Restore credits for a booking paid with a credit pack
+   * The refund share follows the policy percentage, or the owner's custom
+   * amount relative to the booking value.
+   * @private
+   * @param {Object} cancellationRequest - Request with populated bookingId
+   * @param {Object} booking - Booking paid with credits
+   */
+  async _refundCredits(cancellationRequest, booking) {
+    const CreditService = require('./CreditService');
+
+    const hasCustom = cancellationRequest.customRefundAmount !== null &&
+                      cancellationRequest.customRefundAmount !== undefined;
+    const bookingAmount = Number(booking.amount || 0);
+    const fraction = hasCustom
+      ? (bookingAmount > 0 ? Number(cancellationRequest.customRefundAmount) / bookingAmount : 0)
+      : Number(cancellationRequest.refundCalculation?.refundPercentage || 0) / 100;
+
+    const credits = await CreditService.refundForBooking(booking, fraction, {
+      cancellationRequestId: cancellationRequest._id,
+      note: 'Cancellation refund',
+    });
+
+    cancellationRequest.status = 'completed';
+    cancellationRequest.processedAt = new Date();
+    cancellationRequest.updatedAt = new Date();
+    await cancellationRequest.save();
+
+    console.log(`[CancellationRequestService] Restored ${credits} credit(s) for request ${cancellationRequest._id}`);
+  }
 }
 
 module.exports = new CancellationRequestService();
@@ -0,0 +1,141 @@
+/**
+ * CheckInService
+ * Handles host-side QR scanning at the workspace.
+ *
+ *   first scan  ──> checkedInAt  (booking stays "paid")
+ *   second scan ──> checkedOutAt (booking becomes "completed")
+ *   any later scan is rejected as reuse
+ *
+ * Both transitions are conditional updates, so two devices scanning the same
+ * code at once cannot check the guest in (or out) twice.
+ */
+
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const { verifyQrToken } = require('../utils/qrToken');
+
+// How early before the booking starts a guest may check in
+const QR_EARLY_CHECKIN_MINUTES = Number(process.env.QR_EARLY_CHECKIN_MINUTES || 60);
+
+const ACTIONS = ['check_in', 'check_out'];
+
+function checkInError(message, statusCode = 409) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function bookingStart(booking) {
+  const time = /^\d{2}:\d{2}$/.test(String(booking.checkInTime || '')) ? booking.checkInTime : '00:00';
+  return new Date(`${booking.startDate}T${time}:00`);
+}
+
+class CheckInService {
+  /**
+   * Validate a scanned QR code and record check-in or check-out
+   * @param {string} token - Token read from the QR code
+   * @param {string} ownerId - Scanning host
+   * @param {Object} options - { action: 'check_in' | 'check_out' (default: next step), now }
+   * @returns {Promise<Object>} { action, booking }
+   */
+  async scan(token, ownerId, { action, now = new Date() } = {}) {
+    if (action && !ACTIONS.includes(action)) {
+      throw checkInError(`Invalid action. Must be one of: ${ACTIONS.join(', ')}`, 400);
+    }
+
+    const claims = verifyQrToken(token, now);
+
+    const booking = await Booking.findById(claims.bookingId);
+    if (!booking) throw checkInError('Booking not found', 404);
+    if (String(booking.listingId) !== claims.listingId) {
+      throw checkInError('QR code does not match this booking', 422);
+    }
+
+    const listing = await Listing.findById(booking.listingId).select('owner title venue').lean();
+    if (!listing || String(listing.owner) !== String(ownerId)) {
+      throw checkInError('This booking is not for one of your listings', 403);
+    }
+
+    // Only the latest token counts; rescheduling issues a new one
+    if (booking.qrToken !== String(token).trim()) {
+      throw checkInError('This QR code has been replaced. Ask the guest for their current code');
+    }
+
+    if (booking.checkedOutAt) {
+      throw checkInError(`This QR code was already used to check out at ${booking.checkedOutAt.toISOString()}`);
+    }
+    if (booking.status !== 'paid') {
+      throw checkInError(`Booking cannot be checked in (status: ${booking.status})`);
+    }
+
+    const next = action || (booking.checkedInAt ? 'check_out' : 'check_in');
+    return next === 'check_in'
+      ? this._checkIn(booking, listing, ownerId, now)
+      : this._checkOut(booking, listing, ownerId, now);
+  }
+
+  /**
+   * @private
+   */
+  async _checkIn(booking, listing, ownerId, now) {
+    const opensAt = new Date(bookingStart(booking).getTime() - QR_EARLY_CHECKIN_MINUTES * 60 * 1000);
+    if (now < opensAt) {
+      throw checkInError(`Too early to check in. Check-in opens at ${opensAt.toISOString()}`);
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'paid', checkedInAt: null },
+      { $set: { checkedInAt: now, checkedInBy: ownerId } },
+      { new: true }
+    );
+    if (!updated) {
+      throw checkInError(`Guest already checked in at ${booking.checkedInAt?.toISOString() || 'an earlier scan'}`);
+    }
+
+    console.log(`[CheckInService] Booking ${booking._id} checked in by ${ownerId}`);
+    return { action: 'checked_in', booking: this._summary(updated, listing) };
+  }
+
+  /**
+   * @private
+   */
+  async _checkOut(booking, listing, ownerId, now) {
+    if (!booking.checkedInAt) {
+      throw checkInError('Guest has not checked in yet');
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'paid', checkedInAt: { $ne: null }, checkedOutAt: null },
+      { $set: { checkedOutAt: now, checkedOutBy: ownerId, status: 'completed', completedAt: now } },
+      { new: true }
+    );
+    if (!updated) {
+      throw checkInError('Guest already checked out');
+    }
+
+    console.log(`[CheckInService] Booking ${booking._id} checked out by ${ownerId}`);
+    return { action: 'checked_out', booking: this._summary(updated, listing) };
+  }
+
+  /**
+   * @private
+   */
+  _summary(booking, listing) {
+    return {
+      id: String(booking._id),
+      listingId: String(booking.listingId),
+      listingTitle: listing.venue || listing.title || null,
+      userId: String(booking.userId),
+      status: booking.status,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      checkInTime: booking.checkInTime || null,
+      checkOutTime: booking.checkOutTime || null,
+      guests: booking.guests,
+      checkedInAt: booking.checkedInAt || null,
+      checkedOutAt: booking.checkedOutAt || null,
+    };
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,574 @@
+/**
+ * CreditService
+ * Prepaid credit packs and memberships sold by owners.
+ *
+ * Owners define CreditPlans; a client buys one through a PayMongo checkout
+ * and gets a CreditPurchase. The purchase is redeemed in createBookingIntent
+ * instead of paying for the booking:
+ *   pack (unit "day")   - one credit per day per seat-guest
+ *   pack (unit "hour")  - one credit per started hour per seat-guest (hourly bookings only)
+ *   membership          - no credits; any booking up to maxGuests within the validity period
+ *
+ * Redemption runs inside the booking reservation transaction, so a balance
+ * is never spent twice and never spent on a booking that failed to reserve.
+ * Cancellation refunds restore the refunded share of the credits.
+ */
+
+const mongoose = require('mongoose');
+const CreditPlan = require('../models/CreditPlan');
+const CreditPurchase = require('../models/CreditPurchase');
+const CreditLedgerEntry = require('../models/CreditLedgerEntry');
+const Listing = require('../models/Listing');
+const FeeConfigService = require('./FeeConfigService');
+
+const KINDS = ['pack', 'membership'];
+const UNITS = ['hour', 'day'];
+const DEFAULT_VALIDITY_DAYS = { pack: 180, membership: 30 };
+const MAX_ACTIVE_PLANS_PER_OWNER = 50;
+
+function creditError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function positiveInt(value, field, { min = 1, max = Infinity } = {}) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw creditError(`${field} must be a whole number between ${min} and ${max === Infinity ? 'unlimited' : max}`);
+  }
+  return n;
+}
+
+function endOfWindow(w) {
+  const time = /^\d{2}:\d{2}$/.test(String(w.checkOutTime || '')) ? w.checkOutTime : '23:59';
+  return new Date(`${w.endDate}T${time}:00`);
+}
+
+function startOfWindow(w) {
+  const time = /^\d{2}:\d{2}$/.test(String(w.checkInTime || '')) ? w.checkInTime : '00:00';
+  return new Date(`${w.startDate}T${time}:00`);
+}
+
+class CreditService {
+  /**
+   * Validate and normalize plan fields
+   * @param {Object} input - Plan fields from the owner
+   * @param {Object} current - Existing plan when updating
+   * @returns {Object} Normalized fields
+   */
+  normalizePlan(input = {}, current = null) {
+    const plan = {};
+    const kind = input.kind ?? current?.kind;
+    if (!KINDS.includes(kind)) throw creditError(`kind must be one of: ${KINDS.join(', ')}`);
+    if (current && input.kind && input.kind !== current.kind) {
+      throw creditError('A plan cannot change between pack and membership');
+    }
+    plan.kind = kind;
+
+    if (input.name !== undefined || !current) {
+      const name = String(input.name || '').trim();
+      if (!name) throw creditError('name is required');
+      plan.name = name;
+    }
+    if (input.description !== undefined) plan.description = String(input.description || '').trim();
+
+    if (input.price !== undefined || !current) {
+      const price = Number(input.price);
+      if (!Number.isFinite(price) || price <= 0) throw creditError('price must be a positive amount');
+      plan.price = Math.round(price * 100) / 100;
+    }
+
+    if (input.validityDays !== undefined || !current) {
+      plan.validityDays = input.validityDays === undefined
+        ? DEFAULT_VALIDITY_DAYS[kind]
+        : positiveInt(input.validityDays, 'validityDays', { max: 730 });
+    }
+
+    if (kind === 'pack') {
+      if (input.credits !== undefined || !current) {
+        plan.credits = positiveInt(input.credits, 'credits', { max: 1000 });
+      }
+      if (input.unit !== undefined || !current) {
+        const unit = input.unit || 'day';
+        if (!UNITS.includes(unit)) throw creditError(`unit must be one of: ${UNITS.join(', ')}`);
+        plan.unit = unit;
+      }
+    } else if (input.maxGuests !== undefined || !current) {
+      plan.maxGuests = input.maxGuests === undefined ? 1 : positiveInt(input.maxGuests, 'maxGuests', { max: 100 });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Create a plan for the owner's listings
+   * @param {string} ownerId - Owner
+   * @param {Object} input - { name, description, kind, unit, credits, maxGuests, validityDays, price, listingIds }
+   * @returns {Promise<Object>} Plan
+   */
+  async createPlan(ownerId, input = {}) {
+    const fields = this.normalizePlan(input);
+    const listingIds = await this._ownedListingIds(ownerId, input.listingIds);
+
+    const active = await CreditPlan.countDocuments({ ownerId, status: 'active' });
+    if (active >= MAX_ACTIVE_PLANS_PER_OWNER) {
+      throw creditError(`You can have at most ${MAX_ACTIVE_PLANS_PER_OWNER} active plans`);
+    }
+
+    const plan = await CreditPlan.create({ ...fields, ownerId, listingIds, currency: 'PHP' });
+    console.log(`[CreditService] Owner ${ownerId} created ${plan.kind} plan ${plan._id}`);
+    return plan.toObject();
+  }
+
+  /**
+   * Update a plan; existing purchases keep the terms they were bought with
+   * @param {string} planId - Plan
+   * @param {string} ownerId - Owner
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} Plan
+   */
+  async updatePlan(planId, ownerId, input = {}) {
+    const plan = await this._ownPlan(planId, ownerId);
+    const fields = this.normalizePlan(input, plan);
+    if (input.listingIds !== undefined) {
+      fields.listingIds = await this._ownedListingIds(ownerId, input.listingIds);
+    }
+
+    plan.set(fields);
+    await plan.save();
+    return plan.toObject();
+  }
+
+  /**
+   * Stop selling a plan (purchases already made stay valid)
+   * @param {string} planId - Plan
+   * @param {string} ownerId - Owner
+   * @returns {Promise<Object>} Plan
+   */
+  async archivePlan(planId, ownerId) {
+    const plan = await this._ownPlan(planId, ownerId);
+    plan.status = 'archived';
+    await plan.save();
+    return plan.toObject();
+  }
+
+  /**
+   * An owner's plans with how many have been sold
+   * @param {string} ownerId - Owner
+   * @returns {Promise<Array>} Plans with soldCount
+   */
+  async listOwnerPlans(ownerId) {
+    const plans = await CreditPlan.find({ ownerId }).sort({ status: 1, createdAt: -1 }).lean();
+    const sold = await CreditPurchase.aggregate([
+      { $match: { ownerId: new mongoose.Types.ObjectId(String(ownerId)), status: { $ne: 'pending_payment' } } },
+      { $group: { _id: '$planId', count: { $sum: 1 } } },
+    ]);
+    const counts = new Map(sold.map((s) => [String(s._id), s.count]));
+    return plans.map((p) => ({ ...p, soldCount: counts.get(String(p._id)) || 0 }));
+  }
+
+  /**
+   * Plans on sale that can be used at a listing
+   * @param {string} listingId - Listing
+   * @returns {Promise<Array>} Active plans
+   */
+  async listPlansForListing(listingId) {
+    if (!mongoose.isValidObjectId(listingId)) throw creditError('Invalid listingId');
+    const listing = await Listing.findById(listingId).select('owner').lean();
+    if (!listing) throw creditError('Listing not found', 404);
+
+    return CreditPlan.find({
+      ownerId: listing.owner,
+      status: 'active',
+      $or: [{ listingIds: { $size: 0 } }, { listingIds: listing._id }],
+    })
+      .sort({ price: 1 })
+      .lean();
+  }
+
+  /**
+   * Buy a plan: creates a pending purchase and its checkout session
+   * @param {string} planId - Plan
+   * @param {string} userId - Client
+   * @param {Object} urls - { successUrl, cancelUrl }
+   * @returns {Promise<Object>} { purchase, checkout }
+   */
+  async purchase(planId, userId, { successUrl, cancelUrl }) {
+    if (!mongoose.isValidObjectId(planId)) throw creditError('Invalid planId');
+    const plan = await CreditPlan.findById(planId).lean();
+    if (!plan || plan.status !== 'active') throw creditError('Plan not found', 404);
+    if (String(plan.ownerId) === String(userId)) {
+      throw creditError('You cannot buy your own plan', 403);
+    }
+
+    const BookingPaymentService = require('./BookingPaymentService');
+    const commission = await FeeConfigService.ownerCommission(plan.ownerId);
+    const purchase = await CreditPurchase.create({
+      userId,
+      ownerId: plan.ownerId,
+      planId: plan._id,
+      name: plan.name,
+      kind: plan.kind,
+      unit: plan.unit,
+      listingIds: plan.listingIds,
+      maxGuests: plan.maxGuests,
+      validityDays: plan.validityDays,
+      creditsTotal: plan.kind === 'pack' ? plan.credits : 0,
+      creditsRemaining: 0,
+      price: plan.price,
+      currency: plan.currency || 'PHP',
+      commissionPercent: commission.percent,
+      holdExpiresAt: BookingPaymentService.holdExpiry(),
+    });
+
+    let checkout;
+    try {
+      checkout = await BookingPaymentService.createCheckoutSession({
+        amount: plan.price,
+        description: `${plan.name} • ${plan.kind === 'pack' ? `${plan.credits} ${plan.unit} credits` : 'membership'}`,
+        successUrl: `${successUrl}?creditPurchaseId=${purchase._id}`,
+        cancelUrl: `${cancelUrl}&creditPurchaseId=${purchase._id}`,
+        metadata: {
+          creditPurchaseId: String(purchase._id),
+          planId: String(plan._id),
+          userId: String(userId),
+          kind: plan.kind,
+          total: String(plan.price),
+        },
+        lineItems: [{ name: plan.name, amount: plan.price }],
+        idempotencyKey: purchase._id,
+      });
+    } catch (err) {
+      await CreditPurchase.updateOne({ _id: purchase._id }, { $set: { status: 'expired', expiredAt: new Date() } });
+      throw err;
+    }
+
+    purchase.payment = { checkoutId: checkout.id, checkoutUrl: checkout.url, amount: plan.price };
+    await purchase.save();
+
+    console.log(`[CreditService] User ${userId} started purchase ${purchase._id} of plan ${plan._id}`);
+    return { purchase: purchase.toObject(), checkout };
+  }
+
+  /**
+   * Find a purchase by id or checkout session id (webhook lookup)
+   * @param {Object} refs - { creditPurchaseId, checkoutIds }
+   * @returns {Promise<Object|null>} CreditPurchase document
+   */
+  async findByPayment({ creditPurchaseId, checkoutIds = [] }) {
+    const or = [];
+    if (creditPurchaseId && mongoose.isValidObjectId(creditPurchaseId)) or.push({ _id: creditPurchaseId });
+    const ids = checkoutIds.filter(Boolean);
+    if (ids.length) or.push({ 'payment.checkoutId': { $in: ids } });
+    if (!or.length) return null;
+    return CreditPurchase.findOne({ $or: or });
+  }
+
+  /**
+   * Activate a paid purchase and grant its credits (idempotent)
+   * @param {Object} purchase - CreditPurchase document
+   * @param {Object} payment - { paymentId, paidAt (unix seconds) }
+   * @returns {Promise<Object>} { action, creditPurchaseId } or { ignored, reason }
+   */
+  async markPaid(purchase, { paymentId, paidAt } = {}) {
+    const BookingPaymentService = require('./BookingPaymentService');
+    const paidDate = BookingPaymentService._paidAt(paidAt);
+
+    // A lapsed checkout that is paid late is still honoured
+    const activated = await CreditPurchase.findOneAndUpdate(
+      { _id: purchase._id, status: { $in: ['pending_payment', 'expired'] }, 'payment.paidAt': null },
+      {
+        $set: {
+          status: 'active',
+          activatedAt: paidDate,
+          expiresAt: new Date(paidDate.getTime() + purchase.validityDays * 24 * 60 * 60 * 1000),
+          creditsRemaining: purchase.creditsTotal,
+          'payment.paymentId': paymentId,
+          'payment.paidAt': paidDate,
+        },
+        $unset: { holdExpiresAt: 1, expiredAt: 1 },
+      },
+      { new: true }
+    );
+
+    if (!activated) {
+      return { ignored: true, reason: `credit_purchase_${purchase.status}`, creditPurchaseId: String(purchase._id) };
+    }
+
+    await CreditLedgerEntry.create({
+      purchaseId: activated._id,
+      userId: activated.userId,
+      type: 'grant',
+      credits: activated.creditsTotal,
+      balanceAfter: activated.creditsRemaining,
+      note: activated.kind === 'membership' ? `Membership until ${activated.expiresAt.toISOString()}` : 'Purchased',
+    });
+
+    try {
+      const LedgerService = require('./LedgerService');
+      await LedgerService.syncCreditPurchase(activated.toObject());
+    } catch (error) {
+      console.error(`[CreditService] Ledger sync failed for purchase ${activated._id}:`, error.message);
+    }
+
+    console.log(`[CreditService] Purchase ${activated._id} paid and activated`);
+    return { action: 'credits_activated', creditPurchaseId: String(activated._id) };
+  }
+
+  /**
+   * Credits a booking costs on a purchase
+   * @param {Object} purchase - CreditPurchase
+   * @param {Object} quote - PriceQuoteService quote for the booking
+   * @returns {number} Credits (0 for memberships)
+   */
+  creditsFor(purchase, quote) {
+    if (purchase.kind === 'membership') {
+      if (quote.guests > (purchase.maxGuests || 1)) {
+        throw creditError(`This membership covers up to ${purchase.maxGuests || 1} guest(s) per booking`);
+      }
+      return 0;
+    }
+
+    const perGuest = quote.perGuestFactor || 1;
+    if (purchase.unit === 'hour') {
+      if (quote.mode !== 'hour' || !quote.totalHours) {
+        throw creditError('Hour credits can only be used for hourly bookings');
+      }
+      return Math.ceil(quote.totalHours) * perGuest;
+    }
+    return quote.nights * perGuest;
+  }
+
+  /**
+   * Check a purchase can pay for this booking
+   * @param {string} purchaseId - CreditPurchase
+   * @param {string} userId - Client
+   * @param {Object} listing - Listing (lean)
+   * @param {Object} quote - Verified quote for the booking
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { purchase, credits }
+   */
+  async assertRedeemable(purchaseId, userId, listing, quote, now = new Date()) {
+    const purchase = await this._ownPurchase(purchaseId, userId);
+
+    if (purchase.status !== 'active' || !(purchase.expiresAt > now)) {
+      throw creditError(
+        purchase.status === 'exhausted' ? 'No credits left on this pack' : 'This pack or membership is not active',
+        409
+      );
+    }
+
+    const applies = purchase.listingIds?.length
+      ? purchase.listingIds.some((id) => String(id) === String(listing._id))
+      : String(purchase.ownerId) === String(listing.owner);
+    if (!applies) throw creditError('This pack or membership cannot be used at this workspace');
+
+    // Packs must be used before they expire; memberships only cover their own period
+    const window = { startDate: quote.startDate, endDate: quote.endDate, checkInTime: quote.checkInTime, checkOutTime: quote.checkOutTime };
+    if (purchase.kind === 'membership' ? endOfWindow(window) > purchase.expiresAt : startOfWindow(window) >= purchase.expiresAt) {
+      throw creditError(`This ${purchase.kind === 'membership' ? 'membership' : 'pack'} expires on ${purchase.expiresAt.toISOString().slice(0, 10)}`);
+    }
+
+    const credits = this.creditsFor(purchase, quote);
+    if (credits > purchase.creditsRemaining) {
+      throw creditError(`This booking needs ${credits} credit(s); ${purchase.creditsRemaining} left`, 409);
+    }
+
+    return { purchase, credits };
+  }
+
+  /**
+   * Spend credits on a booking (inside the reservation transaction)
+   * @param {string} purchaseId - CreditPurchase
+   * @param {Object} booking - Booking being created
+   * @param {number} credits - Credits to spend
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object>} Updated purchase
+   */
+  async redeem(purchaseId, booking, credits, session = null) {
+    const now = new Date();
+    const updated = await CreditPurchase.findOneAndUpdate(
+      { _id: purchaseId, userId: booking.userId, status: 'active', expiresAt: { $gt: now }, creditsRemaining: { $gte: credits } },
+      { $inc: { creditsRemaining: -credits } },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw creditError('Not enough credits left on this pack', 409);
+    }
+
+    if (updated.kind === 'pack' && updated.creditsRemaining === 0) {
+      updated.status = 'exhausted';
+      await updated.save({ session });
+    }
+
+    await CreditLedgerEntry.create(
+      [{
+        purchaseId: updated._id,
+        userId: updated.userId,
+        type: 'redeem',
+        credits: credits ? -credits : 0,
+        balanceAfter: updated.creditsRemaining,
+        bookingId: booking._id,
+      }],
+      { session }
+    );
+
+    return updated;
+  }
+
+  /**
+   * Give back the refunded share of a cancelled booking's credits
+   * @param {Object} booking - Booking paid with credits
+   * @param {number} fraction - Share refunded (0..1)
+   * @param {Object} refs - { cancellationRequestId, note }
+   * @returns {Promise<number>} Credits restored
+   */
+  async refundForBooking(booking, fraction, { cancellationRequestId = null, note = null } = {}) {
+    const Booking = require('../models/Booking');
+    const spent = Number(booking.credit?.credits || 0);
+    const already = Number(booking.credit?.refundedCredits || 0);
+    const credits = Math.min(spent - already, Math.floor(spent * Math.max(0, Math.min(1, fraction)) + 1e-9));
+    if (!booking.credit?.purchaseId || credits <= 0) return 0;
+
+    // Claim the refund on the booking first so it is only given once
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'credit.refundedCredits': already },
+      { $inc: { 'credit.refundedCredits': credits } },
+      { new: true }
+    );
+    if (!claimed) return 0;
+
+    const updated = await CreditPurchase.findByIdAndUpdate(
+      booking.credit.purchaseId,
+      { $inc: { creditsRemaining: credits } },
+      { new: true }
+    );
+    if (!updated) return 0;
+
+    // An exhausted pack comes back to life if it has not expired
+    if (updated.status === 'exhausted' && updated.expiresAt > new Date()) {
+      updated.status = 'active';
+      await updated.save();
+    }
+
+    await CreditLedgerEntry.create({
+      purchaseId: updated._id,
+      userId: updated.userId,
+      type: 'refund',
+      credits,
+      balanceAfter: updated.creditsRemaining,
+      bookingId: booking._id,
+      cancellationRequestId,
+      note,
+    });
+
+    console.log(`[CreditService] Restored ${credits} credit(s) to purchase ${updated._id} for booking ${booking._id}`);
+    return credits;
+  }
+
+  /**
+   * Expire lapsed purchases and unpaid checkouts
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { expired, lapsedCheckouts }
+   */
+  async expireStale(now = new Date()) {
+    const lapsed = await CreditPurchase.updateMany(
+      { status: 'pending_payment', holdExpiresAt: { $lte: now } },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+
+    const due = await CreditPurchase.find({ status: { $in: ['active', 'exhausted'] }, expiresAt: { $lte: now } }).limit(500);
+    let expired = 0;
+    for (const purchase of due) {
+      const updated = await CreditPurchase.findOneAndUpdate(
+        { _id: purchase._id, status: purchase.status },
+        { $set: { status: 'expired', expiredAt: now, creditsRemaining: 0 } }
+      );
+      if (!updated) continue;
+      expired++;
+
+      if (updated.creditsRemaining > 0) {
+        await CreditLedgerEntry.create({
+          purchaseId: updated._id,
+          userId: updated.userId,
+          type: 'expire',
+          credits: -updated.creditsRemaining,
+          balanceAfter: 0,
+        });
+      }
+    }
+
+    return { expired, lapsedCheckouts: lapsed.modifiedCount || 0 };
+  }
+
+  /**
+   * A client's purchases, newest first
+   * @param {string} userId - Client
+   * @returns {Promise<Array>} Purchases
+   */
+  async listMine(userId) {
+    return CreditPurchase.find({ userId, status: { $ne: 'pending_payment' } })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+  }
+
+  /**
+   * Balance history of one purchase
+   * @param {string} purchaseId - CreditPurchase
+   * @param {string} userId - Client
+   * @returns {Promise<Object>} { purchase, entries }
+   */
+  async ledger(purchaseId, userId) {
+    const purchase = await this._ownPurchase(purchaseId, userId);
+    const entries = await CreditLedgerEntry.find({ purchaseId }).sort({ createdAt: 1 }).lean();
+    return { purchase: purchase.toObject(), entries };
+  }
+
+  /**
+   * @private
+   */
+  async _ownPlan(planId, ownerId) {
+    if (!mongoose.isValidObjectId(planId)) throw creditError('Invalid planId');
+    const plan = await CreditPlan.findById(planId);
+    if (!plan) throw creditError('Plan not found', 404);
+    if (String(plan.ownerId) !== String(ownerId)) {
+      throw creditError('Forbidden: This plan does not belong to you', 403);
+    }
+    return plan;
+  }
+
+  /**
+   * @private
+   */
+  async _ownPurchase(purchaseId, userId) {
+    if (!mongoose.isValidObjectId(purchaseId)) throw creditError('Invalid creditPurchaseId');
+    const purchase = await CreditPurchase.findById(purchaseId);
+    if (!purchase) throw creditError('Credit purchase not found', 404);
+    if (String(purchase.userId) !== String(userId)) {
+      throw creditError('Forbidden: This purchase does not belong to you', 403);
+    }
+    return purchase;
+  }
+
+  /**
+   * @private
+   */
+  async _ownedListingIds(ownerId, listingIds) {
+    if (listingIds == null) return [];
+    if (!Array.isArray(listingIds) || listingIds.some((id) => !mongoose.isValidObjectId(id))) {
+      throw creditError('listingIds must be an array of listing ids');
+    }
+    const unique = [...new Set(listingIds.map(String))];
+    if (!unique.length) return [];
+
+    const owned = await Listing.countDocuments({ _id: { $in: unique }, owner: ownerId });
+    if (owned !== unique.length) {
+      throw creditError('Plans can only include your own listings', 403);
+    }
+    return unique;
+  }
+}
+
+module.exports = new CreditService();
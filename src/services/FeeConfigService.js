@@ -0,0 +1,273 @@
+/**
+ * FeeConfigService
+ * Admin-configured platform commission and tax rules.
+ *
+ * Commission is the share of a booking the platform keeps, taken on the
+ * pre-tax amount. The most specific rate applies: an owner override, then the
+ * listing's category, then the global rate (PLATFORM_FEE_PERCENT until an
+ * admin sets one). Taxes apply to every booking: inclusive taxes are broken
+ * out of the price, exclusive taxes are added on top. A booking stores the
+ * rates that applied when it was made (Booking.feeRates), so later changes
+ * never alter what was charged, earned or refunded.
+ */
+
+const mongoose = require('mongoose');
+const CommissionRate = require('../models/CommissionRate');
+const TaxRule = require('../models/TaxRule');
+
+const DEFAULT_COMMISSION_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT ?? 10);
+
+const CACHE_MS = 60 * 1000;
+
+function feeError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function percentOf(value, field = 'percent') {
+  const percent = Number(value);
+  if (value === '' || value == null || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw feeError(`${field} must be between 0 and 100`);
+  }
+  return round2(percent);
+}
+
+class FeeConfigService {
+  constructor() {
+    this._cache = null;
+  }
+
+  /**
+   * Configured commission rates and enabled taxes
+   * @returns {Promise<Object>} { commissions, taxes }
+   */
+  async current() {
+    if (this._cache && Date.now() - this._cache.at < CACHE_MS) return this._cache.config;
+
+    const [commissions, taxes] = await Promise.all([
+      CommissionRate.find().lean(),
+      TaxRule.find({ enabled: true }).sort({ code: 1 }).lean(),
+    ]);
+    const config = { commissions, taxes: taxes.map((t) => this.taxSnapshot(t)) };
+
+    this._cache = { at: Date.now(), config };
+    return config;
+  }
+
+  /**
+   * Pick the commission that applies to a listing
+   * @param {Object} target - { ownerId, category }
+   * @param {Array} commissions - CommissionRate rows
+   * @returns {Object} { percent, source }
+   */
+  commissionFor({ ownerId, category } = {}, commissions = []) {
+    const owner = ownerId ? String(ownerId) : null;
+    const cat = category ? String(category).trim().toLowerCase() : null;
+
+    const byOwner = owner && commissions.find((c) => c.scope === 'owner' && String(c.ownerId) === owner);
+    if (byOwner) return { percent: byOwner.percent, source: 'owner' };
+
+    const byCategory = cat && commissions.find((c) => c.scope === 'category' && c.category === cat);
+    if (byCategory) return { percent: byCategory.percent, source: 'category' };
+
+    const global = commissions.find((c) => c.scope === 'global');
+    if (global) return { percent: global.percent, source: 'global' };
+
+    return { percent: DEFAULT_COMMISSION_PERCENT, source: 'default' };
+  }
+
+  /**
+   * Rates that apply to a booking on a listing right now
+   * @param {Object} listing - Listing (owner, category)
+   * @returns {Promise<Object>} Booking.feeRates: { commissionPercent, commissionSource, taxes, resolvedAt }
+   */
+  async ratesFor(listing) {
+    const { commissions, taxes } = await this.current();
+    const commission = this.commissionFor({ ownerId: listing.owner, category: listing.category }, commissions);
+    return {
+      commissionPercent: commission.percent,
+      commissionSource: commission.source,
+      taxes,
+      resolvedAt: new Date(),
+    };
+  }
+
+  /**
+   * Commission on an owner's sales that are not tied to one listing (credit packs)
+   * @param {string} ownerId - Owner
+   * @returns {Promise<Object>} { percent, source }
+   */
+  async ownerCommission(ownerId) {
+    const { commissions } = await this.current();
+    return this.commissionFor({ ownerId }, commissions);
+  }
+
+  /**
+   * Tax fields a quote and booking keep
+   * @param {Object} rule - TaxRule
+   * @returns {Object} { code, label, percent, mode }
+   */
+  taxSnapshot(rule) {
+    return { code: rule.code, label: rule.label, percent: rule.percent, mode: rule.mode };
+  }
+
+  /**
+   * Tax and commission in a booking's PHP amount, at the rates it was made with
+   * @param {Object} booking - Booking (amount, pricingSnapshot, feeRates)
+   * @param {number} amount - PHP amount to split (defaults to the booking amount)
+   * @returns {Object} { amount, tax, taxShare, commissionPercent, commission }
+   */
+  breakdown(booking, amount = booking.amount) {
+    const value = Number(amount || 0);
+    const quoted = Number(booking.pricingSnapshot?.total || 0);
+    const taxShare = quoted > 0 ? Math.min(1, Number(booking.pricingSnapshot?.taxTotal || 0) / quoted) : 0;
+    const tax = round2(value * taxShare);
+    const commissionPercent = booking.feeRates?.commissionPercent ?? DEFAULT_COMMISSION_PERCENT;
+
+    return {
+      amount: round2(value),
+      tax,
+      taxShare,
+      commissionPercent,
+      commission: round2((value - tax) * (commissionPercent / 100)),
+    };
+  }
+
+  /**
+   * Everything admins configure here
+   * @returns {Promise<Object>} { defaultCommissionPercent, commissions, taxes }
+   */
+  async listConfig() {
+    const [commissions, taxes] = await Promise.all([
+      CommissionRate.find()
+        .sort({ scope: 1, category: 1 })
+        .populate('ownerId', 'fullName email')
+        .lean(),
+      TaxRule.find().sort({ code: 1 }).lean(),
+    ]);
+    return { defaultCommissionPercent: DEFAULT_COMMISSION_PERCENT, commissions, taxes };
+  }
+
+  /**
+   * Create or replace the commission rate for a scope
+   * @param {Object} input - { scope, category, ownerId, percent, note }
+   * @param {string} adminId - Admin
+   * @returns {Promise<Object>} CommissionRate
+   */
+  async setCommission({ scope, category, ownerId, percent, note } = {}, adminId) {
+    const key = { scope, category: null, ownerId: null };
+    if (scope === 'category') {
+      key.category = String(category || '').trim().toLowerCase();
+      if (!key.category) throw feeError('category is required for a category rate');
+    } else if (scope === 'owner') {
+      if (!mongoose.isValidObjectId(ownerId)) throw feeError('A valid ownerId is required for an owner rate');
+      key.ownerId = ownerId;
+    } else if (scope !== 'global') {
+      throw feeError('scope must be global, category or owner');
+    }
+
+    const rate = await CommissionRate.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          percent: percentOf(percent),
+          note: note ? String(note).trim() : undefined,
+          updatedBy: adminId,
+        },
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    this._cache = null;
+
+    console.log(`[FeeConfigService] ${scope} commission${key.category || key.ownerId ? ` (${key.category || key.ownerId})` : ''} set to ${rate.percent}% by admin ${adminId}`);
+    return rate;
+  }
+
+  /**
+   * Remove a commission rate (the next less specific rate applies again)
+   * @param {string} id - CommissionRate
+   * @param {string} adminId - Admin
+   */
+  async removeCommission(id, adminId) {
+    if (!mongoose.isValidObjectId(id)) throw feeError('Invalid commission rate id');
+    const rate = await CommissionRate.findByIdAndDelete(id).lean();
+    if (!rate) throw feeError('Commission rate not found', 404);
+    this._cache = null;
+
+    console.log(`[FeeConfigService] ${rate.scope} commission ${id} removed by admin ${adminId}`);
+    return rate;
+  }
+
+  /**
+   * Add a tax rule
+   * @param {Object} input - { code, label, percent, mode, enabled }
+   * @param {string} adminId - Admin
+   * @returns {Promise<Object>} TaxRule
+   */
+  async createTax(input = {}, adminId) {
+    const code = String(input.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]{2,20}$/.test(code)) throw feeError('code must be 2-20 letters, digits or underscores');
+
+    const fields = this._taxFields(input, { requireAll: true });
+    try {
+      const rule = await TaxRule.create({ code, ...fields, updatedBy: adminId });
+      this._cache = null;
+      console.log(`[FeeConfigService] Tax ${code} (${rule.percent}% ${rule.mode}) created by admin ${adminId}`);
+      return rule.toObject();
+    } catch (err) {
+      if (err?.code === 11000) throw feeError(`Tax ${code} already exists`, 409);
+      throw err;
+    }
+  }
+
+  /**
+   * Change a tax rule (only future bookings are affected)
+   * @param {string} id - TaxRule
+   * @param {Object} input - { label, percent, mode, enabled }
+   * @param {string} adminId - Admin
+   * @returns {Promise<Object>} TaxRule
+   */
+  async updateTax(id, input = {}, adminId) {
+    if (!mongoose.isValidObjectId(id)) throw feeError('Invalid tax rule id');
+
+    const fields = this._taxFields(input, { requireAll: false });
+    const rule = await TaxRule.findByIdAndUpdate(
+      id,
+      { $set: { ...fields, updatedBy: adminId } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!rule) throw feeError('Tax rule not found', 404);
+    this._cache = null;
+
+    console.log(`[FeeConfigService] Tax ${rule.code} updated by admin ${adminId}`);
+    return rule;
+  }
+
+  /**
+   * Validate tax rule fields
+   * @private
+   */
+  _taxFields(input, { requireAll }) {
+    const fields = {};
+
+    if (input.label !== undefined || requireAll) {
+      const label = String(input.label || '').trim();
+      if (!label) throw feeError('label is required');
+      fields.label = label.slice(0, 80);
+    }
+    if (input.percent !== undefined || requireAll) fields.percent = percentOf(input.percent);
+    if (input.mode !== undefined) {
+      if (!['inclusive', 'exclusive'].includes(input.mode)) throw feeError('mode must be inclusive or exclusive');
+      fields.mode = input.mode;
+    }
+    if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+
+    return fields;
+  }
+}
+
+module.exports = new FeeConfigService();
+module.exports.DEFAULT_COMMISSION_PERCENT = DEFAULT_COMMISSION_PERCENT;
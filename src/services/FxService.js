@@ -0,0 +1,240 @@
+/**
+ * FxService
+ * Locally maintained exchange rates for display prices and checkout.
+ *
+ * PayMongo settles in PHP only, so every checkout is charged in PHP. A
+ * listing priced in another currency is converted to PHP at checkout, and a
+ * client can view quotes and listings in any supported currency. Rates are
+ * entered by admins (FxRate keeps the full history); a quote signs the rates
+ * it used and the booking snapshots them, so the PHP charged and later
+ * refunded never depends on today's rate.
+ */
+
+const FxRate = require('../models/FxRate');
+
+const SETTLEMENT_CURRENCY = 'PHP';
+const SUPPORTED_CURRENCIES = String(process.env.FX_CURRENCIES || 'PHP,USD,EUR,SGD')
+  .split(',')
+  .map((c) => c.trim().toUpperCase())
+  .filter(Boolean);
+
+const CACHE_MS = 60 * 1000;
+
+function fxError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class FxService {
+  constructor() {
+    this._cache = null;
+  }
+
+  /**
+   * Normalize and check a currency code
+   * @param {string} currency - ISO code, any case
+   * @returns {string} Upper-case code
+   */
+  normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(code)) {
+      throw fxError(`Unsupported currency: ${currency}. Supported: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+    return code;
+  }
+
+  /**
+   * Current rate for every supported currency
+   * @returns {Promise<Object>} { USD: { rate, effectiveAt }, ... } (PHP is always 1)
+   */
+  async currentRates() {
+    if (this._cache && Date.now() - this._cache.at < CACHE_MS) return this._cache.rates;
+
+    const now = new Date();
+    const latest = await FxRate.aggregate([
+      { $match: { currency: { $in: SUPPORTED_CURRENCIES }, effectiveAt: { $lte: now } } },
+      { $sort: { effectiveAt: -1 } },
+      { $group: { _id: '$currency', rate: { $first: '$rate' }, effectiveAt: { $first: '$effectiveAt' } } },
+    ]);
+
+    const rates = { [SETTLEMENT_CURRENCY]: { rate: 1, effectiveAt: null } };
+    for (const r of latest) {
+      if (r._id !== SETTLEMENT_CURRENCY) rates[r._id] = { rate: r.rate, effectiveAt: r.effectiveAt };
+    }
+
+    this._cache = { at: Date.now(), rates };
+    return rates;
+  }
+
+  /**
+   * PHP per one unit of a currency
+   * @param {string} currency - ISO code
+   * @returns {Promise<number>} Rate
+   */
+  async rateFor(currency) {
+    const code = this.normalizeCurrency(currency);
+    if (code === SETTLEMENT_CURRENCY) return 1;
+
+    const rates = await this.currentRates();
+    if (!rates[code]) throw fxError(`No exchange rate is set for ${code}`, 409);
+    return rates[code].rate;
+  }
+
+  /**
+   * Rates a quote is priced and displayed with
+   * @param {string} listingCurrency - Currency the listing is priced in
+   * @param {string} displayCurrency - Currency the client wants to see (defaults to the listing's)
+   * @returns {Promise<Object>} { listingCurrency, listingRate, displayCurrency, displayRate, rateAt }
+   */
+  async snapshot(listingCurrency, displayCurrency = null) {
+    const listingCode = this.normalizeCurrency(listingCurrency || SETTLEMENT_CURRENCY);
+    const displayCode = displayCurrency ? this.normalizeCurrency(displayCurrency) : listingCode;
+
+    const [listingRate, displayRate] = await Promise.all([
+      this.rateFor(listingCode),
+      this.rateFor(displayCode),
+    ]);
+
+    return {
+      listingCurrency: listingCode,
+      listingRate,
+      displayCurrency: displayCode,
+      displayRate,
+      rateAt: new Date(),
+    };
+  }
+
+  /**
+   * Add settlement (PHP) and display amounts to a quote
+   * @param {Object} quote - PriceQuoteService quote, in the listing currency
+   * @param {Object} fx - Snapshot from snapshot()
+   * @returns {Object} Quote with settlement and display
+   */
+  applyFx(quote, fx) {
+    const settlementTotal = round2(quote.total * fx.listingRate);
+    const toDisplay = (amount) => round2((amount * fx.listingRate) / fx.displayRate);
+
+    return {
+      ...quote,
+      settlement: {
+        currency: SETTLEMENT_CURRENCY,
+        rate: fx.listingRate,
+        total: settlementTotal,
+      },
+      display: {
+        currency: fx.displayCurrency,
+        rate: fx.displayRate,
+        total: round2(settlementTotal / fx.displayRate),
+        lineItems: quote.lineItems.map((li) => ({ ...li, amount: toDisplay(li.amount) })),
+      },
+    };
+  }
+
+  /**
+   * Rates to keep on a booking made from a quote returned by applyFx()
+   * @param {Object} quote - Quote with settlement and display
+   * @returns {Object} Booking.fx
+   */
+  bookingSnapshot(quote) {
+    return {
+      listingCurrency: quote.currency,
+      listingTotal: quote.total,
+      listingRate: quote.settlement.rate,
+      displayCurrency: quote.display.currency,
+      displayTotal: quote.display.total,
+      displayRate: quote.display.rate,
+    };
+  }
+
+  /**
+   * Convert an amount between two currencies with known PHP rates
+   * @param {number} amount - Amount in the source currency
+   * @param {number} fromRate - PHP per unit of the source currency
+   * @param {number} toRate - PHP per unit of the target currency
+   * @returns {number} Converted amount
+   */
+  convert(amount, fromRate, toRate) {
+    return round2((Number(amount || 0) * fromRate) / toRate);
+  }
+
+  /**
+   * Listing prices in a display currency (for public listing payloads)
+   * @param {Object} listing - Listing (lean)
+   * @param {string} displayCurrency - Currency to show
+   * @param {Object} rates - From currentRates()
+   * @returns {Object|null} { currency, rate, prices } or null if a rate is missing
+   */
+  displayPrices(listing, displayCurrency, rates) {
+    const from = String(listing.currency || SETTLEMENT_CURRENCY).toUpperCase();
+    if (!rates[from] || !rates[displayCurrency]) return null;
+
+    const prices = {};
+    for (const field of ['priceSeatHour', 'priceSeatDay', 'priceRoomHour', 'priceRoomDay', 'priceWholeDay', 'priceWholeMonth', 'serviceFee', 'cleaningFee']) {
+      if (Number(listing[field]) > 0) {
+        prices[field] = this.convert(listing[field], rates[from].rate, rates[displayCurrency].rate);
+      }
+    }
+
+    return {
+      currency: displayCurrency,
+      rate: Math.round((rates[from].rate / rates[displayCurrency].rate) * 10000) / 10000,
+      prices,
+    };
+  }
+
+  /**
+   * Set a new rate (kept alongside all previous rates)
+   * @param {string} currency - ISO code (not PHP)
+   * @param {number} rate - PHP per one unit
+   * @param {string} adminId - Admin
+   * @param {Object} options - { note, effectiveAt }
+   * @returns {Promise<Object>} FxRate
+   */
+  async setRate(currency, rate, adminId, { note, effectiveAt } = {}) {
+    const code = this.normalizeCurrency(currency);
+    if (code === SETTLEMENT_CURRENCY) throw fxError(`${SETTLEMENT_CURRENCY} is the settlement currency`);
+
+    const value = Number(rate);
+    if (!Number.isFinite(value) || value <= 0) throw fxError('rate must be a positive number');
+
+    let effective = new Date();
+    if (effectiveAt) {
+      effective = new Date(effectiveAt);
+      if (!Number.isFinite(effective.getTime())) throw fxError('effectiveAt must be a valid date');
+    }
+
+    const row = await FxRate.create({
+      currency: code,
+      rate: value,
+      effectiveAt: effective,
+      createdBy: adminId,
+      note: note ? String(note).trim() : undefined,
+    });
+    this._cache = null;
+
+    console.log(`[FxService] ${code} set to ${value} ${SETTLEMENT_CURRENCY} by admin ${adminId}`);
+    return row.toObject();
+  }
+
+  /**
+   * Rate history for a currency, newest first
+   * @param {string} currency - ISO code
+   * @param {number} limit - Max rows
+   * @returns {Promise<Array>} FxRate rows
+   */
+  async history(currency, limit = 100) {
+    const code = this.normalizeCurrency(currency);
+    return FxRate.find({ currency: code })
+      .sort({ effectiveAt: -1 })
+      .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+      .populate('createdBy', 'fullName email')
+      .lean();
+  }
+}
+
+module.exports = new FxService();
+module.exports.SETTLEMENT_CURRENCY = SETTLEMENT_CURRENCY;
+module.exports.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
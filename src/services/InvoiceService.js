@@ -0,0 +1,362 @@
+/**
+ * InvoiceService
+ * Sequentially numbered invoices (official receipts) for paid bookings and
+ * credit notes for refunds against them.
+ *
+ * Like the ledger, documents are derived from the booking's payment state:
+ * syncBooking() issues the invoice once the booking is paid and a credit
+ * note for any refunded amount not yet credited, so it is safe to call after
+ * every payment, refund or reschedule. Each document copies in the seller
+ * (the owner's business name and TIN), buyer, listing, line items, discount
+ * and taxes when issued and is rendered to PDF from that copy.
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const DocumentSequence = require('../models/DocumentSequence');
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const LedgerService = require('./LedgerService');
+const FeeConfigService = require('./FeeConfigService');
+const { renderTextPdf, columns, LINE_CHARS } = require('../utils/pdf');
+
+const PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const PAYMENT_LABELS = { paymongo: 'PayMongo', fake: 'Test gateway', bank_transfer: 'Bank transfer', cash: 'Cash' };
+
+function invoiceError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+const money = (n) => round2(n).toFixed(2);
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+class InvoiceService {
+  /**
+   * Issue whatever documents a booking is missing
+   * @param {Object|string} bookingOrId - Booking or ID
+   * @returns {Promise<Object>} { invoice, creditNotes }
+   */
+  async syncBooking(bookingOrId) {
+    const booking = bookingOrId?.ownerId
+      ? bookingOrId
+      : await Booking.findById(bookingOrId).lean();
+    if (!booking) return { invoice: null, creditNotes: [] };
+
+    const invoice = await this.issueForBooking(booking);
+    const creditNotes = invoice ? await this._creditRefunds(booking, invoice) : [];
+    return { invoice, creditNotes };
+  }
+
+  /**
+   * syncBooking for payment flows: a failure is logged, never thrown
+   * @param {string} bookingId - Booking
+   */
+  async syncBookingSafe(bookingId) {
+    try {
+      await this.syncBooking(bookingId);
+    } catch (error) {
+      console.error(`[InvoiceService] Sync failed for booking ${bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * The invoice for a paid booking, issued on first call
+   * @param {Object} booking - Booking (lean)
+   * @returns {Promise<Object|null>} Invoice, or null if the booking was not charged
+   */
+  async issueForBooking(booking) {
+    const source = LedgerService.bookingSource(booking);
+    if (!source) return null;
+
+    const existing = await Invoice.findOne({ source: `booking:${booking._id}` }).lean();
+    if (existing) return existing.number ? existing : this._assignNumber(existing);
+
+    const parties = await this._parties(booking);
+    return this._create(this.invoiceFields(booking, parties));
+  }
+
+  /**
+   * Invoice contents for a paid booking
+   * @param {Object} booking - Booking (lean)
+   * @param {Object} parties - Seller, buyer, listing and service details
+   * @returns {Object} Invoice fields
+   */
+  invoiceFields(booking, parties) {
+    const snap = booking.pricingSnapshot || {};
+    // Quotes are in the listing currency; the invoice shows the PHP charged
+    const rate = Number(booking.fx?.listingRate || 1);
+    const php = (amount) => round2(Number(amount || 0) * rate);
+
+    const lineItems = (snap.lineItems || [])
+      .filter((li) => li.code !== 'promo' && li.code !== 'tax')
+      .map((li) => ({ label: li.label, amount: php(li.amount) }));
+    if (!lineItems.length) lineItems.push({ label: 'Workspace booking', amount: round2(booking.amount) });
+
+    const taxes = (snap.taxes || []).map((t) => ({ ...FeeConfigService.taxSnapshot(t), amount: php(t.amount) }));
+
+    return {
+      kind: 'invoice',
+      source: `booking:${booking._id}`,
+      ...parties,
+      issuedAt: booking.payment?.paidAt || new Date(),
+      lineItems,
+      subtotal: round2(lineItems.reduce((sum, li) => sum + li.amount, 0)),
+      discount: php(snap.discount),
+      discountLabel: snap.promo?.code ? `Promo code ${snap.promo.code}` : undefined,
+      taxes,
+      taxTotal: round2(taxes.reduce((sum, t) => sum + t.amount, 0)),
+      total: round2(booking.amount),
+      paymentMethod: booking.provider || 'paymongo',
+      paymentReference: booking.payment?.paymentId || booking.payment?.checkoutId || booking.manualPayment?.reference || undefined,
+    };
+  }
+
+  /**
+   * Credit note contents for part of a booking's invoice
+   * @param {Object} booking - Booking (lean)
+   * @param {Object} invoice - The booking's invoice
+   * @param {number} amount - PHP refunded
+   * @param {number} seq - Credit notes already issued for the booking
+   * @returns {Object} Invoice fields
+   */
+  creditNoteFields(booking, invoice, amount, seq) {
+    // Tax comes back in the same proportion it was charged
+    const { tax } = FeeConfigService.breakdown(booking, amount);
+    const share = invoice.taxTotal > 0 ? tax / invoice.taxTotal : 0;
+
+    return {
+      kind: 'credit_note',
+      source: `booking:${booking._id}:credit:${seq}`,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.number,
+      bookingId: invoice.bookingId,
+      userId: invoice.userId,
+      ownerId: invoice.ownerId,
+      listingId: invoice.listingId,
+      seller: invoice.seller,
+      buyer: invoice.buyer,
+      listing: invoice.listing,
+      service: invoice.service,
+      issuedAt: new Date(),
+      lineItems: [{ label: `Refund against invoice ${invoice.number}`, amount }],
+      subtotal: amount,
+      taxes: (invoice.taxes || []).map((t) => ({ ...t, amount: round2(t.amount * share) })),
+      taxTotal: tax,
+      total: amount,
+      paymentMethod: invoice.paymentMethod,
+      reason: booking.status === 'cancelled' ? 'Booking cancelled' : 'Partial refund',
+    };
+  }
+
+  /**
+   * A booking's documents, for its client or owner
+   * @param {string} bookingId - Booking
+   * @param {string} userId - Requesting user
+   * @param {Object} options - { isAdmin }
+   * @returns {Promise<Object>} { invoice, creditNotes }
+   */
+  async getForBooking(bookingId, userId, { isAdmin = false } = {}) {
+    if (!mongoose.isValidObjectId(bookingId)) throw invoiceError('Invalid id', 400);
+
+    const booking = await Booking.findById(bookingId).lean();
+    if (!booking) throw invoiceError('Not found', 404);
+    const allowed = isAdmin || [booking.userId, booking.ownerId].some((id) => String(id) === String(userId));
+    if (!allowed) throw invoiceError('Forbidden', 403);
+
+    // Bookings paid before invoicing existed get theirs on first request
+    const { invoice } = await this.syncBooking(booking);
+    if (!invoice) {
+      throw invoiceError(
+        booking.provider === 'credits'
+          ? 'Bookings paid with credits are covered by the credit purchase receipt'
+          : 'This booking has not been paid',
+        409
+      );
+    }
+
+    const creditNotes = await Invoice.find({ bookingId: booking._id, kind: 'credit_note' })
+      .sort({ issuedAt: 1 })
+      .lean();
+    return { invoice, creditNotes };
+  }
+
+  /**
+   * Render an invoice or credit note
+   * @param {Object} doc - Invoice
+   * @returns {Buffer} PDF file
+   */
+  renderPdf(doc) {
+    const isCredit = doc.kind === 'credit_note';
+    const cur = doc.currency || 'PHP';
+    const rule = '-'.repeat(LINE_CHARS);
+    const row = (label, amount, bold = false) => ({
+      text: columns([
+        { text: label, width: LINE_CHARS - 16 },
+        { text: amount, width: 15, align: 'right' },
+      ]),
+      bold,
+    });
+    const seller = doc.seller || {};
+    const buyer = doc.buyer || {};
+    const service = doc.service || {};
+    const when = (date, time) => `${date || ''}${time ? ` ${time}` : ''}`;
+
+    const lines = [
+      { text: isCredit ? 'CREDIT NOTE' : 'INVOICE / OFFICIAL RECEIPT', bold: true, size: 14 },
+      '',
+      `No.      ${doc.number}`,
+      `Issued:  ${day(doc.issuedAt)}`,
+      ...(isCredit && doc.invoiceNumber ? [`Against: Invoice ${doc.invoiceNumber}`] : []),
+      '',
+      { text: seller.businessName || seller.name || 'FlexiDesk host', bold: true },
+      ...(seller.businessName && seller.name ? [seller.name] : []),
+      ...(seller.tin ? [`TIN: ${seller.tin}`] : []),
+      ...(seller.address ? [seller.address] : []),
+      'Booked through FlexiDesk',
+      '',
+      { text: 'Billed to', bold: true },
+      `${buyer.name || ''}${buyer.email ? ` <${buyer.email}>` : ''}`,
+      ...(buyer.organization ? [buyer.organization] : []),
+      '',
+      `Booking: ${doc.bookingId}`,
+      `Space:   ${doc.listing?.title || ''}`,
+      ...(doc.listing?.address ? [`         ${doc.listing.address}`] : []),
+      `Dates:   ${when(service.startDate, service.checkInTime)} to ${when(service.endDate, service.checkOutTime)}` +
+        (service.guests ? `, ${service.guests} guest(s)` : ''),
+      '',
+      row('Description', `Amount (${cur})`, true),
+      rule,
+      ...(doc.lineItems || []).map((li) => row(li.label, money(li.amount))),
+      rule,
+    ];
+
+    if (!isCredit) {
+      lines.push(row('Subtotal', money(doc.subtotal)));
+      if (doc.discount) lines.push(row(doc.discountLabel || 'Discount', money(-doc.discount)));
+    }
+    for (const t of doc.taxes || []) {
+      lines.push(row(
+        `${t.label} ${t.percent}% (${t.mode === 'inclusive' ? 'included' : 'added'})`,
+        money(t.amount)
+      ));
+    }
+    lines.push(row(isCredit ? 'Total credited' : 'Total paid', money(doc.total), true));
+    lines.push('');
+
+    if (isCredit) {
+      lines.push(`Refunded to the original payment method${doc.reason ? ` - ${doc.reason}` : ''}.`);
+    } else {
+      lines.push(`Paid via ${PAYMENT_LABELS[doc.paymentMethod] || doc.paymentMethod}${doc.paymentReference ? ` (ref. ${doc.paymentReference})` : ''}.`);
+    }
+    if (!seller.tin) lines.push('The host has not provided a TIN for this document.');
+
+    return renderTextPdf(lines, { title: `${isCredit ? 'Credit note' : 'Invoice'} ${doc.number}` });
+  }
+
+  /**
+   * Issue a credit note for refunds not yet credited
+   * @private
+   */
+  async _creditRefunds(booking, invoice) {
+    const refunded = LedgerService.bookingSource(booking)?.refunded || 0;
+    const issued = await Invoice.find({ bookingId: booking._id, kind: 'credit_note' }).lean();
+    const credited = issued.reduce((sum, n) => sum + n.total, 0);
+
+    const amount = round2(refunded - credited);
+    if (amount < 0.01) return issued;
+
+    const note = await this._create(this.creditNoteFields(booking, invoice, amount, issued.length));
+    return note ? [...issued, note] : issued;
+  }
+
+  /**
+   * Seller, buyer and listing details copied onto a document
+   * @private
+   */
+  async _parties(booking) {
+    const [owner, client, listing, org] = await Promise.all([
+      User.findById(booking.ownerId).select('fullName email business').lean(),
+      User.findById(booking.userId).select('fullName email').lean(),
+      Listing.findById(booking.listingId).select('title venue address address2 city').lean(),
+      booking.organizationId ? Organization.findById(booking.organizationId).select('name').lean() : null,
+    ]);
+
+    return {
+      bookingId: booking._id,
+      userId: booking.userId,
+      ownerId: booking.ownerId,
+      listingId: booking.listingId,
+      seller: {
+        name: owner?.fullName,
+        businessName: owner?.business?.name,
+        tin: owner?.business?.tin,
+        address: owner?.business?.address,
+        email: owner?.email,
+      },
+      buyer: {
+        name: client?.fullName,
+        email: client?.email,
+        organization: org?.name,
+      },
+      listing: {
+        title: listing?.venue || listing?.title,
+        address: [listing?.address, listing?.address2, listing?.city].filter(Boolean).join(', '),
+      },
+      service: {
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        checkInTime: booking.checkInTime || undefined,
+        checkOutTime: booking.checkOutTime || undefined,
+        guests: booking.guests,
+      },
+    };
+  }
+
+  /**
+   * Claim a document for its source, then number it
+   * @private
+   */
+  async _create(fields) {
+    let doc;
+    try {
+      doc = await Invoice.create(fields);
+    } catch (err) {
+      // Issued by a concurrent sync
+      if (err?.code === 11000) return Invoice.findOne({ source: fields.source }).lean();
+      throw err;
+    }
+    return this._assignNumber(doc.toObject());
+  }
+
+  /**
+   * Take the next number in the document's series
+   * @private
+   */
+  async _assignNumber(doc) {
+    const year = new Date(doc.issuedAt).getFullYear();
+    const series = `${PREFIXES[doc.kind]}-${year}`;
+    const counter = await DocumentSequence.findOneAndUpdate(
+      { _id: series },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+    const number = `${series}-${String(counter.seq).padStart(6, '0')}`;
+
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: doc._id, number: null },
+      { $set: { number } },
+      { new: true }
+    ).lean();
+
+    if (!numbered) return Invoice.findById(doc._id).lean();
+    console.log(`[InvoiceService] Issued ${doc.kind} ${number} for booking ${doc.bookingId}`);
+    return numbered;
+  }
+}
+
+module.exports = new InvoiceService();
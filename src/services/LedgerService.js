@@ -0,0 +1,583 @@
+/**
+ * LedgerService
+ * Double-entry record of owner earnings: gross booking payments, platform
+ * commission, payment processing fees, refunds and payouts.
+ *
+ * Postings are derived from the payment state of a booking (or credit pack
+ * purchase) rather than hooked into every refund path: sync*() compares what
+ * the source should have posted by now with what it has posted and adds the
+ * difference. That makes it safe to call again after any payment, refund or
+ * reschedule, and the payout job re-syncs recent bookings as a safety net.
+ *
+ * Amounts are PHP (the settlement currency). Owners carry the platform fee on
+ * what they keep, net of tax, at the commission rate stored on the booking,
+ * and the gateway's processing fee on every charge; processing fees are not
+ * returned on refunds. Taxes stay with the owner, who remits them.
+ *
+ * Bank transfer and cash bookings are paid to the owner directly: what the
+ * owner keeps is posted back out as offline_collection, leaving the platform
+ * fee as a balance the owner owes, netted against their next payout. They
+ * carry no processing fee.
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Booking = require('../models/Booking');
+const CreditPurchase = require('../models/CreditPurchase');
+const FeeConfigService = require('./FeeConfigService');
+const ManualPaymentService = require('./ManualPaymentService');
+const { toCsv } = require('../utils/csv');
+const { renderTextPdf, columns, LINE_CHARS } = require('../utils/pdf');
+
+const PLATFORM_FEE_PERCENT = FeeConfigService.DEFAULT_COMMISSION_PERCENT;
+const PROCESSING_FEE_PERCENT = Number(process.env.PROCESSING_FEE_PERCENT ?? 3.5);
+const PROCESSING_FEE_FIXED = Number(process.env.PROCESSING_FEE_FIXED ?? 15);
+const PAYOUT_HOLD_DAYS = Number(process.env.PAYOUT_HOLD_DAYS ?? 2);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account each owner_payable posting is balanced against
+const COUNTER_ACCOUNTS = {
+  booking_gross: 'gateway_receivable',
+  platform_fee: 'platform_revenue',
+  processing_fee: 'gateway_receivable',
+  refund: 'gateway_receivable',
+  offline_collection: 'gateway_receivable',
+  payout: 'payouts',
+};
+
+function ledgerError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Calendar month (server local time)
+ * @param {string} period - "YYYY-MM"
+ * @returns {Object} { start, end } with end exclusive
+ */
+function monthBounds(period) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(period || ''));
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) throw ledgerError('Period must be YYYY-MM');
+  const year = Number(m[1]);
+  const month = Number(m[2]) - 1;
+  return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+}
+
+const money = (n) => round2(n).toFixed(2);
+
+class LedgerService {
+  /**
+   * Signed owner_payable total each posting type should reach for a source
+   * @param {Object} amounts - { gross, refunded, charges, commissionPercent, taxShare, offline }
+   * @returns {Object} { booking_gross, platform_fee, processing_fee, refund, offline_collection }
+   */
+  expectedPostings({ gross, refunded = 0, charges = 1, commissionPercent = PLATFORM_FEE_PERCENT, taxShare = 0, offline = false }) {
+    const kept = Math.max(0, gross - refunded);
+    return {
+      booking_gross: round2(gross),
+      platform_fee: -round2(kept * (1 - taxShare) * (commissionPercent / 100)),
+      processing_fee: gross > 0 && !offline
+        ? -round2(gross * (PROCESSING_FEE_PERCENT / 100) + PROCESSING_FEE_FIXED * charges)
+        : 0,
+      refund: -round2(Math.min(refunded, gross)),
+      // Already in the owner's hands (refunds are returned by the owner too)
+      offline_collection: offline ? -round2(kept) : 0,
+    };
+  }
+
+  /**
+   * Total refunded on a booking's payments
+   * @param {Object} booking - Booking
+   * @returns {number}
+   */
+  refundedAmount(booking) {
+    const payment = booking.payment || {};
+    const adjustments = payment.adjustments || [];
+    const charges = adjustments.filter((a) => a.type === 'reschedule_charge');
+
+    // Refunds are recorded by whichever path issued them; the webhook total covers the main payment.
+    // A reschedule that hit a conflict refunds its own charge, which never reached the booking.
+    const chargedPayments = new Set([payment.paymentId, ...charges.map((a) => a.paymentId)].filter(Boolean));
+    const recorded = (payment.refunds || []).reduce((sum, r) => {
+      // Raw PayMongo refund payloads (admin refunds) are in centavos
+      const raw = r.attributes || r.data?.attributes;
+      const amount = typeof r.amount === 'number' ? r.amount : Number(raw?.amount || 0) / 100;
+      return sum + amount;
+    }, 0) + adjustments
+      .filter((a) => a.type === 'reschedule_refund' && (!a.paymentId || chargedPayments.has(a.paymentId)))
+      .reduce((sum, a) => sum + Number(a.amount || 0), 0);
+    return round2(Math.max(recorded, Number(payment.refundedAmount || 0)));
+  }
+
+  /**
+   * Money a booking has brought in and given back
+   * @param {Object} booking - Booking (lean)
+   * @returns {Object|null} Source for _reconcile, or null if nothing was charged
+   */
+  bookingSource(booking) {
+    const payment = booking.payment || {};
+    if (!payment.paidAt || booking.provider === 'credits') return null;
+    // Paid after its hold lapsed into a re-booked slot: refunded in full, never the owner's
+    if (payment.lateConflict && !['paid', 'completed'].includes(booking.status)) return null;
+
+    const charges = (payment.adjustments || []).filter((a) => a.type === 'reschedule_charge');
+    const gross = Number(payment.amount ?? booking.amount ?? 0) +
+      charges.reduce((sum, a) => sum + Number(a.amount || 0), 0);
+    const refunded = this.refundedAmount(booking);
+
+    const endsAt = new Date(`${booking.endDate}T${booking.checkOutTime || '23:59'}:00`);
+    const { commissionPercent, taxShare } = FeeConfigService.breakdown(booking);
+
+    return {
+      source: `booking:${booking._id}`,
+      ownerId: booking.ownerId,
+      bookingId: booking._id,
+      gross: round2(gross),
+      refunded: round2(refunded),
+      charges: 1 + charges.length,
+      commissionPercent,
+      taxShare,
+      offline: ManualPaymentService.isManual(booking),
+      availableAt: new Date(endsAt.getTime() + PAYOUT_HOLD_DAYS * DAY_MS),
+      occurredAt: payment.paidAt,
+    };
+  }
+
+  /**
+   * Money from a credit pack or membership sold on an owner's plan
+   * @param {Object} purchase - CreditPurchase (lean)
+   * @returns {Object|null} Source for _reconcile
+   */
+  purchaseSource(purchase) {
+    if (!purchase.payment?.paidAt) return null;
+    return {
+      source: `credit_purchase:${purchase._id}`,
+      ownerId: purchase.ownerId,
+      creditPurchaseId: purchase._id,
+      gross: round2(purchase.payment.amount ?? purchase.price),
+      refunded: 0,
+      charges: 1,
+      commissionPercent: purchase.commissionPercent ?? PLATFORM_FEE_PERCENT,
+      availableAt: new Date(new Date(purchase.payment.paidAt).getTime() + PAYOUT_HOLD_DAYS * DAY_MS),
+      occurredAt: purchase.payment.paidAt,
+    };
+  }
+
+  /**
+   * Bring a booking's ledger postings up to date
+   * @param {Object|string} bookingOrId - Booking or ID
+   * @returns {Promise<Object>} { posted }
+   */
+  async syncBooking(bookingOrId) {
+    const booking = bookingOrId?.ownerId
+      ? bookingOrId
+      : await Booking.findById(bookingOrId).lean();
+    const source = booking ? this.bookingSource(booking) : null;
+    return source ? this._reconcile(source) : { posted: 0 };
+  }
+
+  /**
+   * Bring a credit purchase's ledger postings up to date
+   * @param {Object|string} purchaseOrId - CreditPurchase or ID
+   * @returns {Promise<Object>} { posted }
+   */
+  async syncCreditPurchase(purchaseOrId) {
+    const purchase = purchaseOrId?.ownerId
+      ? purchaseOrId
+      : await CreditPurchase.findById(purchaseOrId).lean();
+    const source = purchase ? this.purchaseSource(purchase) : null;
+    return source ? this._reconcile(source) : { posted: 0 };
+  }
+
+  /**
+   * syncBooking for payment flows: a ledger failure is logged, never thrown
+   * @param {string} bookingId - Booking
+   */
+  async syncBookingSafe(bookingId) {
+    try {
+      await this.syncBooking(bookingId);
+    } catch (error) {
+      console.error(`[LedgerService] Sync failed for booking ${bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Re-sync every booking and credit purchase with payment activity since a date
+   * @param {Date} since - Oldest updatedAt to look at
+   * @returns {Promise<Object>} { checked, posted }
+   */
+  async syncRecent(since) {
+    let checked = 0;
+    let posted = 0;
+
+    const bookings = Booking.find({ 'payment.paidAt': { $ne: null }, updatedAt: { $gte: since } }).lean().cursor();
+    for await (const booking of bookings) {
+      checked++;
+      try {
+        posted += (await this.syncBooking(booking)).posted;
+      } catch (error) {
+        console.error(`[LedgerService] Sync failed for booking ${booking._id}:`, error.message);
+      }
+    }
+
+    const purchases = CreditPurchase.find({ 'payment.paidAt': { $ne: null }, updatedAt: { $gte: since } }).lean().cursor();
+    for await (const purchase of purchases) {
+      checked++;
+      try {
+        posted += (await this.syncCreditPurchase(purchase)).posted;
+      } catch (error) {
+        console.error(`[LedgerService] Sync failed for credit purchase ${purchase._id}:`, error.message);
+      }
+    }
+
+    return { checked, posted };
+  }
+
+  /**
+   * Post one balanced journal against an owner's payable balance
+   * @param {Object} posting - { type, ownerId, amount (+ credits the owner, - debits), source, seq,
+   *   bookingId, creditPurchaseId, payoutId, availableAt, occurredAt, memo }
+   * @returns {Promise<Array>} The two ledger rows
+   */
+  async post({ type, ownerId, amount, source, seq = 0, availableAt, occurredAt = new Date(), memo, ...refs }) {
+    const value = round2(Math.abs(amount));
+    if (!value) throw ledgerError('A ledger posting needs a non-zero amount');
+
+    const journalId = new mongoose.Types.ObjectId();
+    const common = {
+      journalId,
+      type,
+      ownerId,
+      source,
+      seq,
+      availableAt: availableAt || occurredAt,
+      occurredAt,
+      memo,
+      bookingId: refs.bookingId,
+      creditPurchaseId: refs.creditPurchaseId,
+    };
+    const toOwner = amount > 0;
+
+    return LedgerEntry.insertMany([
+      {
+        ...common,
+        account: 'owner_payable',
+        credit: toOwner ? value : 0,
+        debit: toOwner ? 0 : value,
+        payoutId: refs.payoutId,
+      },
+      {
+        ...common,
+        account: COUNTER_ACCOUNTS[type],
+        credit: toOwner ? 0 : value,
+        debit: toOwner ? value : 0,
+      },
+    ]);
+  }
+
+  /**
+   * What each booking has earned its owner so far
+   * @param {Array} bookingIds - Bookings
+   * @returns {Promise<Map>} bookingId -> { gross, platformFee, processingFee, refunds, collected, net }
+   */
+  async bookingEarnings(bookingIds) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { account: 'owner_payable', bookingId: { $in: bookingIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+      { $group: { _id: { bookingId: '$bookingId', type: '$type' }, amount: { $sum: { $subtract: ['$credit', '$debit'] } } } },
+    ]);
+
+    const fields = {
+      booking_gross: 'gross', platform_fee: 'platformFee', processing_fee: 'processingFee', refund: 'refunds', offline_collection: 'collected',
+    };
+    const out = new Map();
+    for (const r of rows) {
+      const key = String(r._id.bookingId);
+      const e = out.get(key) || { gross: 0, platformFee: 0, processingFee: 0, refunds: 0, collected: 0, net: 0 };
+      e[fields[r._id.type]] = round2(r.amount);
+      e.net = round2(e.net + r.amount);
+      out.set(key, e);
+    }
+    return out;
+  }
+
+  /**
+   * Owner ledger lines (owner_payable), newest first
+   * @param {string} ownerId - Owner
+   * @param {Object} filters - { from, to, type, cursor, limit }
+   * @returns {Promise<Object>} { items, nextCursor }
+   */
+  async listOwnerEntries(ownerId, { from, to, type, cursor, limit = 50 } = {}) {
+    const lim = Math.min(Number(limit) || 50, 200);
+    const filter = { ownerId, account: 'owner_payable' };
+    if (type) filter.type = type;
+    if (from || to || cursor) {
+      filter.occurredAt = {};
+      if (from) filter.occurredAt.$gte = new Date(from);
+      if (to) filter.occurredAt.$lt = new Date(to);
+      if (cursor) filter.occurredAt.$lt = new Date(Number(cursor));
+    }
+
+    const rows = await LedgerEntry.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .limit(lim + 1)
+      .populate({ path: 'bookingId', select: 'listingId startDate endDate', populate: { path: 'listingId', select: 'venue title' } })
+      .lean();
+
+    const hasMore = rows.length > lim;
+    const items = rows.slice(0, lim).map((r) => ({
+      id: String(r._id),
+      type: r.type,
+      amount: round2(r.credit - r.debit),
+      currency: r.currency,
+      bookingId: r.bookingId?._id ? String(r.bookingId._id) : null,
+      creditPurchaseId: r.creditPurchaseId ? String(r.creditPurchaseId) : null,
+      listingTitle: r.bookingId?.listingId?.venue || r.bookingId?.listingId?.title || null,
+      payoutId: r.payoutId ? String(r.payoutId) : null,
+      availableAt: r.availableAt,
+      occurredAt: r.occurredAt,
+      memo: r.memo || null,
+    }));
+
+    return {
+      items,
+      nextCursor: hasMore ? new Date(items[items.length - 1].occurredAt).getTime() : null,
+    };
+  }
+
+  /**
+   * An owner's earnings statement for a month
+   * @param {string} ownerId - Owner
+   * @param {string} period - "YYYY-MM"
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Statement with opening/closing balance, per-booking lines and payouts
+   */
+  async statement(ownerId, period, now = new Date()) {
+    const { start, end } = monthBounds(period);
+    if (start > now) throw ledgerError('This period has not started yet');
+
+    const owner = new mongoose.Types.ObjectId(String(ownerId));
+    const [opening] = await LedgerEntry.aggregate([
+      { $match: { ownerId: owner, account: 'owner_payable', occurredAt: { $lt: start } } },
+      { $group: { _id: null, balance: { $sum: { $subtract: ['$credit', '$debit'] } } } },
+    ]);
+
+    const rows = await LedgerEntry.find({
+      ownerId: owner,
+      account: 'owner_payable',
+      occurredAt: { $gte: start, $lt: end },
+    })
+      .sort({ occurredAt: 1, _id: 1 })
+      .populate({ path: 'bookingId', select: 'listingId startDate endDate', populate: { path: 'listingId', select: 'venue title' } })
+      .lean();
+
+    const totals = { gross: 0, platformFees: 0, processingFees: 0, refunds: 0, collected: 0, net: 0, payouts: 0 };
+    const bySource = new Map();
+    const payouts = [];
+
+    for (const r of rows) {
+      const amount = round2(r.credit - r.debit);
+      if (r.type === 'payout') {
+        totals.payouts = round2(totals.payouts - amount);
+        payouts.push({ payoutId: r.source.split(':')[1], paidAt: r.occurredAt, amount: -amount, memo: r.memo || null });
+        continue;
+      }
+
+      const line = bySource.get(r.source) || {
+        source: r.source,
+        bookingId: r.bookingId?._id ? String(r.bookingId._id) : null,
+        creditPurchaseId: r.creditPurchaseId ? String(r.creditPurchaseId) : null,
+        description: r.bookingId?._id
+          ? `${r.bookingId.listingId?.venue || r.bookingId.listingId?.title || 'Booking'} (${r.bookingId.startDate})`
+          : 'Credit pack / membership',
+        date: r.occurredAt,
+        gross: 0,
+        platformFee: 0,
+        processingFee: 0,
+        refund: 0,
+        collected: 0,
+        net: 0,
+      };
+      const field = {
+        booking_gross: 'gross', platform_fee: 'platformFee', processing_fee: 'processingFee', refund: 'refund', offline_collection: 'collected',
+      }[r.type];
+      line[field] = round2(line[field] + amount);
+      line.net = round2(line.net + amount);
+      bySource.set(r.source, line);
+
+      const total = {
+        booking_gross: 'gross', platform_fee: 'platformFees', processing_fee: 'processingFees', refund: 'refunds', offline_collection: 'collected',
+      }[r.type];
+      totals[total] = round2(totals[total] + amount);
+      totals.net = round2(totals.net + amount);
+    }
+
+    const openingBalance = round2(opening?.balance || 0);
+    return {
+      ownerId: String(ownerId),
+      period,
+      periodStart: start,
+      periodEnd: end,
+      currency: 'PHP',
+      openingBalance,
+      totals,
+      closingBalance: round2(openingBalance + totals.net - totals.payouts),
+      lines: [...bySource.values()],
+      payouts,
+      generatedAt: now,
+    };
+  }
+
+  /**
+   * Statement as CSV: one row per booking or credit sale, then payouts
+   * @param {Object} statement - From statement()
+   * @returns {string} CSV
+   */
+  statementCsv(statement) {
+    const rows = statement.lines.map((l) => ({
+      date: l.date,
+      kind: l.bookingId ? 'booking' : 'credit_sale',
+      reference: l.bookingId || l.creditPurchaseId,
+      description: l.description,
+      gross: l.gross,
+      platformFee: l.platformFee,
+      processingFee: l.processingFee,
+      refund: l.refund,
+      collected: l.collected,
+      net: l.net,
+    }));
+    for (const p of statement.payouts) {
+      rows.push({ date: p.paidAt, kind: 'payout', reference: p.payoutId, description: p.memo || 'Payout', net: -p.amount });
+    }
+
+    return toCsv([
+      { key: 'date', label: 'Date' },
+      { key: 'kind', label: 'Type' },
+      { key: 'reference', label: 'Reference' },
+      { key: 'description', label: 'Description' },
+      { key: 'gross', label: `Gross (${statement.currency})` },
+      { key: 'platformFee', label: 'Platform fee' },
+      { key: 'processingFee', label: 'Processing fee' },
+      { key: 'refund', label: 'Refunds' },
+      { key: 'collected', label: 'Collected by you' },
+      { key: 'net', label: 'Net' },
+    ], rows);
+  }
+
+  /**
+   * Statement as a printable PDF
+   * @param {Object} statement - From statement()
+   * @param {Object} owner - { fullName, email }
+   * @returns {Buffer} PDF
+   */
+  statementPdf(statement, owner = {}) {
+    const cur = statement.currency;
+    const rule = '-'.repeat(LINE_CHARS);
+    const row = (cells) => columns([
+      { text: cells[0], width: 10 },
+      { text: cells[1], width: 25 },
+      { text: cells[2], width: 10, align: 'right' },
+      { text: cells[3], width: 10, align: 'right' },
+      { text: cells[4], width: 10, align: 'right' },
+      { text: cells[5], width: 10, align: 'right' },
+      { text: cells[6], width: 10, align: 'right' },
+    ]);
+
+    const lines = [
+      { text: 'FlexiDesk - Owner earnings statement', bold: true, size: 14 },
+      '',
+      `Owner:   ${owner.fullName || ''}${owner.email ? ` <${owner.email}>` : ''}`,
+      `Period:  ${statement.period}`,
+      `Issued:  ${new Date(statement.generatedAt).toISOString().slice(0, 10)}`,
+      `Amounts in ${cur}`,
+      '',
+      { text: row(['Date', 'Description', 'Gross', 'Fees', 'Refunds', 'Collected', 'Net']), bold: true },
+      rule,
+      ...statement.lines.map((l) => row([
+        new Date(l.date).toISOString().slice(0, 10),
+        l.description,
+        money(l.gross),
+        money(l.platformFee + l.processingFee),
+        money(l.refund),
+        money(l.collected),
+        money(l.net),
+      ])),
+      rule,
+      row(['', 'Totals', money(statement.totals.gross),
+        money(statement.totals.platformFees + statement.totals.processingFees),
+        money(statement.totals.refunds), money(statement.totals.collected), money(statement.totals.net)]),
+      '',
+      { text: 'Payouts', bold: true },
+      ...(statement.payouts.length
+        ? statement.payouts.map((p) => `${new Date(p.paidAt).toISOString().slice(0, 10)}  ${money(p.amount).padStart(12)}  ${p.memo || ''}`)
+        : ['No payouts in this period']),
+      '',
+      `Opening balance   ${money(statement.openingBalance).padStart(12)}`,
+      `Net earnings      ${money(statement.totals.net).padStart(12)}`,
+      `Payouts           ${money(-statement.totals.payouts).padStart(12)}`,
+      { text: `Closing balance   ${money(statement.closingBalance).padStart(12)}`, bold: true },
+      '',
+      'Platform fee: the commission rate in force when each booking was made, on what you keep net of tax.',
+      `Processing fee ${PROCESSING_FEE_PERCENT}% + ${money(PROCESSING_FEE_FIXED)} per charge.`,
+      'Collected: bank transfer and cash payments you received directly.',
+    ];
+
+    return renderTextPdf(lines, { title: `FlexiDesk statement ${statement.period}` });
+  }
+
+  /**
+   * Post whatever a source is missing
+   * @private
+   */
+  async _reconcile(src) {
+    const posted = await LedgerEntry.aggregate([
+      { $match: { source: src.source, account: 'owner_payable' } },
+      { $group: { _id: '$type', net: { $sum: { $subtract: ['$credit', '$debit'] } }, count: { $sum: 1 } } },
+    ]);
+    const current = Object.fromEntries(posted.map((p) => [p._id, p]));
+    const expected = this.expectedPostings(src);
+
+    let count = 0;
+    for (const [type, target] of Object.entries(expected)) {
+      const delta = round2(target - (current[type]?.net || 0));
+      if (Math.abs(delta) < 0.01) continue;
+
+      try {
+        await this.post({
+          type,
+          ownerId: src.ownerId,
+          amount: delta,
+          source: src.source,
+          seq: current[type]?.count || 0,
+          bookingId: src.bookingId,
+          creditPurchaseId: src.creditPurchaseId,
+          availableAt: src.availableAt,
+          occurredAt: type === 'booking_gross' && !current[type] ? src.occurredAt : new Date(),
+        });
+        count++;
+      } catch (err) {
+        // A concurrent sync posted this change first
+        if (err?.code === 11000) return { posted: count };
+        throw err;
+      }
+    }
+
+    // A rescheduled stay moves the date its unpaid earnings become available
+    await LedgerEntry.updateMany(
+      { source: src.source, account: 'owner_payable', payoutId: null, availableAt: { $ne: src.availableAt } },
+      { $set: { availableAt: src.availableAt } }
+    );
+
+    if (count) console.log(`[LedgerService] Posted ${count} entr${count === 1 ? 'y' : 'ies'} for ${src.source}`);
+    return { posted: count };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.PLATFORM_FEE_PERCENT = PLATFORM_FEE_PERCENT;
+module.exports.PROCESSING_FEE_PERCENT = PROCESSING_FEE_PERCENT;
+module.exports.PROCESSING_FEE_FIXED = PROCESSING_FEE_FIXED;
+module.exports.PAYOUT_HOLD_DAYS = PAYOUT_HOLD_DAYS;
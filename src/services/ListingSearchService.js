@@ -0,0 +1,440 @@
+/**
+ * ListingSearchService
+ * Text relevance and facet counts for the public listing search.
+ *
+ * A `where` query runs against the weighted text index on listings (title,
+ * venue, city, amenities, accessibility, industries, descriptions) and is ranked by its text
+ * score. $text can't tolerate typos and can't be combined with $geoNear, so
+ * fuzzy searches and map searches match each word by regex instead (within
+ * one typo when fuzzy), scored with the same field weights.
+ *
+ * Facets count, for each value of a filter, how many listings the search
+ * would return with that value picked: every facet applies all the other
+ * filters but not its own. Amenity and accessibility filters require every
+ * picked key, so they are applied to all facets, including their own.
+ *
+ * Results are paged with keyset cursors: every sort ends with _id, and the
+ * cursor carries the sort values of the last listing shown, so pages don't
+ * shift when listings are added or change in between. Cursors are encrypted
+ * with a server key, since sort values (distances, scores) can say more than
+ * the listing shows, and are tied to the sort and filters they were issued for.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Listing = require('../models/Listing');
+const { TEXT_WEIGHTS, escapeRegex, tokenize, fuzzyPattern } = require('../utils/search');
+
+// Daily rates, which the price filter and price facet compare
+const DAILY_PRICE_FIELDS = ['priceSeatDay', 'priceRoomDay', 'priceWholeDay'];
+// Lower bounds of the price facet buckets; the last one is open-ended
+const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000];
+const MAX_FACET_VALUES = 50;
+// Weight of a regex match that needed a typo, relative to an exact one
+const FUZZY_MATCH_WEIGHT = 0.5;
+
+const ARRAY_FIELDS = ['amenities', 'accessibility', 'industries'];
+
+const SORTS = ['relevance', 'price', 'price_desc', 'rating', 'reviewCount', 'distance', 'newest', 'featured'];
+// Price sorts compare listings per hour, day or month (a booking's mode in PriceQuoteService)
+const PRICE_UNITS = ['hour', 'day', 'month'];
+const PRICE_UNIT_FIELDS = {
+  hour: ['priceSeatHour', 'priceRoomHour'],
+  day: ['priceSeatDay', 'priceRoomDay', 'priceWholeDay'],
+  month: ['priceWholeMonth'],
+};
+// Used to convert a rate when a listing has none for the requested unit
+const HOURS_PER_DAY = 8;
+const DAYS_PER_MONTH = 22;
+const HOURS_IN = { hour: 1, day: HOURS_PER_DAY, month: HOURS_PER_DAY * DAYS_PER_MONTH };
+
+// Request parameters that don't change which listings match or their order
+const UNBOUND_PARAMS = ['cursor', 'limit', 'currency'];
+
+const CURSOR_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.SEARCH_CURSOR_SECRET || process.env.JWT_SECRET || 'dev_cursor_secret_change_me')
+  .digest();
+const CURSOR_IV_BYTES = 12;
+const CURSOR_TAG_BYTES = 16;
+
+function searchError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Cursor values keep their BSON type through JSON
+function encodeValue(value) {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: String(value) };
+  return value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') return new Date(value.d);
+    if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw searchError('Invalid cursor');
+  }
+  if (!['number', 'boolean', 'string'].includes(typeof value)) throw searchError('Invalid cursor');
+  return value;
+}
+
+function fieldMatches(field, regex) {
+  if (ARRAY_FIELDS.includes(field)) {
+    return {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: [`$${field}`, []] },
+          as: 'value',
+          in: { $regexMatch: { input: { $toString: '$$value' }, regex, options: 'i' } },
+        },
+      }],
+    };
+  }
+  return { $regexMatch: { input: { $ifNull: [`$${field}`, ''] }, regex, options: 'i' } };
+}
+
+function andAll(conditions) {
+  const list = conditions.filter(Boolean);
+  if (!list.length) return {};
+  return list.length === 1 ? list[0] : { $and: list };
+}
+
+class ListingSearchService {
+  /**
+   * Match condition and relevance expression for a search box query
+   * @param {string} where - Search text
+   * @param {Object} options - { fuzzy: allow one typo per word, regex: avoid $text (map searches) }
+   * @returns {Object|null} { match, score, mode: 'text'|'regex' }, null for an empty query
+   */
+  textQuery(where, { fuzzy = false, regex = false } = {}) {
+    const text = String(where || '').trim();
+    if (!text) return null;
+
+    if (!fuzzy && !regex) {
+      return { match: { $text: { $search: text } }, score: { $meta: 'textScore' }, mode: 'text' };
+    }
+
+    const terms = tokenize(text);
+    if (!terms.length) return null;
+
+    const fields = Object.keys(TEXT_WEIGHTS);
+    const match = andAll(terms.map((term) => {
+      const pattern = new RegExp(fuzzy ? fuzzyPattern(term) : escapeRegex(term), 'i');
+      return { $or: fields.map((field) => ({ [field]: pattern })) };
+    }));
+
+    const score = {
+      $add: terms.flatMap((term) =>
+        fields.map((field) => {
+          const exact = escapeRegex(term);
+          const fuzzyOnly = fuzzy && fuzzyPattern(term) !== exact
+            ? { $cond: [fieldMatches(field, fuzzyPattern(term)), FUZZY_MATCH_WEIGHT, 0] }
+            : 0;
+          return { $multiply: [TEXT_WEIGHTS[field], { $cond: [fieldMatches(field, exact), 1, fuzzyOnly] }] };
+        })
+      ),
+    };
+
+    return { match, score, mode: 'regex' };
+  }
+
+  /**
+   * Price filter on daily rates: any daily rate within [min, max]
+   * @param {*} minPrice - Query value
+   * @param {*} maxPrice - Query value
+   * @returns {Object|null} Match condition
+   */
+  priceFilter(minPrice, maxPrice) {
+    if (!minPrice && !maxPrice) return null;
+
+    const min = minPrice ? Number(minPrice) : 0;
+    const max = maxPrice ? Number(maxPrice) : Infinity;
+    if (Number.isNaN(min) && Number.isNaN(max)) return null;
+
+    return {
+      $or: DAILY_PRICE_FIELDS.map((field) => {
+        const condition = { [field]: { $exists: true, $ne: 0 } };
+        if (min > 0) condition[field].$gte = min;
+        if (max < Infinity) condition[field].$lte = max;
+        return condition;
+      }),
+    };
+  }
+
+  /**
+   * Facet counts for a search
+   * @param {Array} pipeline - Leading stages selecting listings before the faceted filters
+   *   (a $match, or a $geoNear for location searches; amenity filters belong here)
+   * @param {Object} filters - Match condition per facet, null when not filtered:
+   *   { category, noiseLevel, idealFor, workStyle, price }
+   * @returns {Promise<Object>} { category, noiseLevel, idealFor, workStyle, amenities,
+   *   accessibility: [{ value, count }], price: [{ min, max, count }] }
+   */
+  async facets(pipeline, filters = {}) {
+    const except = (facet) => {
+      const match = andAll(Object.keys(filters).filter((k) => k !== facet).map((k) => filters[k]));
+      return Object.keys(match).length ? [{ $match: match }] : [];
+    };
+
+    const [result = {}] = await Listing.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          category: [...except('category'), ...this._countValues('category')],
+          noiseLevel: [...except('noiseLevel'), ...this._countValues('noiseLevel')],
+          idealFor: [...except('idealFor'), ...this._countValues('idealFor', true)],
+          workStyle: [...except('workStyle'), ...this._countValues('workStyle', true)],
+          amenities: [...except('amenities'), ...this._countValues('amenities', true)],
+          accessibility: [...except('accessibility'), ...this._countValues('accessibility', true)],
+          price: [...except('price'), this._priceBuckets()],
+        },
+      },
+    ]);
+
+    const values = (rows = []) => rows.map((r) => ({ value: r._id, count: r.count }));
+    const prices = (result.price || [])[0] || {};
+
+    return {
+      category: values(result.category),
+      noiseLevel: values(result.noiseLevel),
+      idealFor: values(result.idealFor),
+      workStyle: values(result.workStyle),
+      amenities: values(result.amenities),
+      accessibility: values(result.accessibility),
+      price: PRICE_BUCKETS.map((min, i) => ({
+        min,
+        max: PRICE_BUCKETS[i + 1] ?? null,
+        count: prices[`b${i}`] || 0,
+      })),
+    };
+  }
+
+  /**
+   * Pick the sort for a search
+   * @param {string} sort - Requested sort (see SORTS)
+   * @param {Object} context - { text, geo }
+   * @returns {string} Sort name; defaults to relevance for text, distance for location, else newest
+   */
+  resolveSort(sort, { text = null, geo = null } = {}) {
+    if (!sort) return text ? 'relevance' : geo ? 'distance' : 'newest';
+    if (!SORTS.includes(sort)) throw searchError(`sort must be one of: ${SORTS.join(', ')}`);
+    if (sort === 'relevance' && !text) throw searchError('sort=relevance needs a search query (where)');
+    if (sort === 'distance' && !geo) throw searchError('sort=distance needs near or bounds');
+    return sort;
+  }
+
+  /**
+   * Stage computing a search's sort keys, and the keys in order
+   * @param {string} sort - From resolveSort()
+   * @param {Object} context - { text, geo, priceUnit, rates } (rates from FxService.currentRates())
+   * @returns {Object} { stage: $addFields of _sort, keys: [[field, 1|-1], ...] ending with _id }
+   */
+  sortKeys(sort, { text = null, geo = null, priceUnit = 'day', rates = {} } = {}) {
+    const fallback = text ? ['$relevance', -1] : geo ? ['$distanceMeters', 1] : [{ $ifNull: ['$createdAt', new Date(0)] }, -1];
+    const price = this._priceExpression(priceUnit, rates);
+
+    const specs = {
+      relevance: [['$relevance', -1]],
+      price: [[{ $cond: [{ $eq: [price, null] }, 0, 1] }, -1], [{ $ifNull: [price, 0] }, 1]],
+      price_desc: [[{ $cond: [{ $eq: [price, null] }, 0, 1] }, -1], [{ $ifNull: [price, 0] }, -1]],
+      rating: [[{ $ifNull: ['$rating', 0] }, -1], [{ $ifNull: ['$reviewCount', 0] }, -1]],
+      reviewCount: [[{ $ifNull: ['$reviewCount', 0] }, -1], [{ $ifNull: ['$rating', 0] }, -1]],
+      distance: [['$distanceMeters', 1]],
+      newest: [[{ $ifNull: ['$createdAt', new Date(0)] }, -1]],
+      featured: [[{ $cond: ['$isFeatured', 1, 0] }, -1], fallback],
+    }[sort];
+
+    // Ties are broken by _id in the direction of the last key
+    const all = [...specs, ['$_id', specs[specs.length - 1][1]]];
+    const stage = { $addFields: { _sort: {} } };
+    const keys = all.map(([expr, dir], i) => {
+      stage.$addFields._sort[`k${i}`] = expr;
+      return [`_sort.k${i}`, dir];
+    });
+    return { stage, keys };
+  }
+
+  /**
+   * Stages ordering by the sort keys, resuming after a cursor position
+   * @param {Array} keys - From sortKeys()
+   * @param {Array|null} after - Sort values of the last listing already shown
+   * @returns {Array} [$match (when resuming), $sort]
+   */
+  pageStages(keys, after = null) {
+    const stages = [];
+    if (after) {
+      // Past `after` on the first key that differs
+      stages.push({
+        $match: {
+          $or: keys.map(([field, dir], i) => ({
+            ...Object.fromEntries(keys.slice(0, i).map(([f], j) => [f, after[j]])),
+            [field]: { [dir > 0 ? '$gt' : '$lt']: after[i] },
+          })),
+        },
+      });
+    }
+    stages.push({ $sort: Object.fromEntries(keys) });
+    return stages;
+  }
+
+  /**
+   * Sort values of a listing returned by a search pipeline
+   * @param {Object} doc - Listing with _sort
+   * @param {Array} keys - From sortKeys()
+   * @returns {Array}
+   */
+  sortValues(doc, keys) {
+    return keys.map((_, i) => doc._sort[`k${i}`]);
+  }
+
+  /**
+   * Opaque cursor continuing a search after the given sort values
+   * @param {string} sort - Sort name
+   * @param {Array} values - From sortValues()
+   * @param {Object} query - Request query, to tie the cursor to the search
+   * @returns {string}
+   */
+  encodeCursor(sort, values, query) {
+    const payload = { s: sort, v: values.map(encodeValue), q: this._fingerprint(query) };
+    return this._seal(payload);
+  }
+
+  /**
+   * Sort values carried by a cursor
+   * @param {string} cursor - From encodeCursor()
+   * @param {string} sort - Sort of the current request
+   * @param {Object} query - Request query
+   * @param {number} keyCount - Number of sort keys
+   * @returns {Array|null} Values, null without a cursor
+   */
+  decodeCursor(cursor, sort, query, keyCount) {
+    if (!cursor) return null;
+
+    const payload = this._open(cursor);
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== keyCount) {
+      throw searchError('Invalid cursor');
+    }
+    if (payload.s !== sort || payload.q !== this._fingerprint(query)) {
+      throw searchError('Cursor belongs to a different search; start again without it');
+    }
+    return payload.v.map(decodeValue);
+  }
+
+  /**
+   * Lowest rate of a listing per `unit`, in the settlement currency. Rates for
+   * the unit itself win; otherwise other rates are converted (HOURS_PER_DAY,
+   * DAYS_PER_MONTH). null when the listing has no rate or no exchange rate.
+   * @private
+   */
+  _priceExpression(unit, rates) {
+    if (!PRICE_UNITS.includes(unit)) throw searchError(`priceUnit must be one of: ${PRICE_UNITS.join(', ')}`);
+
+    const rate = (field, factor = 1) => ({
+      $cond: [{ $gt: [`$${field}`, 0] }, { $multiply: [`$${field}`, factor] }, null],
+    });
+    const direct = { $min: PRICE_UNIT_FIELDS[unit].map((field) => rate(field)) };
+    const converted = {
+      $min: PRICE_UNITS.filter((u) => u !== unit).flatMap((u) =>
+        PRICE_UNIT_FIELDS[u].map((field) => rate(field, HOURS_IN[unit] / HOURS_IN[u]))
+      ),
+    };
+
+    const toSettlement = {
+      $switch: {
+        branches: Object.keys(rates).map((code) => ({
+          case: { $eq: [{ $toUpper: { $ifNull: ['$currency', 'PHP'] } }, code] },
+          then: rates[code].rate,
+        })),
+        default: null,
+      },
+    };
+    return { $multiply: [{ $ifNull: [direct, converted] }, toSettlement] };
+  }
+
+  /**
+   * Encrypt a cursor payload (AES-256-GCM): base64url of iv, tag, ciphertext
+   * @private
+   */
+  _seal(payload) {
+    const iv = crypto.randomBytes(CURSOR_IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', CURSOR_KEY, iv);
+    const body = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+  }
+
+  /**
+   * Decrypt a cursor; 400 when it wasn't issued by this server or was altered
+   * @private
+   */
+  _open(cursor) {
+    try {
+      const raw = Buffer.from(String(cursor), 'base64url');
+      const iv = raw.subarray(0, CURSOR_IV_BYTES);
+      const tag = raw.subarray(CURSOR_IV_BYTES, CURSOR_IV_BYTES + CURSOR_TAG_BYTES);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', CURSOR_KEY, iv);
+      decipher.setAuthTag(tag);
+      const body = raw.subarray(CURSOR_IV_BYTES + CURSOR_TAG_BYTES);
+      return JSON.parse(Buffer.concat([decipher.update(body), decipher.final()]).toString('utf8'));
+    } catch {
+      throw searchError('Invalid cursor');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _fingerprint(query = {}) {
+    const params = Object.keys(query)
+      .filter((k) => !UNBOUND_PARAMS.includes(k))
+      .sort()
+      .map((k) => [k, query[k]]);
+    return crypto.createHash('sha256').update(JSON.stringify(params)).digest('base64url').slice(0, 16);
+  }
+
+  /**
+   * Count listings per (lower-cased) value of a field
+   * @private
+   */
+  _countValues(field, isArray = false) {
+    return [
+      ...(isArray ? [{ $unwind: `$${field}` }] : []),
+      { $project: { value: { $trim: { input: { $toLower: `$${field}` } } } } },
+      { $match: { value: { $ne: '' } } },
+      { $group: { _id: '$value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES },
+    ];
+  }
+
+  /**
+   * Count listings with any daily rate in each price bucket
+   * @private
+   */
+  _priceBuckets() {
+    const group = { _id: null };
+    PRICE_BUCKETS.forEach((min, i) => {
+      const max = PRICE_BUCKETS[i + 1];
+      const inBucket = {
+        $or: DAILY_PRICE_FIELDS.map((field) => ({
+          $and: [
+            { $gt: [`$${field}`, 0] },
+            { $gte: [`$${field}`, min] },
+            ...(max !== undefined ? [{ $lt: [`$${field}`, max] }] : []),
+          ],
+        })),
+      };
+      group[`b${i}`] = { $sum: { $cond: [inBucket, 1, 0] } };
+    });
+    return { $group: group };
+  }
+}
+
+module.exports = new ListingSearchService();
+module.exports.PRICE_BUCKETS = PRICE_BUCKETS;
+module.exports.SORTS = SORTS;
+module.exports.PRICE_UNITS = PRICE_UNITS;
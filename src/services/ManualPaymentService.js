@@ -0,0 +1,435 @@
+/**
+ * ManualPaymentService
+ * Bank transfers and cash on arrival, paid outside the payment gateway.
+ *
+ *   awaiting_payment (awaiting) ──(client uploads proof)──> awaiting_payment (submitted)
+ *   submitted ──(owner/admin confirms)──> paid
+ *   submitted ──(owner/admin rejects)───> awaiting_payment (rejected, client may upload again)
+ *   awaiting_payment ──(deadline passes)──> expired
+ *
+ * Listings opt in through Listing.manualPayment. A bank transfer must be made
+ * within the listing's deadline (never after the booking starts); a cash
+ * booking is held until shortly after it starts and confirmed at the venue.
+ * The hold expiry (Booking.holdExpiresAt) carries the deadline, so unpaid
+ * bookings lapse through the regular hold expiry job. The owner keeps the
+ * money, so the ledger charges them the commission instead of paying it out.
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Listing = require('../models/Listing');
+
+const MANUAL_METHODS = ['bank_transfer', 'cash'];
+const METHOD_LABELS = { bank_transfer: 'bank transfer', cash: 'cash on arrival' };
+
+const DEADLINE_HOURS = Number(process.env.MANUAL_PAYMENT_DEADLINE_HOURS ?? 24);
+const REVIEW_HOURS = Number(process.env.MANUAL_PAYMENT_REVIEW_HOURS ?? 48);
+const CASH_GRACE_MINUTES = Number(process.env.MANUAL_PAYMENT_CASH_GRACE_MINUTES ?? 60);
+// A bank transfer needs at least this long before the booking starts
+const MIN_TRANSFER_MINUTES = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function paymentError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const text = (value, max) => String(value ?? '').trim().slice(0, max);
+
+class ManualPaymentService {
+  /**
+   * Is a booking paid by bank transfer or cash?
+   * @param {Object} booking - Booking
+   * @returns {boolean}
+   */
+  isManual(booking) {
+    return MANUAL_METHODS.includes(booking?.provider);
+  }
+
+  /**
+   * When a booking starts
+   * @param {Object} window - { startDate, checkInTime }
+   * @returns {Date}
+   */
+  startsAt({ startDate, checkInTime }) {
+    const time = /^\d{2}:\d{2}$/.test(String(checkInTime || '')) ? checkInTime : '00:00';
+    return new Date(`${startDate}T${time}:00`);
+  }
+
+  /**
+   * Manual payment methods a listing accepts
+   * @param {Object} listing - Listing
+   * @returns {Array<string>}
+   */
+  methodsFor(listing) {
+    return (listing?.manualPayment?.methods || []).filter((m) => MANUAL_METHODS.includes(m));
+  }
+
+  /**
+   * Payment deadline for a booking window
+   * @param {Object} listing - Listing (manualPayment)
+   * @param {Object} window - { startDate, checkInTime }
+   * @param {string} method - "bank_transfer" | "cash"
+   * @param {Date} now - Reference time
+   * @returns {Date}
+   */
+  deadline(listing, window, method, now = new Date()) {
+    const start = this.startsAt(window);
+    if (method === 'cash') return new Date(start.getTime() + CASH_GRACE_MINUTES * MINUTE_MS);
+
+    const hours = Number(listing?.manualPayment?.deadlineHours) || DEADLINE_HOURS;
+    const due = new Date(now.getTime() + hours * HOUR_MS);
+    return Number.isFinite(start.getTime()) && start < due ? start : due;
+  }
+
+  /**
+   * Check a listing accepts a manual method for a booking window
+   * @param {Object} listing - Listing
+   * @param {string} method - "bank_transfer" | "cash"
+   * @param {Object} window - { startDate, checkInTime }
+   * @param {Date} now - Reference time
+   * @returns {Object} { method, deadlineAt }
+   */
+  assertAvailable(listing, method, window, now = new Date()) {
+    if (!MANUAL_METHODS.includes(method)) {
+      throw paymentError('paymentMethod must be online, bank_transfer or cash');
+    }
+    if (!this.methodsFor(listing).includes(method)) {
+      throw paymentError(`This listing does not accept ${METHOD_LABELS[method]}`);
+    }
+
+    const deadlineAt = this.deadline(listing, window, method, now);
+    if (method === 'bank_transfer' && deadlineAt.getTime() - now.getTime() < MIN_TRANSFER_MINUTES * MINUTE_MS) {
+      throw paymentError('This booking starts too soon to pay by bank transfer; pay online or in cash instead');
+    }
+    return { method, deadlineAt };
+  }
+
+  /**
+   * What the client needs to pay (shown after booking and in emails)
+   * @param {Object} listing - Listing (manualPayment)
+   * @param {Object} booking - Booking (provider, amount, manualPayment)
+   * @returns {Object} { method, amount, currency, deadlineAt, bankName, accountName, accountNumber, instructions }
+   */
+  instructions(listing, booking) {
+    const settings = listing?.manualPayment || {};
+    const out = {
+      method: booking.provider,
+      amount: booking.amount,
+      currency: booking.currency || 'PHP',
+      deadlineAt: booking.manualPayment?.deadlineAt || booking.holdExpiresAt || null,
+      instructions: settings.instructions || null,
+    };
+    if (booking.provider === 'bank_transfer') {
+      out.bankName = settings.bankName || null;
+      out.accountName = settings.accountName || null;
+      out.accountNumber = settings.accountNumber || null;
+    }
+    return out;
+  }
+
+  /**
+   * Validate a listing's manual payment settings
+   * @param {Object} input - { methods, bankName, accountName, accountNumber, instructions, deadlineHours }
+   * @returns {Object} Listing.manualPayment
+   */
+  validateSettings(input = {}) {
+    const methods = [...new Set(Array.isArray(input.methods) ? input.methods : [])];
+    const unknown = methods.filter((m) => !MANUAL_METHODS.includes(m));
+    if (unknown.length) throw paymentError(`Unknown payment method: ${unknown.join(', ')}`);
+
+    const settings = {
+      methods,
+      bankName: text(input.bankName, 100),
+      accountName: text(input.accountName, 100),
+      accountNumber: text(input.accountNumber, 40),
+      instructions: text(input.instructions, 1000),
+      updatedAt: new Date(),
+    };
+
+    if (methods.includes('bank_transfer') && (!settings.bankName || !settings.accountName || !settings.accountNumber)) {
+      throw paymentError('bankName, accountName and accountNumber are required for bank transfers');
+    }
+
+    if (input.deadlineHours !== undefined && input.deadlineHours !== null && input.deadlineHours !== '') {
+      const hours = Number(input.deadlineHours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+        throw paymentError('deadlineHours must be a whole number between 1 and 168');
+      }
+      settings.deadlineHours = hours;
+    }
+
+    return settings;
+  }
+
+  /**
+   * Replace a listing's manual payment settings (owner)
+   * @param {string} listingId - Listing
+   * @param {string} ownerId - Owner
+   * @param {Object} input - See validateSettings
+   * @returns {Promise<Object>} Listing.manualPayment
+   */
+  async setSettings(listingId, ownerId, input) {
+    const settings = this.validateSettings(input);
+    const listing = await Listing.findOneAndUpdate(
+      { _id: listingId, owner: ownerId },
+      { $set: { manualPayment: settings } },
+      { new: true }
+    ).select('manualPayment').lean();
+    if (!listing) throw paymentError('Listing not found', 404);
+
+    console.log(`[ManualPaymentService] Listing ${listingId} accepts: ${settings.methods.join(', ') || 'online only'}`);
+    return listing.manualPayment;
+  }
+
+  /**
+   * Attach a proof of payment to a bank transfer booking (client)
+   * @param {string} bookingId - Booking
+   * @param {string} userId - Client
+   * @param {Object} proof - { url, publicId, reference, note }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Updated booking
+   */
+  async submitProof(bookingId, userId, { url, publicId, reference, note } = {}, now = new Date()) {
+    const booking = await this._load(bookingId);
+    if (String(booking.userId) !== String(userId)) throw paymentError('Forbidden', 403);
+    if (booking.provider !== 'bank_transfer') {
+      throw paymentError(
+        booking.provider === 'cash'
+          ? 'Cash payments are confirmed by the host at the venue'
+          : 'This booking is not paid by bank transfer',
+        409
+      );
+    }
+    if (!url) throw paymentError('A proof of payment file is required');
+    if (booking.status !== 'awaiting_payment') {
+      throw paymentError(`This booking is ${booking.status} and no longer takes a proof of payment`, 409);
+    }
+    if (!(booking.holdExpiresAt > now)) {
+      const BookingPaymentService = require('./BookingPaymentService');
+      await BookingPaymentService.expireHold(booking, now);
+      throw paymentError('The payment deadline for this booking has passed', 410);
+    }
+
+    // The owner gets time to check their account, but not past the start
+    const reviewBy = new Date(now.getTime() + REVIEW_HOURS * HOUR_MS);
+    const start = this.startsAt(booking);
+    const reviewHold = start < reviewBy ? start : reviewBy;
+    const holdExpiresAt = reviewHold > booking.holdExpiresAt ? reviewHold : booking.holdExpiresAt;
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'awaiting_payment' },
+      {
+        $set: {
+          holdExpiresAt,
+          'manualPayment.status': 'submitted',
+          'manualPayment.submittedAt': now,
+          'manualPayment.reference': text(reference, 100) || booking.manualPayment?.reference,
+        },
+        $unset: { 'manualPayment.rejectionReason': 1 },
+        $push: {
+          'manualPayment.proofs': {
+            url,
+            publicId,
+            reference: text(reference, 100) || undefined,
+            note: text(note, 500) || undefined,
+            uploadedAt: now,
+          },
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!updated) throw paymentError('This booking was updated in the meantime. Reload and try again.', 409);
+
+    console.log(`[ManualPaymentService] Proof of payment uploaded for booking ${bookingId}`);
+    await this.notify(updated._id, 'submitted');
+    return updated;
+  }
+
+  /**
+   * Confirm a manual payment was received (owner or admin)
+   * @param {string} bookingId - Booking
+   * @param {Object} reviewer - { userId, role: "owner" | "admin" }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Paid booking
+   */
+  async confirm(bookingId, reviewer, now = new Date()) {
+    const BookingPaymentService = require('./BookingPaymentService');
+
+    const booking = await this._load(bookingId, { lean: false });
+    this._assertReviewer(booking, reviewer);
+    if (!BookingPaymentService.canTransition(booking.status, 'paid')) {
+      throw paymentError(`A ${booking.status} booking cannot be marked paid`, 409);
+    }
+
+    booking.manualPayment.status = 'confirmed';
+    booking.manualPayment.reviewedAt = now;
+    booking.manualPayment.reviewedBy = reviewer.userId;
+    booking.manualPayment.reviewerRole = reviewer.role;
+    booking.manualPayment.rejectionReason = undefined;
+    booking.payment = booking.payment || {};
+    booking.payment.currency = booking.currency || 'PHP';
+
+    const result = await BookingPaymentService.markPaid(booking, {
+      amount: Math.round(Number(booking.amount || 0) * 100),
+      paidAt: Math.floor(now.getTime() / 1000),
+      source: 'manual',
+    });
+    if (result.ignored) {
+      throw paymentError(
+        result.reason === 'paid_after_expiry_conflict'
+          ? 'The slot was booked by someone else after this booking expired; return the payment to the client'
+          : `This booking cannot be marked paid (${result.reason})`,
+        409
+      );
+    }
+
+    console.log(`[ManualPaymentService] ${booking.provider} payment for booking ${bookingId} confirmed by ${reviewer.role} ${reviewer.userId}`);
+    return booking.toObject();
+  }
+
+  /**
+   * Reject an uploaded proof of payment (owner or admin)
+   * The client may upload another before the deadline.
+   * @param {string} bookingId - Booking
+   * @param {Object} reviewer - { userId, role: "owner" | "admin" }
+   * @param {string} reason - Shown to the client
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Updated booking
+   */
+  async reject(bookingId, reviewer, reason, now = new Date()) {
+    const message = text(reason, 500);
+    if (!message) throw paymentError('reason is required');
+
+    const booking = await this._load(bookingId);
+    this._assertReviewer(booking, reviewer);
+    if (booking.status !== 'awaiting_payment' || booking.manualPayment?.status !== 'submitted') {
+      throw paymentError('There is no proof of payment waiting for review', 409);
+    }
+
+    // The client gets a fresh deadline, but never less than the original one
+    const listing = await Listing.findById(booking.listingId).select('manualPayment').lean();
+    const fresh = this.deadline(listing, booking, booking.provider, now);
+    const original = booking.manualPayment.deadlineAt;
+    const holdExpiresAt = original && original > fresh ? original : fresh;
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'awaiting_payment', 'manualPayment.status': 'submitted' },
+      {
+        $set: {
+          holdExpiresAt,
+          'manualPayment.status': 'rejected',
+          'manualPayment.deadlineAt': holdExpiresAt,
+          'manualPayment.rejectionReason': message,
+          'manualPayment.reviewedAt': now,
+          'manualPayment.reviewedBy': reviewer.userId,
+          'manualPayment.reviewerRole': reviewer.role,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) throw paymentError('This booking was updated in the meantime. Reload and try again.', 409);
+
+    console.log(`[ManualPaymentService] Proof of payment for booking ${bookingId} rejected by ${reviewer.role} ${reviewer.userId}`);
+
+    // Too close to the start for another transfer: release the slot now
+    if (!(holdExpiresAt > now)) {
+      const BookingPaymentService = require('./BookingPaymentService');
+      await BookingPaymentService.expireHold(updated, now);
+      return Booking.findById(updated._id).lean();
+    }
+
+    await this.notify(updated._id, 'rejected');
+    return updated.toObject();
+  }
+
+  /**
+   * Record a refund the owner returns to the client directly
+   * @param {Object} cancellationRequest - CancellationRequest document
+   * @param {Object} booking - Booking paid by bank transfer or cash
+   * @param {number} amount - PHP to return
+   */
+  async recordRefund(cancellationRequest, booking, amount) {
+    const RefundTransaction = require('../models/RefundTransaction');
+    const now = new Date();
+    const refundId = `manual_refund_${cancellationRequest._id}`;
+
+    if (amount > 0) {
+      await RefundTransaction.create({
+        cancellationRequestId: cancellationRequest._id,
+        bookingId: booking._id,
+        clientId: cancellationRequest.clientId,
+        ownerId: cancellationRequest.ownerId,
+        amount,
+        currency: booking.currency || 'PHP',
+        paymentMethod: booking.provider,
+        originalTransactionId: booking.manualPayment?.reference || `manual:${booking._id}`,
+        refundTransactionId: refundId,
+        status: 'completed',
+        gatewayProvider: 'manual',
+        initiatedAt: now,
+        completedAt: now,
+      });
+
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $push: { 'payment.refunds': { refundId, amount, status: 'returned_by_owner', createdAt: now } } }
+      );
+    }
+
+    cancellationRequest.status = 'completed';
+    cancellationRequest.processedAt = now;
+    cancellationRequest.refundTransactionId = amount > 0 ? refundId : undefined;
+    cancellationRequest.updatedAt = now;
+    await cancellationRequest.save();
+
+    const LedgerService = require('./LedgerService');
+    const InvoiceService = require('./InvoiceService');
+    await LedgerService.syncBookingSafe(booking._id);
+    await InvoiceService.syncBookingSafe(booking._id);
+
+    console.log(`[ManualPaymentService] Refund of PHP ${amount} for booking ${booking._id} recorded; returned by the owner`);
+  }
+
+  /**
+   * Tell the client or owner about a manual payment step (never throws)
+   * @param {string} bookingId - Booking
+   * @param {string} event - "awaiting" | "submitted" | "rejected" | "expired"
+   */
+  async notify(bookingId, event) {
+    try {
+      const NotificationService = require('./NotificationService');
+      await NotificationService.sendManualPaymentUpdate(bookingId, event);
+    } catch (error) {
+      console.error(`[ManualPaymentService] Failed to notify booking ${bookingId} (${event}):`, error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _load(bookingId, { lean = true } = {}) {
+    if (!mongoose.isValidObjectId(bookingId)) throw paymentError('Invalid id', 400);
+    const query = Booking.findById(bookingId);
+    const booking = lean ? await query.lean() : await query;
+    if (!booking) throw paymentError('Booking not found', 404);
+    if (!this.isManual(booking)) throw paymentError('This booking is not paid by bank transfer or cash', 409);
+    return booking;
+  }
+
+  /**
+   * @private
+   */
+  _assertReviewer(booking, { userId, role } = {}) {
+    if (role === 'admin') return;
+    if (role !== 'owner' || String(booking.ownerId) !== String(userId)) {
+      throw paymentError('Forbidden', 403);
+    }
+  }
+}
+
+module.exports = new ManualPaymentService();
+module.exports.MANUAL_METHODS = MANUAL_METHODS;
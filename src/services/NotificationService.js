@@ -796,6 +796,304 @@ class NotificationService {
       return { sent: false, error: error.message };
     }
   }
+
+  /**
+   * Offer a freed-up slot to a waitlisted client
+   * @param {string} entryId - Waitlist entry ID
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendWaitlistOffer(entryId) {
+    try {
+      const WaitlistEntry = require('../models/WaitlistEntry');
+
+      const entry = await WaitlistEntry.findById(entryId)
+        .populate('userId')
+        .populate('listingId');
+
+      if (!entry) {
+        throw new Error('Waitlist entry not found');
+      }
+
+      const user = entry.userId;
+      const listing = entry.listingId;
+
+      if (!user || !listing) {
+        throw new Error('Missing required data for notification');
+      }
+
+      // Check user notification preferences
+      if (!this._shouldSendEmail(user, 'waitlist')) {
+        console.log('[NotificationService] Email notifications disabled for user:', user._id);
+        return { sent: false, reason: 'user_preference' };
+      }
+
+      // Send email notification
+      const emailSent = await mailer.sendWaitlistOfferEmail({
+        to: user.email,
+        user,
+        entry,
+        listing,
+      });
+
+      // Track delivery
+      await this._trackNotification({
+        userId: user._id,
+        type: 'waitlist_offer',
+        channel: 'email',
+        status: emailSent ? 'sent' : 'failed',
+        referenceId: entryId,
+        referenceType: 'WaitlistEntry',
+      });
+
+      return {
+        sent: emailSent,
+        channel: 'email',
+        recipient: user.email,
+      };
+    } catch (error) {
+      console.error('[NotificationService] Error sending waitlist offer:', error);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ask an organization's admins to approve a member's booking
+   * @param {string} bookingId - Booking awaiting approval
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendOrganizationApprovalRequest(bookingId) {
+    try {
+      const Organization = require('../models/Organization');
+      const OrganizationMember = require('../models/OrganizationMember');
+
+      const booking = await Booking.findById(bookingId)
+        .populate('userId')
+        .populate('listingId');
+
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+
+      const organization = await Organization.findById(booking.organizationId);
+      if (!organization || !booking.userId || !booking.listingId) {
+        throw new Error('Missing required data for notification');
+      }
+
+      const admins = await OrganizationMember.find({
+        organizationId: organization._id,
+        role: 'admin',
+        status: 'active',
+      }).populate('userId');
+
+      const recipients = [];
+      for (const membership of admins) {
+        const admin = membership.userId;
+        if (!admin || !this._shouldSendEmail(admin, 'organization')) continue;
+
+        // Send email notification
+        const emailSent = await mailer.sendOrganizationApprovalRequestEmail({
+          to: admin.email,
+          admin,
+          requester: booking.userId,
+          organization,
+          booking,
+          listing: booking.listingId,
+        });
+
+        // Track delivery
+        await this._trackNotification({
+          userId: admin._id,
+          type: 'organization_approval_request',
+          channel: 'email',
+          status: emailSent ? 'sent' : 'failed',
+          referenceId: bookingId,
+          referenceType: 'Booking',
+        });
+
+        if (emailSent) recipients.push(admin.email);
+      }
+
+      return {
+        sent: recipients.length > 0,
+        channel: 'email',
+        recipients,
+      };
+    } catch (error) {
+      console.error('[NotificationService] Error sending organization approval request:', error);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a member that their organization booking was approved or rejected
+   * @param {string} bookingId - Booking that was decided
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendOrganizationApprovalDecision(bookingId) {
+    try {
+      const Organization = require('../models/Organization');
+
+      const booking = await Booking.findById(bookingId)
+        .populate('userId')
+        .populate('listingId');
+
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+
+      const user = booking.userId;
+      const organization = await Organization.findById(booking.organizationId);
+
+      if (!user || !organization) {
+        throw new Error('Missing required data for notification');
+      }
+
+      // Check user notification preferences
+      if (!this._shouldSendEmail(user, 'organization')) {
+        console.log('[NotificationService] Email notifications disabled for user:', user._id);
+        return { sent: false, reason: 'user_preference' };
+      }
+
+      // Send email notification
+      const emailSent = await mailer.sendOrganizationApprovalDecisionEmail({
+        to: user.email,
+        user,
+        organization,
+        booking,
+        listing: booking.listingId,
+      });
+
+      // Track delivery
+      await this._trackNotification({
+        userId: user._id,
+        type: `organization_booking_${booking.approval?.status || 'decided'}`,
+        channel: 'email',
+        status: emailSent ? 'sent' : 'failed',
+        referenceId: bookingId,
+        referenceType: 'Booking',
+      });
+
+      return {
+        sent: emailSent,
+        channel: 'email',
+        recipient: user.email,
+      };
+    } catch (error) {
+      console.error('[NotificationService] Error sending organization approval decision:', error);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the client or owner about a bank transfer / cash payment step
+   * awaiting, rejected -> client; submitted -> owner; expired -> both
+   * @param {string} bookingId - Booking paid manually
+   * @param {string} event - "awaiting" | "submitted" | "rejected" | "expired"
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendManualPaymentUpdate(bookingId, event) {
+    try {
+      const booking = await Booking.findById(bookingId)
+        .populate('userId')
+        .populate('listingId');
+
+      if (!booking || !booking.userId || !booking.listingId) {
+        throw new Error('Missing required data for notification');
+      }
+
+      const client = booking.userId;
+      const owner = await User.findById(booking.ownerId || booking.listingId.owner);
+
+      const audience = {
+        awaiting: [['client', client]],
+        rejected: [['client', client]],
+        submitted: [['owner', owner]],
+        expired: [['client', client], ['owner', owner]],
+      }[event];
+      if (!audience) throw new Error(`Unknown manual payment event: ${event}`);
+
+      const recipients = [];
+      for (const [role, user] of audience) {
+        if (!user || !this._shouldSendEmail(user, 'payments')) continue;
+
+        // Send email notification
+        const emailSent = await mailer.sendManualPaymentEmail({
+          to: user.email,
+          recipient: user,
+          role,
+          event,
+          client,
+          booking,
+          listing: booking.listingId,
+        });
+
+        // Track delivery
+        await this._trackNotification({
+          userId: user._id,
+          type: `manual_payment_${event}`,
+          channel: 'email',
+          status: emailSent ? 'sent' : 'failed',
+          referenceId: bookingId,
+          referenceType: 'Booking',
+        });
+
+        if (emailSent) recipients.push(user.email);
+      }
+
+      return {
+        sent: recipients.length > 0,
+        channel: 'email',
+        recipients,
+      };
+    } catch (error) {
+      console.error('[NotificationService] Error sending manual payment update:', error);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send an organization's monthly statement to its billing email
+   * @param {string} statementId - Organization statement ID
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendOrganizationStatement(statementId) {
+    try {
+      const OrganizationStatement = require('../models/OrganizationStatement');
+
+      const statement = await OrganizationStatement.findById(statementId).populate('organizationId');
+      if (!statement || !statement.organizationId) {
+        throw new Error('Statement not found');
+      }
+
+      const organization = statement.organizationId;
+
+      // Send email notification
+      const emailSent = await mailer.sendOrganizationStatementEmail({
+        to: organization.billingEmail,
+        organization,
+        statement,
+      });
+
+      // Track delivery
+      await this._trackNotification({
+        userId: organization.createdBy,
+        type: 'organization_statement',
+        channel: 'email',
+        status: emailSent ? 'sent' : 'failed',
+        referenceId: statementId,
+        referenceType: 'OrganizationStatement',
+      });
+
+      return {
+        sent: emailSent,
+        channel: 'email',
+        recipient: organization.billingEmail,
+      };
+    } catch (error) {
+      console.error('[NotificationService] Error sending organization statement:', error);
+      return { sent: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new NotificationService();
@@ -0,0 +1,832 @@
+/**
+ * OrganizationService
+ * Team / company accounts: membership, per-member spending limits, booking
+ * approvals and the consolidated monthly statement.
+ *
+ * A member books on the organization's behalf by passing organizationId to
+ * createBookingIntent. authorizeBooking() then decides:
+ *   - over the member's monthly spending limit  -> rejected (403)
+ *   - above the organization approval threshold -> pending_approval, slot held
+ *     for ORG_APPROVAL_HOLD_HOURS until an org admin approves or rejects
+ *   - otherwise                                 -> regular checkout
+ * Org admins are never asked for approval on their own bookings.
+ */
+
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const OrganizationStatement = require('../models/OrganizationStatement');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+
+const ORG_APPROVAL_HOLD_HOURS = Number(process.env.ORG_APPROVAL_HOLD_HOURS || 24);
+
+const ROLES = ['admin', 'member'];
+
+// Bookings that count against a member's monthly spend
+const SPENDING_STATUSES = ['pending_approval', 'pending_payment', 'awaiting_payment', 'paid', 'completed'];
+
+function orgError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function optionalAmount(value, field) {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw orgError(`${field} must be a non-negative number or null`);
+  }
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Calendar month containing a date (server local time)
+ * @param {Date|string} at - Date, or "YYYY-MM"
+ * @returns {Object} { period, start, end } with end exclusive
+ */
+function monthBounds(at = new Date()) {
+  let year;
+  let month;
+  if (typeof at === 'string') {
+    const m = /^(\d{4})-(\d{2})$/.exec(at);
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) throw orgError('Period must be YYYY-MM');
+    year = Number(m[1]);
+    month = Number(m[2]) - 1;
+  } else {
+    year = at.getFullYear();
+    month = at.getMonth();
+  }
+  const start = new Date(year, month, 1);
+  const end = new Date(year, month + 1, 1);
+  const period = `${year}-${String(month + 1).padStart(2, '0')}`;
+  return { period, start, end };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class OrganizationService {
+  /**
+   * Create an organization; the creator becomes its first admin
+   * @param {string} userId - Creator
+   * @param {Object} input - { name, billingEmail, approvalThreshold, defaultSpendingLimit }
+   * @returns {Promise<Object>} Organization with the creator's role
+   */
+  async create(userId, input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) throw orgError('Organization name is required');
+
+    const user = await User.findById(userId).select('email').lean();
+    if (!user) throw orgError('User not found', 404);
+
+    const organization = await Organization.create({
+      name,
+      billingEmail: String(input.billingEmail || user.email).trim(),
+      createdBy: userId,
+      approvalThreshold: input.approvalThreshold === undefined ? null : optionalAmount(input.approvalThreshold, 'approvalThreshold'),
+      defaultSpendingLimit: input.defaultSpendingLimit === undefined ? null : optionalAmount(input.defaultSpendingLimit, 'defaultSpendingLimit'),
+    });
+
+    await OrganizationMember.create({
+      organizationId: organization._id,
+      userId,
+      role: 'admin',
+      addedBy: userId,
+    });
+
+    console.log(`[OrganizationService] Organization ${organization._id} created by ${userId}`);
+    return { ...organization.toObject(), role: 'admin' };
+  }
+
+  /**
+   * Organizations a user is an active member of
+   * @param {string} userId - User
+   * @returns {Promise<Array>} Organizations with the user's role
+   */
+  async listForUser(userId) {
+    const memberships = await OrganizationMember.find({ userId, status: 'active' })
+      .populate('organizationId')
+      .lean();
+
+    return memberships
+      .filter((m) => m.organizationId && m.organizationId.status === 'active')
+      .map((m) => ({ ...m.organizationId, role: m.role, spendingLimit: m.spendingLimit }));
+  }
+
+  /**
+   * Organization details with its members and their spend this month
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Requesting member
+   * @returns {Promise<Object>} { organization, role, members }
+   */
+  async getForMember(organizationId, userId, now = new Date()) {
+    const { organization, membership } = await this.requireMembership(organizationId, userId);
+
+    const [members, spend] = await Promise.all([
+      OrganizationMember.find({ organizationId, status: 'active' })
+        .populate('userId', 'fullName email avatar')
+        .sort({ createdAt: 1 })
+        .lean(),
+      this.spendByMember(organizationId, now),
+    ]);
+
+    return {
+      organization,
+      role: membership.role,
+      members: members.map((m) => ({
+        userId: String(m.userId?._id || m.userId),
+        name: m.userId?.fullName || null,
+        email: m.userId?.email || null,
+        role: m.role,
+        spendingLimit: this.effectiveLimit(organization, m),
+        spentThisMonth: spend.get(String(m.userId?._id || m.userId)) || 0,
+        joinedAt: m.createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Update organization settings (org admins only)
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Org admin
+   * @param {Object} changes - { name, billingEmail, approvalThreshold, defaultSpendingLimit }
+   * @returns {Promise<Object>} Updated organization
+   */
+  async update(organizationId, userId, changes = {}) {
+    await this.requireMembership(organizationId, userId, { admin: true });
+
+    const $set = {};
+    if (changes.name !== undefined) {
+      const name = String(changes.name).trim();
+      if (!name) throw orgError('Organization name is required');
+      $set.name = name;
+    }
+    if (changes.billingEmail !== undefined) {
+      const email = String(changes.billingEmail).trim();
+      if (!email) throw orgError('billingEmail is required');
+      $set.billingEmail = email;
+    }
+    if (changes.approvalThreshold !== undefined) {
+      $set.approvalThreshold = optionalAmount(changes.approvalThreshold, 'approvalThreshold');
+    }
+    if (changes.defaultSpendingLimit !== undefined) {
+      $set.defaultSpendingLimit = optionalAmount(changes.defaultSpendingLimit, 'defaultSpendingLimit');
+    }
+
+    return Organization.findByIdAndUpdate(organizationId, { $set }, { new: true, runValidators: true }).lean();
+  }
+
+  /**
+   * Add a registered user to the organization (org admins only)
+   * @param {string} organizationId - Organization
+   * @param {string} adminId - Org admin
+   * @param {Object} input - { email, role, spendingLimit }
+   * @returns {Promise<Object>} Membership
+   */
+  async addMember(organizationId, adminId, input = {}) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+
+    const email = String(input.email || '').trim().toLowerCase();
+    if (!email) throw orgError('email is required');
+    const role = input.role || 'member';
+    if (!ROLES.includes(role)) throw orgError(`role must be one of: ${ROLES.join(', ')}`);
+
+    const user = await User.findOne({ email }).select('_id').lean();
+    if (!user) throw orgError('No FlexiDesk account uses this email. Ask them to sign up first', 404);
+
+    const existing = await OrganizationMember.findOne({ organizationId, userId: user._id });
+    if (existing?.status === 'active') {
+      throw orgError('This user is already a member', 409);
+    }
+
+    const spendingLimit = input.spendingLimit === undefined ? null : optionalAmount(input.spendingLimit, 'spendingLimit');
+
+    // Re-adding a removed member reactivates the same membership
+    const membership = await OrganizationMember.findOneAndUpdate(
+      { organizationId, userId: user._id },
+      {
+        $set: { role, spendingLimit, status: 'active', addedBy: adminId },
+        $unset: { removedAt: 1 },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`[OrganizationService] User ${user._id} added to organization ${organizationId} as ${role}`);
+    return membership.toObject();
+  }
+
+  /**
+   * Change a member's role or spending limit (org admins only)
+   * @param {string} organizationId - Organization
+   * @param {string} adminId - Org admin
+   * @param {string} memberUserId - Member to change
+   * @param {Object} changes - { role, spendingLimit }
+   * @returns {Promise<Object>} Membership
+   */
+  async updateMember(organizationId, adminId, memberUserId, changes = {}) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+    const membership = await this._activeMember(organizationId, memberUserId);
+
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) throw orgError(`role must be one of: ${ROLES.join(', ')}`);
+      if (membership.role === 'admin' && changes.role !== 'admin') {
+        await this._assertAnotherAdmin(organizationId, memberUserId);
+      }
+      membership.role = changes.role;
+    }
+    if (changes.spendingLimit !== undefined) {
+      membership.spendingLimit = optionalAmount(changes.spendingLimit, 'spendingLimit');
+    }
+
+    await membership.save();
+    return membership.toObject();
+  }
+
+  /**
+   * Remove a member (org admins), or leave the organization (any member)
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Requesting user
+   * @param {string} memberUserId - Member to remove
+   * @returns {Promise<Object>} Removed membership
+   */
+  async removeMember(organizationId, userId, memberUserId) {
+    const leaving = String(userId) === String(memberUserId);
+    await this.requireMembership(organizationId, userId, { admin: !leaving });
+
+    const membership = await this._activeMember(organizationId, memberUserId);
+    if (membership.role === 'admin') {
+      await this._assertAnotherAdmin(organizationId, memberUserId);
+    }
+
+    membership.status = 'removed';
+    membership.removedAt = new Date();
+    await membership.save();
+
+    console.log(`[OrganizationService] User ${memberUserId} removed from organization ${organizationId}`);
+    return membership.toObject();
+  }
+
+  /**
+   * Load an active organization and the user's active membership
+   * @param {string} organizationId - Organization
+   * @param {string} userId - User
+   * @param {Object} options - { admin: require the org admin role }
+   * @returns {Promise<Object>} { organization, membership }
+   */
+  async requireMembership(organizationId, userId, { admin = false } = {}) {
+    if (!mongoose.isValidObjectId(organizationId)) throw orgError('Invalid organizationId');
+
+    const organization = await Organization.findById(organizationId).lean();
+    if (!organization || organization.status !== 'active') {
+      throw orgError('Organization not found', 404);
+    }
+
+    const membership = await OrganizationMember.findOne({ organizationId, userId, status: 'active' }).lean();
+    if (!membership) {
+      throw orgError('Forbidden: You are not a member of this organization', 403);
+    }
+    if (admin && membership.role !== 'admin') {
+      throw orgError('Forbidden: Organization admin role required', 403);
+    }
+
+    return { organization, membership };
+  }
+
+  /**
+   * Monthly spending limit that applies to a member
+   * @param {Object} organization - Organization
+   * @param {Object} membership - Membership
+   * @returns {number|null} Limit, or null for unlimited
+   */
+  effectiveLimit(organization, membership) {
+    if (membership.spendingLimit != null) return membership.spendingLimit;
+    return organization.defaultSpendingLimit ?? null;
+  }
+
+  /**
+   * Whether an amount needs an org admin's approval for this member
+   * @param {Object} organization - Organization
+   * @param {Object} membership - Membership
+   * @param {number} amount - Booking total
+   * @returns {boolean}
+   */
+  requiresApproval(organization, membership, amount) {
+    if (membership.role === 'admin') return false;
+    if (organization.approvalThreshold == null) return false;
+    return Number(amount) > organization.approvalThreshold;
+  }
+
+  /**
+   * A member's organization spend in the month containing `now`
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Member
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Spend net of refunds
+   */
+  async monthSpend(organizationId, userId, now = new Date()) {
+    const spend = await this.spendByMember(organizationId, now, userId);
+    return spend.get(String(userId)) || 0;
+  }
+
+  /**
+   * Organization spend per member in the month containing `now`
+   * @param {string} organizationId - Organization
+   * @param {Date} now - Reference time
+   * @param {string} userId - Limit to one member (optional)
+   * @returns {Promise<Map>} userId -> spend net of refunds
+   */
+  async spendByMember(organizationId, now = new Date(), userId = null) {
+    const { start, end } = monthBounds(now);
+    const match = {
+      organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+      status: { $in: SPENDING_STATUSES },
+      createdAt: { $gte: start, $lt: end },
+    };
+    if (userId) match.userId = new mongoose.Types.ObjectId(String(userId));
+
+    const rows = await Booking.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$userId',
+          spent: { $sum: { $subtract: ['$amount', { $ifNull: ['$payment.refundedAmount', 0] }] } },
+        },
+      },
+    ]);
+
+    return new Map(rows.map((r) => [String(r._id), round2(r.spent)]));
+  }
+
+  /**
+   * Check a member may book this amount on the organization's behalf
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Booking member
+   * @param {number} amount - Booking total
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { organization, membership, requiresApproval, limit, spent }
+   */
+  async authorizeBooking(organizationId, userId, amount, now = new Date()) {
+    const { organization, membership } = await this.requireMembership(organizationId, userId);
+
+    const limit = this.effectiveLimit(organization, membership);
+    let spent = null;
+    if (limit != null) {
+      spent = await this.monthSpend(organizationId, userId, now);
+      if (spent + Number(amount) > limit) {
+        const remaining = Math.max(0, round2(limit - spent));
+        const err = orgError(
+          `This booking exceeds your monthly ${organization.name} spending limit (${organization.currency} ${remaining.toFixed(2)} remaining)`,
+          403
+        );
+        err.reason = 'spending_limit';
+        throw err;
+      }
+    }
+
+    return {
+      organization,
+      membership,
+      requiresApproval: this.requiresApproval(organization, membership, amount),
+      limit,
+      spent,
+    };
+  }
+
+  /**
+   * How long a booking awaiting approval holds its slot
+   * @param {Object} window - { startDate, checkInTime }
+   * @param {Date} now - Reference time
+   * @returns {Date} Hold expiry (never after the booking starts)
+   */
+  approvalHoldExpiry(window, now = new Date()) {
+    const expiry = new Date(now.getTime() + ORG_APPROVAL_HOLD_HOURS * 60 * 60 * 1000);
+    const time = /^\d{2}:\d{2}$/.test(String(window.checkInTime || '')) ? window.checkInTime : '00:00';
+    const start = new Date(`${window.startDate}T${time}:00`);
+    return Number.isFinite(start.getTime()) && start < expiry ? start : expiry;
+  }
+
+  /**
+   * Consolidated bookings across the organization's members
+   * @param {string} organizationId - Organization
+   * @param {string} userId - Requesting member
+   * @param {Object} filters - { status, memberId, from, to }
+   * @returns {Promise<Array>} Bookings (lean) with bookedBy
+   */
+  async listBookings(organizationId, userId, filters = {}) {
+    await this.requireMembership(organizationId, userId);
+
+    const q = { organizationId };
+    if (filters.status) q.status = filters.status;
+    if (filters.memberId && mongoose.isValidObjectId(filters.memberId)) q.userId = filters.memberId;
+    if (filters.from || filters.to) {
+      q.startDate = {};
+      if (filters.from) q.startDate.$gte = String(filters.from);
+      if (filters.to) q.startDate.$lte = String(filters.to);
+    }
+
+    const docs = await Booking.find(q)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('userId', 'fullName email')
+      .lean();
+
+    return docs.map((b) => ({
+      ...b,
+      userId: b.userId?._id || b.userId,
+      bookedBy: b.userId?._id
+        ? { id: String(b.userId._id), name: b.userId.fullName || null, email: b.userId.email || null }
+        : null,
+    }));
+  }
+
+  /**
+   * Bookings waiting for an org admin's decision
+   * @param {string} organizationId - Organization
+   * @param {string} adminId - Org admin
+   * @returns {Promise<Array>} Bookings (lean) with bookedBy
+   */
+  async listApprovals(organizationId, adminId) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+    return this.listBookings(organizationId, adminId, { status: 'pending_approval' });
+  }
+
+  /**
+   * Approve a member's booking and open its checkout
+   * Bank transfer / cash bookings start their payment deadline instead.
+   * @param {string} organizationId - Organization
+   * @param {string} bookingId - Booking awaiting approval
+   * @param {string} adminId - Org admin
+   * @param {Object} urls - { successUrl, cancelUrl }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { booking, checkout } (checkout is null for manual payments)
+   */
+  async approve(organizationId, bookingId, adminId, { successUrl, cancelUrl }, now = new Date()) {
+    const { organization } = await this.requireMembership(organizationId, adminId, { admin: true });
+    const booking = await this._pendingBooking(organizationId, bookingId);
+
+    const BookingPaymentService = require('./BookingPaymentService');
+    if (!(booking.holdExpiresAt > now)) {
+      await BookingPaymentService.expireHold(booking, now);
+      throw orgError('This approval request has lapsed', 410);
+    }
+
+    const ManualPaymentService = require('./ManualPaymentService');
+    if (ManualPaymentService.isManual(booking)) {
+      return this._approveManual(booking, adminId, now);
+    }
+
+    // The slot stays held throughout: pending_approval -> pending_payment
+    const approved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending_approval' },
+      {
+        $set: {
+          status: 'pending_payment',
+          holdExpiresAt: BookingPaymentService.holdExpiry(now),
+          'approval.status': 'approved',
+          'approval.decidedAt': now,
+          'approval.decidedBy': adminId,
+        },
+      },
+      { new: true }
+    );
+    if (!approved) throw orgError('This booking is no longer awaiting approval', 409);
+
+    const Listing = require('../models/Listing');
+    const listing = await Listing.findById(booking.listingId).select('venue title').lean();
+    const listingName = listing?.venue || listing?.title || 'Workspace';
+
+    let checkout;
+    try {
+      checkout = await BookingPaymentService.createCheckoutSession({
+        amount: approved.amount,
+        description: `Booking ${approved._id} • ${listingName} • ${organization.name}`,
+        successUrl,
+        cancelUrl,
+        metadata: {
+          bookingId: String(approved._id),
+          listingId: String(approved.listingId),
+          userId: String(approved.userId),
+          organizationId: String(organization._id),
+          approvedBy: String(adminId),
+          total: String(approved.amount),
+        },
+        lineItems: [{ name: listingName, amount: approved.amount }],
+        idempotencyKey: `${approved._id}-approved`,
+        provider: approved.provider,
+      });
+    } catch (err) {
+      // Put the request back so it can be approved again
+      await Booking.updateOne(
+        { _id: approved._id, status: 'pending_payment' },
+        {
+          $set: { status: 'pending_approval', holdExpiresAt: booking.holdExpiresAt, 'approval.status': 'pending' },
+          $unset: { 'approval.decidedAt': 1, 'approval.decidedBy': 1 },
+        }
+      );
+      throw err;
+    }
+
+    const updated = await Booking.findByIdAndUpdate(
+      approved._id,
+      {
+        $set: {
+          'payment.checkoutId': checkout.id,
+          'payment.checkoutUrl': checkout.url,
+          'payment.amount': approved.amount,
+          'payment.currency': approved.currency || 'PHP',
+        },
+      },
+      { new: true }
+    ).lean();
+
+    console.log(`[OrganizationService] Booking ${bookingId} approved by ${adminId}`);
+    await this._notifyDecision(updated);
+
+    return { booking: updated, checkout };
+  }
+
+  /**
+   * Reject a member's booking and release its slot
+   * @param {string} organizationId - Organization
+   * @param {string} bookingId - Booking awaiting approval
+   * @param {string} adminId - Org admin
+   * @param {string} reason - Shown to the member
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Rejected booking
+   */
+  async reject(organizationId, bookingId, adminId, reason, now = new Date()) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+    const booking = await this._pendingBooking(organizationId, bookingId);
+
+    const $set = {
+      status: 'rejected',
+      'approval.status': 'rejected',
+      'approval.decidedAt': now,
+      'approval.decidedBy': adminId,
+    };
+    if (reason) $set['approval.reason'] = String(reason).trim().slice(0, 500);
+
+    const rejected = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending_approval' },
+      { $set },
+      { new: true }
+    ).lean();
+    if (!rejected) throw orgError('This booking is no longer awaiting approval', 409);
+
+    console.log(`[OrganizationService] Booking ${bookingId} rejected by ${adminId}`);
+
+    try {
+      const WaitlistService = require('./WaitlistService');
+      await WaitlistService.releaseSlot(rejected, now);
+    } catch (error) {
+      console.error(`[OrganizationService] Waitlist release failed for booking ${bookingId}:`, error.message);
+    }
+    try {
+      const PromoCodeService = require('./PromoCodeService');
+      await PromoCodeService.releaseForBooking(rejected);
+    } catch (error) {
+      console.error(`[OrganizationService] Promo release failed for booking ${bookingId}:`, error.message);
+    }
+    await this._notifyDecision(rejected);
+
+    return rejected;
+  }
+
+  /**
+   * Build (or rebuild) an organization's statement for a month
+   * @param {string} organizationId - Organization
+   * @param {string} period - "YYYY-MM"
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Statement
+   */
+  async buildStatement(organizationId, period, now = new Date()) {
+    const organization = await Organization.findById(organizationId).lean();
+    if (!organization) throw orgError('Organization not found', 404);
+
+    const { start, end } = monthBounds(period);
+
+    const existing = await OrganizationStatement.findOne({ organizationId, period }).lean();
+    if (existing?.sentAt) return existing;
+
+    // Statements cover bookings by the date they were paid
+    const bookings = await Booking.find({
+      organizationId,
+      'payment.paidAt': { $gte: start, $lt: end },
+    })
+      .populate('userId', 'fullName email')
+      .populate('listingId', 'venue title')
+      .sort({ 'payment.paidAt': 1 })
+      .lean();
+
+    const members = new Map();
+    const totals = { bookings: 0, gross: 0, refunded: 0, net: 0 };
+    const lines = bookings.map((b) => {
+      const amount = Number(b.payment?.amount ?? b.amount ?? 0);
+      const refunded = Number(b.payment?.refundedAmount || 0);
+      const userKey = String(b.userId?._id || b.userId);
+
+      totals.bookings++;
+      totals.gross += amount;
+      totals.refunded += refunded;
+
+      const m = members.get(userKey) || {
+        userId: userKey,
+        name: b.userId?.fullName || null,
+        email: b.userId?.email || null,
+        bookings: 0,
+        gross: 0,
+        refunded: 0,
+        net: 0,
+      };
+      m.bookings++;
+      m.gross = round2(m.gross + amount);
+      m.refunded = round2(m.refunded + refunded);
+      m.net = round2(m.gross - m.refunded);
+      members.set(userKey, m);
+
+      return {
+        bookingId: String(b._id),
+        userId: userKey,
+        listingId: String(b.listingId?._id || b.listingId),
+        listingTitle: b.listingId?.venue || b.listingId?.title || null,
+        startDate: b.startDate,
+        endDate: b.endDate,
+        status: b.status,
+        paidAt: b.payment.paidAt,
+        amount,
+        refunded,
+      };
+    });
+
+    totals.gross = round2(totals.gross);
+    totals.refunded = round2(totals.refunded);
+    totals.net = round2(totals.gross - totals.refunded);
+
+    return OrganizationStatement.findOneAndUpdate(
+      { organizationId, period },
+      {
+        $set: {
+          periodStart: start,
+          periodEnd: end,
+          currency: organization.currency || 'PHP',
+          totals,
+          members: [...members.values()].sort((a, b) => b.net - a.net),
+          lines,
+          generatedAt: now,
+        },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Build and email last month's statement for every active organization
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { period, generated, sent }
+   */
+  async generateMonthlyStatements(now = new Date()) {
+    const { period } = monthBounds(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+    const organizations = await Organization.find({ status: 'active' }).select('_id').lean();
+
+    let generated = 0;
+    let sent = 0;
+    for (const org of organizations) {
+      try {
+        const statement = await this.buildStatement(org._id, period, now);
+        generated++;
+        if (statement.sentAt) continue;
+
+        const NotificationService = require('./NotificationService');
+        const result = await NotificationService.sendOrganizationStatement(statement._id);
+        if (result.sent) {
+          await OrganizationStatement.updateOne(
+            { _id: statement._id },
+            { $set: { sentAt: now, sentTo: result.recipient } }
+          );
+          sent++;
+        }
+      } catch (error) {
+        console.error(`[OrganizationService] Statement ${period} failed for organization ${org._id}:`, error.message);
+      }
+    }
+
+    return { period, generated, sent };
+  }
+
+  /**
+   * Statements for an organization, newest first (org admins only)
+   * @param {string} organizationId - Organization
+   * @param {string} adminId - Org admin
+   * @returns {Promise<Array>} Statements without booking lines
+   */
+  async listStatements(organizationId, adminId) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+    return OrganizationStatement.find({ organizationId })
+      .select('-lines')
+      .sort({ period: -1 })
+      .lean();
+  }
+
+  /**
+   * One month's statement, built on demand if it does not exist yet (org admins only)
+   * @param {string} organizationId - Organization
+   * @param {string} adminId - Org admin
+   * @param {string} period - "YYYY-MM"
+   * @returns {Promise<Object>} Statement
+   */
+  async getStatement(organizationId, adminId, period, now = new Date()) {
+    await this.requireMembership(organizationId, adminId, { admin: true });
+    const { start } = monthBounds(period);
+    if (start > now) throw orgError('This period has not started yet');
+    return this.buildStatement(organizationId, period, now);
+  }
+
+  /**
+   * @private
+   */
+  async _activeMember(organizationId, userId) {
+    if (!mongoose.isValidObjectId(userId)) throw orgError('Invalid userId');
+    const membership = await OrganizationMember.findOne({ organizationId, userId, status: 'active' });
+    if (!membership) throw orgError('Member not found', 404);
+    return membership;
+  }
+
+  /**
+   * @private
+   */
+  async _assertAnotherAdmin(organizationId, userId) {
+    const others = await OrganizationMember.countDocuments({
+      organizationId,
+      role: 'admin',
+      status: 'active',
+      userId: { $ne: userId },
+    });
+    if (!others) {
+      throw orgError('An organization needs at least one admin. Promote someone else first', 409);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _pendingBooking(organizationId, bookingId) {
+    if (!mongoose.isValidObjectId(bookingId)) throw orgError('Invalid bookingId');
+    const booking = await Booking.findOne({ _id: bookingId, organizationId });
+    if (!booking) throw orgError('Booking not found', 404);
+    if (booking.status !== 'pending_approval') {
+      throw orgError(`This booking is not awaiting approval (status: ${booking.status})`, 409);
+    }
+    return booking;
+  }
+
+  /**
+   * Approve a bank transfer / cash booking: pending_approval -> awaiting_payment
+   * @private
+   */
+  async _approveManual(booking, adminId, now) {
+    const ManualPaymentService = require('./ManualPaymentService');
+    const Listing = require('../models/Listing');
+
+    const listing = await Listing.findById(booking.listingId).select('manualPayment').lean();
+    const deadlineAt = ManualPaymentService.deadline(listing, booking, booking.provider, now);
+    if (!(deadlineAt > now)) throw orgError('This booking starts too soon to be paid by bank transfer', 409);
+
+    const approved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending_approval' },
+      {
+        $set: {
+          status: 'awaiting_payment',
+          holdExpiresAt: deadlineAt,
+          'manualPayment.deadlineAt': deadlineAt,
+          'approval.status': 'approved',
+          'approval.decidedAt': now,
+          'approval.decidedBy': adminId,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!approved) throw orgError('This booking is no longer awaiting approval', 409);
+
+    console.log(`[OrganizationService] Booking ${booking._id} approved by ${adminId} (${approved.provider})`);
+    await this._notifyDecision(approved);
+    await ManualPaymentService.notify(approved._id, 'awaiting');
+
+    return { booking: approved, checkout: null };
+  }
+
+  /**
+   * @private
+   */
+  async _notifyDecision(booking) {
+    try {
+      const NotificationService = require('./NotificationService');
+      await NotificationService.sendOrganizationApprovalDecision(booking._id);
+    } catch (error) {
+      console.error(`[OrganizationService] Failed to notify booking ${booking._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new OrganizationService();
+module.exports.monthBounds = monthBounds;
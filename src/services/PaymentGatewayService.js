@@ -1,46 +1,97 @@
 /**
  * PaymentGatewayService
  * Handles payment gateway integration for refund processing
- * Uses PayMongo as the payment provider
+ * Refunds go through the provider the booking was paid with (see services/payments)
  */
 
-const axios = require('axios');
 const RefundTransaction = require('../models/RefundTransaction');
 const CancellationRequest = require('../models/CancellationRequest');
 const Booking = require('../models/Booking');
+const FxService = require('./FxService');
 
-const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY;
-const PAYMONGO_BASE_URL = 'https://api.paymongo.com/v1';
+const payments = require('./payments');
 
 class PaymentGatewayService {
   /**
-   * Build PayMongo API client with authentication
-   * @private
-   * @returns {Object} Axios instance configured for PayMongo
+   * Refund part of a payment that is not tied to a cancellation request
+   * (e.g. the price difference when a booking is rescheduled to a cheaper slot)
+   * @param {Object} refundData - Refund details
+   * @param {string} refundData.bookingId - Booking ID
+   * @param {number} refundData.amount - Refund amount in PHP
+   * @param {string} refundData.paymentId - Gateway payment ID
+   * @param {string} refundData.reason - Refund reason
+   * @param {string} refundData.notes - Note stored with the refund at the gateway
+   * @param {string} refundData.provider - Payment provider (default: the booking's)
+   * @returns {Promise<Object>} { success, gatewayRefundId, status } or { success: false, error }
    */
-  _buildPayMongoClient() {
-    if (!PAYMONGO_SECRET_KEY) {
-      throw new Error('PAYMONGO_SECRET_KEY is not configured');
-    }
+  async refundPayment(refundData) {
+    const {
+      bookingId,
+      amount,
+      paymentId,
+      reason = 'requested_by_customer',
+      notes,
+      provider
+    } = refundData;
 
-    const basicAuth = Buffer.from(`${PAYMONGO_SECRET_KEY}:`).toString('base64');
+    try {
+      console.log(`[PaymentGatewayService] Processing partial refund for booking ${bookingId}, amount: PHP ${amount}`);
 
-    return axios.create({
-      baseURL: PAYMONGO_BASE_URL,
-      headers: {
-        'Authorization': `Basic ${basicAuth}`,
-        'Content-Type': 'application/json'
+      if (!bookingId || !amount || !paymentId) {
+        throw new Error('Missing required refund data');
       }
-    });
+
+      const gateway = provider
+        ? payments.get(provider)
+        : payments.forBooking(await Booking.findById(bookingId).select('provider').lean());
+      const refund = await gateway.refund({
+        paymentId,
+        amount,
+        reason,
+        notes: notes || `Partial refund for booking ${bookingId}`
+      });
+
+      // Track on the booking so refund.updated webhooks can update the status
+      await Booking.updateOne(
+        { _id: bookingId },
+        {
+          $push: {
+            'payment.refunds': {
+              refundId: refund.id,
+              amount: amount,
+              status: refund.status,
+              notes: notes || null,
+              createdAt: new Date()
+            }
+          }
+        }
+      );
+
+      console.log(`[PaymentGatewayService] Partial refund processed successfully: ${refund.id}`);
+
+      return {
+        success: true,
+        gatewayRefundId: refund.id,
+        status: refund.status,
+        gatewayResponse: refund.raw
+      };
+    } catch (error) {
+      console.error('[PaymentGatewayService] Partial refund failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        gatewayError: error.gatewayError
+      };
+    }
   }
 
   /**
-   * Process a refund through PayMongo
+   * Process a refund through the booking's payment provider
    * @param {Object} refundData - Refund details
    * @param {string} refundData.cancellationRequestId - Cancellation request ID
    * @param {string} refundData.bookingId - Booking ID
    * @param {number} refundData.amount - Refund amount in PHP
-   * @param {string} refundData.paymentId - PayMongo payment ID
+   * @param {string} refundData.paymentId - Gateway payment ID
    * @param {string} refundData.reason - Refund reason
    * @returns {Promise<Object>} Refund transaction result
    */
@@ -75,6 +126,8 @@ class PaymentGatewayService {
         throw new Error('Cancellation request not found');
       }
 
+      const gateway = payments.forBooking(booking);
+
       // Create refund transaction record (pending)
       const refundTransaction = await RefundTransaction.create({
         cancellationRequestId,
@@ -83,39 +136,32 @@ class PaymentGatewayService {
         ownerId: cancellationRequest.ownerId,
         amount,
         currency: booking.currency || 'PHP',
-        paymentMethod: booking.provider || 'paymongo',
+        // Bookings quoted in another currency are refunded at their original rate
+        fx: booking.fx?.displayRate
+          ? {
+              displayCurrency: booking.fx.displayCurrency,
+              displayRate: booking.fx.displayRate,
+              displayAmount: FxService.convert(amount, 1, booking.fx.displayRate),
+            }
+          : undefined,
+        paymentMethod: booking.provider || gateway.name,
         originalTransactionId: paymentId,
         status: 'pending',
-        gatewayProvider: 'paymongo',
+        gatewayProvider: gateway.name,
         initiatedAt: new Date()
       });
 
-      // Convert amount to centavos (PayMongo uses centavos)
-      const amountCentavos = Math.round(amount * 100);
-
-      // Call PayMongo refund API
-      const client = this._buildPayMongoClient();
-      const response = await client.post('/refunds', {
-        data: {
-          attributes: {
-            amount: amountCentavos,
-            payment_id: paymentId,
-            reason: reason,
-            notes: `Refund for cancellation request ${cancellationRequestId}`
-          }
-        }
+      const refund = await gateway.refund({
+        paymentId,
+        amount,
+        reason,
+        notes: `Refund for cancellation request ${cancellationRequestId}`
       });
 
-      const refundData = response.data?.data;
-
-      if (!refundData || !refundData.id) {
-        throw new Error('Invalid response from payment gateway');
-      }
-
       // Update refund transaction with success
       refundTransaction.status = 'completed';
-      refundTransaction.refundTransactionId = refundData.id;
-      refundTransaction.gatewayResponse = refundData;
+      refundTransaction.refundTransactionId = refund.id;
+      refundTransaction.gatewayResponse = refund.raw;
       refundTransaction.completedAt = new Date();
       refundTransaction.updatedAt = new Date();
       await refundTransaction.save();
@@ -123,7 +169,7 @@ class PaymentGatewayService {
       // Update cancellation request status
       cancellationRequest.status = 'completed';
       cancellationRequest.processedAt = new Date();
-      cancellationRequest.refundTransactionId = refundData.id;
+      cancellationRequest.refundTransactionId = refund.id;
       cancellationRequest.updatedAt = new Date();
       await cancellationRequest.save();
 
@@ -131,20 +177,25 @@ class PaymentGatewayService {
       booking.payment = booking.payment || {};
       booking.payment.refunds = booking.payment.refunds || [];
       booking.payment.refunds.push({
-        refundId: refundData.id,
+        refundId: refund.id,
         amount: amount,
-        status: refundData.attributes?.status || 'pending',
+        status: refund.status,
         createdAt: new Date()
       });
       await booking.save();
 
-      console.log(`[PaymentGatewayService] Refund processed successfully: ${refundData.id}`);
+      const LedgerService = require('./LedgerService');
+      const InvoiceService = require('./InvoiceService');
+      await LedgerService.syncBookingSafe(booking._id);
+      await InvoiceService.syncBookingSafe(booking._id);
+
+      console.log(`[PaymentGatewayService] Refund processed successfully: ${refund.id}`);
 
       return {
         success: true,
         refundTransaction,
-        gatewayRefundId: refundData.id,
-        gatewayResponse: refundData
+        gatewayRefundId: refund.id,
+        gatewayResponse: refund.raw
       };
 
     } catch (error) {
@@ -160,7 +211,7 @@ class PaymentGatewayService {
 
           if (failedTransaction) {
             failedTransaction.status = 'failed';
-            failedTransaction.gatewayError = error.response?.data?.errors?.[0]?.detail || error.message;
+            failedTransaction.gatewayError = error.message;
             failedTransaction.failedAt = new Date();
             failedTransaction.updatedAt = new Date();
             await failedTransaction.save();
@@ -181,33 +232,26 @@ class PaymentGatewayService {
 
       return {
         success: false,
-        error: error.response?.data?.errors?.[0]?.detail || error.message,
-        gatewayError: error.response?.data
+        error: error.message,
+        gatewayError: error.gatewayError
       };
     }
   }
 
   /**
-   * Check refund status with PayMongo
-   * @param {string} refundTransactionId - PayMongo refund ID
+   * Check refund status with the payment provider
+   * @param {string} refundTransactionId - Gateway refund ID
+   * @param {string} provider - Payment provider that issued the refund (default PAYMENT_PROVIDER)
    * @returns {Promise<Object>} Refund status
    */
-  async checkRefundStatus(refundTransactionId) {
+  async checkRefundStatus(refundTransactionId, provider) {
     try {
       console.log(`[PaymentGatewayService] Checking refund status: ${refundTransactionId}`);
 
-      const client = this._buildPayMongoClient();
-      const response = await client.get(`/refunds/${refundTransactionId}`);
-
-      const refundData = response.data?.data;
-
-      if (!refundData) {
-        throw new Error('Refund not found');
-      }
-
-      const status = refundData.attributes?.status || 'unknown';
+      const refund = await payments.get(provider).getRefund(refundTransactionId);
+      const status = refund.status || 'unknown';
 
-      // Map PayMongo status to our status
+      // Map gateway status to our status
       let mappedStatus = 'processing';
       if (status === 'succeeded' || status === 'paid') {
         mappedStatus = 'completed';
@@ -221,7 +265,7 @@ class PaymentGatewayService {
         success: true,
         status: mappedStatus,
         gatewayStatus: status,
-        refundData
+        refundData: refund.raw
       };
 
     } catch (error) {
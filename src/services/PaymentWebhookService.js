@@ -0,0 +1,392 @@
+/**
+ * PaymentWebhookService
+ * Verifies, stores and processes payment provider webhook events.
+ * The provider verifies the signature and hands back the event in PayMongo's
+ * format; handlers only touch bookings and refunds that went through that
+ * provider. Every event is persisted in the WebhookEvent collection
+ * (de-duplicated by provider and event id) so it can be inspected and
+ * re-processed from the admin panel.
+ */
+
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const Booking = require('../models/Booking');
+const RefundTransaction = require('../models/RefundTransaction');
+const CancellationRequest = require('../models/CancellationRequest');
+const BookingPaymentService = require('./BookingPaymentService');
+const BookingRescheduleService = require('./BookingRescheduleService');
+const CreditService = require('./CreditService');
+const payments = require('./payments');
+
+const { PAYABLE_STATUSES } = BookingPaymentService;
+
+class WebhookError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+class PaymentWebhookService {
+  constructor() {
+    this.handlers = {
+      'checkout_session.payment.paid': this._handleCheckoutPaid,
+      'payment.paid': this._handlePaymentPaid,
+      'payment.failed': this._handlePaymentFailed,
+      'payment.refunded': this._handlePaymentRefunded,
+      'refund.updated': this._handleRefundUpdated,
+    };
+  }
+
+  /**
+   * Verify, store and process an incoming webhook delivery
+   * @param {string} providerName - Payment provider the delivery is for
+   * @param {string|Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Promise<Object>} { event, duplicate }
+   * @throws {Error} With statusCode on unknown provider, configuration, payload or signature errors
+   */
+  async receive(providerName, rawBody, headers = {}) {
+    let provider;
+    try {
+      provider = payments.get(providerName);
+    } catch {
+      throw new WebhookError('Unknown payment provider', 404);
+    }
+
+    const body = provider.parseWebhook(rawBody, headers);
+    const { doc, duplicate } = await this.recordEvent(body, { signatureVerified: true, provider: provider.name });
+
+    // Already handled: acknowledge without touching bookings again
+    if (duplicate && ['processed', 'ignored'].includes(doc.status)) {
+      return { event: doc, duplicate: true };
+    }
+
+    const processed = await this.processEvent(doc);
+    return { event: processed, duplicate };
+  }
+
+  /**
+   * Persist an event, de-duplicating by event id
+   * @param {Object} body - Parsed webhook body ({ data: event })
+   * @param {Object} options - { signatureVerified, provider }
+   * @returns {Promise<Object>} { doc, duplicate }
+   */
+  async recordEvent(body, { signatureVerified = false, provider = 'paymongo' } = {}) {
+    const event = body.data;
+    const resource = event.attributes?.data || {};
+
+    const existing = await WebhookEvent.findOne({ provider, eventId: event.id });
+    if (existing) {
+      return { doc: existing, duplicate: true };
+    }
+
+    try {
+      const doc = await WebhookEvent.create({
+        provider,
+        eventId: event.id,
+        type: event.attributes.type,
+        livemode: !!event.attributes.livemode,
+        resourceId: resource.id || null,
+        resourceType: resource.type || null,
+        payload: body,
+        signatureVerified,
+        status: 'received',
+        receivedAt: new Date(),
+      });
+      return { doc, duplicate: false };
+    } catch (error) {
+      // Concurrent delivery of the same event won the insert race
+      if (error?.code === 11000) {
+        const doc = await WebhookEvent.findOne({ provider, eventId: event.id });
+        return { doc, duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome
+   * @param {Object} eventDoc - WebhookEvent document
+   * @returns {Promise<Object>} Updated WebhookEvent document
+   */
+  async processEvent(eventDoc) {
+    const handler = this.handlers[eventDoc.type];
+    const event = eventDoc.payload?.data || {};
+    const resource = event.attributes?.data || {};
+
+    eventDoc.attempts = (eventDoc.attempts || 0) + 1;
+
+    try {
+      if (!handler) {
+        eventDoc.status = 'ignored';
+        eventDoc.result = { reason: 'unhandled_event_type' };
+      } else {
+        const result = await handler.call(this, resource, eventDoc.provider || 'paymongo');
+        eventDoc.status = result?.ignored ? 'ignored' : 'processed';
+        eventDoc.result = result || null;
+      }
+      eventDoc.lastError = undefined;
+      eventDoc.processedAt = new Date();
+    } catch (error) {
+      console.error(`[PaymentWebhookService] Failed to process event ${eventDoc.eventId}:`, error.message);
+      eventDoc.status = 'failed';
+      eventDoc.lastError = error.message;
+    }
+
+    await eventDoc.save();
+    return eventDoc;
+  }
+
+  /**
+   * Re-process a stored event (admin recovery)
+   * @param {string} id - WebhookEvent document id
+   * @param {string} adminId - Admin triggering the replay
+   * @returns {Promise<Object>} Updated WebhookEvent document
+   */
+  async replayEvent(id, adminId = null) {
+    const eventDoc = await WebhookEvent.findById(id);
+    if (!eventDoc) {
+      throw new WebhookError('Webhook event not found', 404);
+    }
+
+    const processed = await this.processEvent(eventDoc);
+    processed.replays.push({
+      at: new Date(),
+      by: adminId,
+      status: processed.status,
+      error: processed.lastError,
+    });
+    await processed.save();
+
+    console.log(`[PaymentWebhookService] Event ${processed.eventId} replayed by ${adminId}: ${processed.status}`);
+    return processed;
+  }
+
+  /* ===================== HANDLERS ===================== */
+
+  async _handleCheckoutPaid(resource, provider) {
+    const attrs = resource.attributes || {};
+    const payment = Array.isArray(attrs.payments) ? attrs.payments[0] : null;
+
+    const reschedule = await BookingRescheduleService.findByPayment({
+      rescheduleId: attrs.metadata?.rescheduleId,
+      checkoutIds: [resource.id],
+    });
+    if (reschedule) {
+      return BookingRescheduleService.markPaid(reschedule, {
+        paymentId: payment?.id,
+        paidAt: payment?.attributes?.paid_at,
+      });
+    }
+
+    const creditPurchase = await CreditService.findByPayment({
+      creditPurchaseId: attrs.metadata?.creditPurchaseId,
+      checkoutIds: [resource.id],
+    });
+    if (creditPurchase) {
+      return CreditService.markPaid(creditPurchase, {
+        paymentId: payment?.id,
+        paidAt: payment?.attributes?.paid_at,
+      });
+    }
+
+    const booking = await this._findBooking({
+      bookingId: attrs.metadata?.bookingId,
+      checkoutIds: [resource.id],
+      paymentId: payment?.id,
+      provider,
+    });
+
+    if (!booking) return { ignored: true, reason: 'no_matching_booking' };
+
+    return BookingPaymentService.markPaid(booking, {
+      paymentId: payment?.id,
+      amount: payment?.attributes?.amount ?? attrs.line_items?.[0]?.amount,
+      paidAt: payment?.attributes?.paid_at,
+    });
+  }
+
+  async _handlePaymentPaid(resource, provider) {
+    const attrs = resource.attributes || {};
+
+    const reschedule = await BookingRescheduleService.findByPayment({
+      rescheduleId: attrs.metadata?.rescheduleId,
+      checkoutIds: [attrs.checkout_session_id],
+    });
+    if (reschedule) {
+      return BookingRescheduleService.markPaid(reschedule, {
+        paymentId: resource.id,
+        paidAt: attrs.paid_at,
+      });
+    }
+
+    const creditPurchase = await CreditService.findByPayment({
+      creditPurchaseId: attrs.metadata?.creditPurchaseId,
+      checkoutIds: [attrs.checkout_session_id],
+    });
+    if (creditPurchase) {
+      return CreditService.markPaid(creditPurchase, {
+        paymentId: resource.id,
+        paidAt: attrs.paid_at,
+      });
+    }
+
+    const booking = await this._findBooking({
+      bookingId: attrs.metadata?.bookingId,
+      checkoutIds: [attrs.checkout_session_id, resource.id],
+      paymentId: resource.id,
+      provider,
+    });
+
+    if (!booking) return { ignored: true, reason: 'no_matching_booking' };
+
+    return BookingPaymentService.markPaid(booking, {
+      paymentId: resource.id,
+      amount: attrs.amount,
+      paidAt: attrs.paid_at,
+    });
+  }
+
+  async _handlePaymentFailed(resource, provider) {
+    const attrs = resource.attributes || {};
+
+    const booking = await this._findBooking({
+      bookingId: attrs.metadata?.bookingId,
+      checkoutIds: [attrs.checkout_session_id],
+      paymentId: resource.id,
+      provider,
+    });
+
+    if (!booking) return { ignored: true, reason: 'no_matching_booking' };
+
+    if (!PAYABLE_STATUSES.includes(booking.status)) {
+      return { ignored: true, reason: `booking_${booking.status}`, bookingId: String(booking._id) };
+    }
+
+    booking.payment = booking.payment || {};
+    booking.payment.paymentId = resource.id;
+    booking.payment.failedAt = new Date();
+    booking.payment.failureReason =
+      attrs.last_payment_error?.failed_message ||
+      attrs.failed_message ||
+      attrs.failed_code ||
+      'Payment failed';
+    await booking.save();
+
+    return { bookingId: String(booking._id), action: 'payment_failed' };
+  }
+
+  async _handlePaymentRefunded(resource, provider) {
+    const attrs = resource.attributes || {};
+
+    const booking = await this._findBooking({
+      bookingId: attrs.metadata?.bookingId,
+      paymentId: resource.id,
+      provider,
+    });
+
+    if (!booking) return { ignored: true, reason: 'no_matching_booking' };
+
+    const refunds = Array.isArray(attrs.refunds) ? attrs.refunds : [];
+    const refundedCentavos = refunds.length
+      ? refunds.reduce((sum, r) => sum + Number(r?.attributes?.amount || 0), 0)
+      : Number(attrs.amount || 0);
+
+    booking.payment = booking.payment || {};
+    booking.payment.paymentId = booking.payment.paymentId || resource.id;
+    booking.payment.refundedAmount = refundedCentavos / 100;
+    await booking.save();
+
+    const LedgerService = require('./LedgerService');
+    const InvoiceService = require('./InvoiceService');
+    await LedgerService.syncBookingSafe(booking._id);
+    await InvoiceService.syncBookingSafe(booking._id);
+
+    return {
+      bookingId: String(booking._id),
+      action: 'payment_refunded',
+      refundedAmount: booking.payment.refundedAmount,
+    };
+  }
+
+  async _handleRefundUpdated(resource, provider) {
+    const attrs = resource.attributes || {};
+    const gatewayStatus = attrs.status || 'pending';
+
+    let mappedStatus = 'processing';
+    if (gatewayStatus === 'succeeded' || gatewayStatus === 'paid') {
+      mappedStatus = 'completed';
+    } else if (gatewayStatus === 'failed') {
+      mappedStatus = 'failed';
+    }
+
+    const transaction = await RefundTransaction.findOne({ refundTransactionId: resource.id, gatewayProvider: provider });
+
+    if (transaction) {
+      transaction.status = mappedStatus;
+      transaction.gatewayResponse = resource;
+      if (mappedStatus === 'completed' && !transaction.completedAt) transaction.completedAt = new Date();
+      if (mappedStatus === 'failed') {
+        transaction.failedAt = new Date();
+        transaction.gatewayError = attrs.notes || 'Refund failed at gateway';
+      }
+      transaction.updatedAt = new Date();
+      await transaction.save();
+
+      if (mappedStatus === 'failed') {
+        await CancellationRequest.updateOne(
+          { _id: transaction.cancellationRequestId, status: { $in: ['processing', 'completed'] } },
+          { status: 'failed', failureReason: 'Refund failed at gateway', updatedAt: new Date() }
+        );
+      }
+    }
+
+    const booking = await this._findBooking({
+      bookingId: transaction?.bookingId,
+      paymentId: attrs.payment_id,
+      provider,
+    });
+
+    if (booking && Array.isArray(booking.payment?.refunds)) {
+      const entry = booking.payment.refunds.find((r) => r?.refundId === resource.id || r?.id === resource.id);
+      if (entry) {
+        entry.status = gatewayStatus;
+        booking.markModified('payment.refunds');
+        await booking.save();
+      }
+    }
+
+    if (!transaction && !booking) return { ignored: true, reason: 'no_matching_refund' };
+
+    return {
+      refundId: resource.id,
+      status: mappedStatus,
+      transactionId: transaction ? String(transaction._id) : null,
+      bookingId: booking ? String(booking._id) : null,
+    };
+  }
+
+  /* ===================== HELPERS ===================== */
+
+  /**
+   * Locate the booking an event refers to, if it was paid through the
+   * provider that sent the event
+   * @private
+   */
+  async _findBooking({ bookingId, checkoutIds = [], paymentId, provider }) {
+    const or = [];
+    if (bookingId && mongoose.isValidObjectId(bookingId)) or.push({ _id: bookingId });
+    const ids = checkoutIds.filter(Boolean);
+    if (ids.length) or.push({ 'payment.checkoutId': { $in: ids } });
+    if (paymentId) or.push({ 'payment.paymentId': paymentId });
+
+    if (!or.length) return null;
+    const booking = await Booking.findOne({ $or: or });
+    if (booking && (booking.provider || 'paymongo') !== provider) return null;
+    return booking;
+  }
+}
+
+module.exports = new PaymentWebhookService();
+module.exports.WebhookError = WebhookError;
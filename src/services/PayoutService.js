@@ -0,0 +1,325 @@
+/**
+ * PayoutService
+ * Weekly payout batches of owners' available earnings.
+ *
+ * Earnings become available PAYOUT_HOLD_DAYS after the stay ends (see
+ * LedgerService). On PAYOUT_WEEKDAY the payout job gathers each owner's
+ * available, unpaid ledger rows into a scheduled Payout when they add up to
+ * at least PAYOUT_MIN_AMOUNT. Refunds after a payout leave a negative balance
+ * that is netted against the next batch. Transfers are sent by hand: an
+ * admin moves the payout to processing, then paid (posting the payout to the
+ * ledger) or failed/cancelled (releasing its rows for the next batch).
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('./LedgerService');
+const FeeConfigService = require('./FeeConfigService');
+
+const PAYOUT_MIN_AMOUNT = Number(process.env.PAYOUT_MIN_AMOUNT ?? 500);
+const PAYOUT_WEEKDAY = Number(process.env.PAYOUT_WEEKDAY ?? 1); // 0 = Sunday
+const PAYOUT_HOUR = 5; // payout job runs at 05:00
+
+// Status changes an admin can make
+const TRANSITIONS = {
+  scheduled: ['processing', 'paid', 'cancelled'],
+  processing: ['paid', 'failed'],
+  paid: [],
+  failed: [],
+  cancelled: [],
+};
+
+function payoutError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class PayoutService {
+  /**
+   * Next time the payout job creates batches
+   * @param {Date} now - Reference time
+   * @returns {Date} Next batch run
+   */
+  nextBatchDate(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(PAYOUT_HOUR, 0, 0, 0);
+    const days = (PAYOUT_WEEKDAY - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + days);
+    if (next <= now) next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  /**
+   * Is a date a payout day?
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isBatchDay(now = new Date()) {
+    return now.getDay() === PAYOUT_WEEKDAY;
+  }
+
+  /**
+   * Create a scheduled payout for every owner with enough available earnings
+   * @param {Date} now - Cutoff for available earnings
+   * @returns {Promise<Object>} { created, skipped, total }
+   */
+  async createBatch(now = new Date()) {
+    const ownerIds = await LedgerEntry.distinct('ownerId', {
+      account: 'owner_payable',
+      payoutId: null,
+      availableAt: { $lte: now },
+    });
+
+    let created = 0;
+    let skipped = 0;
+    let total = 0;
+    for (const ownerId of ownerIds) {
+      try {
+        const payout = await this.createForOwner(ownerId, now);
+        if (payout) {
+          created++;
+          total = round2(total + payout.amount);
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        console.error(`[PayoutService] Payout failed for owner ${ownerId}:`, error.message);
+        skipped++;
+      }
+    }
+
+    console.log(`[PayoutService] Batch ${now.toISOString()}: ${created} payout(s), PHP ${total.toFixed(2)}, ${skipped} skipped`);
+    return { created, skipped, total };
+  }
+
+  /**
+   * Gather one owner's available earnings into a scheduled payout
+   * @param {string} ownerId - Owner
+   * @param {Date} now - Cutoff
+   * @returns {Promise<Object|null>} Payout, or null below the minimum
+   */
+  async createForOwner(ownerId, now = new Date()) {
+    const filter = { ownerId, account: 'owner_payable', payoutId: null, availableAt: { $lte: now } };
+    const rows = await LedgerEntry.find(filter).select('_id credit debit').lean();
+    const amount = round2(rows.reduce((sum, r) => sum + r.credit - r.debit, 0));
+    if (amount < PAYOUT_MIN_AMOUNT) return null;
+
+    const payout = await Payout.create({
+      ownerId,
+      amount,
+      entryCount: rows.length,
+      cutoff: now,
+      scheduledFor: now,
+    });
+
+    const claimed = await LedgerEntry.updateMany(
+      { _id: { $in: rows.map((r) => r._id) }, payoutId: null },
+      { $set: { payoutId: payout._id } }
+    );
+
+    // Rows settled elsewhere in the meantime: pay only what was actually claimed
+    if (claimed.modifiedCount !== rows.length) {
+      const [sum] = await LedgerEntry.aggregate([
+        { $match: { payoutId: payout._id, account: 'owner_payable' } },
+        { $group: { _id: null, amount: { $sum: { $subtract: ['$credit', '$debit'] } }, count: { $sum: 1 } } },
+      ]);
+      payout.amount = round2(sum?.amount || 0);
+      payout.entryCount = sum?.count || 0;
+      if (payout.amount < PAYOUT_MIN_AMOUNT) {
+        await this._release(payout._id);
+        await Payout.deleteOne({ _id: payout._id });
+        return null;
+      }
+      await payout.save();
+    }
+
+    console.log(`[PayoutService] Scheduled payout ${payout._id} of PHP ${payout.amount.toFixed(2)} for owner ${ownerId}`);
+    return payout.toObject();
+  }
+
+  /**
+   * Move a payout through its lifecycle (admin)
+   * @param {string} payoutId - Payout
+   * @param {string} adminId - Admin
+   * @param {Object} input - { status, reference, failureReason }
+   * @returns {Promise<Object>} Payout
+   */
+  async updateStatus(payoutId, adminId, { status, reference, failureReason } = {}) {
+    const payout = await Payout.findById(payoutId).lean();
+    if (!payout) throw payoutError('Payout not found', 404);
+    if (!TRANSITIONS[payout.status]?.includes(status)) {
+      throw payoutError(`A ${payout.status} payout cannot be marked ${status}`, 409);
+    }
+    if (status === 'failed' && !String(failureReason || '').trim()) {
+      throw payoutError('failureReason is required');
+    }
+
+    const now = new Date();
+    const set = { status, updatedBy: adminId, [`${status}At`]: now };
+    if (reference !== undefined) set.reference = String(reference || '').trim();
+    if (failureReason) set.failureReason = String(failureReason).trim().slice(0, 500);
+
+    const updated = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: payout.status },
+      { $set: set },
+      { new: true }
+    ).lean();
+    if (!updated) throw payoutError('This payout was updated by someone else. Reload and try again.', 409);
+
+    if (status === 'paid') {
+      await LedgerService.post({
+        type: 'payout',
+        ownerId: updated.ownerId,
+        amount: -updated.amount,
+        source: `payout:${updated._id}`,
+        payoutId: updated._id,
+        occurredAt: now,
+        memo: updated.reference ? `Bank transfer ${updated.reference}` : 'Bank transfer',
+      });
+    } else if (status === 'failed' || status === 'cancelled') {
+      await this._release(updated._id);
+    }
+
+    console.log(`[PayoutService] Payout ${updated._id} marked ${status} by admin ${adminId}`);
+    return updated;
+  }
+
+  /**
+   * "How much will I receive and when" for an owner
+   * @param {string} ownerId - Owner
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Balances, upcoming availability and lifetime totals
+   */
+  async summary(ownerId, now = new Date()) {
+    const owner = new mongoose.Types.ObjectId(String(ownerId));
+
+    const [unpaid, byType, upcoming, payouts, commission] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $match: { ownerId: owner, account: 'owner_payable', payoutId: null } },
+        {
+          $group: {
+            _id: { $cond: [{ $lte: ['$availableAt', now] }, 'available', 'pending'] },
+            amount: { $sum: { $subtract: ['$credit', '$debit'] } },
+          },
+        },
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { ownerId: owner, account: 'owner_payable' } },
+        { $group: { _id: '$type', amount: { $sum: { $subtract: ['$credit', '$debit'] } } } },
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { ownerId: owner, account: 'owner_payable', payoutId: null, availableAt: { $gt: now } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$availableAt' } },
+            amount: { $sum: { $subtract: ['$credit', '$debit'] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $limit: 30 },
+      ]),
+      Payout.find({ ownerId, status: { $in: ['scheduled', 'processing'] } }).sort({ createdAt: 1 }).lean(),
+      FeeConfigService.ownerCommission(ownerId),
+    ]);
+
+    const bucket = (key) => round2(unpaid.find((u) => u._id === key)?.amount || 0);
+    const lifetime = Object.fromEntries(byType.map((t) => [t._id, round2(t.amount)]));
+    const available = bucket('available');
+    const nextBatchAt = this.nextBatchDate(now);
+
+    return {
+      currency: 'PHP',
+      available,
+      pending: bucket('pending'),
+      inPayout: round2(payouts.reduce((sum, p) => sum + p.amount, 0)),
+      nextPayout: {
+        date: nextBatchAt,
+        // Whatever is available by then, if it reaches the minimum
+        estimatedAmount: round2(available + upcoming
+          .filter((u) => new Date(`${u._id}T00:00:00Z`) <= nextBatchAt)
+          .reduce((sum, u) => sum + u.amount, 0)),
+        minimumAmount: PAYOUT_MIN_AMOUNT,
+      },
+      upcoming: upcoming.map((u) => ({ date: u._id, amount: round2(u.amount) })),
+      openPayouts: payouts.map((p) => ({ id: String(p._id), amount: p.amount, status: p.status, scheduledFor: p.scheduledFor })),
+      lifetime: {
+        gross: lifetime.booking_gross || 0,
+        platformFees: lifetime.platform_fee || 0,
+        processingFees: lifetime.processing_fee || 0,
+        refunds: lifetime.refund || 0,
+        collectedDirectly: -(lifetime.offline_collection || 0),
+        paidOut: -(lifetime.payout || 0),
+      },
+      fees: {
+        // Current rate for new bookings; category rates can differ per listing
+        platformFeePercent: commission.percent,
+        platformFeeSource: commission.source,
+        processingFeePercent: LedgerService.PROCESSING_FEE_PERCENT,
+        processingFeeFixed: LedgerService.PROCESSING_FEE_FIXED,
+        holdDays: LedgerService.PAYOUT_HOLD_DAYS,
+      },
+    };
+  }
+
+  /**
+   * Payouts, newest first
+   * @param {Object} filters - { ownerId, status, limit }
+   * @returns {Promise<Array>} Payouts
+   */
+  async list({ ownerId, status, limit = 50 } = {}) {
+    const filter = {};
+    if (ownerId) filter.ownerId = ownerId;
+    if (status) filter.status = status;
+    return Payout.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .populate('ownerId', 'fullName email')
+      .lean();
+  }
+
+  /**
+   * One of an owner's payouts with the ledger rows it settles
+   * @param {string} ownerId - Owner
+   * @param {string} payoutId - Payout
+   * @returns {Promise<Object>} Payout with entries
+   */
+  async getForOwner(ownerId, payoutId) {
+    const payout = await Payout.findOne({ _id: payoutId, ownerId }).lean();
+    if (!payout) throw payoutError('Payout not found', 404);
+
+    const entries = await LedgerEntry.find({ payoutId: payout._id, account: 'owner_payable', type: { $ne: 'payout' } })
+      .sort({ occurredAt: 1 })
+      .select('type credit debit bookingId creditPurchaseId availableAt occurredAt')
+      .lean();
+
+    return {
+      ...payout,
+      entries: entries.map((e) => ({
+        type: e.type,
+        amount: round2(e.credit - e.debit),
+        bookingId: e.bookingId ? String(e.bookingId) : null,
+        creditPurchaseId: e.creditPurchaseId ? String(e.creditPurchaseId) : null,
+        availableAt: e.availableAt,
+        occurredAt: e.occurredAt,
+      })),
+    };
+  }
+
+  /**
+   * Put a payout's rows back into the pool for the next batch
+   * @private
+   */
+  async _release(payoutId) {
+    await LedgerEntry.updateMany(
+      { payoutId, type: { $ne: 'payout' } },
+      { $unset: { payoutId: 1 } }
+    );
+  }
+}
+
+module.exports = new PayoutService();
+module.exports.PAYOUT_MIN_AMOUNT = PAYOUT_MIN_AMOUNT;
@@ -1,6 +1,6 @@
 /**
  * PolicyManager Service
- * Manages cancellation policies for workspaces
+ * Manages cancellation and reschedule policies for workspaces
  */
 
 const Listing = require('../models/Listing');
@@ -51,6 +51,16 @@ const POLICY_TEMPLATES = {
   }
 };
 
+// Applied when an owner has not set a reschedule policy; owners opt in to rescheduling
+const DEFAULT_RESCHEDULE_POLICY = {
+  allowReschedule: false,
+  minHoursBeforeStart: 24,
+  maxReschedules: 2,
+  changeFee: 0,
+  refundPriceDifference: true,
+  customNotes: 'Reschedule up to 2 times, at least 24 hours before the booking starts'
+};
+
 class PolicyManager {
   /**
    * Create or update cancellation policy for a workspace
@@ -176,6 +186,106 @@ class PolicyManager {
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Create or update reschedule policy for a workspace
+   * @param {string} listingId - Workspace ID
+   * @param {Object} policyData - Policy configuration
+   * @returns {Promise<Object>} Created/updated policy
+   */
+  async setReschedulePolicy(listingId, policyData) {
+    const validation = this.validateReschedulePolicy(policyData);
+    if (!validation.valid) {
+      throw new Error(`Invalid reschedule policy: ${validation.errors.join(', ')}`);
+    }
+
+    const listing = await Listing.findById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    const now = new Date();
+    listing.reschedulePolicy = {
+      ...DEFAULT_RESCHEDULE_POLICY,
+      ...policyData,
+      updatedAt: now,
+      createdAt: listing.reschedulePolicy?.createdAt || now
+    };
+    await listing.save();
+
+    return listing.reschedulePolicy;
+  }
+
+  /**
+   * Get reschedule policy for a workspace
+   * @param {string} listingId - Workspace ID
+   * @returns {Promise<Object>} Policy details
+   */
+  async getReschedulePolicy(listingId) {
+    const listing = await Listing.findById(listingId).select('reschedulePolicy').lean();
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    return this.resolveReschedulePolicy(listing);
+  }
+
+  /**
+   * Reschedule policy from an already-loaded listing, with defaults applied
+   * @param {Object} listing - Listing document
+   * @returns {Object} Policy details
+   */
+  resolveReschedulePolicy(listing) {
+    const policy = listing?.reschedulePolicy;
+    if (!policy || policy.allowReschedule === undefined) {
+      return DEFAULT_RESCHEDULE_POLICY;
+    }
+    return { ...DEFAULT_RESCHEDULE_POLICY, ...(policy.toObject ? policy.toObject() : policy) };
+  }
+
+  /**
+   * Validate reschedule policy configuration
+   * @param {Object} policyData - Policy to validate
+   * @returns {Object} Validation result with { valid: boolean, errors: string[] }
+   */
+  validateReschedulePolicy(policyData) {
+    const errors = [];
+
+    if (!policyData || typeof policyData !== 'object') {
+      return { valid: false, errors: ['Policy data must be an object'] };
+    }
+
+    if (policyData.allowReschedule !== undefined && typeof policyData.allowReschedule !== 'boolean') {
+      errors.push('allowReschedule must be true or false');
+    }
+
+    if (policyData.minHoursBeforeStart !== undefined) {
+      const hours = Number(policyData.minHoursBeforeStart);
+      if (!Number.isFinite(hours) || hours < 0) {
+        errors.push(`Invalid minimum notice: ${policyData.minHoursBeforeStart} (must be >= 0 hours)`);
+      }
+    }
+
+    if (policyData.maxReschedules !== undefined) {
+      const max = Number(policyData.maxReschedules);
+      if (!Number.isInteger(max) || max < 0 || max > 10) {
+        errors.push(`Invalid maximum reschedules: ${policyData.maxReschedules} (must be 0-10)`);
+      }
+    }
+
+    if (policyData.changeFee !== undefined) {
+      const fee = Number(policyData.changeFee);
+      if (!Number.isFinite(fee) || fee < 0) {
+        errors.push(`Invalid change fee: ${policyData.changeFee} (must be >= 0)`);
+      }
+    }
+
+    if (policyData.refundPriceDifference !== undefined && typeof policyData.refundPriceDifference !== 'boolean') {
+      errors.push('refundPriceDifference must be true or false');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Get predefined policy templates
    * @returns {Object} Policy templates
@@ -186,3 +296,4 @@ class PolicyManager {
 }
 
 module.exports = new PolicyManager();
+module.exports.DEFAULT_RESCHEDULE_POLICY = DEFAULT_RESCHEDULE_POLICY;
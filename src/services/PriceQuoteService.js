@@ -0,0 +1,402 @@
+/**
+ * PriceQuoteService
+ * Server-authoritative booking prices.
+ * Prices are derived only from the Listing's rate fields and pricing rules,
+ * fees, guest count, the booked duration and a server-validated promo code -
+ * never from client-supplied amounts.
+ */
+
+const { signQuoteToken, verifyQuoteToken, QUOTE_TTL_MINUTES } = require('../utils/quoteToken');
+const PricingRuleManager = require('./PricingRuleManager');
+const FxService = require('./FxService');
+
+const TIME_RE = /^\d{2}:\d{2}$/;
+const MODES = ['hour', 'day', 'month'];
+const UNITS = ['seat', 'room', 'whole'];
+
+// Listing rate field for each unit/mode combination
+const PRICE_FIELDS = {
+  seat: { hour: 'priceSeatHour', day: 'priceSeatDay' },
+  room: { hour: 'priceRoomHour', day: 'priceRoomDay' },
+  whole: { day: 'priceWholeDay', month: 'priceWholeMonth' },
+};
+
+const UNIT_LABELS = { seat: 'Seat', room: 'Room', whole: 'Whole space' };
+const MODE_LABELS = { hour: 'hour', day: 'day', month: 'month' };
+
+function quoteError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function parseDay(iso) {
+  if (typeof iso !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(iso)) return null;
+  const d = new Date(`${iso}T00:00:00Z`);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+class PriceQuoteService {
+  /**
+   * Normalize and validate booking parameters
+   * @param {Object} input - { startDate, endDate, checkInTime, checkOutTime, guests, mode, unit }
+   * @returns {Object} Normalized parameters
+   */
+  normalizeInput(input = {}) {
+    const start = parseDay(input.startDate);
+    const end = parseDay(input.endDate);
+    if (!start || !end) throw quoteError('Invalid dates');
+    if (end < start) throw quoteError('endDate must be after startDate');
+
+    const checkInTime = TIME_RE.test(String(input.checkInTime || '')) ? input.checkInTime : null;
+    const checkOutTime = TIME_RE.test(String(input.checkOutTime || '')) ? input.checkOutTime : null;
+
+    const g = Number(input.guests);
+    const guests = Number.isFinite(g) ? Math.max(1, Math.floor(g)) : 1;
+
+    const mode = MODES.includes(String(input.mode || '').toLowerCase())
+      ? String(input.mode).toLowerCase()
+      : null;
+    const unit = UNITS.includes(String(input.unit || '').toLowerCase())
+      ? String(input.unit).toLowerCase()
+      : null;
+
+    // Same convention as Booking.nights: a single-day booking counts as 1
+    const days = Math.max(1, Math.round((end - start) / (24 * 60 * 60 * 1000)));
+
+    let hoursPerDay = null;
+    if (checkInTime && checkOutTime) {
+      const diff = minutesOf(checkOutTime) - minutesOf(checkInTime);
+      if (diff > 0) hoursPerDay = diff / 60;
+    }
+
+    return {
+      startDate: input.startDate,
+      endDate: input.endDate,
+      checkInTime,
+      checkOutTime,
+      guests,
+      mode,
+      unit,
+      days,
+      hoursPerDay,
+      singleDay: input.startDate === input.endDate,
+    };
+  }
+
+  /**
+   * Whether a listing sells individual seats
+   * @param {Object} listing - Listing document
+   * @returns {boolean}
+   */
+  isSeatBased(listing) {
+    const seats = Number(listing?.seats || 0);
+    return seats > 1 && !!(positive(listing.priceSeatHour) || positive(listing.priceSeatDay));
+  }
+
+  /**
+   * Pick the pricing unit and mode for a booking
+   * @param {Object} listing - Listing document
+   * @param {Object} params - Normalized parameters
+   * @returns {Object} { unit, mode, field, unitPrice }
+   */
+  resolveRate(listing, params) {
+    const hourly = params.singleDay && params.hoursPerDay && params.hoursPerDay < 24;
+
+    let modes;
+    if (params.mode) {
+      modes = [params.mode];
+    } else if (params.days >= 28 && positive(listing.priceWholeMonth)) {
+      modes = ['month', 'day'];
+    } else {
+      modes = hourly ? ['hour', 'day'] : ['day', 'hour'];
+    }
+
+    let units;
+    if (params.unit) {
+      units = [params.unit];
+    } else {
+      units = this.isSeatBased(listing) ? ['seat', 'room', 'whole'] : ['room', 'whole', 'seat'];
+    }
+
+    for (const mode of modes) {
+      // Hourly rates need a time window
+      if (mode === 'hour' && !params.hoursPerDay) continue;
+      for (const unit of units) {
+        const field = PRICE_FIELDS[unit][mode];
+        const unitPrice = field ? positive(listing[field]) : 0;
+        if (unitPrice > 0) return { unit, mode, field, unitPrice };
+      }
+    }
+
+    throw quoteError('This listing has no price for the selected booking type');
+  }
+
+  /**
+   * Compute the price breakdown for a booking
+   * @param {Object} listing - Listing document (lean or hydrated)
+   * @param {Object} input - Booking parameters
+   * @param {Object} options - { promo: resolved PromoCode or a booking's promo snapshot, enforceMinSpend,
+   *   now: booking time for lead-time pricing rules, settlementRate: PHP per unit of the listing currency,
+   *   taxes: tax rules from FeeConfigService or a booking's feeRates }
+   * @returns {Object} Quote breakdown
+   */
+  calculate(listing, input, { promo = null, enforceMinSpend = true, now = new Date(), settlementRate = 1, taxes = [] } = {}) {
+    if (!listing) throw quoteError('Listing not found', 404);
+
+    const params = this.normalizeInput(input);
+    const rate = this.resolveRate(listing, params);
+
+    let qty;
+    let totalHours = null;
+    if (rate.mode === 'hour') {
+      totalHours = round2(params.hoursPerDay * params.days);
+      const minHours = Number(listing.minHours || 0);
+      if (minHours > 0 && params.hoursPerDay < minHours) {
+        throw quoteError(`Minimum booking is ${minHours} hour(s)`);
+      }
+      qty = totalHours;
+    } else if (rate.mode === 'month') {
+      qty = Math.max(1, Math.ceil(params.days / 30));
+    } else {
+      qty = params.days;
+    }
+
+    if (rate.unit === 'seat' && params.guests > Number(listing.seats || 0)) {
+      throw quoteError(`This space only has ${listing.seats} seat(s)`);
+    }
+
+    const perGuestFactor = rate.unit === 'seat' ? params.guests : 1;
+    const base = round2(rate.unitPrice * qty * perGuestFactor);
+
+    // Owner pricing rules that fired, each shown as its own line item
+    const adjustments = PricingRuleManager.apply(listing.pricingRules, {
+      startDate: params.startDate,
+      checkInTime: params.checkInTime,
+      checkOutTime: params.checkOutTime,
+      days: params.days,
+      mode: rate.mode,
+      unitPrice: rate.unitPrice,
+      qty,
+      perGuestFactor,
+      base,
+    }, now);
+
+    const fees = {
+      service: round2(positive(listing.serviceFee)),
+      cleaning: round2(positive(listing.cleaningFee)),
+    };
+
+    const lineItems = [
+      {
+        code: 'base',
+        label: `${UNIT_LABELS[rate.unit]} × ${qty} ${MODE_LABELS[rate.mode]}(s)` +
+          (perGuestFactor > 1 ? ` × ${perGuestFactor} guests` : ''),
+        amount: base,
+      },
+      ...adjustments.map((a) => ({
+        code: 'pricing_rule',
+        ruleType: a.type,
+        label: `${a.label} (${a.percent > 0 ? '+' : ''}${a.percent}%)`,
+        amount: a.amount,
+      })),
+    ];
+    if (fees.service) lineItems.push({ code: 'service_fee', label: 'Service fee', amount: fees.service });
+    if (fees.cleaning) lineItems.push({ code: 'cleaning_fee', label: 'Cleaning fee', amount: fees.cleaning });
+
+    const subtotal = round2(lineItems.reduce((sum, li) => sum + li.amount, 0));
+
+    let discount = 0;
+    let promoSnapshot = null;
+    if (promo) {
+      const PromoCodeService = require('./PromoCodeService');
+      discount = PromoCodeService.discountFor(promo, subtotal, { enforceMinSpend, rate: settlementRate });
+      promoSnapshot = PromoCodeService.snapshot(promo, discount);
+      if (discount > 0) lineItems.push({ code: 'promo', label: `Promo code ${promo.code}`, amount: -discount });
+    }
+
+    const taxable = round2(Math.max(0, subtotal - discount));
+
+    // Inclusive taxes are already in the price; exclusive taxes are added on top
+    const taxLines = (taxes || []).map((t) => {
+      const rate = Number(t.percent || 0) / 100;
+      const amount = t.mode === 'exclusive'
+        ? round2(taxable * rate)
+        : round2(taxable - taxable / (1 + rate));
+      return { code: t.code, label: t.label, percent: t.percent, mode: t.mode, amount };
+    });
+    for (const t of taxLines) {
+      if (t.mode === 'exclusive' && t.amount > 0) {
+        lineItems.push({ code: 'tax', taxCode: t.code, label: `${t.label} (${t.percent}%)`, amount: t.amount });
+      }
+    }
+
+    const total = round2(taxable + taxLines
+      .filter((t) => t.mode === 'exclusive')
+      .reduce((sum, t) => sum + t.amount, 0));
+
+    return {
+      listingId: String(listing._id),
+      currency: String(listing.currency || 'PHP').toUpperCase(),
+      startDate: params.startDate,
+      endDate: params.endDate,
+      checkInTime: params.checkInTime,
+      checkOutTime: params.checkOutTime,
+      guests: params.guests,
+      nights: params.days,
+      totalHours,
+      mode: rate.mode,
+      unit: rate.unit,
+      unitPrice: rate.unitPrice,
+      qty,
+      perGuestFactor,
+      base,
+      adjustments,
+      fees,
+      discount,
+      ...(promoSnapshot ? { subtotal, promo: promoSnapshot } : {}),
+      ...(taxLines.length
+        ? { taxes: taxLines, taxTotal: round2(taxLines.reduce((sum, t) => sum + t.amount, 0)) }
+        : {}),
+      lineItems,
+      total,
+    };
+  }
+
+  /**
+   * Compute a quote and sign it for checkout
+   * @param {Object} listing - Listing document
+   * @param {Object} input - Booking parameters
+   * @param {string} userId - User the quote is issued to
+   * @param {Object} options - { promo: PromoCode from PromoCodeService.resolve, fx: FxService.snapshot(),
+   *   taxes: FeeConfigService tax rules }
+   * @returns {Object} { quote, quoteToken, expiresAt }
+   */
+  issueQuote(listing, input, userId, { promo = null, fx = null, taxes = [] } = {}) {
+    const rates = fx || this._settlementOnly(listing);
+    if (!rates) throw quoteError('Exchange rates are required to quote this listing', 409);
+
+    const quote = FxService.applyFx(
+      this.calculate(listing, input, { promo, settlementRate: rates.listingRate, taxes }),
+      rates
+    );
+
+    const quoteToken = signQuoteToken({
+      uid: String(userId),
+      listingId: quote.listingId,
+      startDate: quote.startDate,
+      endDate: quote.endDate,
+      checkInTime: quote.checkInTime,
+      checkOutTime: quote.checkOutTime,
+      guests: quote.guests,
+      mode: quote.mode,
+      unit: quote.unit,
+      total: quote.total,
+      currency: quote.currency,
+      promoCode: quote.promo?.code || null,
+      // Checkout converts with the rates shown on the quote, not the rates at payment time
+      fx: {
+        listingRate: rates.listingRate,
+        displayCurrency: rates.displayCurrency,
+        displayRate: rates.displayRate,
+      },
+      // Tax rules are priced in too, so a rate change after quoting cannot change the total
+      taxes: (taxes || []).map(({ code, label, percent, mode }) => ({ code, label, percent, mode })),
+    });
+
+    return {
+      quote,
+      quoteToken,
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    };
+  }
+
+  /**
+   * Verify a quote token against a checkout request and re-price it
+   * @param {string} token - Quote token from POST /api/bookings/quote
+   * @param {Object} context - { listing, userId, input, promo }
+   * @returns {Object} Freshly computed quote matching the token, with settlement
+   *   (PHP) and display amounts at the quoted exchange rates
+   * @throws {Error} With statusCode 422 (invalid) or 409 (stale/mismatch)
+   */
+  verifyQuote(token, { listing, userId, input, promo = null }) {
+    if (!token) throw quoteError('A valid price quote is required. Request a quote first.');
+
+    let claims;
+    try {
+      claims = verifyQuoteToken(token);
+    } catch (e) {
+      if (e?.name === 'TokenExpiredError') {
+        throw quoteError('Your price quote has expired. Please request a new quote.', 409);
+      }
+      throw quoteError('Invalid price quote');
+    }
+
+    if (claims.kind === 'series') {
+      throw quoteError('Invalid price quote');
+    }
+
+    if (claims.uid !== String(userId) || claims.listingId !== String(listing._id)) {
+      throw quoteError('Price quote does not match this booking');
+    }
+
+    const params = this.normalizeInput(input);
+    const sameBooking =
+      claims.startDate === params.startDate &&
+      claims.endDate === params.endDate &&
+      (claims.checkInTime || null) === params.checkInTime &&
+      (claims.checkOutTime || null) === params.checkOutTime &&
+      Number(claims.guests) === params.guests;
+
+    if (!sameBooking) {
+      throw quoteError('Price quote does not match the selected dates, times or guests');
+    }
+
+    if ((claims.promoCode || null) !== (promo?.code || null)) {
+      throw quoteError('Price quote does not match the promo code');
+    }
+
+    const rates = claims.fx
+      ? { ...claims.fx, listingCurrency: claims.currency }
+      : this._settlementOnly(listing);
+    if (!rates) {
+      throw quoteError('Prices for this listing have changed. Please request a new quote.', 409);
+    }
+
+    const quote = this.calculate(
+      listing,
+      { ...input, mode: claims.mode, unit: claims.unit },
+      { promo, settlementRate: rates.listingRate, taxes: claims.taxes || [] }
+    );
+
+    if (Math.abs(quote.total - Number(claims.total)) > 0.005 || quote.currency !== claims.currency) {
+      throw quoteError('Prices for this listing have changed. Please request a new quote.', 409);
+    }
+
+    return FxService.applyFx(quote, rates);
+  }
+
+  /**
+   * Identity rates for a listing priced in the settlement currency (null otherwise)
+   * @private
+   */
+  _settlementOnly(listing) {
+    const currency = String(listing.currency || FxService.SETTLEMENT_CURRENCY).toUpperCase();
+    if (currency !== FxService.SETTLEMENT_CURRENCY) return null;
+    return { listingCurrency: currency, listingRate: 1, displayCurrency: currency, displayRate: 1 };
+  }
+}
+
+module.exports = new PriceQuoteService();
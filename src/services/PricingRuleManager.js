@@ -0,0 +1,295 @@
+/**
+ * PricingRuleManager Service
+ * Owner-defined price adjustments on top of a listing's flat rates.
+ *
+ * Each rule is a percentage (+ surcharge, - discount) of the rental base:
+ *   day_of_week     - days of the week, e.g. +20% on weekends
+ *   peak_hours      - hourly bookings overlapping a time window (optionally on some days)
+ *   early_bird      - booked at least minDaysBefore days ahead
+ *   last_minute     - booked at most maxHoursBefore hours ahead
+ *   length_of_stay  - bookings of at least minDays days, e.g. -10% weekly, -20% monthly
+ *
+ * Day and hour rules price the part of the booking they cover. Lead-time and
+ * length-of-stay rules apply to the adjusted rental, and only the most
+ * specific rule of each of those types fires. Fees and promo codes come after.
+ */
+
+const Listing = require('../models/Listing');
+
+const TYPES = ['day_of_week', 'peak_hours', 'early_bird', 'last_minute', 'length_of_stay'];
+const TIME_RE = /^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const MAX_RULES = 20;
+const MIN_PERCENT = -90;
+const MAX_PERCENT = 300;
+
+const DEFAULT_LABELS = {
+  day_of_week: 'Day-of-week rate',
+  peak_hours: 'Peak hours',
+  early_bird: 'Early-bird discount',
+  last_minute: 'Last-minute rate',
+  length_of_stay: 'Length-of-stay discount',
+};
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function weekdayOf(dayISO) {
+  return new Date(`${dayISO}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(dayISO, n) {
+  const d = new Date(`${dayISO}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+class PricingRuleManager {
+  /**
+   * Get a listing's pricing rules
+   * @param {string} listingId - Workspace ID
+   * @returns {Promise<Array>} Rules
+   */
+  async getRules(listingId) {
+    const listing = await Listing.findById(listingId).select('pricingRules').lean();
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return listing.pricingRules || [];
+  }
+
+  /**
+   * Replace a listing's pricing rules
+   * @param {string} listingId - Workspace ID
+   * @param {Array} rules - Rules to save
+   * @returns {Promise<Array>} Saved rules
+   */
+  async setRules(listingId, rules) {
+    const validation = this.validateRules(rules);
+    if (!validation.valid) {
+      throw new Error(`Invalid pricing rules: ${validation.errors.join(', ')}`);
+    }
+
+    const listing = await Listing.findByIdAndUpdate(
+      listingId,
+      { $set: { pricingRules: rules.map((r) => this._normalize(r)) } },
+      { new: true, runValidators: true }
+    ).select('pricingRules').lean();
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+    return listing.pricingRules || [];
+  }
+
+  /**
+   * Validate a list of pricing rules
+   * @param {Array} rules - Rules to validate
+   * @returns {Object} Validation result with { valid: boolean, errors: string[] }
+   */
+  validateRules(rules) {
+    const errors = [];
+
+    if (!Array.isArray(rules)) {
+      return { valid: false, errors: ['Pricing rules must be an array'] };
+    }
+    if (rules.length > MAX_RULES) {
+      errors.push(`A listing can have at most ${MAX_RULES} pricing rules`);
+    }
+
+    rules.forEach((rule, i) => {
+      const at = `Rule ${i + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      if (!TYPES.includes(rule.type)) {
+        errors.push(`${at}: type must be one of ${TYPES.join(', ')}`);
+        return;
+      }
+
+      const pct = Number(rule.adjustmentPercent);
+      if (!Number.isFinite(pct) || pct === 0 || pct < MIN_PERCENT || pct > MAX_PERCENT) {
+        errors.push(`${at}: adjustmentPercent must be between ${MIN_PERCENT} and ${MAX_PERCENT} and not 0`);
+      }
+
+      if (rule.days !== undefined) {
+        const days = Array.isArray(rule.days) ? rule.days : [];
+        if (!Array.isArray(rule.days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+          errors.push(`${at}: days must be a list of weekdays 0-6 (0 = Sunday)`);
+        }
+      }
+
+      switch (rule.type) {
+        case 'day_of_week':
+          if (!Array.isArray(rule.days) || rule.days.length === 0) {
+            errors.push(`${at}: day_of_week rules need at least one day`);
+          }
+          break;
+        case 'peak_hours':
+          if (!TIME_RE.test(String(rule.startTime || '')) || !TIME_RE.test(String(rule.endTime || ''))) {
+            errors.push(`${at}: startTime and endTime must be HH:MM`);
+          } else if (toMinutes(rule.endTime) <= toMinutes(rule.startTime)) {
+            errors.push(`${at}: endTime must be after startTime`);
+          }
+          break;
+        case 'early_bird':
+          if (!Number.isInteger(Number(rule.minDaysBefore)) || Number(rule.minDaysBefore) < 1) {
+            errors.push(`${at}: minDaysBefore must be a whole number of at least 1`);
+          }
+          break;
+        case 'last_minute':
+          if (!Number.isFinite(Number(rule.maxHoursBefore)) || Number(rule.maxHoursBefore) <= 0) {
+            errors.push(`${at}: maxHoursBefore must be a positive number of hours`);
+          }
+          break;
+        case 'length_of_stay':
+          if (!Number.isInteger(Number(rule.minDays)) || Number(rule.minDays) < 2) {
+            errors.push(`${at}: minDays must be a whole number of at least 2`);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Price adjustments that fire for a booking
+   * @param {Array} rules - Listing pricing rules
+   * @param {Object} booking - { startDate, checkInTime, checkOutTime, days, mode, unitPrice, qty, perGuestFactor, base }
+   * @param {Date} now - When the booking is being made
+   * @returns {Array} [{ ruleId, type, label, percent, amount }]
+   */
+  apply(rules, booking, now = new Date()) {
+    const active = (rules || []).filter((r) => r && r.enabled !== false && TYPES.includes(r.type));
+    if (!active.length || !(booking.base > 0)) return [];
+
+    const fired = [];
+    const fire = (rule, amount) => {
+      const rounded = round2(amount);
+      if (rounded !== 0) {
+        fired.push({
+          ruleId: rule._id ? String(rule._id) : null,
+          type: rule.type,
+          label: rule.label || DEFAULT_LABELS[rule.type],
+          percent: Number(rule.adjustmentPercent),
+          amount: rounded,
+        });
+      }
+    };
+
+    // Monthly rates are flat; day and hour rules don't split them
+    if (booking.mode !== 'month') {
+      const days = Array.from({ length: booking.days }, (_, i) => addDays(booking.startDate, i));
+      const perDay = booking.base / booking.days;
+
+      for (const rule of active.filter((r) => r.type === 'day_of_week')) {
+        const covered = days.filter((d) => rule.days.includes(weekdayOf(d))).length;
+        if (covered) fire(rule, perDay * covered * (rule.adjustmentPercent / 100));
+      }
+
+      if (booking.mode === 'hour' && booking.checkInTime && booking.checkOutTime) {
+        const from = toMinutes(booking.checkInTime);
+        const to = toMinutes(booking.checkOutTime);
+        const perHour = booking.unitPrice * booking.perGuestFactor;
+
+        for (const rule of active.filter((r) => r.type === 'peak_hours')) {
+          const overlap = Math.max(0, Math.min(to, toMinutes(rule.endTime)) - Math.max(from, toMinutes(rule.startTime)));
+          if (!overlap) continue;
+          const covered = rule.days?.length
+            ? days.filter((d) => rule.days.includes(weekdayOf(d))).length
+            : days.length;
+          if (covered) fire(rule, perHour * (overlap / 60) * covered * (rule.adjustmentPercent / 100));
+        }
+      }
+    }
+
+    const rental = booking.base + fired.reduce((sum, a) => sum + a.amount, 0);
+
+    const stay = this._mostSpecific(active, 'length_of_stay', (r) => booking.days >= r.minDays, (r) => r.minDays);
+    if (stay) fire(stay, rental * (stay.adjustmentPercent / 100));
+
+    const start = new Date(`${booking.startDate}T${booking.checkInTime || '00:00'}:00`);
+    const hoursAhead = (start - now) / (60 * 60 * 1000);
+    const early = this._mostSpecific(active, 'early_bird', (r) => hoursAhead >= r.minDaysBefore * 24, (r) => r.minDaysBefore);
+    if (early) fire(early, rental * (early.adjustmentPercent / 100));
+    const late = this._mostSpecific(active, 'last_minute', (r) => hoursAhead >= 0 && hoursAhead <= r.maxHoursBefore, (r) => -r.maxHoursBefore);
+    if (late) fire(late, rental * (late.adjustmentPercent / 100));
+
+    // Discounts never take the rental below zero
+    const total = fired.reduce((sum, a) => sum + a.amount, 0);
+    if (booking.base + total < 0) {
+      const scale = booking.base / -total;
+      return fired.map((a) => ({ ...a, amount: round2(a.amount * scale) }));
+    }
+    return fired;
+  }
+
+  /**
+   * Concrete rules to suggest from an owner's recent analytics
+   * @param {Object} analytics - { occupancyRate, weekdayShare, avgLeadDays, avgStayDays }
+   * @returns {Array} Rules ready for PUT /pricing-rules
+   */
+  suggestRules(analytics) {
+    const rules = [];
+
+    if (analytics.occupancyRate > 75) {
+      rules.push({ type: 'peak_hours', label: 'Peak hours', startTime: '09:00', endTime: '12:00', days: [1, 2, 3, 4, 5], adjustmentPercent: 15 });
+    }
+    if (analytics.occupancyRate < 50) {
+      rules.push({ type: 'last_minute', label: 'Last-minute deal', maxHoursBefore: 24, adjustmentPercent: -15 });
+    }
+    if (analytics.weekdayShare != null && analytics.weekdayShare > 0.8) {
+      rules.push({ type: 'day_of_week', label: 'Weekend discount', days: [0, 6], adjustmentPercent: -20 });
+    } else if (analytics.weekdayShare != null && analytics.weekdayShare < 0.5) {
+      rules.push({ type: 'day_of_week', label: 'Weekend rate', days: [0, 6], adjustmentPercent: 15 });
+    }
+    if (analytics.avgLeadDays != null && analytics.avgLeadDays < 3) {
+      rules.push({ type: 'early_bird', label: 'Early-bird discount', minDaysBefore: 14, adjustmentPercent: -10 });
+    }
+    if (analytics.avgStayDays != null && analytics.avgStayDays < 2) {
+      rules.push({ type: 'length_of_stay', label: 'Weekly discount', minDays: 7, adjustmentPercent: -10 });
+      rules.push({ type: 'length_of_stay', label: 'Monthly discount', minDays: 28, adjustmentPercent: -20 });
+    }
+
+    return rules;
+  }
+
+  /**
+   * @private
+   */
+  _mostSpecific(rules, type, matches, rank) {
+    return rules
+      .filter((r) => r.type === type && matches(r))
+      .sort((a, b) => rank(b) - rank(a))[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  _normalize(rule) {
+    const out = {
+      type: rule.type,
+      label: String(rule.label || DEFAULT_LABELS[rule.type]).trim().slice(0, 80),
+      adjustmentPercent: round2(rule.adjustmentPercent),
+      enabled: rule.enabled !== false,
+    };
+    if (Array.isArray(rule.days)) out.days = [...new Set(rule.days)].sort();
+    if (rule.type === 'peak_hours') {
+      out.startTime = rule.startTime;
+      out.endTime = rule.endTime;
+    }
+    if (rule.type === 'early_bird') out.minDaysBefore = Number(rule.minDaysBefore);
+    if (rule.type === 'last_minute') out.maxHoursBefore = Number(rule.maxHoursBefore);
+    if (rule.type === 'length_of_stay') out.minDays = Number(rule.minDays);
+    return out;
+  }
+}
+
+module.exports = new PricingRuleManager();
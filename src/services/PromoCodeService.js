@@ -0,0 +1,424 @@
+/**
+ * PromoCodeService
+ * Discount codes for booking quotes.
+ *
+ * Admins create platform-wide codes, owners create codes for their own
+ * listings. A code is checked when the client asks for a quote (the discount
+ * is part of the signed quote) and again at checkout, where it is redeemed in
+ * the booking reservation transaction so maxUses can't be oversold. A
+ * redemption is released when its booking expires or is rejected unpaid.
+ *
+ * The redemption is kept on Booking.pricingSnapshot.promo; Booking.amount is
+ * the discounted total, so refunds are prorated on what was actually paid.
+ */
+
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Listing = require('../models/Listing');
+const Booking = require('../models/Booking');
+
+const CODE_RE = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+const TYPES = ['percentage', 'fixed'];
+
+// PayMongo won't open a checkout below ₱20, so a discount always leaves that much
+const MIN_PAYABLE = 20;
+
+// Bookings that count as a client's previous booking for first-booking-only codes
+const PRIOR_BOOKING_STATUSES = ['paid', 'completed', 'pending_payment', 'awaiting_payment', 'pending_approval'];
+
+function promoError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+function optionalDate(value, field) {
+  if (value === null || value === '') return null;
+  const d = new Date(value);
+  if (!Number.isFinite(d.getTime())) throw promoError(`${field} must be a valid date`);
+  return d;
+}
+
+function optionalAmount(value, field) {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw promoError(`${field} must be a positive amount`);
+  return round2(n);
+}
+
+function optionalCount(value, field) {
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw promoError(`${field} must be a whole number of at least 1`);
+  return n;
+}
+
+class PromoCodeService {
+  /**
+   * Normalize a code as typed by a client
+   * @param {string} code - Raw code
+   * @returns {string} Upper-cased, trimmed code
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Validate and normalize code fields
+   * @param {Object} input - Fields from the admin or owner
+   * @param {Object} current - Existing code when updating
+   * @returns {Object} Normalized fields
+   */
+  normalize(input = {}, current = null) {
+    const fields = {};
+
+    if (input.code !== undefined || !current) {
+      const code = this.normalizeCode(input.code);
+      if (!CODE_RE.test(code)) {
+        throw promoError('code must be 3-32 letters, digits, "-" or "_"');
+      }
+      fields.code = code;
+    }
+    if (input.description !== undefined) fields.description = String(input.description || '').trim();
+
+    const type = input.type ?? current?.type;
+    if (!TYPES.includes(type)) throw promoError(`type must be one of: ${TYPES.join(', ')}`);
+    if (input.type !== undefined) fields.type = type;
+
+    if (input.value !== undefined || input.type !== undefined || !current) {
+      const value = Number(input.value ?? current?.value);
+      if (!Number.isFinite(value) || value <= 0) throw promoError('value must be a positive number');
+      if (type === 'percentage' && value > 100) throw promoError('A percentage discount cannot exceed 100');
+      fields.value = round2(value);
+    }
+
+    if (input.maxDiscount !== undefined) fields.maxDiscount = optionalAmount(input.maxDiscount, 'maxDiscount');
+    if (input.minSpend !== undefined) fields.minSpend = optionalAmount(input.minSpend, 'minSpend') || 0;
+    if (input.maxUses !== undefined) fields.maxUses = optionalCount(input.maxUses, 'maxUses');
+    if (input.maxUsesPerUser !== undefined) {
+      fields.maxUsesPerUser = optionalCount(input.maxUsesPerUser, 'maxUsesPerUser') || 1;
+    }
+    if (input.firstBookingOnly !== undefined) fields.firstBookingOnly = Boolean(input.firstBookingOnly);
+    if (input.startsAt !== undefined) fields.startsAt = optionalDate(input.startsAt, 'startsAt');
+    if (input.endsAt !== undefined) fields.endsAt = optionalDate(input.endsAt, 'endsAt');
+
+    const startsAt = fields.startsAt !== undefined ? fields.startsAt : current?.startsAt;
+    const endsAt = fields.endsAt !== undefined ? fields.endsAt : current?.endsAt;
+    if (startsAt && endsAt && endsAt <= startsAt) throw promoError('endsAt must be after startsAt');
+
+    if (input.status !== undefined) {
+      if (!['active', 'disabled'].includes(input.status)) throw promoError('status must be active or disabled');
+      fields.status = input.status;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Create a platform-wide code
+   * @param {string} adminId - Admin
+   * @param {Object} input - Code fields
+   * @returns {Promise<Object>} PromoCode
+   */
+  async createPlatformCode(adminId, input = {}) {
+    const fields = this.normalize(input);
+    const promo = await this._create({ ...fields, scope: 'platform', createdBy: adminId });
+    console.log(`[PromoCodeService] Admin ${adminId} created platform code ${promo.code}`);
+    return promo;
+  }
+
+  /**
+   * Create a code for an owner's listings
+   * @param {string} ownerId - Owner
+   * @param {Object} input - Code fields plus listingIds (empty = all of the owner's listings)
+   * @returns {Promise<Object>} PromoCode
+   */
+  async createOwnerCode(ownerId, input = {}) {
+    const fields = this.normalize(input);
+    const listingIds = await this._ownedListingIds(ownerId, input.listingIds);
+    const promo = await this._create({ ...fields, scope: 'listing', ownerId, listingIds, createdBy: ownerId });
+    console.log(`[PromoCodeService] Owner ${ownerId} created listing code ${promo.code}`);
+    return promo;
+  }
+
+  /**
+   * Update a code. Owners can only change their own listing codes.
+   * @param {string} promoId - PromoCode
+   * @param {Object} actor - { userId, isAdmin }
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} PromoCode
+   */
+  async update(promoId, actor, input = {}) {
+    const promo = await this._manageable(promoId, actor);
+    const fields = this.normalize(input, promo);
+    if (input.listingIds !== undefined && promo.scope === 'listing') {
+      fields.listingIds = await this._ownedListingIds(promo.ownerId, input.listingIds);
+    }
+
+    promo.set(fields);
+    try {
+      await promo.save();
+    } catch (err) {
+      if (err?.code === 11000) throw promoError('This code is already in use', 409);
+      throw err;
+    }
+    return promo.toObject();
+  }
+
+  /**
+   * Codes an actor manages: all platform codes for admins, own codes for owners
+   * @param {Object} actor - { userId, isAdmin }
+   * @param {Object} filters - { scope, status }
+   * @returns {Promise<Array>} Codes
+   */
+  async list(actor, { scope, status } = {}) {
+    const filter = actor.isAdmin ? {} : { scope: 'listing', ownerId: actor.userId };
+    if (actor.isAdmin && scope) filter.scope = scope;
+    if (status) filter.status = status;
+    return PromoCode.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+  }
+
+  /**
+   * Find a code and check every rule that doesn't depend on the price
+   * @param {string} code - Code typed by the client
+   * @param {Object} context - { listing, userId, now }
+   * @returns {Promise<Object>} PromoCode (lean)
+   */
+  async resolve(code, { listing, userId, now = new Date() }) {
+    const normalized = this.normalizeCode(code);
+    const promo = normalized ? await PromoCode.findOne({ code: normalized }).lean() : null;
+    if (!promo || promo.status !== 'active') throw promoError('This promo code is not valid');
+
+    if (promo.startsAt && now < promo.startsAt) throw promoError('This promo code is not active yet');
+    if (promo.endsAt && now >= promo.endsAt) throw promoError('This promo code has expired');
+
+    if (!this.appliesTo(promo, listing)) throw promoError('This promo code cannot be used for this workspace');
+
+    if (promo.maxUses != null && promo.usesCount >= promo.maxUses) {
+      throw promoError('This promo code has been fully redeemed', 409);
+    }
+
+    const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id, userId, status: 'active' });
+    if (used >= (promo.maxUsesPerUser || 1)) {
+      throw promoError('You have already used this promo code', 409);
+    }
+
+    if (promo.firstBookingOnly) {
+      const prior = await Booking.exists({ userId, status: { $in: PRIOR_BOOKING_STATUSES } });
+      if (prior) throw promoError('This promo code is only valid on your first booking');
+    }
+
+    return promo;
+  }
+
+  /**
+   * Whether a code can be used at a listing
+   * @param {Object} promo - PromoCode
+   * @param {Object} listing - Listing
+   * @returns {boolean}
+   */
+  appliesTo(promo, listing) {
+    if (promo.scope === 'platform') return true;
+    if (promo.listingIds?.length) {
+      return promo.listingIds.some((id) => String(id) === String(listing._id));
+    }
+    return String(promo.ownerId) === String(listing.owner);
+  }
+
+  /**
+   * Discount a code gives on a subtotal
+   * Code amounts are in PHP; rate converts them for listings priced in
+   * another currency.
+   * @param {Object} promo - PromoCode or the snapshot kept on a booking
+   * @param {number} subtotal - Quote total before the discount, in the listing currency
+   * @param {Object} options - { enforceMinSpend, rate: PHP per unit of the listing currency }
+   * @returns {number} Discount in the listing currency
+   */
+  discountFor(promo, subtotal, { enforceMinSpend = true, rate = 1 } = {}) {
+    const minSpend = Number(promo.minSpend || 0) / rate;
+    if (enforceMinSpend && minSpend > subtotal) {
+      throw promoError(`This promo code needs a minimum spend of ₱${Number(promo.minSpend).toFixed(2)}`);
+    }
+
+    let discount = promo.type === 'percentage'
+      ? subtotal * (Number(promo.value) / 100)
+      : Number(promo.value) / rate;
+    if (promo.type === 'percentage' && promo.maxDiscount != null) {
+      discount = Math.min(discount, Number(promo.maxDiscount) / rate);
+    }
+
+    return round2(Math.max(0, Math.min(discount, subtotal - MIN_PAYABLE / rate)));
+  }
+
+  /**
+   * What a quote and booking keep about the code
+   * @param {Object} promo - PromoCode
+   * @param {number} discount - Discount applied
+   * @returns {Object} Snapshot
+   */
+  snapshot(promo, discount) {
+    return {
+      promoCodeId: String(promo.promoCodeId || promo._id),
+      code: promo.code,
+      scope: promo.scope,
+      type: promo.type,
+      value: promo.value,
+      maxDiscount: promo.maxDiscount ?? null,
+      minSpend: promo.minSpend || 0,
+      discount,
+    };
+  }
+
+  /**
+   * Use a code for a booking (inside the reservation transaction)
+   * @param {Object} promo - Snapshot from the booking's pricingSnapshot
+   * @param {Object} booking - Booking being created
+   * @param {Object} session - MongoDB session
+   * @returns {Promise<Object>} PromoRedemption
+   */
+  async redeem(promo, booking, session = null) {
+    // The quote may be older than the code's window; every rule is checked again here
+    const now = new Date();
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo.promoCodeId,
+        status: 'active',
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$usesCount', '$maxUses'] } }] },
+        ],
+      },
+      { $inc: { usesCount: 1 } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      const current = await PromoCode.findById(promo.promoCodeId).session(session).lean();
+      if (!current || current.status !== 'active') throw promoError('This promo code is not valid');
+      if (current.startsAt && now < current.startsAt) throw promoError('This promo code is not active yet');
+      if (current.endsAt && now >= current.endsAt) throw promoError('This promo code has expired');
+      throw promoError('This promo code has been fully redeemed', 409);
+    }
+
+    // Checked in the transaction, so a booking made since the quote counts. Two
+    // checkouts with the same code both write this code's usesCount, so one of
+    // them retries and sees the other's booking.
+    if (claimed.firstBookingOnly) {
+      const prior = await Booking.exists({
+        userId: booking.userId,
+        _id: { $ne: booking._id },
+        status: { $in: PRIOR_BOOKING_STATUSES },
+      }).session(session);
+      if (prior) throw promoError('This promo code is only valid on your first booking');
+    }
+
+    const used = await PromoRedemption.countDocuments(
+      { promoCodeId: claimed._id, userId: booking.userId, status: 'active' }
+    ).session(session);
+    if (used >= (claimed.maxUsesPerUser || 1)) {
+      throw promoError('You have already used this promo code', 409);
+    }
+
+    const [redemption] = await PromoRedemption.create(
+      [{
+        promoCodeId: claimed._id,
+        code: claimed.code,
+        userId: booking.userId,
+        bookingId: booking._id,
+        discount: promo.discount,
+      }],
+      { session }
+    );
+    return redemption;
+  }
+
+  /**
+   * Give a use back when a booking is never paid (expired or rejected) or is cancelled
+   * @param {Object} booking - Booking
+   * @returns {Promise<boolean>} True if a redemption was released
+   */
+  async releaseForBooking(booking) {
+    if (!booking?.pricingSnapshot?.promo) return false;
+
+    const released = await PromoRedemption.findOneAndUpdate(
+      { bookingId: booking._id, status: 'active' },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    );
+    if (!released) return false;
+
+    await PromoCode.updateOne({ _id: released.promoCodeId, usesCount: { $gt: 0 } }, { $inc: { usesCount: -1 } });
+    console.log(`[PromoCodeService] Released ${released.code} from booking ${booking._id}`);
+    return true;
+  }
+
+  /**
+   * Take a released use back when a lapsed booking is paid after all.
+   * The client already paid the discounted price, so limits are not re-checked.
+   * @param {Object} booking - Booking
+   * @returns {Promise<boolean>} True if a redemption was reclaimed
+   */
+  async reclaimForBooking(booking) {
+    if (!booking?.pricingSnapshot?.promo) return false;
+
+    const reclaimed = await PromoRedemption.findOneAndUpdate(
+      { bookingId: booking._id, status: 'released' },
+      { $set: { status: 'active' }, $unset: { releasedAt: 1 } }
+    );
+    if (!reclaimed) return false;
+
+    await PromoCode.updateOne({ _id: reclaimed.promoCodeId }, { $inc: { usesCount: 1 } });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async _create(fields) {
+    try {
+      const promo = await PromoCode.create(fields);
+      return promo.toObject();
+    } catch (err) {
+      if (err?.code === 11000) throw promoError('This code is already in use', 409);
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _manageable(promoId, actor) {
+    if (!mongoose.isValidObjectId(promoId)) throw promoError('Invalid promo code id');
+    const promo = await PromoCode.findById(promoId);
+    if (!promo) throw promoError('Promo code not found', 404);
+
+    const owns = promo.scope === 'listing' && String(promo.ownerId) === String(actor.userId);
+    if (!actor.isAdmin && !owns) {
+      throw promoError('Forbidden: This promo code does not belong to you', 403);
+    }
+    return promo;
+  }
+
+  /**
+   * @private
+   */
+  async _ownedListingIds(ownerId, listingIds) {
+    if (listingIds == null) return [];
+    if (!Array.isArray(listingIds) || listingIds.some((id) => !mongoose.isValidObjectId(id))) {
+      throw promoError('listingIds must be an array of listing ids');
+    }
+    const unique = [...new Set(listingIds.map(String))];
+    if (!unique.length) return [];
+
+    const owned = await Listing.countDocuments({ _id: { $in: unique }, owner: ownerId });
+    if (owned !== unique.length) {
+      throw promoError('Promo codes can only include your own listings', 403);
+    }
+    return unique;
+  }
+}
+
+module.exports = new PromoCodeService();
+module.exports.MIN_PAYABLE = MIN_PAYABLE;
@@ -0,0 +1,598 @@
+/**
+ * RecurringBookingService
+ * Weekly recurring reservations (e.g. a hot desk every Tuesday and Thursday).
+ *
+ * A series is expanded into single-day occurrences. Every occurrence is
+ * checked against the owner's calendar and existing bookings, priced on its
+ * own, and stored as a regular Booking linked by seriesId. One checkout pays
+ * for the whole series; occurrences are cancelled through the normal
+ * cancellation request flow.
+ */
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const AvailabilityManager = require('./AvailabilityManager');
+const PriceQuoteService = require('./PriceQuoteService');
+const FeeConfigService = require('./FeeConfigService');
+const BookingPaymentService = require('./BookingPaymentService');
+const BookingReservationService = require('./BookingReservationService');
+const payments = require('./payments');
+const { PAYABLE_STATUSES } = require('./BookingPaymentService');
+const { signQuoteToken, verifyQuoteToken, QUOTE_TTL_MINUTES } = require('../utils/quoteToken');
+
+const MAX_OCCURRENCES = Number(process.env.RECURRING_MAX_OCCURRENCES || 60);
+const MAX_WEEKS = 104;
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function seriesError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function parseDay(iso) {
+  if (typeof iso !== 'string' || !DATE_RE.test(iso)) return null;
+  const d = new Date(`${iso}T00:00:00Z`);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+function toISODay(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function parseWeekday(v) {
+  if (typeof v === 'number' || /^\d$/.test(String(v))) {
+    const n = Number(v);
+    return n >= 0 && n <= 6 ? n : null;
+  }
+  const code = String(v || '').trim().slice(0, 2).toUpperCase();
+  return code in RRULE_DAYS ? RRULE_DAYS[code] : null;
+}
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+class RecurringBookingService {
+  /**
+   * Normalize a recurrence rule
+   * Accepts an RRULE string ("FREQ=WEEKLY;BYDAY=TU,TH;COUNT=8") or an object
+   * { byDay: ['TU','TH'] | [2,4], interval, weeks, until, count }
+   * @param {string|Object} rule - Recurrence rule
+   * @returns {Object} { byDay, interval, weeks, until, count }
+   */
+  parseRule(rule) {
+    let raw = rule;
+
+    if (typeof rule === 'string') {
+      const parts = Object.fromEntries(
+        rule.replace(/^RRULE:/i, '').split(';').filter(Boolean).map((p) => {
+          const [k, ...v] = p.split('=');
+          return [k.trim().toUpperCase(), v.join('=').trim()];
+        })
+      );
+      if (parts.FREQ && parts.FREQ.toUpperCase() !== 'WEEKLY') {
+        throw seriesError('Only weekly recurrence is supported');
+      }
+      const until = parts.UNTIL
+        ? parts.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3')
+        : undefined;
+      raw = {
+        byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+        interval: parts.INTERVAL,
+        count: parts.COUNT,
+        until,
+      };
+    }
+
+    if (!raw || typeof raw !== 'object') {
+      throw seriesError('A recurrence rule is required');
+    }
+
+    const byDay = [...new Set((raw.byDay || []).map(parseWeekday))];
+    if (!byDay.length || byDay.some((d) => d === null)) {
+      throw seriesError('Recurrence needs at least one valid weekday (byDay)');
+    }
+    byDay.sort((a, b) => a - b);
+
+    const interval = raw.interval == null || raw.interval === '' ? 1 : Number(raw.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+      throw seriesError('Recurrence interval must be 1 to 4 weeks');
+    }
+
+    const weeks = raw.weeks == null || raw.weeks === '' ? null : Number(raw.weeks);
+    const count = raw.count == null || raw.count === '' ? null : Number(raw.count);
+    const until = raw.until || null;
+
+    if (weeks !== null && (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS)) {
+      throw seriesError(`Recurrence weeks must be 1 to ${MAX_WEEKS}`);
+    }
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+      throw seriesError('Recurrence count must be a positive number');
+    }
+    if (until !== null && !parseDay(until)) {
+      throw seriesError('Recurrence until must be YYYY-MM-DD');
+    }
+    if (weeks === null && count === null && until === null) {
+      throw seriesError('Recurrence needs an end: weeks, count or until');
+    }
+
+    return { byDay, interval, weeks, until, count };
+  }
+
+  /**
+   * Expand a rule into occurrence dates
+   * @param {string} startDate - First day the rule applies (YYYY-MM-DD)
+   * @param {Object} rule - Normalized rule from parseRule()
+   * @returns {Array<string>} Occurrence dates (YYYY-MM-DD)
+   */
+  expandOccurrences(startDate, rule) {
+    const start = parseDay(startDate);
+    if (!start) throw seriesError('Invalid startDate');
+
+    const until = rule.until ? parseDay(rule.until) : null;
+    if (until && until < start) throw seriesError('Recurrence until must be after startDate');
+
+    // Weeks are counted from the Sunday on or before startDate
+    const weekStart = new Date(start);
+    weekStart.setUTCDate(weekStart.getUTCDate() - weekStart.getUTCDay());
+
+    const totalWeeks = rule.weeks || MAX_WEEKS;
+    const dates = [];
+
+    for (let w = 0; w < totalWeeks; w += rule.interval) {
+      for (const day of rule.byDay) {
+        const d = new Date(weekStart);
+        d.setUTCDate(d.getUTCDate() + w * 7 + day);
+        if (d < start) continue;
+        if (until && d > until) return this._capped(dates);
+        dates.push(toISODay(d));
+        if (rule.count && dates.length >= rule.count) return this._capped(dates);
+        if (dates.length > MAX_OCCURRENCES) return this._capped(dates);
+      }
+    }
+
+    return this._capped(dates);
+  }
+
+  /**
+   * Check and price every occurrence of a series
+   * @param {Object} listing - Listing document (lean)
+   * @param {Object} input - { startDate, rule | rrule, checkInTime, checkOutTime, guests }
+   * @returns {Promise<Object>} { rule, occurrences, bookableCount, conflictCount, currency, total, feeRates }
+   */
+  async previewSeries(listing, input = {}) {
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+
+    const rule = this.parseRule(input.rrule || input.rule);
+    const dates = this.expandOccurrences(input.startDate, rule);
+    if (!dates.length) throw seriesError('Recurrence rule produces no occurrences');
+
+    const { checkInTime, checkOutTime } = input;
+    const guests = PriceQuoteService.normalizeInput({
+      startDate: dates[0],
+      endDate: dates[0],
+      guests: input.guests,
+    }).guests;
+
+    const feeRates = await FeeConfigService.ratesFor(listing);
+
+    const occurrences = [];
+    for (const [index, date] of dates.entries()) {
+      const window = { startDate: date, endDate: date, checkInTime, checkOutTime };
+
+      const calendar = AvailabilityManager.checkWindow(listing, window);
+      if (calendar) {
+        occurrences.push({
+          index,
+          date,
+          available: false,
+          reason: calendar.reason,
+          message: AvailabilityManager.describeConflict(calendar),
+        });
+        continue;
+      }
+
+      const overlap = await findOverlappingBooking({
+        listingId: listing._id,
+        ...window,
+        requestedGuests: guests,
+        listingDoc: listing,
+      });
+      if (overlap) {
+        const isCap = overlap.status === 'conflict_capacity';
+        occurrences.push({
+          index,
+          date,
+          available: false,
+          reason: isCap ? 'capacity' : 'overlap',
+          message: isCap
+            ? `Not enough seats available on ${date}.`
+            : `Already booked on ${date}.`,
+          conflictBookingId: overlap._id ? String(overlap._id) : null,
+        });
+        continue;
+      }
+
+      const quote = PriceQuoteService.calculate(listing, { ...window, guests }, { taxes: feeRates.taxes });
+      occurrences.push({ index, date, available: true, total: quote.total, quote });
+    }
+
+    const bookable = occurrences.filter((o) => o.available);
+
+    return {
+      rule,
+      startDate: input.startDate,
+      checkInTime: checkInTime || null,
+      checkOutTime: checkOutTime || null,
+      guests,
+      occurrences,
+      bookableCount: bookable.length,
+      conflictCount: occurrences.length - bookable.length,
+      currency: String(listing.currency || 'PHP').toUpperCase(),
+      total: round2(bookable.reduce((sum, o) => sum + o.total, 0)),
+      feeRates,
+    };
+  }
+
+  /**
+   * Preview a series and sign its price for checkout
+   * @param {Object} listing - Listing document
+   * @param {Object} input - Series parameters
+   * @param {string} userId - User the quote is issued to
+   * @returns {Promise<Object>} Preview plus { quoteToken, expiresAt }
+   */
+  async issueSeriesQuote(listing, input, userId) {
+    const preview = await this.previewSeries(listing, input);
+
+    if (!preview.bookableCount) {
+      return { ...preview, quoteToken: null, expiresAt: null };
+    }
+
+    const quoteToken = signQuoteToken({
+      kind: 'series',
+      uid: String(userId),
+      listingId: String(listing._id),
+      dates: preview.occurrences.filter((o) => o.available).map((o) => o.date),
+      checkInTime: preview.checkInTime,
+      checkOutTime: preview.checkOutTime,
+      guests: preview.guests,
+      total: preview.total,
+      currency: preview.currency,
+    });
+
+    return {
+      ...preview,
+      quoteToken,
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000),
+    };
+  }
+
+  /**
+   * Verify a series quote token against a fresh preview
+   * @param {string} token - Token from issueSeriesQuote()
+   * @param {Object} context - { listing, userId, preview }
+   * @throws {Error} With statusCode 422 (invalid) or 409 (stale/mismatch)
+   */
+  verifySeriesQuote(token, { listing, userId, preview }) {
+    if (!token) throw seriesError('A valid price quote is required. Request a quote first.');
+
+    let claims;
+    try {
+      claims = verifyQuoteToken(token);
+    } catch (e) {
+      if (e?.name === 'TokenExpiredError') {
+        throw seriesError('Your price quote has expired. Please request a new quote.', 409);
+      }
+      throw seriesError('Invalid price quote');
+    }
+
+    if (
+      claims.kind !== 'series' ||
+      claims.uid !== String(userId) ||
+      claims.listingId !== String(listing._id)
+    ) {
+      throw seriesError('Price quote does not match this booking');
+    }
+
+    const sameRequest =
+      (claims.checkInTime || null) === preview.checkInTime &&
+      (claims.checkOutTime || null) === preview.checkOutTime &&
+      Number(claims.guests) === preview.guests;
+    if (!sameRequest) {
+      throw seriesError('Price quote does not match the selected times or guests');
+    }
+
+    const dates = preview.occurrences.filter((o) => o.available).map((o) => o.date);
+    if ((claims.dates || []).join(',') !== dates.join(',')) {
+      throw seriesError('Availability for this series has changed. Please request a new quote.', 409);
+    }
+
+    if (Math.abs(preview.total - Number(claims.total)) > 0.005 || preview.currency !== claims.currency) {
+      throw seriesError('Prices for this listing have changed. Please request a new quote.', 409);
+    }
+  }
+
+  /**
+   * Create a series, one held booking per available occurrence, and a single checkout
+   * @param {Object} listing - Listing document (lean)
+   * @param {Object} input - Series parameters
+   * @param {string} userId - Booking user
+   * @param {Object} options - { quoteToken, skipConflicts, successUrl, cancelUrl, idempotencyKey }
+   * @returns {Promise<Object>} { series, bookings, preview }
+   */
+  async createSeries(listing, input, userId, { quoteToken, skipConflicts = false, successUrl, cancelUrl, idempotencyKey } = {}) {
+    const preview = await this.previewSeries(listing, input);
+
+    if (preview.conflictCount && !skipConflicts) {
+      const err = seriesError('Some occurrences are not available. Remove them or set skipConflicts.', 409);
+      err.occurrences = preview.occurrences;
+      throw err;
+    }
+    if (!preview.bookableCount) {
+      const err = seriesError('None of the occurrences are available.', 409);
+      err.occurrences = preview.occurrences;
+      throw err;
+    }
+
+    this.verifySeriesQuote(quoteToken, { listing, userId, preview });
+
+    if (preview.currency !== 'PHP') {
+      throw seriesError('Only PHP currency is supported for PayMongo checkout.');
+    }
+
+    const bookable = preview.occurrences.filter((o) => o.available);
+    const holdExpiresAt = BookingPaymentService.holdExpiry();
+
+    const series = await BookingSeries.create({
+      userId,
+      ownerId: listing.owner,
+      listingId: listing._id,
+      rule: preview.rule,
+      rrule: typeof input.rrule === 'string' ? input.rrule : undefined,
+      startDate: input.startDate,
+      checkInTime: preview.checkInTime,
+      checkOutTime: preview.checkOutTime,
+      guests: preview.guests,
+      occurrenceDates: bookable.map((o) => o.date),
+      skipped: preview.occurrences
+        .filter((o) => !o.available)
+        .map((o) => ({ date: o.date, reason: o.reason })),
+      currency: 'PHP',
+      amount: preview.total,
+      status: 'pending_payment',
+      holdExpiresAt,
+    });
+
+    // Re-check every occurrence and insert them in one transaction
+    const reservation = await BookingReservationService.reserve(
+      listing,
+      bookable.map((o) => ({
+        userId,
+        ownerId: listing.owner,
+        listingId: listing._id,
+        seriesId: series._id,
+        seriesIndex: o.index,
+        startDate: o.date,
+        endDate: o.date,
+        nights: 1,
+        guests: preview.guests,
+        currency: 'PHP',
+        amount: o.total,
+        status: 'pending_payment',
+        holdExpiresAt,
+        provider: payments.get().name,
+        checkInTime: preview.checkInTime,
+        checkOutTime: preview.checkOutTime,
+        totalHours: o.quote.totalHours,
+        pricingSnapshot: o.quote,
+        feeRates: preview.feeRates,
+      }))
+    );
+
+    if (reservation.conflict) {
+      await BookingSeries.deleteOne({ _id: series._id });
+      throw seriesError(
+        `The occurrence on ${reservation.doc.startDate} was just booked by someone else. Please request a new quote.`,
+        409
+      );
+    }
+
+    const { bookings } = reservation;
+
+    const name = listing.venue || listing.title || 'Workspace';
+
+    let checkout;
+    try {
+      checkout = await BookingPaymentService.createCheckoutSession({
+        amount: preview.total,
+        description: `Recurring booking ${series._id} • ${name} • ${bookings.length} occurrence(s)`,
+        successUrl: `${successUrl}?seriesId=${series._id}`,
+        cancelUrl: `${cancelUrl}&seriesId=${series._id}`,
+        metadata: {
+          bookingId: String(bookings[0]._id),
+          seriesId: String(series._id),
+          listingId: String(listing._id),
+          userId: String(userId),
+          occurrences: String(bookings.length),
+          guests: String(preview.guests),
+          total: String(preview.total),
+        },
+        lineItems: bookable.map((o) => ({ name: `${name} • ${o.date}`, amount: o.total })),
+        idempotencyKey: idempotencyKey || series._id,
+      });
+    } catch (err) {
+      // Release every occurrence right away instead of waiting for the hold to lapse
+      await this.expireSeries(series._id, new Date());
+      throw err;
+    }
+
+    await Booking.updateMany(
+      { seriesId: series._id },
+      { $set: { 'payment.checkoutId': checkout.id, 'payment.checkoutUrl': checkout.url, 'payment.currency': 'PHP' } }
+    );
+    series.payment = { checkoutId: checkout.id, checkoutUrl: checkout.url };
+    await series.save();
+
+    console.log(`[RecurringBookingService] Series ${series._id} created with ${bookings.length} occurrence(s)`);
+
+    return { series, bookings, preview };
+  }
+
+  /**
+   * Mark every occurrence of a series paid (one payment covers the series)
+   * @param {string} seriesId - Series ID
+   * @param {Object} payment - { paymentId, amount (centavos), paidAt (unix seconds), source }
+   * @returns {Promise<Object>} { action, seriesId, bookingId, paid, lateConflicts }
+   */
+  async markSeriesPaid(seriesId, { paymentId, paidAt, source = 'webhook' } = {}) {
+    const series = await BookingSeries.findById(seriesId);
+    if (!series) return { ignored: true, reason: 'series_not_found', seriesId: String(seriesId) };
+
+    const occurrences = await Booking.find({ seriesId }).sort({ seriesIndex: 1 });
+
+    let paid = 0;
+    let lateConflicts = 0;
+    for (const booking of occurrences) {
+      const result = await BookingPaymentService.markPaid(
+        booking,
+        { paymentId, amount: Math.round(Number(booking.amount || 0) * 100), paidAt, source },
+        // A single confirmation email for the whole series
+        { viaSeries: true, notify: paid === 0 }
+      );
+      if (result.action === 'marked_paid') paid++;
+      if (result.reason === 'paid_after_expiry_conflict') lateConflicts++;
+    }
+
+    if (paid || series.status !== 'paid') {
+      series.status = 'paid';
+      series.holdExpiresAt = undefined;
+      if (paymentId) series.set('payment.paymentId', paymentId);
+      series.set('payment.paidAt', BookingPaymentService._paidAt(paidAt));
+      series.set('payment.confirmedVia', source);
+      await series.save();
+    }
+
+    console.log(`[RecurringBookingService] Series ${seriesId} paid: ${paid} occurrence(s), ${lateConflicts} late conflict(s)`);
+
+    return {
+      action: 'series_marked_paid',
+      seriesId: String(seriesId),
+      bookingId: occurrences[0] ? String(occurrences[0]._id) : null,
+      paid,
+      lateConflicts,
+    };
+  }
+
+  /**
+   * Expire all unpaid occurrences of a series
+   * @param {string} seriesId - Series ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of occurrences expired
+   */
+  async expireSeries(seriesId, now = new Date()) {
+    const result = await Booking.updateMany(
+      { seriesId, status: { $in: PAYABLE_STATUSES } },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+    await BookingSeries.updateOne(
+      { _id: seriesId, status: 'pending_payment' },
+      { $set: { status: 'expired', expiredAt: now } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Get a series with its occurrences
+   * @param {string} seriesId - Series ID
+   * @param {string} userId - Requesting user
+   * @param {boolean} isAdmin - Whether the requester is an admin
+   * @returns {Promise<Object>} { series, occurrences }
+   */
+  async getSeries(seriesId, userId, isAdmin = false) {
+    const series = await BookingSeries.findById(seriesId).lean();
+    if (!series) throw seriesError('Series not found', 404);
+    if (!isAdmin && String(series.userId) !== String(userId)) {
+      throw seriesError('Forbidden', 403);
+    }
+
+    const occurrences = await Booking.find({ seriesId })
+      .sort({ seriesIndex: 1 })
+      .select('_id seriesIndex startDate endDate checkInTime checkOutTime guests amount status holdExpiresAt')
+      .lean();
+
+    return { series, occurrences };
+  }
+
+  /**
+   * Request cancellation of the remaining occurrences of a series
+   * Each occurrence goes through CancellationRequestService, so the listing's
+   * cancellation policy and refund tiers apply per occurrence.
+   * @param {string} seriesId - Series ID
+   * @param {string} userId - Requesting client
+   * @param {Object} params - { reason, reasonOther, fromDate }
+   * @returns {Promise<Object>} { seriesId, requested, skipped, results }
+   */
+  async cancelRemaining(seriesId, userId, { reason, reasonOther = null, fromDate } = {}) {
+    const CancellationRequestService = require('./CancellationRequestService');
+
+    const series = await BookingSeries.findById(seriesId).lean();
+    if (!series) throw seriesError('Series not found', 404);
+    if (String(series.userId) !== String(userId)) {
+      throw seriesError('Forbidden', 403);
+    }
+    if (fromDate && !parseDay(fromDate)) {
+      throw seriesError('fromDate must be YYYY-MM-DD');
+    }
+
+    const from = fromDate || toISODay(new Date());
+    const occurrences = await Booking.find({
+      seriesId,
+      startDate: { $gte: from },
+      status: { $in: ['paid', ...PAYABLE_STATUSES] },
+    }).sort({ seriesIndex: 1 });
+
+    const results = [];
+    for (const booking of occurrences) {
+      try {
+        const request = await CancellationRequestService.createRequest(booking._id, userId, reason, reasonOther);
+        results.push({
+          bookingId: String(booking._id),
+          date: booking.startDate,
+          status: 'requested',
+          cancellationRequestId: String(request._id),
+          refund: request.refundCalculation?.finalRefund ?? 0,
+        });
+      } catch (error) {
+        results.push({
+          bookingId: String(booking._id),
+          date: booking.startDate,
+          status: 'skipped',
+          error: error.message,
+        });
+      }
+    }
+
+    const requested = results.filter((r) => r.status === 'requested').length;
+    console.log(`[RecurringBookingService] Series ${seriesId}: cancellation requested for ${requested} occurrence(s)`);
+
+    return {
+      seriesId: String(seriesId),
+      requested,
+      skipped: results.length - requested,
+      results,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _capped(dates) {
+    if (dates.length > MAX_OCCURRENCES) {
+      throw seriesError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    return dates;
+  }
+}
+
+module.exports = new RecurringBookingService();
@@ -3,10 +3,15 @@
  * Calculates refund amounts based on cancellation policy and timing
  */
 
+const FeeConfigService = require('./FeeConfigService');
+
 class RefundCalculator {
   /**
    * Calculate refund amount for a cancellation
-   * @param {Object} booking - Booking details with { amount, startDate }
+   * @param {Object} booking - Booking details with { amount, startDate, pricingSnapshot?, feeRates? }
+   *   amount is what the client paid; a promo discount on the pricingSnapshot
+   *   is reported but never refunded. The refund is split into the tax and
+   *   platform commission it returns, at the rates stored on the booking
    * @param {Object} policy - Cancellation policy with { tiers, processingFeePercentage }
    * @param {Date} cancellationDate - When cancellation is requested (defaults to now)
    * @returns {Object} Refund calculation breakdown
@@ -21,6 +26,9 @@ class RefundCalculator {
       throw new Error('Invalid policy data: tiers are required');
     }
 
+    // Promo discounts were never paid, so they are reported but never refunded
+    const discount = Number(booking.pricingSnapshot?.promo?.discount || 0);
+
     // Calculate hours until booking
     const bookingStart = new Date(booking.startDate);
     const cancellationTime = new Date(cancellationDate);
@@ -30,10 +38,13 @@ class RefundCalculator {
     if (hoursUntilBooking <= 0) {
       return {
         originalAmount: booking.amount,
+        discount: discount,
         refundPercentage: 0,
         refundAmount: 0,
         processingFee: 0,
         finalRefund: 0,
+        taxRefund: 0,
+        commissionRefund: 0,
         hoursUntilBooking: hoursUntilBooking,
         tier: null,
         message: 'Booking has already started or passed. No refund available.'
@@ -46,10 +57,13 @@ class RefundCalculator {
     if (!tier) {
       return {
         originalAmount: booking.amount,
+        discount: discount,
         refundPercentage: 0,
         refundAmount: 0,
         processingFee: 0,
         finalRefund: 0,
+        taxRefund: 0,
+        commissionRefund: 0,
         hoursUntilBooking: hoursUntilBooking,
         tier: null,
         message: 'No applicable refund tier found'
@@ -67,13 +81,17 @@ class RefundCalculator {
 
     // Calculate final refund (refund amount minus processing fee)
     const finalRefund = Math.max(0, refundAmount - processingFee);
+    const { tax, commission } = FeeConfigService.breakdown(booking, finalRefund);
 
     return {
       originalAmount: booking.amount,
+      discount: discount,
       refundPercentage: tier.refundPercentage,
       refundAmount: refundAmount,
       processingFee: processingFee,
       finalRefund: finalRefund,
+      taxRefund: tax,
+      commissionRefund: commission,
       hoursUntilBooking: hoursUntilBooking,
       tier: {
         hoursBeforeBooking: tier.hoursBeforeBooking,
@@ -0,0 +1,439 @@
+/**
+ * WaitlistService
+ * Lets clients queue for a full listing/time window and hands freed slots
+ * out in FIFO order.
+ *
+ * When a booking in a window is cancelled or its hold expires, the oldest
+ * waiting entries that now fit are offered the slot (up to
+ * WAITLIST_OFFER_BATCH at a time). Offers must be accepted within
+ * WAITLIST_CLAIM_MINUTES; the first to accept gets a hold of
+ * WAITLIST_HOLD_MINUTES, which only they can convert with createBookingIntent.
+ * Accepting runs under the same per-day listing lock as bookings, so a slot is
+ * never held and booked at the same time.
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Listing = require('../models/Listing');
+const PriceQuoteService = require('./PriceQuoteService');
+const AvailabilityManager = require('./AvailabilityManager');
+
+const WAITLIST_CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES || 30);
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || 15);
+const WAITLIST_OFFER_BATCH = Math.max(1, Number(process.env.WAITLIST_OFFER_BATCH || 3));
+const MAX_ACTIVE_ENTRIES_PER_USER = 10;
+
+const ACTIVE_STATUSES = ['waiting', 'offered', 'held'];
+
+function waitlistError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function windowStart(w) {
+  const time = /^\d{2}:\d{2}$/.test(String(w.checkInTime || '')) ? w.checkInTime : '00:00';
+  return new Date(`${w.startDate}T${time}:00`);
+}
+
+function windowOf(entry) {
+  return {
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    checkInTime: entry.checkInTime || null,
+    checkOutTime: entry.checkOutTime || null,
+  };
+}
+
+class WaitlistService {
+  /**
+   * Join the waitlist for a listing window that is currently full
+   * @param {Object} listing - Listing (lean)
+   * @param {string} userId - Client
+   * @param {Object} input - { startDate, endDate, checkInTime, checkOutTime, guests }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Waitlist entry with its position
+   */
+  async join(listing, userId, input = {}, now = new Date()) {
+    // Same validation as a booking: valid dates, priceable, guests within seats
+    const quote = PriceQuoteService.calculate(listing, input);
+    const w = {
+      startDate: String(input.startDate),
+      endDate: String(input.endDate),
+      checkInTime: quote.checkInTime || null,
+      checkOutTime: quote.checkOutTime || null,
+    };
+
+    if (windowStart(w) <= now) {
+      throw waitlistError('This time has already started');
+    }
+
+    const calendar = AvailabilityManager.checkWindow(listing, w);
+    if (calendar) {
+      throw waitlistError(AvailabilityManager.describeConflict(calendar), 409);
+    }
+
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+    const conflict = await findOverlappingBooking({
+      listingId: listing._id,
+      ...w,
+      requestedGuests: quote.guests,
+      listingDoc: listing,
+    });
+    if (!conflict) {
+      const err = waitlistError('This time is available. Book it directly instead of joining the waitlist', 409);
+      err.reason = 'available';
+      throw err;
+    }
+
+    const active = await WaitlistEntry.find({ userId, status: { $in: ACTIVE_STATUSES } })
+      .select('listingId startDate endDate checkInTime checkOutTime')
+      .lean();
+    if (active.length >= MAX_ACTIVE_ENTRIES_PER_USER) {
+      throw waitlistError(`You can be on at most ${MAX_ACTIVE_ENTRIES_PER_USER} waitlists at a time`);
+    }
+    const duplicate = active.find((e) =>
+      String(e.listingId) === String(listing._id) &&
+      e.startDate === w.startDate && e.endDate === w.endDate &&
+      (e.checkInTime || null) === w.checkInTime && (e.checkOutTime || null) === w.checkOutTime
+    );
+    if (duplicate) {
+      throw waitlistError('You are already on the waitlist for this time', 409);
+    }
+
+    const entry = await WaitlistEntry.create({
+      userId,
+      listingId: listing._id,
+      ...w,
+      guests: quote.guests,
+    });
+
+    console.log(`[WaitlistService] User ${userId} joined waitlist ${entry._id} for listing ${listing._id}`);
+    return { ...entry.toObject(), position: await this.position(entry) };
+  }
+
+  /**
+   * 1-based place in line among entries still waiting for an overlapping window
+   * @param {Object} entry - Waitlist entry
+   * @returns {Promise<number|null>} Position, or null when not waiting
+   */
+  async position(entry) {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+      listingId: entry.listingId,
+      status: 'waiting',
+      startDate: { $lte: entry.endDate },
+      endDate: { $gte: entry.startDate },
+      createdAt: { $lt: entry.createdAt },
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * A client's waitlist entries, newest first
+   * @param {string} userId - Client
+   * @returns {Promise<Array>} Entries with position for waiting ones
+   */
+  async listMine(userId) {
+    const entries = await WaitlistEntry.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('listingId', 'venue shortDesc city images')
+      .lean();
+
+    return Promise.all(
+      entries.map(async (e) => ({
+        ...e,
+        position: await this.position({ ...e, listingId: e.listingId?._id || e.listingId }),
+      }))
+    );
+  }
+
+  /**
+   * A slot in this window was freed: offer it to the next entries in line
+   * @param {Object} released - { listingId, startDate, endDate }
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of offers sent
+   */
+  async releaseSlot(released, now = new Date()) {
+    if (!released?.listingId || !released.startDate) return 0;
+
+    const listing = await Listing.findById(released.listingId).lean();
+    if (!listing) return 0;
+
+    const candidates = await WaitlistEntry.find({
+      listingId: released.listingId,
+      status: 'waiting',
+      startDate: { $lte: released.endDate || released.startDate },
+      endDate: { $gte: released.startDate },
+    })
+      .sort({ createdAt: 1 })
+      .limit(50);
+
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+    let offered = 0;
+
+    for (const entry of candidates) {
+      if (offered >= WAITLIST_OFFER_BATCH) break;
+
+      if (windowStart(entry) <= now) {
+        await this._close(entry, 'expired', now);
+        continue;
+      }
+
+      const conflict = await findOverlappingBooking({
+        listingId: entry.listingId,
+        ...windowOf(entry),
+        requestedGuests: entry.guests,
+        listingDoc: listing,
+      });
+      if (conflict) continue;
+
+      const updated = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offeredAt: now,
+            offerExpiresAt: new Date(now.getTime() + WAITLIST_CLAIM_MINUTES * 60 * 1000),
+          },
+          $inc: { offersSent: 1 },
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      offered++;
+      await this._notifyOffer(updated);
+    }
+
+    if (offered) {
+      console.log(`[WaitlistService] Offered freed slot on listing ${released.listingId} to ${offered} entr${offered === 1 ? 'y' : 'ies'}`);
+    }
+    return offered;
+  }
+
+  /**
+   * Accept an offer: hold the slot for WAITLIST_HOLD_MINUTES
+   * @param {string} entryId - Waitlist entry
+   * @param {string} userId - Client
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Held entry
+   */
+  async accept(entryId, userId, now = new Date()) {
+    const entry = await this._own(entryId, userId);
+    if (entry.status === 'held') return entry.toObject();
+    if (entry.status !== 'offered') {
+      throw waitlistError(`There is no open offer for this entry (status: ${entry.status})`, 409);
+    }
+    if (entry.offerExpiresAt <= now) {
+      await this._close(entry, 'missed', now);
+      await this.releaseSlot(entry, now);
+      throw waitlistError('This offer has expired', 410);
+    }
+
+    const listing = await Listing.findById(entry.listingId).lean();
+    if (!listing) throw waitlistError('Listing not found', 404);
+
+    const BookingReservationService = require('./BookingReservationService');
+    const { findOverlappingBooking } = require('../controllers/bookings.controller');
+    const w = windowOf(entry);
+
+    const held = await BookingReservationService.withListingDays(
+      entry.listingId,
+      BookingReservationService.daysFor([w]),
+      async (session) => {
+        const conflict = await findOverlappingBooking({
+          listingId: entry.listingId,
+          ...w,
+          requestedGuests: entry.guests,
+          listingDoc: listing,
+          session,
+        });
+        if (conflict) return null;
+
+        return WaitlistEntry.findOneAndUpdate(
+          { _id: entry._id, status: 'offered' },
+          {
+            $set: {
+              status: 'held',
+              heldAt: now,
+              holdExpiresAt: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000),
+            },
+          },
+          { new: true, session }
+        );
+      }
+    );
+
+    if (!held) {
+      // Someone else accepted first; keep this entry's place in line
+      await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'waiting' }, $unset: { offeredAt: 1, offerExpiresAt: 1 } }
+      );
+      throw waitlistError('The slot was taken by someone else. You are still on the waitlist', 409);
+    }
+
+    console.log(`[WaitlistService] Entry ${entry._id} accepted; slot held until ${held.holdExpiresAt.toISOString()}`);
+    return held.toObject();
+  }
+
+  /**
+   * Leave the waitlist (a held slot is passed on to the next in line)
+   * @param {string} entryId - Waitlist entry
+   * @param {string} userId - Client
+   * @returns {Promise<Object>} Cancelled entry
+   */
+  async leave(entryId, userId) {
+    const entry = await this._own(entryId, userId);
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      throw waitlistError(`Entry is already ${entry.status}`, 409);
+    }
+
+    const wasHolding = entry.status === 'held' || entry.status === 'offered';
+    await this._close(entry, 'cancelled');
+    if (wasHolding) await this.releaseSlot(entry);
+
+    return entry.toObject();
+  }
+
+  /**
+   * Check that a held entry may be converted into this booking request
+   * @param {string} entryId - Waitlist entry
+   * @param {string} userId - Client
+   * @param {Object} request - { listingId, startDate, endDate, checkInTime, checkOutTime, guests }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} The held entry
+   */
+  async assertConvertible(entryId, userId, request, now = new Date()) {
+    const entry = await this._own(entryId, userId);
+    if (entry.status !== 'held' || !(entry.holdExpiresAt > now)) {
+      throw waitlistError('Your waitlist hold has expired or was already used', 409);
+    }
+
+    const w = windowOf(entry);
+    const same =
+      String(entry.listingId) === String(request.listingId) &&
+      w.startDate === request.startDate &&
+      w.endDate === request.endDate &&
+      w.checkInTime === (request.checkInTime || null) &&
+      w.checkOutTime === (request.checkOutTime || null);
+    if (!same) {
+      throw waitlistError('The booking must match the waitlisted listing, dates and times');
+    }
+    if (Number(request.guests) > entry.guests) {
+      throw waitlistError(`Your waitlist hold covers ${entry.guests} guest(s)`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Mark a held entry as converted into a booking (inside the reservation transaction)
+   * @param {string} entryId - Waitlist entry
+   * @param {string} bookingId - New booking
+   * @param {Object} session - MongoDB session
+   */
+  async markConverted(entryId, bookingId, session = null) {
+    await WaitlistEntry.updateOne(
+      { _id: entryId, status: 'held' },
+      { $set: { status: 'converted', bookingId, convertedAt: new Date() }, $unset: { holdExpiresAt: 1 } },
+      { session }
+    );
+  }
+
+  /**
+   * Held entries overlapping a date range, shaped like bookings for overlap checks
+   * @param {Object} params - { listingId (or an array of ids), startDate, endDate, excludeEntryId, session }
+   * @returns {Promise<Array>} Pseudo-bookings { _id, listingId, startDate, endDate, checkInTime, checkOutTime, guests, status }
+   */
+  async activeHolds({ listingId, startDate, endDate, excludeEntryId = null, session = null, now = new Date() }) {
+    const q = {
+      listingId: Array.isArray(listingId) ? { $in: listingId } : listingId,
+      status: 'held',
+      holdExpiresAt: { $gt: now },
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate },
+    };
+    if (excludeEntryId) q._id = { $ne: excludeEntryId };
+
+    const holds = await WaitlistEntry.find(q)
+      .select('_id listingId startDate endDate checkInTime checkOutTime guests')
+      .session(session)
+      .lean();
+
+    return holds.map((h) => ({ ...h, status: 'waitlist_hold' }));
+  }
+
+  /**
+   * Close lapsed offers and holds and pass their slots on
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { missed, expired, offered }
+   */
+  async expireStale(now = new Date()) {
+    let offered = 0;
+
+    const lapsedOffers = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } }).limit(200);
+    for (const entry of lapsedOffers) {
+      if (await this._close(entry, 'missed', now)) offered += await this.releaseSlot(entry, now);
+    }
+
+    const lapsedHolds = await WaitlistEntry.find({ status: 'held', holdExpiresAt: { $lte: now } }).limit(200);
+    for (const entry of lapsedHolds) {
+      if (await this._close(entry, 'expired', now)) offered += await this.releaseSlot(entry, now);
+    }
+
+    // Windows that started while still waiting
+    const pad = (n) => String(n).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const past = await WaitlistEntry.updateMany(
+      { status: 'waiting', startDate: { $lt: today } },
+      { $set: { status: 'expired', closedAt: now } }
+    );
+
+    return {
+      missed: lapsedOffers.length,
+      expired: lapsedHolds.length + (past.modifiedCount || 0),
+      offered,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _own(entryId, userId) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) throw waitlistError('Waitlist entry not found', 404);
+    if (String(entry.userId) !== String(userId)) {
+      throw waitlistError('Forbidden: This waitlist entry does not belong to you', 403);
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  async _close(entry, status, now = new Date()) {
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { $set: { status, closedAt: now } },
+      { new: true }
+    );
+    if (updated) entry.status = status;
+    return !!updated;
+  }
+
+  /**
+   * @private
+   */
+  async _notifyOffer(entry) {
+    try {
+      const NotificationService = require('./NotificationService');
+      await NotificationService.sendWaitlistOffer(entry._id);
+    } catch (error) {
+      console.error(`[WaitlistService] Failed to notify entry ${entry._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,332 @@
+/**
+ * FakeProvider
+ * Local stand-in for a payment gateway, for development and offline tests.
+ *
+ * Checkouts, payments and refunds live in memory (they are lost on restart).
+ * The checkout URL points at GET /api/payments/fake/checkout/:id, which pays
+ * (or fails) the checkout and redirects back like a hosted page would. Every
+ * state change emits a signed webhook event in PayMongo's format, delivered
+ * in-process to PaymentWebhookService. FAKE_PAYMENT_OUTCOME sets what
+ * happens by default:
+ *
+ *   success - paid / refunded right away, webhook delivered immediately
+ *   failure - payment declined (payment.failed), refunds rejected
+ *   delay   - paid / refunded at the "gateway" right away, but the webhook only
+ *             arrives after FAKE_PAYMENT_DELAY_MS (exercises the checkout poll)
+ *
+ * Never available in production (see payments/index.js).
+ */
+
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const { PaymongoProvider } = require('./PaymongoProvider');
+
+const { providerError, toCentavos } = PaymentProvider;
+
+const OUTCOMES = ['success', 'failure', 'delay'];
+const FAKE_PAYMENT_OUTCOME = process.env.FAKE_PAYMENT_OUTCOME || 'success';
+const FAKE_PAYMENT_DELAY_MS = Number(process.env.FAKE_PAYMENT_DELAY_MS || 5000);
+const FAKE_WEBHOOK_SECRET = process.env.FAKE_WEBHOOK_SECRET || 'whsk_fake_local';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+// Same signature scheme as PayMongo, with the fake's own secret
+const signer = new PaymongoProvider();
+
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+class FakeProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - { outcome, delayMs, secret, deliver }; deliver(signedEvent)
+   *   receives every webhook, pass null to only collect them in `events`
+   */
+  constructor(options = {}) {
+    super('fake');
+    this.outcome = options.outcome || FAKE_PAYMENT_OUTCOME;
+    this.delayMs = options.delayMs ?? FAKE_PAYMENT_DELAY_MS;
+    this.secret = options.secret || FAKE_WEBHOOK_SECRET;
+    this.deliver = options.deliver !== undefined
+      ? options.deliver
+      : ({ rawBody, headers }) => require('../PaymentWebhookService').receive('fake', rawBody, headers);
+    this.reset();
+  }
+
+  /**
+   * Forget all checkouts, payments, refunds and emitted events
+   */
+  reset() {
+    this.checkouts = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.events = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createCheckout({ amount, description, successUrl, cancelUrl, metadata = {}, lineItems = [], idempotencyKey }) {
+    const key = idempotencyKey ? String(idempotencyKey) : null;
+    const existing = key && [...this.checkouts.values()].find((c) => c.idempotencyKey === key);
+    if (existing) return { id: existing.id, url: this._checkoutUrl(existing.id) };
+
+    const checkout = {
+      id: fakeId('cs'),
+      status: 'active',
+      amount: toCentavos(amount),
+      description,
+      successUrl,
+      cancelUrl,
+      metadata: { ...metadata },
+      lineItems: lineItems.map((li) => ({ name: li.name, amount: toCentavos(li.amount), quantity: li.quantity || 1 })),
+      idempotencyKey: key,
+      paymentId: null,
+      createdAt: new Date(),
+    };
+    this.checkouts.set(checkout.id, checkout);
+    return { id: checkout.id, url: this._checkoutUrl(checkout.id) };
+  }
+
+  async getCheckout(checkoutId) {
+    const checkout = this._find(this.checkouts, checkoutId, 'Checkout');
+    const payment = checkout.paymentId ? this.payments.get(checkout.paymentId) : null;
+
+    return {
+      id: checkout.id,
+      status: checkout.status,
+      payment: payment?.status === 'paid'
+        ? { id: payment.id, amount: payment.amount, paidAt: payment.paidAt }
+        : null,
+    };
+  }
+
+  /**
+   * Pay or decline a checkout, as the customer would on the hosted page
+   * @param {string} checkoutId - Checkout id
+   * @param {Object} options - { outcome, now }
+   * @returns {Promise<Object>} { checkoutId, paymentId, status, successUrl, cancelUrl }
+   */
+  async simulatePayment(checkoutId, { outcome = this.outcome, now = new Date() } = {}) {
+    const checkout = this._find(this.checkouts, checkoutId, 'Checkout');
+    if (!OUTCOMES.includes(outcome)) {
+      throw providerError(`Unknown outcome "${outcome}". Use one of: ${OUTCOMES.join(', ')}`, 400);
+    }
+
+    const result = (payment) => ({
+      checkoutId: checkout.id,
+      paymentId: payment.id,
+      status: payment.status,
+      successUrl: checkout.successUrl,
+      cancelUrl: checkout.cancelUrl,
+    });
+
+    // Paying twice is a no-op, like reloading a completed checkout page
+    if (checkout.status === 'paid') return result(this.payments.get(checkout.paymentId));
+
+    const payment = {
+      id: fakeId('pay'),
+      checkoutId: checkout.id,
+      amount: checkout.amount,
+      metadata: checkout.metadata,
+      status: outcome === 'failure' ? 'failed' : 'paid',
+      paidAt: outcome === 'failure' ? null : Math.floor(now.getTime() / 1000),
+      failedMessage: outcome === 'failure' ? 'Card declined (simulated)' : null,
+      refunded: 0,
+      captured: false,
+    };
+    this.payments.set(payment.id, payment);
+
+    if (payment.status === 'paid') {
+      checkout.status = 'paid';
+      checkout.paymentId = payment.id;
+      await this._emit('checkout_session.payment.paid', this._checkoutResource(checkout), outcome);
+    } else {
+      await this._emit('payment.failed', this._paymentResource(payment), outcome);
+    }
+
+    return result(payment);
+  }
+
+  async capture(paymentId) {
+    const payment = this._find(this.payments, paymentId, 'Payment');
+    if (payment.status !== 'paid') {
+      throw providerError(`Payment ${paymentId} is ${payment.status} and cannot be captured`, 422);
+    }
+    payment.captured = true;
+    return { id: payment.id, status: payment.status, raw: this._paymentResource(payment) };
+  }
+
+  async refund({ paymentId, amount, reason = 'requested_by_customer', notes }) {
+    const payment = this._find(this.payments, paymentId, 'Payment');
+    const centavos = toCentavos(amount);
+
+    if (payment.status !== 'paid') {
+      throw providerError(`Payment ${paymentId} is ${payment.status} and cannot be refunded`, 422);
+    }
+    if (!centavos || payment.refunded + centavos > payment.amount) {
+      throw providerError('Refund amount exceeds the refundable balance', 422);
+    }
+    if (this.outcome === 'failure') {
+      throw new Error('Refund declined (simulated)');
+    }
+
+    const refund = {
+      id: fakeId('ref'),
+      paymentId,
+      amount: centavos,
+      reason,
+      notes: notes || null,
+      status: this.outcome === 'delay' ? 'pending' : 'succeeded',
+    };
+    this.refunds.set(refund.id, refund);
+    payment.refunded += centavos;
+
+    if (refund.status === 'pending') {
+      // Settles at the "gateway" later; the webhook brings the news
+      const settle = setTimeout(() => {
+        refund.status = 'succeeded';
+        this._emit('refund.updated', this._refundResource(refund), 'success');
+      }, this.delayMs);
+      settle.unref();
+    } else {
+      await this._emit('refund.updated', this._refundResource(refund), this.outcome);
+    }
+
+    return this._refundResult(refund);
+  }
+
+  async getRefund(refundId) {
+    return this._refundResult(this._find(this.refunds, refundId, 'Refund'));
+  }
+
+  parseWebhook(rawBody, headers = {}) {
+    const body = this._parseEventBody(rawBody);
+    const verification = signer.verifySignature(rawBody, headers['fake-signature'], { secret: this.secret });
+    if (!verification.valid) {
+      console.warn(`[FakeProvider] Rejected event ${body.data.id}: ${verification.reason}`);
+      throw providerError('Invalid signature', 401);
+    }
+    return body;
+  }
+
+  /**
+   * Sign an event body the way the fake gateway delivers it
+   * @param {Object} body - Event body
+   * @param {Date} now - Signing time
+   * @returns {Object} { rawBody, headers }
+   */
+  sign(body, now = new Date()) {
+    const rawBody = JSON.stringify(body);
+    const t = Math.floor(now.getTime() / 1000);
+    const signature = signer.computeSignature(rawBody, t, this.secret);
+    return { rawBody, headers: { 'fake-signature': `t=${t},te=${signature},li=` } };
+  }
+
+  /**
+   * Record a webhook event and deliver it (after the delay in "delay" mode)
+   * @private
+   */
+  async _emit(type, resource, outcome) {
+    const body = {
+      data: {
+        id: fakeId('evt'),
+        type: 'event',
+        attributes: { type, livemode: false, data: resource, created_at: Math.floor(Date.now() / 1000) },
+      },
+    };
+    this.events.push(body);
+    if (!this.deliver) return;
+
+    const deliver = async () => {
+      try {
+        await this.deliver(this.sign(body));
+      } catch (error) {
+        console.error(`[FakeProvider] Webhook ${type} delivery failed:`, error.message);
+      }
+    };
+
+    if (outcome === 'delay') {
+      setTimeout(deliver, this.delayMs).unref();
+    } else {
+      await deliver();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _find(map, id, label) {
+    const record = map.get(id);
+    if (!record) throw providerError(`${label} ${id} not found`, 404);
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  _checkoutUrl(checkoutId) {
+    return `${API_URL}/api/payments/fake/checkout/${checkoutId}`;
+  }
+
+  /**
+   * @private
+   */
+  _checkoutResource(checkout) {
+    const payment = checkout.paymentId ? this.payments.get(checkout.paymentId) : null;
+    return {
+      id: checkout.id,
+      type: 'checkout_session',
+      attributes: {
+        status: checkout.status,
+        metadata: checkout.metadata,
+        line_items: checkout.lineItems,
+        payments: payment ? [this._paymentResource(payment)] : [],
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _paymentResource(payment) {
+    return {
+      id: payment.id,
+      type: 'payment',
+      attributes: {
+        amount: payment.amount,
+        status: payment.status,
+        paid_at: payment.paidAt,
+        checkout_session_id: payment.checkoutId,
+        metadata: payment.metadata,
+        failed_message: payment.failedMessage,
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _refundResource(refund) {
+    return {
+      id: refund.id,
+      type: 'refund',
+      attributes: {
+        amount: refund.amount,
+        status: refund.status,
+        payment_id: refund.paymentId,
+        reason: refund.reason,
+        notes: refund.notes,
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _refundResult(refund) {
+    return { id: refund.id, status: refund.status, amount: refund.amount / 100, raw: this._refundResource(refund) };
+  }
+}
+
+module.exports = new FakeProvider();
+module.exports.FakeProvider = FakeProvider;
+module.exports.OUTCOMES = OUTCOMES;
@@ -0,0 +1,124 @@
+/**
+ * PaymentProvider
+ * Interface every payment gateway implements.
+ *
+ * Amounts passed in are PHP. Amounts and timestamps coming back keep the
+ * shape of the gateway's webhook payloads (centavos, unix seconds) so
+ * BookingPaymentService.markPaid() takes a polled payment and a webhook
+ * payment the same way. parseWebhook() returns events in PayMongo's event
+ * format ({ data: { id, attributes: { type, livemode, data } } }), which is
+ * what PaymentWebhookService handles.
+ */
+
+function providerError(message, statusCode) {
+  const err = new Error(message);
+  if (statusCode) err.statusCode = statusCode;
+  return err;
+}
+
+const toCentavos = (php) => Math.max(0, Math.round(Number(php || 0) * 100));
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, stored on bookings, refunds and webhook events
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Are the provider's credentials set?
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Create a hosted checkout page
+   * @param {Object} params - { amount (PHP), description, successUrl, cancelUrl, metadata, lineItems, idempotencyKey }
+   * @returns {Promise<Object>} { id, url }
+   */
+  async createCheckout() {
+    throw this._unsupported('checkout');
+  }
+
+  /**
+   * Look up a checkout and its payment
+   * @param {string} checkoutId - Checkout id
+   * @returns {Promise<Object>} { id, status, payment: { id, amount (centavos), paidAt (unix seconds) } | null }
+   */
+  async getCheckout() {
+    throw this._unsupported('checkout lookup');
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {string} paymentId - Gateway payment id
+   * @param {number} amount - Amount in PHP
+   * @returns {Promise<Object>} { id, status, raw }
+   */
+  async capture() {
+    throw this._unsupported('capture');
+  }
+
+  /**
+   * Refund (part of) a payment
+   * @param {Object} params - { paymentId, amount (PHP), reason, notes }
+   * @returns {Promise<Object>} { id, status, amount (PHP), raw }
+   */
+  async refund() {
+    throw this._unsupported('refunds');
+  }
+
+  /**
+   * Look up a refund
+   * @param {string} refundId - Gateway refund id
+   * @returns {Promise<Object>} { id, status, amount (PHP), raw }
+   */
+  async getRefund() {
+    throw this._unsupported('refund lookup');
+  }
+
+  /**
+   * Verify and parse a webhook delivery
+   * @param {string|Buffer} rawBody - Raw request body
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} Event body in PayMongo's event format
+   * @throws {Error} With statusCode 400 (payload), 401 (signature) or 500 (configuration)
+   */
+  parseWebhook() {
+    throw this._unsupported('webhooks');
+  }
+
+  /**
+   * Parse a raw webhook body and check it is an event
+   * @protected
+   */
+  _parseEventBody(rawBody) {
+    if (!rawBody || !rawBody.length) throw providerError('Invalid payload', 400);
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+    } catch {
+      throw providerError('Invalid payload', 400);
+    }
+
+    if (!body?.data?.id || !body.data.attributes?.type) {
+      throw providerError('Invalid payload', 400);
+    }
+    return body;
+  }
+
+  /**
+   * @private
+   */
+  _unsupported(feature) {
+    return providerError(`The ${this.name} payment provider does not support ${feature}`, 501);
+  }
+}
+
+module.exports = PaymentProvider;
+module.exports.providerError = providerError;
+module.exports.toCentavos = toCentavos;
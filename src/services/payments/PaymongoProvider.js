@@ -0,0 +1,242 @@
+/**
+ * PaymongoProvider
+ * PayMongo implementation of the payment provider interface: hosted checkout
+ * sessions, captures, refunds and Paymongo-Signature webhook verification.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./PaymentProvider');
+
+const { providerError, toCentavos } = PaymentProvider;
+
+const PAYMONGO_SECRET_KEY = process.env.PAYMONGO_SECRET_KEY;
+const PAYMONGO_BASE_URL = 'https://api.paymongo.com/v1';
+const PAYMONGO_WEBHOOK_SECRET = process.env.PAYMONGO_WEBHOOK_SECRET;
+const PAYMONGO_WEBHOOK_TOLERANCE_SECONDS = Number(
+  process.env.PAYMONGO_WEBHOOK_TOLERANCE_SECONDS || 300
+);
+
+class PaymongoProvider extends PaymentProvider {
+  constructor() {
+    super('paymongo');
+  }
+
+  isConfigured() {
+    return !!PAYMONGO_SECRET_KEY;
+  }
+
+  async createCheckout({ amount, description, successUrl, cancelUrl, metadata, lineItems, idempotencyKey }) {
+    const checkout = await this._request('post', '/checkout_sessions', {
+      data: {
+        attributes: {
+          amount: toCentavos(amount),
+          currency: 'PHP',
+          description,
+          payment_method_types: ['card', 'gcash'],
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          statement_descriptor: 'FLEXIDESK',
+          metadata,
+          line_items: lineItems.map((li) => ({
+            name: li.name,
+            amount: toCentavos(li.amount),
+            currency: 'PHP',
+            quantity: li.quantity || 1,
+          })),
+        },
+      },
+    }, { 'Idempotency-Key': String(idempotencyKey) });
+
+    const attrs = checkout?.attributes || {};
+    return { id: checkout?.id, url: attrs.checkout_url || attrs.url };
+  }
+
+  async getCheckout(checkoutId) {
+    const checkout = await this._request('get', `/checkout_sessions/${checkoutId}`);
+
+    const attrs = checkout?.attributes || {};
+    const payments = Array.isArray(attrs.payments) ? attrs.payments : [];
+    const paid = payments.find((p) => p?.attributes?.status === 'paid');
+
+    return {
+      id: checkoutId,
+      status: paid ? 'paid' : attrs.status || 'unknown',
+      payment: paid
+        ? { id: paid.id, amount: paid.attributes?.amount, paidAt: paid.attributes?.paid_at }
+        : null,
+    };
+  }
+
+  async capture(paymentId, amount) {
+    const payment = await this._request('post', `/payments/${paymentId}/capture`, {
+      data: { attributes: { amount: toCentavos(amount) } },
+    });
+    return { id: payment?.id, status: payment?.attributes?.status || 'unknown', raw: payment };
+  }
+
+  async refund({ paymentId, amount, reason = 'requested_by_customer', notes }) {
+    const refund = await this._request('post', '/refunds', {
+      data: {
+        attributes: {
+          amount: toCentavos(amount),
+          payment_id: paymentId,
+          reason,
+          notes,
+        },
+      },
+    });
+
+    if (!refund?.id) {
+      throw new Error('Invalid response from payment gateway');
+    }
+    return this._refundResult(refund);
+  }
+
+  async getRefund(refundId) {
+    const refund = await this._request('get', `/refunds/${refundId}`);
+    if (!refund) {
+      throw providerError('Refund not found', 404);
+    }
+    return this._refundResult(refund);
+  }
+
+  parseWebhook(rawBody, headers = {}) {
+    if (!PAYMONGO_WEBHOOK_SECRET) {
+      throw providerError('Webhook secret not configured', 500);
+    }
+
+    const body = this._parseEventBody(rawBody);
+    const verification = this.verifySignature(rawBody, headers['paymongo-signature'], {
+      livemode: !!body.data.attributes.livemode,
+    });
+
+    if (!verification.valid) {
+      console.warn(`[PaymongoProvider] Rejected event ${body.data.id}: ${verification.reason}`);
+      throw providerError('Invalid signature', 401);
+    }
+    return body;
+  }
+
+  /**
+   * Parse a Paymongo-Signature header ("t=<ts>,te=<test sig>,li=<live sig>")
+   * @param {string} header - Raw header value
+   * @returns {Object} { t, te, li }
+   */
+  parseSignatureHeader(header) {
+    const parts = {};
+    String(header || '')
+      .split(',')
+      .forEach((pair) => {
+        const idx = pair.indexOf('=');
+        if (idx > 0) {
+          parts[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+        }
+      });
+    return parts;
+  }
+
+  /**
+   * Compute the expected signature for a raw body
+   * @param {string|Buffer} rawBody - Raw request body
+   * @param {string|number} timestamp - Timestamp from the signature header
+   * @param {string} secret - Webhook secret key
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  computeSignature(rawBody, timestamp, secret) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify the Paymongo-Signature header against the raw body
+   * @param {string|Buffer} rawBody - Raw request body
+   * @param {string} header - Paymongo-Signature header
+   * @param {Object} options - { secret, livemode, toleranceSeconds, now }
+   * @returns {Object} { valid: boolean, reason?: string }
+   */
+  verifySignature(rawBody, header, options = {}) {
+    const {
+      secret = PAYMONGO_WEBHOOK_SECRET,
+      livemode = false,
+      toleranceSeconds = PAYMONGO_WEBHOOK_TOLERANCE_SECONDS,
+      now = Date.now(),
+    } = options;
+
+    if (!secret) {
+      return { valid: false, reason: 'Webhook secret not configured' };
+    }
+
+    const { t, te, li } = this.parseSignatureHeader(header);
+    const provided = livemode ? li : te;
+
+    if (!t || !provided) {
+      return { valid: false, reason: 'Missing signature' };
+    }
+
+    if (toleranceSeconds > 0) {
+      const ageSeconds = Math.abs(now / 1000 - Number(t));
+      if (!Number.isFinite(ageSeconds) || ageSeconds > toleranceSeconds) {
+        return { valid: false, reason: 'Signature timestamp outside tolerance' };
+      }
+    }
+
+    const expected = Buffer.from(this.computeSignature(rawBody, t, secret), 'utf8');
+    const actual = Buffer.from(String(provided), 'utf8');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Call the PayMongo API and return the response's `data`
+   * @private
+   */
+  async _request(method, path, payload, headers = {}) {
+    if (!PAYMONGO_SECRET_KEY) {
+      throw new Error('PAYMONGO_SECRET_KEY is not configured');
+    }
+
+    const basicAuth = Buffer.from(`${PAYMONGO_SECRET_KEY}:`).toString('base64');
+    const config = {
+      headers: { Authorization: `Basic ${basicAuth}`, 'Content-Type': 'application/json', ...headers },
+      timeout: 15000,
+    };
+
+    try {
+      const response = method === 'get'
+        ? await axios.get(`${PAYMONGO_BASE_URL}${path}`, config)
+        : await axios.post(`${PAYMONGO_BASE_URL}${path}`, payload, config);
+      return response.data?.data;
+    } catch (error) {
+      if (!error.response) throw error;
+      // Surface PayMongo's own explanation instead of "Request failed with status code 400"
+      const err = new Error(
+        error.response.data?.errors?.[0]?.detail || error.response.data?.errors?.[0]?.title || error.message
+      );
+      err.gatewayError = error.response.data;
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _refundResult(refund) {
+    const attrs = refund.attributes || {};
+    return {
+      id: refund.id,
+      status: attrs.status || 'pending',
+      amount: attrs.amount !== undefined ? Number(attrs.amount) / 100 : undefined,
+      raw: refund,
+    };
+  }
+}
+
+module.exports = new PaymongoProvider();
+module.exports.PaymongoProvider = PaymongoProvider;
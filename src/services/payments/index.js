@@ -0,0 +1,70 @@
+/**
+ * Payment providers
+ * Picks the gateway for new checkouts (PAYMENT_PROVIDER, default "paymongo")
+ * and the gateway an existing booking was paid through (Booking.provider),
+ * so refunds and polls keep going to the right place after a switch.
+ *
+ * The fake provider is only enabled outside production, when it is the
+ * default or FAKE_PAYMENTS_ENABLED=true. Its webhook secret is not secret,
+ * so accepting its events in production would let anyone mark bookings paid.
+ */
+
+const PaymongoProvider = require('./PaymongoProvider');
+const FakeProvider = require('./FakeProvider');
+const { providerError } = require('./PaymentProvider');
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'paymongo';
+const FAKE_PAYMENTS_ENABLED =
+  process.env.NODE_ENV !== 'production' &&
+  (PAYMENT_PROVIDER === 'fake' || process.env.FAKE_PAYMENTS_ENABLED === 'true');
+
+const PROVIDERS = {
+  paymongo: PaymongoProvider,
+  fake: FakeProvider,
+};
+
+class PaymentProviders {
+  /**
+   * Names of the gateways that can be used here
+   * @returns {string[]}
+   */
+  names() {
+    return Object.keys(PROVIDERS).filter((name) => this.isEnabled(name));
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  isEnabled(name) {
+    if (!PROVIDERS[name]) return false;
+    return name !== 'fake' || FAKE_PAYMENTS_ENABLED;
+  }
+
+  /**
+   * A provider by name, or the default one
+   * @param {string} name - Provider name (default PAYMENT_PROVIDER)
+   * @returns {Object} Provider
+   * @throws {Error} 404 for unknown or disabled providers
+   */
+  get(name = PAYMENT_PROVIDER) {
+    if (!this.isEnabled(name)) {
+      throw providerError(`Payment provider "${name}" is not available`, 404);
+    }
+    return PROVIDERS[name];
+  }
+
+  /**
+   * The provider a booking was (or will be) paid through. Bookings paid
+   * outside a gateway (credits, bank transfer, cash) get the default.
+   * @param {Object} booking - Booking with `provider`
+   * @returns {Object} Provider
+   */
+  forBooking(booking) {
+    const name = booking?.provider;
+    return this.get(PROVIDERS[name] ? name : PAYMENT_PROVIDER);
+  }
+}
+
+module.exports = new PaymentProviders();
+module.exports.PAYMENT_PROVIDER = PAYMENT_PROVIDER;
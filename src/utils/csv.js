@@ -0,0 +1,34 @@
+// src/utils/csv.js
+
+/**
+ * Quote a value for a CSV cell. Text that a spreadsheet would run as a
+ * formula (=, +, -, @) is prefixed with an apostrophe; numbers are kept as-is.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? String(value) : "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ key, label }]
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  csvCell,
+  toCsv,
+};
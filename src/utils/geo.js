@@ -0,0 +1,139 @@
+// src/utils/geo.js
+const crypto = require("crypto");
+
+const LOCATION_JITTER_SECRET =
+  process.env.LOCATION_JITTER_SECRET || process.env.JWT_SECRET || "dev_location_secret_change_me";
+const EARTH_RADIUS_KM = 6371;
+// Approximate locations land this far (in metres) from the real one
+const APPROX_MIN_METERS = 200;
+const APPROX_MAX_METERS = 500;
+
+function geoError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+function validCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+/**
+ * GeoJSON point for a listing's lat/lng (stored as strings), or null when
+ * they are missing or out of range. GeoJSON orders coordinates [lng, lat].
+ */
+function toPoint(lat, lng) {
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+  if (String(lat).trim() === "" || String(lng).trim() === "") return null;
+  const la = Number(lat);
+  const lo = Number(lng);
+  if (!validCoordinates(la, lo)) return null;
+  return { type: "Point", coordinates: [lo, la] };
+}
+
+/**
+ * Parse a "lat,lng" query value
+ * @returns {Object} { lat, lng }
+ */
+function parseLatLng(value, name = "near") {
+  const parts = String(value || "").split(",").map((p) => p.trim());
+  const lat = parts[0] === "" ? NaN : Number(parts[0]);
+  const lng = parts[1] === "" ? NaN : Number(parts[1]);
+  if (parts.length !== 2 || !validCoordinates(lat, lng)) {
+    throw geoError(`${name} must be "lat,lng"`);
+  }
+  return { lat, lng };
+}
+
+/**
+ * Parse a map viewport "swLat,swLng,neLat,neLng" into a GeoJSON polygon
+ * @returns {Object} { polygon, center: { lat, lng } }
+ */
+function parseBounds(value) {
+  const nums = String(value || "").split(",").map((p) => (p.trim() === "" ? NaN : Number(p)));
+  if (nums.length !== 4) throw geoError('bounds must be "swLat,swLng,neLat,neLng"');
+
+  const [swLat, swLng, neLat, neLng] = nums;
+  if (!validCoordinates(swLat, swLng) || !validCoordinates(neLat, neLng)) {
+    throw geoError('bounds must be "swLat,swLng,neLat,neLng"');
+  }
+  if (swLat >= neLat || swLng >= neLng) {
+    throw geoError("bounds must go from the south-west to the north-east corner");
+  }
+  // Polygons wider than a hemisphere are ambiguous on a sphere
+  if (neLng - swLng >= 180) throw geoError("bounds are too large, zoom in to search");
+
+  return {
+    polygon: {
+      type: "Polygon",
+      coordinates: [[[swLng, swLat], [neLng, swLat], [neLng, neLat], [swLng, neLat], [swLng, swLat]]],
+    },
+    center: { lat: (swLat + neLat) / 2, lng: (swLng + neLng) / 2 },
+  };
+}
+
+/**
+ * Great-circle distance in km between two { lat, lng }
+ */
+function distanceKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * A stable point a few hundred metres from the real one. The offset is keyed
+ * on the listing and a server secret, so the same listing always moves the
+ * same way (averaging repeated responses reveals nothing) and the offset
+ * can't be recomputed from the public id.
+ * @param {Object} point - { lat, lng }
+ * @param {string} key - Listing id
+ * @returns {Object} { lat, lng }
+ */
+function approximate(point, key) {
+  const digest = crypto.createHmac("sha256", LOCATION_JITTER_SECRET).update(String(key)).digest();
+  const angle = (digest.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+  const meters = APPROX_MIN_METERS + (digest.readUInt32BE(4) / 0xffffffff) * (APPROX_MAX_METERS - APPROX_MIN_METERS);
+
+  const d = meters / 1000 / EARTH_RADIUS_KM;
+  const lat1 = toRad(point.lat);
+  const lng1 = toRad(point.lng);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(angle));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(angle) * Math.sin(d) * Math.cos(lat1),
+    Math.cos(d) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  const round = (n) => Math.round(n * 10000) / 10000;
+  return { lat: round(toDeg(lat2)), lng: round(((toDeg(lng2) + 540) % 360) - 180) };
+}
+
+/**
+ * GeoJSON point that near / bounds search filters and sorts a listing on:
+ * the real point, or the approximate one when the listing hides its address,
+ * so radius and distance ordering can't narrow down the real position.
+ * @param {Object} listing - { _id, lat, lng, showApprox }
+ * @returns {Object|null} GeoJSON point
+ */
+function searchPoint(listing) {
+  const point = toPoint(listing.lat, listing.lng);
+  if (!point || !listing.showApprox) return point;
+  const approx = approximate({ lat: point.coordinates[1], lng: point.coordinates[0] }, String(listing._id));
+  return { type: "Point", coordinates: [approx.lng, approx.lat] };
+}
+
+module.exports = {
+  toPoint,
+  searchPoint,
+  parseLatLng,
+  parseBounds,
+  distanceKm,
+  approximate,
+  APPROX_MAX_METERS,
+};
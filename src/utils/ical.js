@@ -0,0 +1,355 @@
+// src/utils/ical.js
+// Minimal iCalendar (RFC 5545) writer and VEVENT reader for calendar feeds.
+
+const PRODID = "-//FlexiDesk//Bookings//EN";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Recurring events are expanded at most this many times
+const MAX_RECURRENCES = 500;
+
+/* ===================== WRITING ===================== */
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets (continuation lines start with a space)
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75;
+    if (size + len > limit) {
+      out.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += len;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatUtc(date) {
+  const d = new Date(date);
+  return (
+    `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+  );
+}
+
+function formatDate(isoDate) {
+  return String(isoDate).slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Serialize events into a VCALENDAR document.
+ * Each event: { uid, summary, description?, location?, url?, status?,
+ *               start, end (Date, timed) | startDate, endDate (YYYY-MM-DD, all-day, end exclusive),
+ *               lastModified? }
+ */
+function buildCalendar({ name, events = [], now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const e of events) {
+    lines.push("BEGIN:VEVENT");
+    lines.push(`UID:${e.uid}`);
+    lines.push(`DTSTAMP:${formatUtc(now)}`);
+    if (e.startDate) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(e.startDate)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(e.endDate)}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(e.start)}`);
+      lines.push(`DTEND:${formatUtc(e.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    lines.push(`STATUS:${e.status || "CONFIRMED"}`);
+    if (e.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(e.lastModified)}`);
+    lines.push("TRANSP:OPAQUE");
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/* ===================== READING ===================== */
+
+function unescapeText(value) {
+  return String(value || "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+function unfold(text) {
+  return String(text || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((l) => l.trim() !== "");
+}
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":value
+function parseLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ":" && !inQuotes) break;
+  }
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+
+  const [name, ...rawParams] = head.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq === -1) continue;
+    params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// Offset (ms) of a time zone from UTC at the given instant
+function zoneOffset(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(utcMs));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - utcMs;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * @returns {{ date: Date, allDay: boolean }|null} All-day dates are local midnight.
+ */
+function parseDateValue(value, params = {}) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+
+  if (h === undefined || params.VALUE === "DATE") {
+    return { date: new Date(Number(y), Number(mo) - 1, Number(d)), allDay: true };
+  }
+
+  const wall = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s || 0));
+  if (z) return { date: new Date(wall), allDay: false };
+
+  if (params.TZID) {
+    try {
+      // Two passes settle the offset across DST transitions
+      let utc = wall - zoneOffset(wall, params.TZID);
+      utc = wall - zoneOffset(utc, params.TZID);
+      return { date: new Date(utc), allDay: false };
+    } catch {
+      // Unknown zone name (e.g. Windows zone ids): fall back to floating time
+    }
+  }
+
+  // Floating time: interpret in the server's local zone like booking times
+  return {
+    date: new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s || 0)),
+    allDay: false,
+  };
+}
+
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const [, sign, w, d, h, mi, s] = m;
+  const ms =
+    (Number(w || 0) * 7 + Number(d || 0)) * DAY_MS +
+    (Number(h || 0) * 3600 + Number(mi || 0) * 60 + Number(s || 0)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function parseRrule(value) {
+  const rule = {};
+  for (const part of String(value).split(";")) {
+    const [k, v] = part.split("=");
+    if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+  }
+  return rule;
+}
+
+// Adds calendar days (keeps wall-clock time for local dates across DST)
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Expand DAILY / WEEKLY recurrences (INTERVAL, COUNT, UNTIL, BYDAY, EXDATE).
+ * Other frequencies keep only the first occurrence.
+ */
+function expandRecurrence(event, rrule, exdates, until) {
+  const rule = parseRrule(rrule);
+  const duration = event.end - event.start;
+  const interval = Math.max(1, Number(rule.INTERVAL || 1));
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const untilValue = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+  // A date-only UNTIL includes that whole day
+  const ruleUntil = untilValue
+    ? untilValue.allDay ? new Date(addDays(untilValue.date, 1).getTime() - 1) : untilValue.date
+    : null;
+  const stop = ruleUntil && ruleUntil < until ? ruleUntil : until;
+  const excluded = new Set(exdates.map((d) => d.getTime()));
+
+  if (rule.FREQ !== "DAILY" && rule.FREQ !== "WEEKLY") return [event];
+
+  const days = String(rule.BYDAY || "").split(",").map((d) => WEEKDAYS.indexOf(d.slice(-2))).filter((d) => d >= 0);
+  const byDay = rule.FREQ === "WEEKLY" && days.length ? days : null;
+
+  const out = [];
+  let produced = 0;
+  const weekStart = addDays(event.start, -event.start.getDay());
+
+  for (let step = 0; produced < count && out.length < MAX_RECURRENCES; step++) {
+    const candidates = [];
+    if (rule.FREQ === "DAILY") {
+      candidates.push(addDays(event.start, step * interval));
+    } else if (byDay) {
+      const base = addDays(weekStart, step * 7 * interval);
+      for (const wd of [...byDay].sort()) {
+        const day = addDays(base, wd);
+        day.setHours(event.start.getHours(), event.start.getMinutes(), event.start.getSeconds(), 0);
+        if (day >= event.start) candidates.push(day);
+      }
+    } else {
+      candidates.push(addDays(event.start, step * 7 * interval));
+    }
+
+    if (candidates.length && candidates[0] > stop) break;
+
+    for (const start of candidates) {
+      if (start > stop || produced >= count) break;
+      produced++;
+      if (excluded.has(start.getTime())) continue;
+      out.push({
+        ...event,
+        uid: out.length ? `${event.uid}#${start.toISOString()}` : event.uid,
+        start,
+        end: new Date(start.getTime() + duration),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Read VEVENTs from an iCalendar document.
+ * Cancelled and transparent (free) events are skipped.
+ * @param {string} text - ICS content
+ * @param {Object} options - { until: Date } limit for expanding recurring events
+ * @returns {Array<{ uid, summary, start: Date, end: Date, allDay: boolean }>}
+ */
+function parseCalendar(text, { until = new Date(Date.now() + 366 * DAY_MS) } = {}) {
+  const lines = unfold(text);
+  if (!lines.length || !/^BEGIN:VCALENDAR$/i.test(lines[0].trim())) {
+    throw new Error("Not an iCalendar document");
+  }
+
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    const { name, params, value } = parseLine(line.trim());
+
+    if (name === "BEGIN") {
+      if (value.toUpperCase() === "VEVENT" && !current) {
+        current = { props: {}, exdates: [] };
+        depth = 0;
+      } else if (current) {
+        depth++; // nested component such as VALARM
+      }
+      continue;
+    }
+    if (name === "END") {
+      if (current && depth > 0) {
+        depth--;
+      } else if (current && value.toUpperCase() === "VEVENT") {
+        events.push(...toEvents(current, until));
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth > 0) continue;
+
+    if (name === "EXDATE") {
+      for (const v of value.split(",")) {
+        const parsed = parseDateValue(v, params);
+        if (parsed) current.exdates.push(parsed.date);
+      }
+    } else if (!current.props[name]) {
+      current.props[name] = { params, value };
+    }
+  }
+
+  return events;
+}
+
+function toEvents({ props, exdates }, until) {
+  if (!props.DTSTART) return [];
+  if (String(props.STATUS?.value || "").toUpperCase() === "CANCELLED") return [];
+  if (String(props.TRANSP?.value || "").toUpperCase() === "TRANSPARENT") return [];
+
+  const start = parseDateValue(props.DTSTART.value, props.DTSTART.params);
+  if (!start) return [];
+
+  let end = props.DTEND ? parseDateValue(props.DTEND.value, props.DTEND.params)?.date : null;
+  if (!end && props.DURATION) {
+    const ms = parseDuration(props.DURATION.value);
+    if (ms != null) end = start.allDay && ms % DAY_MS === 0 ? addDays(start.date, ms / DAY_MS) : new Date(start.date.getTime() + ms);
+  }
+  if (!end) end = start.allDay ? addDays(start.date, 1) : new Date(start.date);
+  if (end <= start.date) return [];
+
+  const event = {
+    uid: props.UID?.value || `${formatUtc(start.date)}-${unescapeText(props.SUMMARY?.value)}`,
+    summary: unescapeText(props.SUMMARY?.value) || null,
+    start: start.date,
+    end,
+    allDay: start.allDay,
+  };
+
+  return props.RRULE ? expandRecurrence(event, props.RRULE.value, exdates, until) : [event];
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+};
@@ -48,13 +48,15 @@ if (process.env.NODE_ENV === 'production' && MAIL_HOST) {
   console.log("[MAILER] No SMTP configuration found - emails will not be sent");
 }
 
-async function sendMail({ to, subject, html }) {
+// attachments: nodemailer attachments, e.g. [{ filename, content: Buffer, contentType }]
+async function sendMail({ to, subject, html, attachments }) {
   try {
     await transporter.sendMail({
       from: MAIL_FROM,
       to,
       subject,
       html,
+      attachments,
     });
     return true;
   } catch (err) {
@@ -79,7 +81,7 @@ function fmt(d) {
   }
 }
 
-async function sendBookingConfirmationEmail({ to, user, booking, listing }) {
+async function sendBookingConfirmationEmail({ to, user, booking, listing, invoice }) {
   const fullName =
     user?.name ||
     `${user?.firstName || ""} ${user?.lastName || ""}`.trim() ||
@@ -109,7 +111,9 @@ async function sendBookingConfirmationEmail({ to, user, booking, listing }) {
         Your QR code for entry will be generated and sent
         <b>one day before your check-in date</b>.
       </p>
-
+${invoice ? `
+      <p>Your official receipt <b>${invoice.number}</b> is attached to this email.</p>
+` : ""}
       <p style="margin-top: 24px;">
         Thank you for choosing FlexiDesk!
         <br/>If you have questions, simply reply to this email.
@@ -121,6 +125,9 @@ async function sendBookingConfirmationEmail({ to, user, booking, listing }) {
     to,
     subject: "Your FlexiDesk Booking is Confirmed",
     html,
+    attachments: invoice?.pdf
+      ? [{ filename: `${invoice.number}.pdf`, content: invoice.pdf, contentType: "application/pdf" }]
+      : undefined,
   });
 }
 
@@ -517,6 +524,303 @@ async function sendOwnerReplyNotificationEmail({ to, client, owner, listing, rev
   });
 }
 
+/**
+ * Tell a waitlisted client that their slot opened up
+ */
+async function sendWaitlistOfferEmail({ to, user, entry, listing }) {
+  const clientName = user?.fullName || user?.name || "Guest";
+  const listingName = listing?.venue || listing?.title || "the workspace";
+  const dates =
+    entry.startDate === entry.endDate
+      ? fmt(entry.startDate)
+      : `${fmt(entry.startDate)} – ${fmt(entry.endDate)}`;
+  const times = entry.checkInTime && entry.checkOutTime ? ` (${entry.checkInTime}–${entry.checkOutTime})` : "";
+  const deadline = new Date(entry.offerExpiresAt).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 16px; max-width: 600px; margin: 0 auto;">
+      <h2>A spot opened up at ${listingName}</h2>
+
+      <p>Hi ${clientName},</p>
+
+      <p>
+        Good news! A spot you were waiting for is now available. Other people on the waitlist
+        may have been notified too, so the first to claim it gets it.
+      </p>
+
+      <div style="background-color: #f5f5f5; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        <p><b>Workspace:</b> ${listingName}</p>
+        <p><b>Date:</b> ${dates}${times}</p>
+        <p><b>Guests:</b> ${entry.guests}</p>
+      </div>
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.APP_URL || 'http://localhost:5173'}/app/waitlist/${entry._id}"
+           style="background:#000; color:#fff; padding:12px 24px; text-decoration:none; border-radius:6px; display:inline-block;">
+          Claim this spot
+        </a>
+      </p>
+
+      <p style="color: #666; font-size: 14px;">
+        This offer is open until <b>${deadline}</b>. Once claimed, the spot is held for you briefly while you complete your booking.
+      </p>
+    </div>
+  `;
+
+  return sendMail({
+    to,
+    subject: `A spot opened up at ${listingName}`,
+    html,
+  });
+}
+
+/**
+ * Ask an organization admin to approve a member's booking
+ */
+async function sendOrganizationApprovalRequestEmail({ to, admin, requester, organization, booking, listing }) {
+  const adminName = admin?.fullName || admin?.name || "there";
+  const requesterName = requester?.fullName || requester?.name || requester?.email || "A team member";
+  const listingName = listing?.venue || listing?.title || "a workspace";
+  const dates =
+    booking.startDate === booking.endDate
+      ? fmt(booking.startDate)
+      : `${fmt(booking.startDate)} – ${fmt(booking.endDate)}`;
+  const times = booking.checkInTime && booking.checkOutTime ? ` (${booking.checkInTime}–${booking.checkOutTime})` : "";
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 16px; max-width: 600px; margin: 0 auto;">
+      <h2>Booking approval needed</h2>
+
+      <p>Hi ${adminName},</p>
+
+      <p>
+        <b>${requesterName}</b> wants to book a workspace on behalf of <b>${organization.name}</b>.
+        The amount is above your organization's approval threshold.
+      </p>
+
+      <div style="background-color: #f5f5f5; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        <p><b>Workspace:</b> ${listingName}</p>
+        <p><b>Date:</b> ${dates}${times}</p>
+        <p><b>Guests:</b> ${booking.guests}</p>
+        <p><b>Amount:</b> ${booking.currency || "PHP"} ${Number(booking.amount || 0).toFixed(2)}</p>
+      </div>
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.APP_URL || 'http://localhost:5173'}/app/organizations/${organization._id}/approvals"
+           style="background:#000; color:#fff; padding:12px 24px; text-decoration:none; border-radius:6px; display:inline-block;">
+          Review request
+        </a>
+      </p>
+
+      <p style="color: #666; font-size: 14px;">
+        The slot is held until ${new Date(booking.holdExpiresAt).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" })}.
+        If nobody decides by then, the request lapses.
+      </p>
+    </div>
+  `;
+
+  return sendMail({
+    to,
+    subject: `Approval needed: ${requesterName} – ${listingName}`,
+    html,
+  });
+}
+
+/**
+ * Tell a member whether their organization booking was approved
+ */
+async function sendOrganizationApprovalDecisionEmail({ to, user, organization, booking, listing }) {
+  const clientName = user?.fullName || user?.name || "Guest";
+  const listingName = listing?.venue || listing?.title || "the workspace";
+  const approved = booking.approval?.status === "approved";
+  const dates =
+    booking.startDate === booking.endDate
+      ? fmt(booking.startDate)
+      : `${fmt(booking.startDate)} – ${fmt(booking.endDate)}`;
+
+  const next = approved
+    ? `
+      <p>Complete the payment to confirm your booking:</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${booking.payment?.checkoutUrl || `${process.env.APP_URL || 'http://localhost:5173'}/app/bookings`}"
+           style="background:#000; color:#fff; padding:12px 24px; text-decoration:none; border-radius:6px; display:inline-block;">
+          Pay now
+        </a>
+      </p>`
+    : `
+      <div style="background-color: #fef2f2; padding: 16px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
+        <p style="margin: 0;"><b>Reason:</b> ${booking.approval?.reason || "Not specified"}</p>
+      </div>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 16px; max-width: 600px; margin: 0 auto;">
+      <h2>Booking ${approved ? "approved" : "not approved"}</h2>
+
+      <p>Hi ${clientName},</p>
+
+      <p>
+        Your ${organization.name} booking at <b>${listingName}</b> on ${dates}
+        was ${approved ? "approved" : "declined"} by an organization admin.
+      </p>
+      ${next}
+    </div>
+  `;
+
+  return sendMail({
+    to,
+    subject: `Booking ${approved ? "approved" : "declined"} – ${listingName}`,
+    html,
+  });
+}
+
+/**
+ * Send an organization its consolidated monthly statement
+ */
+async function sendOrganizationStatementEmail({ to, organization, statement }) {
+  const money = (n) => `${statement.currency} ${Number(n || 0).toFixed(2)}`;
+  const memberRows = statement.members
+    .map(
+      (m) => `
+        <tr>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${m.name || m.email || m.userId}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;">${m.bookings}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right;">${money(m.net)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 16px; max-width: 600px; margin: 0 auto;">
+      <h2>${organization.name} – statement for ${statement.period}</h2>
+
+      <div style="background-color: #f5f5f5; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        <p><b>Bookings:</b> ${statement.totals.bookings}</p>
+        <p><b>Charged:</b> ${money(statement.totals.gross)}</p>
+        <p><b>Refunded:</b> ${money(statement.totals.refunded)}</p>
+        <p><b>Net:</b> ${money(statement.totals.net)}</p>
+      </div>
+
+      ${statement.members.length ? `
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+          <tr>
+            <th style="padding: 6px; text-align: left;">Member</th>
+            <th style="padding: 6px; text-align: right;">Bookings</th>
+            <th style="padding: 6px; text-align: right;">Net</th>
+          </tr>
+        </thead>
+        <tbody>${memberRows}</tbody>
+      </table>` : "<p>No paid bookings this month.</p>"}
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.APP_URL || 'http://localhost:5173'}/app/organizations/${organization._id}/statements/${statement.period}"
+           style="background:#000; color:#fff; padding:12px 24px; text-decoration:none; border-radius:6px; display:inline-block;">
+          View full statement
+        </a>
+      </p>
+    </div>
+  `;
+
+  return sendMail({
+    to,
+    subject: `${organization.name} – FlexiDesk statement ${statement.period}`,
+    html,
+  });
+}
+
+/**
+ * Send a bank transfer / cash payment update to the client or owner
+ * event: awaiting | submitted | rejected | expired
+ */
+async function sendManualPaymentEmail({ to, recipient, role, event, client, booking, listing }) {
+  const name = recipient?.fullName || recipient?.name || (role === "owner" ? "Host" : "Guest");
+  const listingName = listing?.venue || listing?.title || "the workspace";
+  const settings = listing?.manualPayment || {};
+  const isCash = booking.provider === "cash";
+  const amount = `${booking.currency || "PHP"} ${Number(booking.amount || 0).toFixed(2)}`;
+  const deadline = booking.holdExpiresAt
+    ? new Date(booking.holdExpiresAt).toLocaleString("en-US", { dateStyle: "long", timeStyle: "short" })
+    : null;
+  const dates =
+    booking.startDate === booking.endDate
+      ? fmt(booking.startDate)
+      : `${fmt(booking.startDate)} – ${fmt(booking.endDate)}`;
+  const appUrl = process.env.APP_URL || "http://localhost:5173";
+
+  const bankDetails = isCash
+    ? `<p>Please pay <b>${amount}</b> in cash when you arrive. Your host confirms the payment at the venue.</p>`
+    : `
+      <div style="background-color: #f3f4f6; padding: 16px; border-radius: 8px; margin: 20px 0;">
+        <p style="margin: 0 0 8px 0;"><b>Amount:</b> ${amount}</p>
+        <p style="margin: 0 0 8px 0;"><b>Bank:</b> ${settings.bankName || "-"}</p>
+        <p style="margin: 0 0 8px 0;"><b>Account name:</b> ${settings.accountName || "-"}</p>
+        <p style="margin: 0;"><b>Account number:</b> ${settings.accountNumber || "-"}</p>
+      </div>
+      <p>After paying, upload a photo or PDF of your receipt from your booking page${deadline ? ` before <b>${deadline}</b>` : ""}.</p>`;
+  const ownerNotes = settings.instructions ? `<p><b>Notes from your host:</b> ${settings.instructions}</p>` : "";
+
+  const content = {
+    awaiting: {
+      subject: `Complete your payment – ${listingName}`,
+      title: isCash ? "Pay at the venue" : "Complete your bank transfer",
+      body: `
+        <p>Your booking at <b>${listingName}</b> on ${dates} is reserved until the payment is confirmed.</p>
+        ${bankDetails}
+        ${ownerNotes}
+        ${deadline && !isCash ? "<p>Unpaid bookings are cancelled automatically after the deadline.</p>" : ""}`,
+    },
+    submitted: {
+      subject: `Proof of payment to review – ${listingName}`,
+      title: "A client uploaded a proof of payment",
+      body: `
+        <p>${client?.fullName || client?.name || "Your client"} uploaded a bank transfer receipt of <b>${amount}</b>
+          for <b>${listingName}</b> on ${dates}${booking.manualPayment?.reference ? ` (reference ${booking.manualPayment.reference})` : ""}.</p>
+        <p>Check that the money arrived, then confirm or reject the payment${deadline ? ` before <b>${deadline}</b>` : ""}.</p>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${appUrl}/owner/bookings/${booking._id}"
+             style="background:#000; color:#fff; padding:12px 24px; text-decoration:none; border-radius:6px; display:inline-block;">
+            Review payment
+          </a>
+        </p>`,
+    },
+    rejected: {
+      subject: `Payment not confirmed – ${listingName}`,
+      title: "Your proof of payment was not accepted",
+      body: `
+        <div style="background-color: #fef2f2; padding: 16px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ef4444;">
+          <p style="margin: 0;"><b>Reason:</b> ${booking.manualPayment?.rejectionReason || "Not specified"}</p>
+        </div>
+        <p>Your booking at <b>${listingName}</b> on ${dates} is still reserved.</p>
+        ${bankDetails}`,
+    },
+    expired: {
+      subject: `Booking cancelled: payment not received – ${listingName}`,
+      title: "Booking cancelled",
+      body: role === "owner"
+        ? `<p>The ${isCash ? "cash" : "bank transfer"} booking at <b>${listingName}</b> on ${dates} was not confirmed as paid
+             in time and has been cancelled. The slot is open again.</p>`
+        : `<p>We did not receive a confirmed payment for your booking at <b>${listingName}</b> on ${dates} in time,
+             so it has been cancelled. You can book again if the slot is still free.</p>`,
+    },
+  }[event];
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; padding: 16px; max-width: 600px; margin: 0 auto;">
+      <h2>${content.title}</h2>
+
+      <p>Hi ${name},</p>
+      ${content.body}
+    </div>
+  `;
+
+  return sendMail({ to, subject: content.subject, html });
+}
+
 module.exports = {
   sendMail,
   sendBookingConfirmationEmail,
@@ -533,6 +837,11 @@ module.exports = {
   sendFlagResolutionEmail,
   sendReviewHiddenEmail,
   sendReviewDeletedEmail,
+  sendWaitlistOfferEmail,
+  sendOrganizationApprovalRequestEmail,
+  sendOrganizationApprovalDecisionEmail,
+  sendOrganizationStatementEmail,
+  sendManualPaymentEmail,
 };
 
 /**
@@ -0,0 +1,105 @@
+// src/utils/pdf.js
+
+/**
+ * Minimal PDF writer for text documents such as statements and receipts.
+ * Lines are set in Courier so columns can be aligned with padding; there
+ * are no images or vector graphics. Characters outside Latin-1 print as "?".
+ */
+
+const PAGE_WIDTH = 595; // A4, in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const DEFAULT_SIZE = 9;
+
+// Characters per line at the default size (Courier glyphs are 0.6em wide)
+const LINE_CHARS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (DEFAULT_SIZE * 0.6));
+
+function escapeText(text) {
+  return String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+}
+
+/**
+ * Render lines of text to a PDF
+ * @param {Array} lines - Strings, or { text, bold, size } objects; "" for a blank line
+ * @param {Object} options - { title }
+ * @returns {Buffer} PDF file
+ */
+function renderTextPdf(lines, { title } = {}) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const raw of lines) {
+    const line = typeof raw === "string" ? { text: raw } : raw || {};
+    const size = line.size || DEFAULT_SIZE;
+    const leading = size * 1.4;
+
+    if (y - leading < MARGIN) {
+      pages.push(ops);
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= leading;
+
+    if (line.text) {
+      ops.push(`BT /${line.bold ? "F2" : "F1"} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapeText(line.text)}) Tj ET`);
+    }
+  }
+  pages.push(ops);
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and a content stream per page
+  const objects = [];
+  const pageRefs = pages.map((_, i) => `${6 + i * 2} 0 R`);
+
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${pageRefs.join(" ")}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>");
+  objects.push(`<< /Title (${escapeText(title || "Document")}) /Producer (FlexiDesk) >>`);
+
+  pages.forEach((pageOps, i) => {
+    const stream = pageOps.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(Buffer.byteLength(body, "latin1"));
+    body += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  });
+
+  const xrefAt = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+}
+
+/**
+ * Lay out a row of fixed-width columns
+ * @param {Array} cells - [{ text, width, align: "left" | "right" }]
+ * @returns {string} Padded line
+ */
+function columns(cells) {
+  return cells
+    .map(({ text, width, align }) => {
+      const value = String(text ?? "");
+      const cut = value.length > width ? `${value.slice(0, width - 1)}~` : value;
+      return align === "right" ? cut.padStart(width) : cut.padEnd(width);
+    })
+    .join(" ");
+}
+
+module.exports = {
+  LINE_CHARS,
+  renderTextPdf,
+  columns,
+};
@@ -1,35 +1,93 @@
 // src/utils/qrToken.js
 const crypto = require("crypto");
 
+const QR_SECRET = process.env.QR_SECRET || process.env.JWT_SECRET || "dev_qr_secret_change_me";
+const QR_GRACE_MINUTES = Number(process.env.QR_GRACE_MINUTES || 120);
+const QR_VERSION = "FD2";
+
+function qrError(message, statusCode = 422) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
 /**
- * Build a stable payload from the booking we want to embed in the QR.
- * Keep it short but unique enough: bookingId + listingId.
+ * When the booking window ends: endDate at checkOutTime, or end of day
+ * for all-day bookings.
  */
-function buildQrPayload(booking) {
-  const bookingId = booking._id.toString();
-  const listingId = booking.listing.toString();
-  return `FD:${bookingId}:${listingId}`;
+function bookingWindowEnd(booking) {
+  const time = /^\d{2}:\d{2}$/.test(String(booking.checkOutTime || "")) ? booking.checkOutTime : "23:59";
+  return new Date(`${booking.endDate || booking.startDate}T${time}:00`);
+}
+
+/**
+ * Tokens stay valid until the booking window ends plus a grace period
+ * (QR_GRACE_MINUTES) so late check-outs can still be scanned.
+ */
+function qrTokenExpiry(booking) {
+  return new Date(bookingWindowEnd(booking).getTime() + QR_GRACE_MINUTES * 60 * 1000);
 }
 
 /**
- * Create a signed hash so tokens can't be forged easily.
- * Uses a secret salt from env (fallback to empty string).
+ * Payload embedded in the QR: bookingId + listingId + expiry (unix seconds, base36).
  */
+function buildQrPayload(booking) {
+  const bookingId = booking._id.toString();
+  const listingId = String(booking.listingId?._id || booking.listingId || "");
+  const exp = Math.floor(qrTokenExpiry(booking).getTime() / 1000).toString(36);
+  return `${QR_VERSION}:${bookingId}:${listingId}:${exp}`;
+}
+
 function signPayload(payload) {
-  const secret = process.env.QR_SECRET || "";
-  return crypto.createHash("sha256").update(payload + secret).digest("hex");
+  return crypto.createHmac("sha256", QR_SECRET).update(payload).digest("base64url");
 }
 
 /**
  * Final token that the app will encode into the QR.
- * Example: FD:<bookingId>:<listingId>:<sha256>
+ * Example: FD2:<bookingId>:<listingId>:<exp>:<hmac>
  */
 function generateQrToken(booking) {
   const payload = buildQrPayload(booking);
-  const sig = signPayload(payload);
-  return `${payload}:${sig}`;
+  return `${payload}:${signPayload(payload)}`;
+}
+
+/**
+ * Whether a stored token uses the current signed format
+ * (older bookings carry unkeyed sha256 tokens that cannot be verified).
+ */
+function isCurrentQrToken(token) {
+  return typeof token === "string" && token.startsWith(`${QR_VERSION}:`);
+}
+
+/**
+ * Check a scanned token's signature and expiry.
+ * @returns {{ bookingId: string, listingId: string, expiresAt: Date }}
+ * @throws {Error} statusCode 422 (malformed / bad signature) or 410 (expired)
+ */
+function verifyQrToken(token, now = new Date()) {
+  const parts = String(token || "").trim().split(":");
+  if (parts.length !== 5 || parts[0] !== QR_VERSION) {
+    throw qrError("Unrecognized QR code");
+  }
+
+  const [, bookingId, listingId, exp, sig] = parts;
+  const expected = Buffer.from(signPayload(parts.slice(0, 4).join(":")));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw qrError("Invalid QR code signature");
+  }
+
+  const expiresAt = new Date(parseInt(exp, 36) * 1000);
+  if (!(expiresAt > now)) {
+    throw qrError("This QR code has expired", 410);
+  }
+
+  return { bookingId, listingId, expiresAt };
 }
 
 module.exports = {
   generateQrToken,
+  verifyQrToken,
+  isCurrentQrToken,
+  qrTokenExpiry,
 };
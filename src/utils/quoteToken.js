@@ -0,0 +1,27 @@
+// src/utils/quoteToken.js
+const jwt = require("jsonwebtoken");
+
+const QUOTE_SECRET = process.env.QUOTE_SECRET || process.env.JWT_SECRET || "dev_quote_secret_change_me";
+const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES || 15);
+
+/**
+ * Sign a short-lived price quote. The payload carries the booking
+ * parameters and the server-computed total so checkout can verify both.
+ */
+function signQuoteToken(payload) {
+  return jwt.sign({ typ: "quote", ...payload }, QUOTE_SECRET, {
+    expiresIn: `${QUOTE_TTL_MINUTES}m`,
+  });
+}
+
+function verifyQuoteToken(token) {
+  const decoded = jwt.verify(token, QUOTE_SECRET);
+  if (decoded?.typ !== "quote") throw new Error("Not a quote token");
+  return decoded;
+}
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  signQuoteToken,
+  verifyQuoteToken,
+};
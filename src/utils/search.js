@@ -0,0 +1,84 @@
+// src/utils/search.js
+
+// Relevance weights of the listing text index (see Listing model), also used
+// to score regex matches so both kinds of search rank the same way
+const TEXT_WEIGHTS = {
+  title: 10,
+  venue: 10,
+  city: 6,
+  amenities: 4,
+  accessibility: 4,
+  industries: 4,
+  shortDesc: 3,
+  longDesc: 1,
+};
+
+// Words shorter than this must be typed exactly, even in fuzzy searches
+const FUZZY_MIN_LENGTH = 4;
+const MAX_TERMS = 8;
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split a search box value into lowercase words (punctuation dropped)
+ * @returns {string[]} Unique words, at most MAX_TERMS
+ */
+function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length > 1);
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Regex source matching `term` with at most one typo: a wrong, missing or
+ * extra letter, or two neighbouring letters swapped
+ * @param {string} term - A word from tokenize()
+ * @returns {string} Regex source (use case-insensitively)
+ */
+function fuzzyPattern(term) {
+  const chars = [...term];
+  if (chars.length < FUZZY_MIN_LENGTH) return escapeRegex(term);
+
+  const esc = chars.map(escapeRegex);
+  const join = (parts) => parts.join("");
+  const variants = new Set();
+  for (let i = 0; i <= esc.length; i++) {
+    variants.add(join([...esc.slice(0, i), ".", ...esc.slice(i)])); // letter missed
+    if (i === esc.length) break;
+    variants.add(join([...esc.slice(0, i), ".", ...esc.slice(i + 1)])); // wrong letter
+    variants.add(join([...esc.slice(0, i), ...esc.slice(i + 1)])); // extra letter typed
+    if (i < esc.length - 1) {
+      variants.add(join([...esc.slice(0, i), esc[i + 1], esc[i], ...esc.slice(i + 2)])); // swapped
+    }
+  }
+  return `(?:${[...variants].join("|")})`;
+}
+
+/**
+ * Names of the amenities offered, from a legacy { name: true|false } map
+ * or a plain list of names
+ * @returns {string[]}
+ */
+function amenityKeys(amenities) {
+  if (Array.isArray(amenities)) {
+    return [...new Set(amenities.map((a) => String(a).trim()).filter(Boolean))];
+  }
+  if (!amenities || typeof amenities !== "object") return [];
+  return Object.keys(amenities).filter((k) => {
+    const v = amenities[k];
+    return v !== false && v !== null && v !== undefined && v !== "" && v !== 0 && v !== "false";
+  });
+}
+
+module.exports = {
+  TEXT_WEIGHTS,
+  FUZZY_MIN_LENGTH,
+  escapeRegex,
+  tokenize,
+  fuzzyPattern,
+  amenityKeys,
+};
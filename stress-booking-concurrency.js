@@ -0,0 +1,164 @@
+/**
+ * Stress test for concurrency-safe booking creation
+ *
+ * Fires many reservations for the same listing/slot in parallel through
+ * BookingReservationService (the critical section of createBookingIntent and
+ * recurring series creation) and checks that nothing is oversold.
+ *
+ * Needs a local MongoDB running as a replica set (transactions), e.g.
+ *   mongod --replSet rs0 --dbpath /tmp/rs0 && mongosh --eval "rs.initiate()"
+ *
+ * Run with: node stress-booking-concurrency.js
+ * Options:  STRESS_MONGODB_URI (default mongodb://127.0.0.1:27017/flexidesk_stress?replicaSet=rs0)
+ *           STRESS_PARALLEL    (default 25 requests per scenario)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Booking = require('./src/models/Booking');
+const Listing = require('./src/models/Listing');
+const ListingDayLock = require('./src/models/ListingDayLock');
+const BookingReservationService = require('./src/services/BookingReservationService');
+
+const MONGODB_URI =
+  process.env.STRESS_MONGODB_URI || 'mongodb://127.0.0.1:27017/flexidesk_stress?replicaSet=rs0';
+const PARALLEL = Number(process.env.STRESS_PARALLEL || 25);
+const DAY = '2030-01-15';
+
+let passed = 0;
+let failed = 0;
+
+function report(name, ok, detail) {
+  if (ok) {
+    console.log(`✓ ${name} (${detail})`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED (${detail})`);
+    failed++;
+  }
+}
+
+function bookingDoc(listing, overrides = {}) {
+  return {
+    userId: new mongoose.Types.ObjectId(),
+    ownerId: listing.owner,
+    listingId: listing._id,
+    startDate: DAY,
+    endDate: DAY,
+    nights: 1,
+    guests: 1,
+    currency: 'PHP',
+    amount: 100,
+    status: 'pending_payment',
+    holdExpiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    checkInTime: '09:00',
+    checkOutTime: '12:00',
+    ...overrides,
+  };
+}
+
+async function fire(listing, docs) {
+  const results = await Promise.allSettled(docs.map((doc) => BookingReservationService.reserve(listing, [doc])));
+  const errors = results.filter((r) => r.status === 'rejected');
+  errors.slice(0, 3).forEach((e) => console.log('  error:', e.reason?.message));
+  return {
+    created: results.filter((r) => r.status === 'fulfilled' && r.value.bookings).length,
+    rejected: results.filter((r) => r.status === 'fulfilled' && r.value.conflict).length,
+    errors: errors.length,
+  };
+}
+
+async function runStressTest() {
+  const listings = [];
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log(`✓ Connected to ${MONGODB_URI}`);
+
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName) {
+      console.log('✗ MongoDB is not running as a replica set; transactions are unavailable.');
+      process.exit(1);
+    }
+
+    await Promise.all([Booking.init(), ListingDayLock.init()]);
+    console.log(`  ${PARALLEL} parallel requests per scenario\n`);
+
+    const owner = new mongoose.Types.ObjectId();
+    const seatListing = (await Listing.create({
+      owner, title: 'Stress hot desk', status: 'active', seats: 4, priceSeatHour: 100,
+    })).toObject();
+    const roomListing = (await Listing.create({
+      owner, title: 'Stress meeting room', status: 'active', seats: 1, priceRoomHour: 500,
+    })).toObject();
+    listings.push(seatListing._id, roomListing._id);
+
+    // 1. Seat-based: 4 seats, everyone wants 1 seat for the same slot
+    let r = await fire(seatListing, Array.from({ length: PARALLEL }, () => bookingDoc(seatListing)));
+    report('Seat-based listing sells exactly its 4 seats', r.created === 4 && r.errors === 0,
+      `created ${r.created}, rejected ${r.rejected}, errors ${r.errors}`);
+
+    // 2. Seat-based, 2 guests each on an overlapping slot: the 4 seats above are gone
+    r = await fire(seatListing, Array.from({ length: PARALLEL }, () =>
+      bookingDoc(seatListing, { guests: 2, checkInTime: '11:00', checkOutTime: '13:00' })));
+    report('Full seat-based slot rejects overlapping groups', r.created === 0 && r.errors === 0,
+      `created ${r.created}, rejected ${r.rejected}, errors ${r.errors}`);
+
+    // 3. Seat-based, 2 guests each on a free afternoon slot: two groups fit
+    r = await fire(seatListing, Array.from({ length: PARALLEL }, () =>
+      bookingDoc(seatListing, { guests: 2, checkInTime: '14:00', checkOutTime: '16:00' })));
+    report('Groups fill a free slot without oversell', r.created === 2 && r.errors === 0,
+      `created ${r.created}, rejected ${r.rejected}, errors ${r.errors}`);
+
+    // 4. Whole space: only one booking per slot regardless of guests
+    r = await fire(roomListing, Array.from({ length: PARALLEL }, () => bookingDoc(roomListing, { guests: 3 })));
+    report('Whole-space listing is booked once', r.created === 1 && r.errors === 0,
+      `created ${r.created}, rejected ${r.rejected}, errors ${r.errors}`);
+
+    // 5. Whole space: staggered hourly windows, only non-overlapping ones may win
+    const windows = ['13:00-15:00', '14:00-16:00', '15:00-17:00', '16:00-18:00'];
+    r = await fire(roomListing, Array.from({ length: PARALLEL }, (_, i) => {
+      const [checkInTime, checkOutTime] = windows[i % windows.length].split('-');
+      return bookingDoc(roomListing, { checkInTime, checkOutTime });
+    }));
+    const stored = await Booking.find({ listingId: roomListing._id, checkInTime: { $gte: '13:00' } })
+      .sort({ checkInTime: 1 })
+      .lean();
+    const clash = stored.some((b, i) => i > 0 && stored[i - 1].checkOutTime > b.checkInTime);
+    report('Staggered windows never overlap', !clash && r.errors === 0 && r.created >= 2,
+      `kept ${stored.map((b) => `${b.checkInTime}-${b.checkOutTime}`).join(', ')}`);
+
+    // 6. Multi-day requests crossing the same days as single-day requests
+    const nextDay = '2030-01-16';
+    r = await fire(roomListing, Array.from({ length: PARALLEL }, (_, i) =>
+      i % 2
+        ? bookingDoc(roomListing, { startDate: nextDay, endDate: '2030-01-17', checkInTime: null, checkOutTime: null })
+        : bookingDoc(roomListing, { startDate: nextDay, endDate: nextDay, checkInTime: '10:00', checkOutTime: '11:00' })));
+    report('Multi-day and single-day requests on shared days', r.created === 1 && r.errors === 0,
+      `created ${r.created}, rejected ${r.rejected}, errors ${r.errors}`);
+
+    // Final audit: seat usage per slot never exceeds capacity
+    const seatBookings = await Booking.find({ listingId: seatListing._id }).lean();
+    const used = (from, to) => seatBookings
+      .filter((b) => b.checkInTime < to && from < b.checkOutTime)
+      .reduce((sum, b) => sum + (b.guests || 1), 0);
+    const maxUsed = Math.max(used('09:00', '10:00'), used('11:00', '12:00'), used('14:00', '15:00'));
+    report('Audit: no seat slot above capacity', maxUsed <= seatListing.seats,
+      `max ${maxUsed} of ${seatListing.seats} seats`);
+  } catch (error) {
+    console.error('✗ Stress test error:', error);
+    failed++;
+  } finally {
+    if (listings.length) {
+      await Booking.deleteMany({ listingId: { $in: listings } });
+      await ListingDayLock.deleteMany({ listingId: { $in: listings } });
+      await Listing.deleteMany({ _id: { $in: listings } });
+    }
+    await mongoose.disconnect();
+  }
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+runStressTest();
@@ -0,0 +1,128 @@
+/**
+ * Unit Test for the amenity catalog
+ *
+ * Tests key normalization, listing amenity validation and the search
+ * conditions for amenity filters, without a database
+ * Run with: node test-amenity-catalog.js
+ */
+
+const AmenityCatalogService = require('./src/services/AmenityCatalogService');
+const { DEFAULT_AMENITIES } = require('./src/services/AmenityCatalogService');
+
+console.log('=== Amenity Catalog - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+async function rejectsWith(name, promise, statusCode) {
+  try {
+    await promise;
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (err) {
+    check(name, err.statusCode, statusCode);
+  }
+}
+
+// The catalog as loaded from the database, with one archived entry
+AmenityCatalogService._cache = {
+  at: Date.now(),
+  entries: [
+    ...DEFAULT_AMENITIES.map((e) => ({ kind: 'amenity', status: 'active', ...e })),
+    { key: 'fax', kind: 'amenity', label: 'Fax', category: 'facilities', status: 'archived' },
+  ],
+};
+
+async function run() {
+  console.log('--- Keys ---');
+
+  check('camelCase names become keys', AmenityCatalogService.normalizeKey('standingDesk'), 'standing-desk');
+  check('Spaced names become keys', AmenityCatalogService.normalizeKey(' Standing desk '), 'standing-desk');
+  check('Underscored names become keys', AmenityCatalogService.normalizeKey('phone_booth'), 'phone-booth');
+  check('Symbols are dropped', AmenityCatalogService.normalizeKey('Wi-Fi!'), 'wi-fi');
+  check('Empty names give no key', AmenityCatalogService.normalizeKey('  '), '');
+  check('Default keys are already normalized',
+    DEFAULT_AMENITIES.every((e) => AmenityCatalogService.normalizeKey(e.key) === e.key), true);
+  await rejectsWith('Keys must be hyphenated words',
+    AmenityCatalogService.create('admin', { key: 'Standing Desk', label: 'Standing desks', category: 'workspace' }), 422);
+  await rejectsWith('Kind must be known',
+    AmenityCatalogService.create('admin', { key: 'sauna', kind: 'spa', label: 'Sauna', category: 'comfort' }), 422);
+
+  console.log('\n--- Listing validation ---');
+
+  let out = await AmenityCatalogService.validateListingFeatures({
+    amenities: ['wifi', 'standingDesk', 'wifi'],
+    accessibility: 'wheelchair-access, elevator',
+    wifiMbps: '100',
+  });
+  check('Amenity names are normalized and deduplicated', out.amenities.join(','), 'wifi,standing-desk');
+  check('Comma-separated accessibility is accepted', out.accessibility.join(','), 'wheelchair-access,elevator');
+  check('wifiMbps becomes a number', out.wifiMbps, 100);
+
+  out = await AmenityCatalogService.validateListingFeatures({ amenities: { wifi: true, ac: false, coffee: true } });
+  check('Legacy maps keep the offered amenities', out.amenities.join(','), 'wifi,coffee');
+
+  out = await AmenityCatalogService.validateListingFeatures({ venue: 'Desk Hub', outletsPerSeat: '' });
+  check('Untouched fields are left out', 'amenities' in out || 'accessibility' in out, false);
+  check('An empty number clears it', out.outletsPerSeat, null);
+
+  await rejectsWith('Unknown amenities are rejected',
+    AmenityCatalogService.validateListingFeatures({ amenities: ['wifi', 'jacuzzi'] }), 422);
+  await rejectsWith('Accessibility keys are rejected in amenities',
+    AmenityCatalogService.validateListingFeatures({ amenities: ['elevator'] }), 422);
+  await rejectsWith('Negative wifi speeds are rejected',
+    AmenityCatalogService.validateListingFeatures({ wifiMbps: -5 }), 422);
+  await rejectsWith('Archived amenities cannot be added',
+    AmenityCatalogService.validateListingFeatures({ amenities: ['fax'] }, { amenities: ['wifi'] }), 422);
+  out = await AmenityCatalogService.validateListingFeatures({ amenities: ['fax', 'wifi'] }, { amenities: ['fax'] });
+  check('Archived amenities stay on listings that have them', out.amenities.join(','), 'fax,wifi');
+
+  console.log('\n--- Search filters ---');
+
+  const conditions = await AmenityCatalogService.searchFilters({
+    amenities: 'standing-desk',
+    minWifiMbps: '100',
+    accessibility: 'wheelchair-access',
+  });
+  const find = (field) => conditions.find((c) => c[field]);
+  check('Every picked amenity is required', find('amenities').amenities.$all.join(','), 'standing-desk');
+  check('Accessibility is filtered on its own field', find('accessibility').accessibility.$all.join(','), 'wheelchair-access');
+  check('Minimum wifi speed', find('wifiMbps').wifiMbps.$gte, 100);
+  check('Each condition is on its own field', new Set(conditions.map((c) => Object.keys(c)[0])).size, conditions.length);
+  check('No filters give no conditions', (await AmenityCatalogService.searchFilters({})).length, 0);
+  check('Repeated parameters are accepted',
+    (await AmenityCatalogService.searchFilters({ amenities: ['wifi', 'Coffee'] }))[0].amenities.$all.join(','), 'wifi,coffee');
+  await rejectsWith('Unknown amenity filters are rejected',
+    AmenityCatalogService.searchFilters({ amenities: 'jacuzzi' }), 400);
+  await rejectsWith('Amenity keys are rejected as accessibility filters',
+    AmenityCatalogService.searchFilters({ accessibility: 'wifi' }), 400);
+  await rejectsWith('Text speeds are rejected',
+    AmenityCatalogService.searchFilters({ minWifiMbps: 'fast' }), 400);
+}
+
+run()
+  .catch((err) => {
+    console.log(`✗ Unexpected error: ${err.message}`);
+    failed++;
+  })
+  .finally(() => {
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+    if (failed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n✗ ${failed} test(s) failed`);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,162 @@
+/**
+ * Unit Test for AvailabilityManager
+ *
+ * Tests opening hours, special hours and blackout evaluation without a database
+ * Run with: node test-availability-calendar.js
+ */
+
+const AvailabilityManager = require('./src/services/AvailabilityManager');
+const { parseLegacyHours } = require('./src/services/AvailabilityManager');
+
+console.log('=== AvailabilityManager - Unit Tests ===\n');
+
+// 2026-03-01 is a Sunday
+const listing = {
+  availability: {
+    weeklySchedule: [
+      { day: 1, open: '08:00', close: '20:00' },
+      { day: 2, open: '08:00', close: '20:00' },
+      { day: 3, open: '08:00', close: '20:00' },
+      { day: 4, open: '08:00', close: '20:00' },
+      { day: 5, open: '08:00', close: '18:00' },
+      { day: 6, open: '10:00', close: '16:00' },
+      { day: 0, closed: true },
+    ],
+    specialHours: [{ date: '2026-03-05', open: '12:00', close: '17:00', note: 'Staff training' }],
+    blackouts: [{ startDate: '2026-03-10', endDate: '2026-03-11', reason: 'Maintenance' }],
+  },
+};
+
+const legacyListing = {
+  openingHoursWeekdays: '9:00 AM - 6:00 PM',
+  openingHoursWeekends: 'Closed',
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn, expected) {
+  try {
+    const actual = fn();
+    const ok = JSON.stringify(actual) === JSON.stringify(expected);
+    if (ok) {
+      console.log(`✓ ${name}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED`);
+      console.log('  Expected:', expected);
+      console.log('  Got:', actual);
+      failed++;
+    }
+  } catch (e) {
+    console.log(`✗ ${name} FAILED with error: ${e.message}`);
+    failed++;
+  }
+}
+
+const conflict = (w, l = listing) => {
+  const c = AvailabilityManager.checkWindow(l, w);
+  return c ? { reason: c.reason, date: c.date } : null;
+};
+
+console.log('--- Opening hours ---');
+
+check('Weekday inside hours is bookable',
+  () => conflict({ startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '09:00', checkOutTime: '12:00' }),
+  null);
+
+check('3 AM slot is outside hours',
+  () => conflict({ startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '03:00', checkOutTime: '05:00' }),
+  { reason: 'outside_hours', date: '2026-03-03' });
+
+check('Slot running past closing is rejected',
+  () => conflict({ startDate: '2026-03-06', endDate: '2026-03-06', checkInTime: '16:00', checkOutTime: '19:00' }),
+  { reason: 'outside_hours', date: '2026-03-06' });
+
+check('Closed weekday is rejected',
+  () => conflict({ startDate: '2026-03-08', endDate: '2026-03-08' }),
+  { reason: 'closed', date: '2026-03-08' });
+
+check('All-day multi-day booking spanning Sunday is rejected',
+  () => conflict({ startDate: '2026-03-07', endDate: '2026-03-09' }),
+  { reason: 'closed', date: '2026-03-08' });
+
+console.log('\n--- Special hours and blackouts ---');
+
+check('Special hours override weekly schedule',
+  () => conflict({ startDate: '2026-03-05', endDate: '2026-03-05', checkInTime: '09:00', checkOutTime: '11:00' }),
+  { reason: 'outside_hours', date: '2026-03-05' });
+
+check('Blackout blocks the day',
+  () => conflict({ startDate: '2026-03-11', endDate: '2026-03-11', checkInTime: '09:00', checkOutTime: '11:00' }),
+  { reason: 'blackout', date: '2026-03-11' });
+
+check('Closed dates in range',
+  () => AvailabilityManager.closedDates(listing, '2026-03-08', '2026-03-15'),
+  ['2026-03-08', '2026-03-10', '2026-03-11', '2026-03-15']);
+
+check('Slots are trimmed to opening hours',
+  () => AvailabilityManager.filterSlots(listing, '2026-03-07', [
+    { start: '09:00', end: '11:00' },
+    { start: '11:00', end: '13:00' },
+    { start: '15:00', end: '17:00' },
+  ]),
+  [{ start: '11:00', end: '13:00' }]);
+
+console.log('\n--- Legacy free-text hours ---');
+
+check('Parses "9:00 AM - 6:00 PM"',
+  () => parseLegacyHours('9:00 AM - 6:00 PM'),
+  { closed: false, open: '09:00', close: '18:00' });
+
+check('Parses "08:00-22:00"',
+  () => parseLegacyHours('08:00-22:00'),
+  { closed: false, open: '08:00', close: '22:00' });
+
+check('Unparseable text is ignored',
+  () => parseLegacyHours('Ask the front desk'),
+  null);
+
+check('Legacy weekday hours are enforced',
+  () => conflict({ startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '19:00', checkOutTime: '21:00' }, legacyListing),
+  { reason: 'outside_hours', date: '2026-03-03' });
+
+check('Legacy closed weekend',
+  () => conflict({ startDate: '2026-03-07', endDate: '2026-03-07' }, legacyListing),
+  { reason: 'closed', date: '2026-03-07' });
+
+check('No calendar means always open',
+  () => conflict({ startDate: '2026-03-08', endDate: '2026-03-08', checkInTime: '03:00', checkOutTime: '05:00' }, {}),
+  null);
+
+console.log('\n--- Validation ---');
+
+check('Valid calendar passes',
+  () => AvailabilityManager.validateAvailability(listing.availability).valid,
+  true);
+
+check('Close before open fails',
+  () => AvailabilityManager.validateAvailability({ weeklySchedule: [{ day: 1, open: '18:00', close: '09:00' }] }).valid,
+  false);
+
+check('Duplicate weekday fails',
+  () => AvailabilityManager.validateAvailability({
+    weeklySchedule: [{ day: 1, closed: true }, { day: 1, open: '09:00', close: '17:00' }],
+  }).valid,
+  false);
+
+check('Reversed blackout fails',
+  () => AvailabilityManager.validateAvailability({
+    blackouts: [{ startDate: '2026-03-12', endDate: '2026-03-10' }],
+  }).valid,
+  false);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,226 @@
+/**
+ * Unit Test for BookingRescheduleService
+ *
+ * Tests reschedule policy resolution/validation, the checks that reject a
+ * reschedule before availability is looked up and refunds of reschedules that
+ * can't be applied, without a database
+ * Run with: node test-booking-reschedule.js
+ */
+
+const PolicyManager = require('./src/services/PolicyManager');
+const BookingRescheduleService = require('./src/services/BookingRescheduleService');
+const PaymentGatewayService = require('./src/services/PaymentGatewayService');
+const BookingReschedule = require('./src/models/BookingReschedule');
+const Booking = require('./src/models/Booking');
+const Listing = require('./src/models/Listing');
+
+console.log('=== BookingRescheduleService - Unit Tests ===\n');
+
+const now = new Date('2026-03-01T09:00:00');
+
+const listing = {
+  _id: '64b000000000000000000001',
+  currency: 'PHP',
+  seats: 10,
+  priceSeatHour: 100,
+  priceSeatDay: 500,
+  serviceFee: 50,
+  reschedulePolicy: { allowReschedule: true, minHoursBeforeStart: 24, maxReschedules: 2, changeFee: 100 },
+  availability: {
+    blackouts: [{ startDate: '2026-03-20', endDate: '2026-03-21', reason: 'Renovation' }],
+  },
+};
+
+const booking = {
+  _id: '64b0000000000000000000b1',
+  listingId: listing._id,
+  status: 'paid',
+  currency: 'PHP',
+  amount: 650,
+  startDate: '2026-03-10',
+  endDate: '2026-03-10',
+  checkInTime: '09:00',
+  checkOutTime: '12:00',
+  guests: 2,
+  rescheduleCount: 0,
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  const ok = Object.keys(expected).every((k) => actual[k] === expected[k]);
+  if (ok) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED`);
+    console.log('  Expected:', expected);
+    console.log('  Got:', Object.fromEntries(Object.keys(expected).map((k) => [k, actual[k]])));
+    failed++;
+  }
+}
+
+async function checkRejects(name, fn, statusCode) {
+  try {
+    await fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+async function run() {
+  console.log('--- Policy ---');
+
+  check('Listing without a policy gets the defaults',
+    PolicyManager.resolveReschedulePolicy({}),
+    { allowReschedule: false, minHoursBeforeStart: 24, maxReschedules: 2, changeFee: 0, refundPriceDifference: true });
+
+  check('Owner policy overrides the defaults',
+    PolicyManager.resolveReschedulePolicy(listing),
+    { changeFee: 100, refundPriceDifference: true });
+
+  check('Valid policy passes validation',
+    PolicyManager.validateReschedulePolicy({ minHoursBeforeStart: 48, maxReschedules: 1, changeFee: 0 }),
+    { valid: true });
+
+  check('Negative change fee is rejected',
+    PolicyManager.validateReschedulePolicy({ changeFee: -5 }),
+    { valid: false });
+
+  check('Too many reschedules is rejected',
+    PolicyManager.validateReschedulePolicy({ maxReschedules: 11 }),
+    { valid: false });
+
+  console.log('\n--- Rejections ---');
+
+  const move = { startDate: '2026-03-12', endDate: '2026-03-12' };
+
+  await checkRejects('Unpaid booking',
+    () => BookingRescheduleService.evaluate({ ...booking, status: 'pending_payment' }, listing, move, now), 409);
+
+  await checkRejects('Rescheduling disabled by the owner',
+    () => BookingRescheduleService.evaluate(booking,
+      { ...listing, reschedulePolicy: { allowReschedule: false } }, move, now), 403);
+
+  await checkRejects('Rescheduling not turned on by the owner',
+    () => BookingRescheduleService.evaluate(booking, { ...listing, reschedulePolicy: undefined }, move, now), 403);
+
+  await checkRejects('Reschedule limit reached',
+    () => BookingRescheduleService.evaluate({ ...booking, rescheduleCount: 2 }, listing, move, now), 403);
+
+  await checkRejects('Too close to the start',
+    () => BookingRescheduleService.evaluate(booking, listing, move, new Date('2026-03-09T12:00:00')), 403);
+
+  await checkRejects('Same schedule',
+    () => BookingRescheduleService.evaluate(booking, listing, { startDate: '2026-03-10' }, now), 422);
+
+  await checkRejects('New schedule in the past',
+    () => BookingRescheduleService.evaluate(booking, listing,
+      { startDate: '2026-02-27', endDate: '2026-02-27' }, now), 422);
+
+  await checkRejects('More guests than seats',
+    () => BookingRescheduleService.evaluate(booking, listing, { guests: 11 }, now), 422);
+
+  await checkRejects('New schedule during a blackout',
+    () => BookingRescheduleService.evaluate(booking, listing,
+      { startDate: '2026-03-20', endDate: '2026-03-20' }, now), 409);
+
+  await checkRejects('Listing currency changed',
+    () => BookingRescheduleService.evaluate({ ...booking, currency: 'USD' }, listing, move, now), 409);
+
+  console.log('\n--- Booking amount after a reschedule ---');
+
+  const from = { amount: 650 };
+  check('Upgrade: the new price, without the change fee',
+    { amount: BookingRescheduleService.paidAmount({ from, amountDue: 450, refundAmount: 0, changeFee: 100 }) },
+    { amount: 1000 });
+  check('Refunded downgrade: the new price',
+    { amount: BookingRescheduleService.paidAmount({ from, amountDue: 0, refundAmount: 300, changeFee: 100 }) },
+    { amount: 250 });
+  check('Unrefunded downgrade keeps what was paid, less the change fee',
+    { amount: BookingRescheduleService.paidAmount({ from, amountDue: 0, refundAmount: 0, changeFee: 100 }) },
+    { amount: 550 });
+  check('Unrefunded downgrade without a change fee keeps the full amount',
+    { amount: BookingRescheduleService.paidAmount({ from, amountDue: 0, refundAmount: 0, changeFee: 0 }) },
+    { amount: 650 });
+
+  console.log('\n--- Refunds without a payment id ---');
+
+  // One reschedule held in memory; the model calls markPaid makes are answered from it
+  const paidReschedule = {
+    _id: '64b0000000000000000000r1',
+    bookingId: booking._id,
+    status: 'pending_payment',
+    amountDue: 300,
+    payment: { checkoutId: 'cs_1', paymentId: null, paidAt: null },
+    save: async () => {},
+  };
+  const matches = (filter) =>
+    (!filter.status || filter.status.$in.includes(paidReschedule.status)) &&
+    (!('payment.paymentId' in filter) || paidReschedule.payment.paymentId == null) &&
+    (!('payment.paidAt' in filter) || paidReschedule.payment.paidAt == null);
+  const applySet = ({ $set }) => {
+    for (const [path, value] of Object.entries($set)) {
+      const [head, tail] = path.split('.');
+      if (tail) paidReschedule[head][tail] = value;
+      else paidReschedule[head] = value;
+    }
+  };
+  BookingReschedule.findOneAndUpdate = async (filter, update) => {
+    if (!matches(filter)) return null;
+    applySet(update);
+    return paidReschedule;
+  };
+  BookingReschedule.updateOne = async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    applySet(update);
+    return { modifiedCount: 1 };
+  };
+  BookingReschedule.findById = () => ({ select() { return this; }, lean: async () => paidReschedule });
+  Booking.findById = async () => ({ ...booking, status: 'cancelled', payment: { paymentId: 'pay_booking' } });
+  Booking.updateOne = async () => ({});
+  Listing.findById = () => ({ lean: async () => listing });
+  const refunds = [];
+  PaymentGatewayService.refundPayment = async (req) => {
+    refunds.push(req);
+    return { success: true, gatewayRefundId: 'ref_1', status: 'succeeded' };
+  };
+
+  // checkout_session.payment.paid without a payment id, for a booking cancelled meanwhile
+  await BookingRescheduleService.markPaid(paidReschedule, { paidAt: 1772355600 });
+  check('Reschedule that can no longer apply is a conflict', paidReschedule, { status: 'conflict' });
+  check('Its refund waits for the payment id instead of being skipped',
+    { status: paidReschedule.refund?.status, sent: refunds.length }, { status: 'refund_pending', sent: 0 });
+
+  // payment.paid follows with the id
+  await BookingRescheduleService.markPaid(paidReschedule, { paymentId: 'pay_reschedule', paidAt: 1772355600 });
+  check('The payment id is kept', paidReschedule.payment, { paymentId: 'pay_reschedule' });
+  check('The waiting refund is sent against the reschedule payment',
+    { sent: refunds.length, paymentId: refunds[0]?.paymentId, amount: refunds[0]?.amount },
+    { sent: 1, paymentId: 'pay_reschedule', amount: 300 });
+  check('The refund is recorded', paidReschedule.refund, { refundId: 'ref_1', status: 'succeeded' });
+
+  await BookingRescheduleService.markPaid(paidReschedule, { paymentId: 'pay_reschedule', paidAt: 1772355600 });
+  check('A repeated event does not refund again', { sent: refunds.length }, { sent: 1 });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
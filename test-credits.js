@@ -0,0 +1,92 @@
+/**
+ * Unit Test for CreditService
+ *
+ * Tests plan validation and how many credits a booking costs on a pack or
+ * membership, without a database
+ * Run with: node test-credits.js
+ */
+
+const CreditService = require('./src/services/CreditService');
+
+console.log('=== CreditService - Unit Tests ===\n');
+
+const dayPack = { kind: 'pack', unit: 'day', creditsRemaining: 10 };
+const hourPack = { kind: 'pack', unit: 'hour', creditsRemaining: 20 };
+const membership = { kind: 'membership', maxGuests: 2, creditsRemaining: 0 };
+
+const dayQuote = { mode: 'day', nights: 3, totalHours: null, guests: 1, perGuestFactor: 1 };
+const seatQuote = { mode: 'day', nights: 2, totalHours: null, guests: 3, perGuestFactor: 3 };
+const hourQuote = { mode: 'hour', nights: 1, totalHours: 2.5, guests: 1, perGuestFactor: 1 };
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function checkThrows(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+console.log('--- Credits per booking ---');
+
+check('Day pack costs one credit per day', CreditService.creditsFor(dayPack, dayQuote), 3);
+check('Day pack on a seat listing costs per guest', CreditService.creditsFor(dayPack, seatQuote), 6);
+check('Day pack covers an hourly booking as one day', CreditService.creditsFor(dayPack, hourQuote), 1);
+check('Hour pack rounds started hours up', CreditService.creditsFor(hourPack, hourQuote), 3);
+checkThrows('Hour pack cannot pay for a daily booking', () => CreditService.creditsFor(hourPack, dayQuote), 422);
+check('Membership costs no credits', CreditService.creditsFor(membership, { ...dayQuote, guests: 2 }), 0);
+checkThrows('Membership rejects more guests than it covers',
+  () => CreditService.creditsFor(membership, seatQuote), 422);
+
+console.log('\n--- Plan validation ---');
+
+const pack = CreditService.normalizePlan({ name: ' 10-day pack ', kind: 'pack', credits: 10, price: 4500 });
+check('Pack name is trimmed', pack.name, '10-day pack');
+check('Pack unit defaults to day', pack.unit, 'day');
+check('Pack validity defaults to 180 days', pack.validityDays, 180);
+
+const monthly = CreditService.normalizePlan({ name: 'Hot desk', kind: 'membership', price: 3000 });
+check('Membership validity defaults to 30 days', monthly.validityDays, 30);
+check('Membership covers one guest by default', monthly.maxGuests, 1);
+check('Membership has no credit count', monthly.credits, undefined);
+
+checkThrows('Unknown kind is rejected', () => CreditService.normalizePlan({ name: 'x', kind: 'voucher', price: 1 }), 422);
+checkThrows('Pack needs a credit count', () => CreditService.normalizePlan({ name: 'x', kind: 'pack', price: 1 }), 422);
+checkThrows('Price must be positive', () => CreditService.normalizePlan({ name: 'x', kind: 'membership', price: 0 }), 422);
+checkThrows('Validity is capped at two years',
+  () => CreditService.normalizePlan({ name: 'x', kind: 'membership', price: 1, validityDays: 1000 }), 422);
+checkThrows('A plan cannot switch kind',
+  () => CreditService.normalizePlan({ kind: 'membership' }, { kind: 'pack', credits: 10, unit: 'day' }), 422);
+
+const partial = CreditService.normalizePlan({ price: 5000 }, { kind: 'pack', name: 'Old', credits: 10, unit: 'day' });
+check('Partial update only touches the given fields', Object.keys(partial).sort().join(','), 'kind,price');
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,123 @@
+/**
+ * Unit Test for FeeConfigService
+ *
+ * Tests commission rate priority, inclusive and exclusive taxes on quotes and
+ * how the rates stored on a booking feed earnings and refunds, without a database
+ * Run with: node test-fees.js
+ */
+
+const FeeConfigService = require('./src/services/FeeConfigService');
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+const LedgerService = require('./src/services/LedgerService');
+const RefundCalculator = require('./src/services/RefundCalculator');
+
+console.log('=== FeeConfigService - Unit Tests ===\n');
+
+const ownerId = '64b0000000000000000000a1';
+const room = {
+  _id: '64b000000000000000000004',
+  owner: ownerId,
+  category: 'Meeting Room',
+  currency: 'PHP',
+  seats: 1,
+  priceRoomDay: 1000,
+  serviceFee: 0,
+  cleaningFee: 120,
+};
+
+const VAT_IN = { code: 'VAT', label: 'VAT', percent: 12, mode: 'inclusive' };
+const VAT_EX = { ...VAT_IN, mode: 'exclusive' };
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+console.log('--- Commission priority ---');
+
+const commissions = [
+  { scope: 'global', percent: 12 },
+  { scope: 'category', category: 'meeting room', percent: 15 },
+  { scope: 'owner', ownerId, percent: 8 },
+];
+const target = { ownerId: room.owner, category: room.category };
+
+check('Owner override wins', FeeConfigService.commissionFor(target, commissions).source, 'owner');
+check('Owner override rate', FeeConfigService.commissionFor(target, commissions).percent, 8);
+check('Category rate applies without an override (any case)',
+  FeeConfigService.commissionFor(target, commissions.slice(0, 2)).percent, 15);
+check('Global rate applies to other categories',
+  FeeConfigService.commissionFor({ ownerId, category: 'Hot Desk' }, commissions.slice(0, 2)).percent, 12);
+check('Environment default without any configuration',
+  FeeConfigService.commissionFor(target, []).percent, FeeConfigService.DEFAULT_COMMISSION_PERCENT);
+
+console.log('\n--- Taxes on quotes ---');
+
+const input = { startDate: '2026-03-02', endDate: '2026-03-02' };
+const plain = PriceQuoteService.calculate(room, input);
+check('No tax rules leave the quote unchanged', plain.total, 1120);
+check('No tax fields without tax rules', plain.taxes, undefined);
+
+const inclusive = PriceQuoteService.calculate(room, input, { taxes: [VAT_IN] });
+check('Inclusive VAT keeps the total', inclusive.total, 1120);
+check('Inclusive VAT is broken out of the price', inclusive.taxTotal, 120);
+check('Inclusive VAT adds no line item', inclusive.lineItems.some((li) => li.code === 'tax'), false);
+
+const exclusive = PriceQuoteService.calculate(room, input, { taxes: [VAT_EX] });
+check('Exclusive VAT is added on top', exclusive.total, 1254.4);
+check('Exclusive VAT is its own line item',
+  exclusive.lineItems.find((li) => li.code === 'tax').label, 'VAT (12%)');
+
+const promo = { code: 'SAVE20', type: 'fixed', value: 20, minSpend: 0 };
+const discounted = PriceQuoteService.calculate(room, input, { taxes: [VAT_EX], promo });
+check('Exclusive VAT is charged on the discounted subtotal', discounted.taxTotal, 132);
+
+const issued = PriceQuoteService.issueQuote(room, input, 'user1', { taxes: [VAT_EX] });
+const verified = PriceQuoteService.verifyQuote(issued.quoteToken, { listing: room, userId: 'user1', input });
+check('Checkout re-prices with the taxes signed into the quote', verified.total, 1254.4);
+
+console.log('\n--- Stored rates ---');
+
+const booking = {
+  amount: 1120,
+  pricingSnapshot: inclusive,
+  feeRates: { commissionPercent: 15, commissionSource: 'category', taxes: [VAT_IN] },
+};
+const split = FeeConfigService.breakdown(booking);
+check('Booking tax share from its quote', split.tax, 120);
+check('Commission on the pre-tax amount', split.commission, 150);
+
+const postings = LedgerService.expectedPostings({
+  gross: 1120, refunded: 0, charges: 1, commissionPercent: 15, taxShare: split.taxShare,
+});
+check('Ledger platform fee uses the stored commission', postings.platform_fee, -150);
+
+const refund = RefundCalculator.calculateRefund(
+  { ...booking, startDate: '2026-03-10T09:00:00' },
+  { tiers: [{ hoursBeforeBooking: 0, refundPercentage: 50 }], processingFeePercentage: 0 },
+  new Date('2026-03-01T09:00:00')
+);
+check('Refund reports the tax it returns', refund.taxRefund, 60);
+check('Refund reports the commission it reverses', refund.commissionRefund, 75);
+
+check('Bookings made before fee configuration use the default rate',
+  FeeConfigService.breakdown({ amount: 1000 }).commission,
+  Math.round(1000 * FeeConfigService.DEFAULT_COMMISSION_PERCENT) / 100);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,108 @@
+/**
+ * Unit Test for FxService
+ *
+ * Tests display conversion, PHP settlement of quotes for listings priced in
+ * other currencies and the exchange rates signed into quotes, without a database
+ * Run with: node test-fx.js
+ */
+
+const FxService = require('./src/services/FxService');
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+
+console.log('=== FxService - Unit Tests ===\n');
+
+const usdRoom = {
+  _id: '64b000000000000000000003',
+  owner: '64b0000000000000000000a1',
+  currency: 'USD',
+  seats: 1,
+  priceRoomDay: 100,
+  serviceFee: 0,
+  cleaningFee: 10,
+};
+
+const rates = {
+  PHP: { rate: 1 },
+  USD: { rate: 56 },
+  EUR: { rate: 61 },
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function checkThrows(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+console.log('--- Currencies ---');
+
+check('Codes are upper-cased', FxService.normalizeCurrency(' usd '), 'USD');
+checkThrows('Unsupported codes are rejected', () => FxService.normalizeCurrency('XYZ'), 422);
+check('USD to PHP', FxService.convert(100, 56, 1), 5600);
+check('USD to EUR', FxService.convert(100, 56, 61), 91.8);
+
+console.log('\n--- Display prices ---');
+
+const display = FxService.displayPrices(usdRoom, 'PHP', rates);
+check('Listing prices shown in PHP', display.prices.priceRoomDay, 5600);
+check('Fees are converted too', display.prices.cleaningFee, 560);
+check('Unset prices are left out', display.prices.priceRoomHour, undefined);
+check('No display prices without a rate', FxService.displayPrices(usdRoom, 'SGD', rates), null);
+
+console.log('\n--- Quotes and checkout ---');
+
+const input = { startDate: '2026-03-02', endDate: '2026-03-02', guests: 1 };
+const userId = '64b0000000000000000000u1';
+const fx = { listingCurrency: 'USD', listingRate: 56, displayCurrency: 'EUR', displayRate: 61 };
+
+const issued = PriceQuoteService.issueQuote(usdRoom, input, userId, { fx });
+check('Quote stays in the listing currency', issued.quote.total, 110);
+check('Settlement is in PHP', issued.quote.settlement.total, 6160);
+check('Display total in the requested currency', issued.quote.display.total, 100.98);
+
+const verified = PriceQuoteService.verifyQuote(issued.quoteToken, { listing: usdRoom, userId, input });
+check('Checkout settles at the quoted rate', verified.settlement.total, 6160);
+check('Booking keeps the display rate', FxService.bookingSnapshot(verified).displayRate, 61);
+
+checkThrows('Foreign listings need exchange rates to quote',
+  () => PriceQuoteService.issueQuote(usdRoom, input, userId), 409);
+
+const promo = { code: 'PHP560', type: 'fixed', value: 560, minSpend: 0 };
+const discounted = PriceQuoteService.calculate(usdRoom, input, { promo, settlementRate: 56 });
+check('PHP promo amounts are converted to the listing currency', discounted.discount, 10);
+
+const phpRoom = { ...usdRoom, currency: 'PHP', priceRoomDay: 5000, cleaningFee: 200 };
+const phpQuote = PriceQuoteService.issueQuote(phpRoom, input, userId);
+check('PHP listings settle unchanged', phpQuote.quote.settlement.total, 5200);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,98 @@
+/**
+ * Unit Test for geospatial search helpers
+ *
+ * Tests GeoJSON points, near / bounds query parsing, distances,
+ * approximate locations and search points, without a database
+ * Run with: node test-geo-search.js
+ */
+
+const { toPoint, searchPoint, parseLatLng, parseBounds, distanceKm, approximate, APPROX_MAX_METERS } = require('./src/utils/geo');
+
+console.log('=== Geospatial Search - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function throwsWith(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (err) {
+    check(name, err.statusCode, statusCode);
+  }
+}
+
+const makati = { lat: 14.5547, lng: 121.0244 };
+const bgc = { lat: 14.5509, lng: 121.0503 };
+
+console.log('--- GeoJSON points ---');
+
+const point = toPoint('14.5547', '121.0244');
+check('String lat/lng become a point', point.type, 'Point');
+check('GeoJSON puts longitude first', point.coordinates[0], 121.0244);
+check('Missing coordinates give no point', toPoint('', '121.0244'), null);
+check('Out of range coordinates give no point', toPoint('95', '121'), null);
+check('Text coordinates give no point', toPoint('north', 'east'), null);
+
+console.log('\n--- Query parsing ---');
+
+check('near parses', parseLatLng('14.5547, 121.0244').lng, 121.0244);
+throwsWith('near needs both coordinates', () => parseLatLng('14.5547'), 400);
+throwsWith('near rejects impossible latitudes', () => parseLatLng('91,121'), 400);
+
+const box = parseBounds('14.50,120.98,14.60,121.06');
+check('Bounds become a closed polygon', box.polygon.coordinates[0].length, 5);
+check('Bounds polygon starts at the south-west corner', box.polygon.coordinates[0][0].join(','), '120.98,14.5');
+check('Bounds center', box.center.lat.toFixed(2), '14.55');
+throwsWith('Bounds corners must be south-west then north-east', () => parseBounds('14.60,121.06,14.50,120.98'), 400);
+throwsWith('Bounds need four numbers', () => parseBounds('14.50,120.98,14.60'), 400);
+throwsWith('Bounds wider than a hemisphere are rejected', () => parseBounds('-10,-100,10,100'), 400);
+
+console.log('\n--- Distances ---');
+
+check('Makati to BGC is about 2.8 km', Math.round(distanceKm(makati, bgc) * 10) / 10, 2.8);
+check('Distance to itself is zero', distanceKm(makati, makati), 0);
+
+console.log('\n--- Approximate locations ---');
+
+const approx = approximate(makati, '64b000000000000000000004');
+const offsetMeters = distanceKm(makati, approx) * 1000;
+check('Approximate point is moved', offsetMeters > 150, true);
+check('Approximate point stays nearby', offsetMeters <= APPROX_MAX_METERS + 10, true);
+check('Same listing always gets the same point',
+  JSON.stringify(approximate(makati, '64b000000000000000000004')), JSON.stringify(approx));
+check('Different listings move differently',
+  JSON.stringify(approximate(makati, '64b000000000000000000005')) === JSON.stringify(approx), false);
+
+console.log('\n--- Search points ---');
+
+const exact = { _id: '64b000000000000000000004', lat: '14.5547', lng: '121.0244', showApprox: false };
+check('Listings showing their address are searched at their real point',
+  searchPoint(exact).coordinates.join(','), '121.0244,14.5547');
+const hidden = searchPoint({ ...exact, showApprox: true });
+check('Hidden addresses are searched at the approximate point shown publicly',
+  hidden.coordinates.join(','), `${approx.lng},${approx.lat}`);
+check('Radius and distance sorts never see the real point',
+  distanceKm(makati, { lat: hidden.coordinates[1], lng: hidden.coordinates[0] }) * 1000 > 150, true);
+check('Listings without coordinates have no search point', searchPoint({ ...exact, lat: '' }), null);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
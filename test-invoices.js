@@ -0,0 +1,112 @@
+/**
+ * Unit Test for InvoiceService
+ *
+ * Tests invoice and credit note contents built from a paid booking (PHP
+ * amounts, discount, taxes) and their PDF rendering, without a database
+ * Run with: node test-invoices.js
+ */
+
+const InvoiceService = require('./src/services/InvoiceService');
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+
+console.log('=== InvoiceService - Unit Tests ===\n');
+
+const room = {
+  _id: '64b000000000000000000005',
+  owner: '64b0000000000000000000a1',
+  currency: 'USD',
+  seats: 1,
+  priceRoomDay: 100,
+  serviceFee: 0,
+  cleaningFee: 10,
+};
+
+const VAT = { code: 'VAT', label: 'VAT', percent: 12, mode: 'inclusive' };
+const promo = { code: 'WELCOME', type: 'fixed', value: 560, minSpend: 0 };
+const quote = PriceQuoteService.calculate(
+  room,
+  { startDate: '2026-03-02', endDate: '2026-03-02' },
+  { promo, settlementRate: 56, taxes: [VAT] }
+);
+
+const booking = {
+  _id: '64b0000000000000000000b1',
+  userId: '64b0000000000000000000c1',
+  ownerId: room.owner,
+  listingId: room._id,
+  status: 'paid',
+  provider: 'paymongo',
+  amount: 5600,
+  startDate: '2026-03-02',
+  endDate: '2026-03-02',
+  pricingSnapshot: quote,
+  fx: { listingCurrency: 'USD', listingRate: 56 },
+  feeRates: { commissionPercent: 10, taxes: [VAT] },
+  payment: { paidAt: new Date('2026-02-20T10:00:00Z'), paymentId: 'pay_123', amount: 5600 },
+};
+
+const parties = {
+  bookingId: booking._id,
+  seller: { name: 'Ana Reyes', businessName: 'Reyes Spaces Inc.', tin: '123-456-789-000', address: 'Makati City' },
+  buyer: { name: 'Ben Cruz', email: 'ben@example.com', organization: 'Acme Corp' },
+  listing: { title: 'Board Room', address: 'Ayala Ave, Makati' },
+  service: { startDate: '2026-03-02', endDate: '2026-03-02', guests: 1 },
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+console.log('--- Invoice ---');
+
+const invoice = { ...InvoiceService.invoiceFields(booking, parties), _id: 'inv1', number: 'INV-2026-000001' };
+check('One invoice per booking', invoice.source, `booking:${booking._id}`);
+check('Line items are converted to PHP', invoice.lineItems.map((li) => li.amount).join(','), '5600,560');
+check('Promo is shown as a discount, not a line item', invoice.discount, 560);
+check('Discount names the promo code', invoice.discountLabel, 'Promo code WELCOME');
+check('Total is the PHP charged', invoice.total, 5600);
+check('Inclusive VAT is converted at the booking rate', invoice.taxTotal, 599.76);
+check('Issued on the payment date', invoice.issuedAt.toISOString(), '2026-02-20T10:00:00.000Z');
+
+console.log('\n--- Credit note ---');
+
+const note = InvoiceService.creditNoteFields(booking, invoice, 2800, 0);
+check('Credit note references its invoice', note.invoiceNumber, 'INV-2026-000001');
+check('Credit note total is the refund', note.total, 2800);
+check('Tax is credited in proportion', note.taxTotal, 299.88);
+check('Per-tax amounts follow the same share', note.taxes[0].amount, 299.88);
+check('Second credit note gets its own source',
+  InvoiceService.creditNoteFields(booking, invoice, 100, 1).source, `booking:${booking._id}:credit:1`);
+
+console.log('\n--- PDF ---');
+
+const pdf = InvoiceService.renderPdf(invoice).toString('latin1');
+check('Renders a PDF', pdf.startsWith('%PDF-1.4'), true);
+check('Shows the invoice number', pdf.includes('INV-2026-000001'), true);
+check('Shows the owner business and TIN', pdf.includes('Reyes Spaces Inc.') && pdf.includes('TIN: 123-456-789-000'), true);
+check('Shows the buyer organization', pdf.includes('Acme Corp'), true);
+check('Shows the VAT line', pdf.includes('VAT 12% \\(included\\)'), true);
+
+const notePdf = InvoiceService.renderPdf({ ...note, number: 'CN-2026-000001' }).toString('latin1');
+check('Credit note title', notePdf.includes('CREDIT NOTE'), true);
+check('Missing TIN is called out',
+  InvoiceService.renderPdf({ ...invoice, seller: { name: 'Ana Reyes' } }).toString('latin1').includes('not provided a TIN'), true);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
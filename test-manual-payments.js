@@ -0,0 +1,132 @@
+/**
+ * Unit Test for ManualPaymentService
+ *
+ * Tests payment deadlines, listing settings and the ledger postings of bank
+ * transfer and cash bookings, without a database
+ * Run with: node test-manual-payments.js
+ */
+
+const ManualPaymentService = require('./src/services/ManualPaymentService');
+const LedgerService = require('./src/services/LedgerService');
+
+console.log('=== ManualPaymentService - Unit Tests ===\n');
+
+const listing = {
+  _id: '64b000000000000000000004',
+  manualPayment: {
+    methods: ['bank_transfer', 'cash'],
+    bankName: 'BPI',
+    accountName: 'Makati Hub Inc.',
+    accountNumber: '1234-5678-90',
+    deadlineHours: 12,
+  },
+};
+const now = new Date('2026-03-02T09:00:00');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function throwsWith(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (err) {
+    check(name, err.statusCode, statusCode);
+  }
+}
+
+console.log('--- Deadlines ---');
+
+const nextWeek = { startDate: '2026-03-09', checkInTime: '09:00' };
+check('Bank transfer deadline uses the listing hours',
+  ManualPaymentService.deadline(listing, nextWeek, 'bank_transfer', now).toISOString(),
+  new Date('2026-03-02T21:00:00').toISOString());
+check('Bank transfer deadline never passes the start',
+  ManualPaymentService.deadline(listing, { startDate: '2026-03-02', checkInTime: '15:00' }, 'bank_transfer', now).toISOString(),
+  new Date('2026-03-02T15:00:00').toISOString());
+check('Default deadline without listing hours',
+  ManualPaymentService.deadline({ manualPayment: { methods: ['bank_transfer'] } }, nextWeek, 'bank_transfer', now).getTime() - now.getTime(),
+  24 * 60 * 60 * 1000);
+check('Cash is held until shortly after the start',
+  ManualPaymentService.deadline(listing, nextWeek, 'cash', now).toISOString(),
+  new Date('2026-03-09T10:00:00').toISOString());
+
+console.log('\n--- Availability ---');
+
+check('Accepted method returns its deadline',
+  ManualPaymentService.assertAvailable(listing, 'bank_transfer', nextWeek, now).method, 'bank_transfer');
+throwsWith('Method the listing does not accept',
+  () => ManualPaymentService.assertAvailable({ manualPayment: { methods: ['cash'] } }, 'bank_transfer', nextWeek, now), 422);
+throwsWith('Listings without settings accept online only',
+  () => ManualPaymentService.assertAvailable({}, 'cash', nextWeek, now), 422);
+throwsWith('Unknown payment method',
+  () => ManualPaymentService.assertAvailable(listing, 'crypto', nextWeek, now), 422);
+throwsWith('Bank transfer too close to the start',
+  () => ManualPaymentService.assertAvailable(listing, 'bank_transfer', { startDate: '2026-03-02', checkInTime: '09:30' }, now), 422);
+check('Cash is still fine close to the start',
+  ManualPaymentService.assertAvailable(listing, 'cash', { startDate: '2026-03-02', checkInTime: '09:30' }, now).method, 'cash');
+
+console.log('\n--- Settings ---');
+
+throwsWith('Bank transfer needs account details',
+  () => ManualPaymentService.validateSettings({ methods: ['bank_transfer'], bankName: 'BPI' }), 422);
+throwsWith('Deadline hours are bounded',
+  () => ManualPaymentService.validateSettings({ methods: ['cash'], deadlineHours: 500 }), 422);
+check('Duplicate methods are collapsed',
+  ManualPaymentService.validateSettings({ methods: ['cash', 'cash'] }).methods.length, 1);
+check('An empty list turns manual payments off',
+  ManualPaymentService.validateSettings({ methods: [] }).methods.length, 0);
+
+const booking = { provider: 'bank_transfer', amount: 1500, currency: 'PHP', holdExpiresAt: new Date('2026-03-02T21:00:00') };
+const shown = ManualPaymentService.instructions(listing, booking);
+check('Instructions include the bank account', shown.accountNumber, '1234-5678-90');
+check('Cash instructions leave out the bank account',
+  ManualPaymentService.instructions(listing, { ...booking, provider: 'cash' }).accountNumber, undefined);
+
+console.log('\n--- Ledger ---');
+
+const postings = LedgerService.expectedPostings({ gross: 1000, refunded: 0, charges: 1, commissionPercent: 10, offline: true });
+check('No processing fee on money paid to the owner', postings.processing_fee, 0);
+check('What the owner collected is posted back out', postings.offline_collection, -1000);
+check('The owner owes the commission',
+  Object.values(postings).reduce((sum, v) => sum + v, 0), -100);
+
+const refunded = LedgerService.expectedPostings({ gross: 1000, refunded: 400, charges: 1, commissionPercent: 10, offline: true });
+check('Refunds returned by the owner reduce what they keep', refunded.offline_collection, -600);
+check('Commission only on what the owner keeps',
+  Math.round(Object.values(refunded).reduce((sum, v) => sum + v, 0) * 100) / 100, -60);
+
+const online = LedgerService.expectedPostings({ gross: 1000, refunded: 0, charges: 1, commissionPercent: 10 });
+check('Online bookings post no offline collection', online.offline_collection, 0);
+
+const source = LedgerService.bookingSource({
+  _id: '64b0000000000000000000b1',
+  ownerId: '64b0000000000000000000a1',
+  provider: 'cash',
+  status: 'paid',
+  amount: 1000,
+  endDate: '2026-03-09',
+  payment: { amount: 1000, paidAt: now },
+});
+check('Bank transfer / cash bookings are marked offline', source.offline, true);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
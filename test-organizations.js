@@ -0,0 +1,120 @@
+/**
+ * Unit Test for OrganizationService
+ *
+ * Tests spending limits, the approval threshold, approval holds and statement
+ * periods, without a database
+ * Run with: node test-organizations.js
+ */
+
+const OrganizationService = require('./src/services/OrganizationService');
+const { monthBounds } = require('./src/services/OrganizationService');
+
+console.log('=== OrganizationService - Unit Tests ===\n');
+
+const organization = {
+  _id: '64b0000000000000000000a1',
+  name: 'Acme',
+  currency: 'PHP',
+  approvalThreshold: 2000,
+  defaultSpendingLimit: 10000,
+};
+
+const admin = { role: 'admin', spendingLimit: null };
+const member = { role: 'member', spendingLimit: null };
+const capped = { role: 'member', spendingLimit: 3000 };
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  const same = actual instanceof Date
+    ? actual.getTime() === new Date(expected).getTime()
+    : actual === expected;
+  if (same) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+async function checkRejects(name, fn, statusCode) {
+  try {
+    await fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+async function run() {
+  console.log('--- Spending limits ---');
+
+  check('Member without a limit uses the organization default',
+    OrganizationService.effectiveLimit(organization, member), 10000);
+  check('Member limit overrides the default',
+    OrganizationService.effectiveLimit(organization, capped), 3000);
+  check('No limits at all means unlimited',
+    OrganizationService.effectiveLimit({ ...organization, defaultSpendingLimit: null }, member), null);
+  check('A zero limit is kept, not treated as unset',
+    OrganizationService.effectiveLimit(organization, { role: 'member', spendingLimit: 0 }), 0);
+
+  console.log('\n--- Approval threshold ---');
+
+  check('Member booking above the threshold needs approval',
+    OrganizationService.requiresApproval(organization, member, 2500), true);
+  check('Member booking at the threshold does not',
+    OrganizationService.requiresApproval(organization, member, 2000), false);
+  check('Org admins never need approval',
+    OrganizationService.requiresApproval(organization, admin, 50000), false);
+  check('No threshold means no approvals',
+    OrganizationService.requiresApproval({ ...organization, approvalThreshold: null }, member, 50000), false);
+
+  console.log('\n--- Approval holds ---');
+
+  const now = new Date('2026-03-01T09:00:00');
+  check('Hold lasts 24 hours by default',
+    OrganizationService.approvalHoldExpiry({ startDate: '2026-03-10', checkInTime: '09:00' }, now),
+    '2026-03-02T09:00:00');
+  check('Hold never runs past the booking start',
+    OrganizationService.approvalHoldExpiry({ startDate: '2026-03-01', checkInTime: '15:00' }, now),
+    '2026-03-01T15:00:00');
+
+  console.log('\n--- Statement periods ---');
+
+  const march = monthBounds('2026-03');
+  check('Period string is kept', march.period, '2026-03');
+  check('Period starts on the 1st', march.start, '2026-03-01T00:00:00');
+  check('Period end is the next month (exclusive)', march.end, '2026-04-01T00:00:00');
+  check('December rolls over into January', monthBounds('2026-12').end, '2027-01-01T00:00:00');
+  check('A date maps to its month', monthBounds(new Date('2026-07-31T23:59:00')).period, '2026-07');
+
+  await checkRejects('Malformed period', async () => monthBounds('2026-13'), 422);
+
+  console.log('\n--- Rejections before the database ---');
+
+  await checkRejects('Organization without a name',
+    () => OrganizationService.create('64b0000000000000000000u1', { name: '  ' }), 422);
+  await checkRejects('Invalid organization id',
+    () => OrganizationService.authorizeBooking('acme', '64b0000000000000000000u1', 100), 422);
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();
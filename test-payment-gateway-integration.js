@@ -0,0 +1,190 @@
+/**
+ * Integration Test for the payment providers
+ *
+ * Runs checkout, payment, failure, delayed webhook and refund flows against
+ * the local fake gateway, without API keys or a database
+ * Run with: node test-payment-gateway-integration.js
+ */
+
+process.env.PAYMENT_PROVIDER = 'fake';
+
+const payments = require('./src/services/payments');
+const { FakeProvider } = require('./src/services/payments/FakeProvider');
+const BookingPaymentService = require('./src/services/BookingPaymentService');
+const PaymentWebhookService = require('./src/services/PaymentWebhookService');
+
+console.log('=== Payment Providers - Integration Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+async function rejectsWith(name, fn, statusCode) {
+  try {
+    await fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (err) {
+    check(name, err.statusCode, statusCode);
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Webhooks are checked the way PaymentWebhookService receives them
+function gateway(options = {}) {
+  const received = [];
+  const provider = new FakeProvider({
+    ...options,
+    deliver: ({ rawBody, headers }) => received.push(provider.parseWebhook(rawBody, headers).data.attributes),
+  });
+  return { provider, received };
+}
+
+const checkoutParams = {
+  amount: 1500,
+  description: 'Booking 64b0000000000000000000b1',
+  successUrl: 'http://localhost:5173/app/bookings/thank-you?bookingId=64b0000000000000000000b1',
+  cancelUrl: 'http://localhost:5173/checkout?cancelled=1',
+  metadata: { bookingId: '64b0000000000000000000b1' },
+  lineItems: [{ name: 'Makati Hub', amount: 1500 }],
+  idempotencyKey: '64b0000000000000000000b1',
+};
+
+async function run() {
+  console.log('--- Provider selection ---');
+
+  check('Default provider comes from PAYMENT_PROVIDER', payments.get().name, 'fake');
+  check('Bookings keep the gateway they were paid with',
+    payments.forBooking({ provider: 'paymongo' }).name, 'paymongo');
+  check('Offline bookings use the default gateway', payments.forBooking({ provider: 'cash' }).name, 'fake');
+  await rejectsWith('Unknown providers are rejected', () => payments.get('stripe'), 404);
+
+  const viaService = await BookingPaymentService.createCheckoutSession(checkoutParams);
+  check('Checkouts go through the default provider',
+    viaService.url.includes(`/api/payments/fake/checkout/${viaService.id}`), true);
+
+  console.log('\n--- Successful payment ---');
+
+  const ok = gateway();
+  const checkout = await ok.provider.createCheckout(checkoutParams);
+  check('New checkout is unpaid', (await ok.provider.getCheckout(checkout.id)).payment, null);
+  check('Same idempotency key returns the same checkout',
+    (await ok.provider.createCheckout(checkoutParams)).id, checkout.id);
+
+  const paid = await ok.provider.simulatePayment(checkout.id);
+  check('Customer pays', paid.status, 'paid');
+  check('Paid webhook is delivered and verified', ok.received[0]?.type, 'checkout_session.payment.paid');
+  const resource = ok.received[0]?.data;
+  check('Webhook carries the booking metadata', resource?.attributes.metadata.bookingId, '64b0000000000000000000b1');
+  check('Webhook amount is in centavos', resource?.attributes.payments[0].attributes.amount, 150000);
+
+  const polled = await ok.provider.getCheckout(checkout.id);
+  check('Poll sees the payment', polled.payment?.id, paid.paymentId);
+  check('Poll amount matches markPaid units', polled.payment?.amount, 150000);
+
+  await ok.provider.simulatePayment(checkout.id);
+  check('Paying twice sends no second webhook', ok.received.length, 1);
+
+  const capture = await ok.provider.capture(paid.paymentId, 1500);
+  check('Payment can be captured', capture.status, 'paid');
+
+  console.log('\n--- Failed payment ---');
+
+  const declined = await ok.provider.createCheckout({ ...checkoutParams, idempotencyKey: 'declined' });
+  const failure = await ok.provider.simulatePayment(declined.id, { outcome: 'failure' });
+  check('Card is declined', failure.status, 'failed');
+  check('Failure webhook is delivered', ok.received[1]?.type, 'payment.failed');
+  check('Failure webhook names the checkout', ok.received[1]?.data.attributes.checkout_session_id, declined.id);
+  check('Declined checkout stays unpaid', (await ok.provider.getCheckout(declined.id)).status, 'active');
+  await rejectsWith('Unknown outcomes are rejected',
+    () => ok.provider.simulatePayment(declined.id, { outcome: 'maybe' }), 400);
+
+  console.log('\n--- Delayed webhook ---');
+
+  const slow = gateway({ outcome: 'delay', delayMs: 20 });
+  const late = await slow.provider.createCheckout(checkoutParams);
+  await slow.provider.simulatePayment(late.id);
+  check('Payment is settled at the gateway right away', (await slow.provider.getCheckout(late.id)).status, 'paid');
+  check('Webhook has not arrived yet', slow.received.length, 0);
+  await sleep(60);
+  check('Webhook arrives after the delay', slow.received[0]?.type, 'checkout_session.payment.paid');
+
+  console.log('\n--- Refunds ---');
+
+  const refund = await ok.provider.refund({ paymentId: paid.paymentId, amount: 500, notes: 'Partial refund' });
+  check('Refund succeeds', refund.status, 'succeeded');
+  check('Refund amount is in PHP', refund.amount, 500);
+  check('Refund webhook is delivered', ok.received[2]?.data.attributes.status, 'succeeded');
+  check('Refund webhook names the payment', ok.received[2]?.data.attributes.payment_id, paid.paymentId);
+  check('Refund can be looked up', (await ok.provider.getRefund(refund.id)).status, 'succeeded');
+  await rejectsWith('Refund above the remaining balance',
+    () => ok.provider.refund({ paymentId: paid.paymentId, amount: 1001 }), 422);
+  await rejectsWith('Refund of an unknown payment', () => ok.provider.refund({ paymentId: 'pay_missing', amount: 1 }), 404);
+
+  const slowRefund = await slow.provider.refund({ paymentId: (await slow.provider.getCheckout(late.id)).payment.id, amount: 1500 });
+  check('Delayed refund starts pending', slowRefund.status, 'pending');
+  await sleep(60);
+  check('Delayed refund settles by webhook', slow.received[1]?.data.attributes.status, 'succeeded');
+
+  const refusing = gateway({ outcome: 'failure' });
+  const refusingCheckout = await refusing.provider.createCheckout(checkoutParams);
+  const refusingPayment = await refusing.provider.simulatePayment(refusingCheckout.id, { outcome: 'success' });
+  try {
+    await refusing.provider.refund({ paymentId: refusingPayment.paymentId, amount: 100 });
+    check('Gateway declines the refund', 'refunded', 'error');
+  } catch (err) {
+    check('Gateway declines the refund', err.message, 'Refund declined (simulated)');
+  }
+
+  console.log('\n--- Late payments ---');
+
+  const now = new Date('2026-03-02T12:00:00Z');
+  const minutes = (n) => new Date(now.getTime() + n * 60 * 1000);
+  check('Live hold still occupies its slot',
+    BookingPaymentService.holdLapsed({ status: 'pending_payment', holdExpiresAt: minutes(5) }, now), false);
+  check('Hold past its expiry has lapsed before the job runs',
+    BookingPaymentService.holdLapsed({ status: 'pending_payment', holdExpiresAt: minutes(-1) }, now), true);
+  check('Manual payment past its deadline has lapsed',
+    BookingPaymentService.holdLapsed({ status: 'awaiting_payment', holdExpiresAt: now }, now), true);
+  check('Expired bookings have lapsed', BookingPaymentService.holdLapsed({ status: 'expired' }, now), true);
+  check('Old holds without an expiry have lapsed',
+    BookingPaymentService.holdLapsed({ status: 'pending_payment', createdAt: minutes(-24 * 60) }, now), true);
+  check('Paid bookings never lapse',
+    BookingPaymentService.holdLapsed({ status: 'paid', holdExpiresAt: minutes(-60) }, now), false);
+
+  console.log('\n--- Webhook verification ---');
+
+  const signed = ok.provider.sign({ data: { id: 'evt_fake_1', attributes: { type: 'payment.paid', data: {} } } });
+  check('Signed event parses', ok.provider.parseWebhook(signed.rawBody, signed.headers).data.id, 'evt_fake_1');
+  await rejectsWith('Tampered body is rejected',
+    () => PaymentWebhookService.receive('fake', signed.rawBody.replace('payment.paid', 'payment.failed'), signed.headers), 401);
+  await rejectsWith('Unsigned delivery is rejected', () => PaymentWebhookService.receive('fake', signed.rawBody, {}), 401);
+  await rejectsWith('Webhook for an unknown provider', () => PaymentWebhookService.receive('stripe', signed.rawBody, {}), 404);
+}
+
+run()
+  .catch((err) => {
+    console.log(`✗ Unexpected error: ${err.stack || err.message}`);
+    failed++;
+  })
+  .finally(() => {
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+    if (failed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n✗ ${failed} test(s) failed`);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,107 @@
+/**
+ * Unit Test for PayMongo webhook signature verification
+ *
+ * Tests PaymongoProvider.verifySignature without a database connection
+ * Run with: node test-paymongo-webhook-signature.js
+ */
+
+const PaymongoProvider = require('./src/services/payments/PaymongoProvider');
+
+console.log('=== PayMongo Webhook Signature - Unit Tests ===\n');
+
+const secret = 'whsk_test_secret';
+const now = Date.now();
+const t = Math.floor(now / 1000);
+const rawBody = JSON.stringify({
+  data: {
+    id: 'evt_test_123',
+    type: 'event',
+    attributes: { type: 'payment.paid', livemode: false, data: { id: 'pay_123', type: 'payment' } },
+  },
+});
+
+const sig = PaymongoProvider.computeSignature(rawBody, t, secret);
+
+const testCases = [
+  {
+    name: 'Valid test-mode signature',
+    header: `t=${t},te=${sig},li=`,
+    options: { secret, now },
+    expected: true,
+  },
+  {
+    name: 'Valid live-mode signature',
+    header: `t=${t},te=,li=${sig}`,
+    options: { secret, now, livemode: true },
+    expected: true,
+  },
+  {
+    name: 'Live event signed only in te field',
+    header: `t=${t},te=${sig},li=`,
+    options: { secret, now, livemode: true },
+    expected: false,
+  },
+  {
+    name: 'Tampered body',
+    header: `t=${t},te=${PaymongoProvider.computeSignature(rawBody + ' ', t, secret)}`,
+    options: { secret, now },
+    expected: false,
+  },
+  {
+    name: 'Wrong secret',
+    header: `t=${t},te=${PaymongoProvider.computeSignature(rawBody, t, 'other')}`,
+    options: { secret, now },
+    expected: false,
+  },
+  {
+    name: 'Stale timestamp (10 minutes old)',
+    header: `t=${t - 600},te=${PaymongoProvider.computeSignature(rawBody, t - 600, secret)}`,
+    options: { secret, now },
+    expected: false,
+  },
+  {
+    name: 'Stale timestamp with tolerance disabled',
+    header: `t=${t - 600},te=${PaymongoProvider.computeSignature(rawBody, t - 600, secret)}`,
+    options: { secret, now, toleranceSeconds: 0 },
+    expected: true,
+  },
+  {
+    name: 'Missing header',
+    header: undefined,
+    options: { secret, now },
+    expected: false,
+  },
+  {
+    name: 'Buffer body',
+    header: `t=${t},te=${sig}`,
+    body: Buffer.from(rawBody, 'utf8'),
+    options: { secret, now },
+    expected: true,
+  },
+];
+
+let passed = 0;
+let failed = 0;
+
+testCases.forEach((test, index) => {
+  const result = PaymongoProvider.verifySignature(test.body || rawBody, test.header, test.options);
+
+  if (result.valid === test.expected) {
+    console.log(`✓ Test ${index + 1}: ${test.name} -> ${result.valid ? 'valid' : result.reason}`);
+    passed++;
+  } else {
+    console.log(`✗ Test ${index + 1} FAILED: ${test.name}`);
+    console.log(`  Expected valid=${test.expected}, got`, result);
+    failed++;
+  }
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,146 @@
+/**
+ * Unit Test for LedgerService and PayoutService
+ *
+ * Tests owner earnings postings for paid, refunded and rescheduled bookings,
+ * the payout schedule and statement exports, without a database
+ * Run with: node test-payouts.js
+ */
+
+const LedgerService = require('./src/services/LedgerService');
+const PayoutService = require('./src/services/PayoutService');
+const { toCsv } = require('./src/utils/csv');
+
+console.log('=== LedgerService / PayoutService - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const paidBooking = {
+  _id: '64b000000000000000000b01',
+  ownerId: '64b0000000000000000000a1',
+  provider: 'paymongo',
+  status: 'paid',
+  amount: 5000,
+  startDate: '2026-03-02',
+  endDate: '2026-03-02',
+  payment: { paymentId: 'pay_1', amount: 5000, paidAt: new Date('2026-02-20T10:00:00') },
+};
+
+console.log('--- Postings ---');
+
+// Defaults: 10% platform fee on what the owner keeps, 3.5% + 15 per charge
+const full = LedgerService.expectedPostings({ gross: 5000, refunded: 0, charges: 1 });
+check('Gross is credited to the owner', full.booking_gross, 5000);
+check('Platform fee is 10% of the gross', full.platform_fee, -500);
+check('Processing fee is 3.5% plus the fixed fee', full.processing_fee, -190);
+check('Owner nets gross less fees',
+  full.booking_gross + full.platform_fee + full.processing_fee + full.refund, 4310);
+
+const half = LedgerService.expectedPostings({ gross: 5000, refunded: 2500, charges: 1 });
+check('Platform fee is only taken on what the owner keeps', half.platform_fee, -250);
+check('Processing fee is not returned on refunds', half.processing_fee, -190);
+check('Refund is debited from the owner', half.refund, -2500);
+
+console.log('\n--- Booking sources ---');
+
+const source = LedgerService.bookingSource(paidBooking);
+check('Paid booking is a ledger source', source.source, `booking:${paidBooking._id}`);
+check('Earnings become available two days after the stay',
+  source.availableAt.getTime(), new Date('2026-03-02T23:59:00').getTime() + 2 * 24 * 60 * 60 * 1000);
+check('Unpaid bookings post nothing',
+  LedgerService.bookingSource({ ...paidBooking, payment: { amount: 5000 } }), null);
+check('Credit bookings post nothing',
+  LedgerService.bookingSource({ ...paidBooking, provider: 'credits' }), null);
+
+const rescheduled = LedgerService.bookingSource({
+  ...paidBooking,
+  payment: {
+    ...paidBooking.payment,
+    refunds: [{ refundId: 'ref_1', amount: 1000 }],
+    adjustments: [
+      { type: 'reschedule_charge', amount: 800, paymentId: 'pay_2' },
+      { type: 'reschedule_refund', amount: 300, paymentId: 'pay_1' },
+      { type: 'reschedule_refund', amount: 700, paymentId: 'pay_3' },
+    ],
+  },
+});
+check('Reschedule charges add to the gross', rescheduled.gross, 5800);
+check('Each charge carries a processing fee', rescheduled.charges, 2);
+check('Refunds of a conflicted reschedule charge are not the owner\'s', rescheduled.refunded, 1300);
+
+const webhookOnly = LedgerService.bookingSource({
+  ...paidBooking,
+  payment: { ...paidBooking.payment, refundedAmount: 1500 },
+});
+check('Webhook refund totals are picked up', webhookOnly.refunded, 1500);
+check('Admin refunds in centavos count toward the refund total',
+  LedgerService.refundedAmount({ payment: { refunds: [{ attributes: { amount: 25000 } }] } }), 250);
+check('Refund totals include reschedule refunds on the booking payment',
+  LedgerService.refundedAmount({
+    payment: {
+      ...paidBooking.payment,
+      refunds: [{ refundId: 'ref_1', amount: 1000 }],
+      adjustments: [{ type: 'reschedule_refund', amount: 300, paymentId: 'pay_1' }],
+    },
+  }), 1300);
+
+console.log('\n--- Payout schedule ---');
+
+// Wednesday -> next Monday 05:00
+const next = PayoutService.nextBatchDate(new Date('2026-03-04T12:00:00'));
+check('Next payout is on Monday', next.getDay(), 1);
+check('Next payout is the coming Monday', next.getDate(), 9);
+check('A Monday after the run rolls to the next week',
+  PayoutService.nextBatchDate(new Date('2026-03-09T06:00:00')).getDate(), 16);
+
+console.log('\n--- Statements ---');
+
+const statement = {
+  period: '2026-03',
+  currency: 'PHP',
+  openingBalance: 0,
+  totals: { gross: 5000, platformFees: -500, processingFees: -190, refunds: 0, net: 4310, payouts: 4310 },
+  closingBalance: 0,
+  lines: [{
+    bookingId: paidBooking._id,
+    description: 'Makati Hub (2026-03-02)',
+    date: new Date('2026-03-01T10:00:00Z'),
+    gross: 5000,
+    platformFee: -500,
+    processingFee: -190,
+    refund: 0,
+    net: 4310,
+  }],
+  payouts: [{ payoutId: '64b000000000000000000p01', paidAt: new Date('2026-03-09T10:00:00Z'), amount: 4310, memo: 'Bank transfer' }],
+  generatedAt: new Date('2026-04-01T00:00:00Z'),
+};
+
+const csv = LedgerService.statementCsv(statement).trim().split('\r\n');
+check('CSV has a header, a booking and a payout row', csv.length, 3);
+check('Payout rows are negative', csv[2].endsWith(',-4310'), true);
+check('CSV cells that look like formulas are neutralised',
+  toCsv([{ key: 'a', label: 'A' }], [{ a: '=HYPERLINK("x")' }]).split('\r\n')[1], '"\'=HYPERLINK(""x"")"');
+
+const pdf = LedgerService.statementPdf(statement, { fullName: 'Ana Cruz' });
+check('PDF starts with a PDF header', pdf.slice(0, 8).toString('latin1'), '%PDF-1.4');
+check('PDF contains the closing balance', pdf.toString('latin1').includes('Closing balance'), true);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,148 @@
+/**
+ * Unit Test for PriceQuoteService
+ *
+ * Tests server-side pricing and quote token verification without a database
+ * Run with: node test-price-quote.js
+ */
+
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+
+console.log('=== PriceQuoteService - Unit Tests ===\n');
+
+const hotDesk = {
+  _id: '64b000000000000000000001',
+  currency: 'PHP',
+  seats: 10,
+  priceSeatHour: 100,
+  priceSeatDay: 500,
+  serviceFee: 50,
+  cleaningFee: 0,
+  minHours: 2,
+};
+
+const meetingRoom = {
+  _id: '64b000000000000000000002',
+  currency: 'PHP',
+  seats: 1,
+  priceRoomHour: 800,
+  priceRoomDay: 5000,
+  priceWholeMonth: 60000,
+  serviceFee: 0,
+  cleaningFee: 200,
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn, expected) {
+  try {
+    const actual = fn();
+    const ok = Object.keys(expected).every((k) => actual[k] === expected[k]);
+    if (ok) {
+      console.log(`✓ ${name}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED`);
+      console.log('  Expected:', expected);
+      console.log('  Got:', Object.fromEntries(Object.keys(expected).map((k) => [k, actual[k]])));
+      failed++;
+    }
+  } catch (e) {
+    console.log(`✗ ${name} FAILED with error: ${e.message}`);
+    failed++;
+  }
+}
+
+function checkThrows(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+console.log('--- Pricing ---');
+
+check('Hot desk, 3 hours, 2 guests',
+  () => PriceQuoteService.calculate(hotDesk, {
+    startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '09:00', checkOutTime: '12:00', guests: 2,
+  }),
+  { mode: 'hour', unit: 'seat', qty: 3, base: 600, total: 650 });
+
+check('Hot desk, full day without times',
+  () => PriceQuoteService.calculate(hotDesk, { startDate: '2026-03-03', endDate: '2026-03-03', guests: 1 }),
+  { mode: 'day', unit: 'seat', qty: 1, base: 500, total: 550 });
+
+check('Hot desk, two days',
+  () => PriceQuoteService.calculate(hotDesk, { startDate: '2026-03-03', endDate: '2026-03-05', guests: 3 }),
+  { mode: 'day', qty: 2, base: 3000, total: 3050 });
+
+check('Meeting room hourly is not multiplied by guests',
+  () => PriceQuoteService.calculate(meetingRoom, {
+    startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '13:00', checkOutTime: '15:30', guests: 6,
+  }),
+  { mode: 'hour', unit: 'room', qty: 2.5, base: 2000, total: 2200 });
+
+check('Month rate for long stays',
+  () => PriceQuoteService.calculate(meetingRoom, { startDate: '2026-03-01', endDate: '2026-03-31' }),
+  { mode: 'month', unit: 'whole', qty: 1, total: 60200 });
+
+check('Client-supplied amounts are ignored',
+  () => PriceQuoteService.calculate(hotDesk, {
+    startDate: '2026-03-03', endDate: '2026-03-03', guests: 1, total: 1, unitPrice: 1, discount: 999,
+  }),
+  { total: 550 });
+
+checkThrows('Below minimum hours',
+  () => PriceQuoteService.calculate(hotDesk, {
+    startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '09:00', checkOutTime: '10:00',
+  }), 422);
+
+checkThrows('More guests than seats',
+  () => PriceQuoteService.calculate(hotDesk, { startDate: '2026-03-03', endDate: '2026-03-03', guests: 11 }), 422);
+
+checkThrows('Unpriced mode',
+  () => PriceQuoteService.calculate(hotDesk, { startDate: '2026-03-03', endDate: '2026-03-03', mode: 'month' }), 422);
+
+console.log('\n--- Quote tokens ---');
+
+const userId = '64b0000000000000000000aa';
+const input = { startDate: '2026-03-03', endDate: '2026-03-03', checkInTime: '09:00', checkOutTime: '12:00', guests: 2 };
+const { quoteToken } = PriceQuoteService.issueQuote(hotDesk, input, userId);
+
+check('Valid quote verifies',
+  () => PriceQuoteService.verifyQuote(quoteToken, { listing: hotDesk, userId, input }),
+  { total: 650 });
+
+checkThrows('Missing quote token',
+  () => PriceQuoteService.verifyQuote(null, { listing: hotDesk, userId, input }), 422);
+
+checkThrows('Tampered quote token',
+  () => PriceQuoteService.verifyQuote(quoteToken.slice(0, -2) + 'xx', { listing: hotDesk, userId, input }), 422);
+
+checkThrows('Quote used by another user',
+  () => PriceQuoteService.verifyQuote(quoteToken, { listing: hotDesk, userId: '64b0000000000000000000bb', input }), 422);
+
+checkThrows('Quote used with more guests',
+  () => PriceQuoteService.verifyQuote(quoteToken, { listing: hotDesk, userId, input: { ...input, guests: 5 } }), 422);
+
+checkThrows('Listing price changed after quoting',
+  () => PriceQuoteService.verifyQuote(quoteToken, { listing: { ...hotDesk, priceSeatHour: 120 }, userId, input }), 409);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
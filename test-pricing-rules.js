@@ -0,0 +1,116 @@
+/**
+ * Unit Test for PricingRuleManager
+ *
+ * Tests rule validation and the adjustments applied to quotes for weekends,
+ * peak hours, lead time and length of stay, without a database
+ * Run with: node test-pricing-rules.js
+ */
+
+const PricingRuleManager = require('./src/services/PricingRuleManager');
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+
+console.log('=== PricingRuleManager - Unit Tests ===\n');
+
+const room = {
+  _id: '64b000000000000000000002',
+  currency: 'PHP',
+  seats: 1,
+  priceRoomHour: 800,
+  priceRoomDay: 5000,
+  serviceFee: 0,
+  cleaningFee: 0,
+  pricingRules: [
+    { _id: 'r1', type: 'day_of_week', label: 'Weekend', days: [0, 6], adjustmentPercent: 20 },
+    { _id: 'r2', type: 'peak_hours', label: 'Morning peak', startTime: '09:00', endTime: '12:00', days: [1, 2, 3, 4, 5], adjustmentPercent: 50 },
+    { _id: 'r3', type: 'length_of_stay', label: 'Weekly', minDays: 7, adjustmentPercent: -10 },
+    { _id: 'r4', type: 'length_of_stay', label: 'Monthly', minDays: 28, adjustmentPercent: -20 },
+    { _id: 'r5', type: 'early_bird', minDaysBefore: 30, adjustmentPercent: -5 },
+    { _id: 'r6', type: 'last_minute', maxHoursBefore: 24, adjustmentPercent: -15, enabled: false },
+  ],
+};
+
+// Far enough ahead for nothing but early bird to depend on it
+const now = new Date('2026-03-01T08:00:00');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const types = (quote) => quote.adjustments.map((a) => a.type).join(',');
+
+console.log('--- Validation ---');
+
+check('Valid rules pass', PricingRuleManager.validateRules(room.pricingRules).valid, true);
+check('Zero adjustment is rejected',
+  PricingRuleManager.validateRules([{ type: 'early_bird', minDaysBefore: 7, adjustmentPercent: 0 }]).valid, false);
+check('Peak window must end after it starts',
+  PricingRuleManager.validateRules([{ type: 'peak_hours', startTime: '12:00', endTime: '09:00', adjustmentPercent: 10 }]).valid, false);
+check('Day-of-week rule needs days',
+  PricingRuleManager.validateRules([{ type: 'day_of_week', days: [], adjustmentPercent: 10 }]).valid, false);
+check('Discounts are capped at 90%',
+  PricingRuleManager.validateRules([{ type: 'length_of_stay', minDays: 7, adjustmentPercent: -95 }]).valid, false);
+
+console.log('\n--- Adjustments ---');
+
+// Saturday 2026-03-07, one day
+const saturday = PriceQuoteService.calculate(room, { startDate: '2026-03-07', endDate: '2026-03-07' }, { now });
+check('Weekend surcharge fires on Saturday', types(saturday), 'day_of_week');
+check('Weekend surcharge is 20% of the day', saturday.total, 6000);
+check('Rule appears as a line item',
+  saturday.lineItems.find((li) => li.code === 'pricing_rule').label, 'Weekend (+20%)');
+
+// Monday 09:00-13:00: 3 of 4 hours in the morning peak
+const peak = PriceQuoteService.calculate(room, {
+  startDate: '2026-03-02', endDate: '2026-03-02', checkInTime: '09:00', checkOutTime: '13:00',
+}, { now });
+check('Peak surcharge only on overlapping hours', peak.adjustments[0].amount, 1200);
+check('Hourly total with peak', peak.total, 4400);
+
+// Monday to Monday: 7 days, one weekend
+const week = PriceQuoteService.calculate(room, { startDate: '2026-03-02', endDate: '2026-03-09' }, { now });
+check('Weekly booking fires weekend and weekly rules', types(week), 'day_of_week,length_of_stay');
+check('Weekly discount applies after the weekend surcharge', week.total, round(35000 + 2000 - 3700));
+
+const month = PriceQuoteService.calculate(room, { startDate: '2026-03-02', endDate: '2026-03-30' }, { now });
+check('Only the most specific length-of-stay rule fires',
+  month.adjustments.filter((a) => a.type === 'length_of_stay')[0].label, 'Monthly');
+
+const early = PriceQuoteService.calculate(room, { startDate: '2026-04-06', endDate: '2026-04-06' }, { now });
+check('Early-bird discount 30+ days ahead', early.total, 4750);
+
+const soon = PriceQuoteService.calculate(room, { startDate: '2026-03-02', endDate: '2026-03-02' }, { now });
+check('Disabled rules never fire', soon.adjustments.length, 0);
+
+const plain = PriceQuoteService.calculate({ ...room, pricingRules: undefined }, { startDate: '2026-03-07', endDate: '2026-03-07' }, { now });
+check('Listings without rules keep flat prices', plain.total, 5000);
+
+console.log('\n--- Suggestions ---');
+
+const suggested = PricingRuleManager.suggestRules({ occupancyRate: 30, weekdayShare: 0.9, avgLeadDays: 1, avgStayDays: 1 });
+check('Suggestions are valid rules', PricingRuleManager.validateRules(suggested).valid, true);
+check('Low occupancy suggests a last-minute deal', suggested.some((r) => r.type === 'last_minute'), true);
+check('Weekday-heavy demand suggests a weekend discount',
+  suggested.find((r) => r.type === 'day_of_week').adjustmentPercent, -20);
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,186 @@
+/**
+ * Unit Test for PromoCodeService
+ *
+ * Tests code validation, discount amounts, discounted quotes, refunds on
+ * discounted bookings and giving uses back on cancellation, without a database
+ * Run with: node test-promo-codes.js
+ */
+
+const PromoCodeService = require('./src/services/PromoCodeService');
+const PriceQuoteService = require('./src/services/PriceQuoteService');
+const RefundCalculator = require('./src/services/RefundCalculator');
+const CancellationRequestService = require('./src/services/CancellationRequestService');
+const CancellationRequest = require('./src/models/CancellationRequest');
+const Booking = require('./src/models/Booking');
+
+console.log('=== PromoCodeService - Unit Tests ===\n');
+
+const meetingRoom = {
+  _id: '64b000000000000000000002',
+  owner: '64b0000000000000000000a1',
+  currency: 'PHP',
+  seats: 1,
+  priceRoomDay: 5000,
+  serviceFee: 0,
+  cleaningFee: 200,
+};
+
+const tenPercent = {
+  _id: '64b0000000000000000000c1',
+  code: 'WELCOME10',
+  scope: 'platform',
+  type: 'percentage',
+  value: 10,
+  maxDiscount: null,
+  minSpend: 0,
+};
+const fiveHundredOff = {
+  _id: '64b0000000000000000000c2',
+  code: 'ROOM500',
+  scope: 'listing',
+  ownerId: meetingRoom.owner,
+  listingIds: [],
+  type: 'fixed',
+  value: 500,
+  minSpend: 3000,
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function checkThrows(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+console.log('--- Code validation ---');
+
+const created = PromoCodeService.normalize({ code: ' summer-24 ', type: 'percentage', value: 15 });
+check('Code is upper-cased and trimmed', created.code, 'SUMMER-24');
+checkThrows('Percentage above 100 is rejected',
+  () => PromoCodeService.normalize({ code: 'BIG', type: 'percentage', value: 120 }), 422);
+checkThrows('Codes with spaces are rejected',
+  () => PromoCodeService.normalize({ code: 'TWO WORDS', type: 'fixed', value: 100 }), 422);
+checkThrows('Validity window must end after it starts',
+  () => PromoCodeService.normalize({ code: 'WIN', type: 'fixed', value: 100, startsAt: '2026-02-01', endsAt: '2026-01-01' }), 422);
+checkThrows('Switching to percentage re-checks the value',
+  () => PromoCodeService.normalize({ type: 'percentage' }, { type: 'fixed', value: 500 }), 422);
+
+console.log('\n--- Discounts ---');
+
+check('Percentage of the subtotal', PromoCodeService.discountFor(tenPercent, 5200), 520);
+check('Percentage capped by maxDiscount',
+  PromoCodeService.discountFor({ ...tenPercent, maxDiscount: 300 }, 5200), 300);
+check('Fixed amount', PromoCodeService.discountFor(fiveHundredOff, 5200), 500);
+check('Discount leaves the minimum payable amount',
+  PromoCodeService.discountFor({ ...fiveHundredOff, minSpend: 0 }, 300), 300 - PromoCodeService.MIN_PAYABLE);
+checkThrows('Minimum spend is enforced', () => PromoCodeService.discountFor(fiveHundredOff, 2000), 422);
+check('Minimum spend can be waived for reschedules',
+  PromoCodeService.discountFor(fiveHundredOff, 2000, { enforceMinSpend: false }), 500);
+
+check('Platform code applies everywhere', PromoCodeService.appliesTo(tenPercent, meetingRoom), true);
+check('Owner code applies to the owner\'s listings', PromoCodeService.appliesTo(fiveHundredOff, meetingRoom), true);
+check('Owner code does not apply to other owners',
+  PromoCodeService.appliesTo(fiveHundredOff, { ...meetingRoom, owner: '64b0000000000000000000a9' }), false);
+
+console.log('\n--- Discounted quotes ---');
+
+const input = { startDate: '2026-03-02', endDate: '2026-03-02', guests: 1 };
+const userId = '64b0000000000000000000u1';
+
+const quote = PriceQuoteService.calculate(meetingRoom, input, { promo: fiveHundredOff });
+check('Quote keeps the subtotal', quote.subtotal, 5200);
+check('Quote total is discounted', quote.total, 4700);
+check('Promo appears as a negative line item', quote.lineItems.find((li) => li.code === 'promo').amount, -500);
+check('Snapshot records the code', quote.promo.code, 'ROOM500');
+check('Quote without a code has no promo', PriceQuoteService.calculate(meetingRoom, input).promo, undefined);
+
+const issued = PriceQuoteService.issueQuote(meetingRoom, input, userId, { promo: fiveHundredOff });
+check('Checkout with the same code verifies',
+  PriceQuoteService.verifyQuote(issued.quoteToken, { listing: meetingRoom, userId, input, promo: fiveHundredOff }).total, 4700);
+checkThrows('Checkout without the quoted code is rejected',
+  () => PriceQuoteService.verifyQuote(issued.quoteToken, { listing: meetingRoom, userId, input }), 422);
+
+console.log('\n--- Refunds ---');
+
+const refund = RefundCalculator.calculateRefund(
+  { amount: quote.total, startDate: '2026-03-02', pricingSnapshot: quote },
+  { tiers: [{ hoursBeforeBooking: 0, refundPercentage: 50 }] },
+  new Date('2026-02-01')
+);
+check('Refund is prorated on the amount paid', refund.finalRefund, 2350);
+check('Refund reports the discount', refund.discount, 500);
+
+// Cancellation requests run against in-memory documents; only the booking
+// update and the promo release are observed
+async function cancellations() {
+  console.log('\n--- Cancellations ---');
+
+  const ownerId = '64b0000000000000000000a1';
+  const booking = { _id: '64b0000000000000000000b1', amount: 4700, pricingSnapshot: quote };
+  const requests = {};
+  const makeRequest = (id, extra) => {
+    requests[id] = {
+      _id: id, ownerId, bookingId: booking, bookingAmount: 4700, status: 'pending',
+      refundCalculation: { finalRefund: 2350 }, save: async () => {}, ...extra,
+    };
+  };
+  const chain = (doc) => ({ populate() { return this; }, then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject) });
+
+  const released = [];
+  CancellationRequest.findById = (id) => chain(requests[id]);
+  Booking.findByIdAndUpdate = async (id, update) => ({ ...booking, ...update });
+  PromoCodeService.releaseForBooking = async (b) => { released.push(b); return true; };
+  Object.assign(CancellationRequestService, {
+    _processRefundPayment: async () => {},
+    _sendApprovalNotification: async () => {},
+    _releaseToWaitlist: async () => {},
+  });
+
+  makeRequest('req-approve');
+  await CancellationRequestService.approveRequest('req-approve', ownerId);
+  check('Approved cancellation gives the promo use back', released.length, 1);
+  check('The cancelled booking is released', released[0] && released[0].status, 'cancelled');
+
+  makeRequest('req-auto', { isAutomatic: true });
+  await CancellationRequestService.processAutomaticRefund('req-auto');
+  check('Automatic cancellation gives the promo use back', released.length, 2);
+}
+
+cancellations()
+  .catch((err) => {
+    failed++;
+    console.error('✗ Cancellation tests crashed:', err);
+  })
+  .finally(() => {
+    console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+    if (failed === 0) {
+      console.log('\n✓ All tests passed!');
+      process.exit(0);
+    } else {
+      console.log(`\n✗ ${failed} test(s) failed`);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,109 @@
+/**
+ * Unit Test for signed QR check-in tokens
+ *
+ * Tests HMAC signing, tamper detection and expiry tied to the booking window
+ * Run with: node test-qr-token.js
+ */
+
+const { generateQrToken, verifyQrToken, isCurrentQrToken, qrTokenExpiry } = require('./src/utils/qrToken');
+
+console.log('=== QR Token - Unit Tests ===\n');
+
+const booking = {
+  _id: '64b0000000000000000000b1',
+  listingId: '64b000000000000000000001',
+  startDate: '2026-03-10',
+  endDate: '2026-03-10',
+  checkInTime: '09:00',
+  checkOutTime: '12:00',
+};
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name} FAILED: ${e.message}`);
+    failed++;
+  }
+}
+
+function expectThrows(fn, statusCode) {
+  try {
+    fn();
+  } catch (e) {
+    if (e.statusCode !== statusCode) throw new Error(`expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+    return;
+  }
+  throw new Error('expected an error');
+}
+
+const token = generateQrToken(booking);
+const during = new Date('2026-03-10T10:00:00');
+
+test('Token uses the signed format', () => {
+  if (!isCurrentQrToken(token)) throw new Error(token);
+  if (isCurrentQrToken('FD:abc:def:0123abcd')) throw new Error('legacy token accepted as current');
+});
+
+test('Token is deterministic for the same booking window', () => {
+  if (generateQrToken(booking) !== token) throw new Error('tokens differ');
+});
+
+test('Valid token verifies during the booking', () => {
+  const claims = verifyQrToken(token, during);
+  if (claims.bookingId !== booking._id || claims.listingId !== booking.listingId) {
+    throw new Error(JSON.stringify(claims));
+  }
+});
+
+test('Expiry is the end of the window plus grace', () => {
+  const expected = new Date('2026-03-10T12:00:00').getTime() + 120 * 60 * 1000;
+  if (qrTokenExpiry(booking).getTime() !== expected) throw new Error(qrTokenExpiry(booking).toISOString());
+});
+
+test('All-day bookings expire at the end of the last day', () => {
+  const allDay = { ...booking, endDate: '2026-03-11', checkInTime: null, checkOutTime: null };
+  const expected = new Date('2026-03-11T23:59:00').getTime() + 120 * 60 * 1000;
+  if (qrTokenExpiry(allDay).getTime() !== expected) throw new Error(qrTokenExpiry(allDay).toISOString());
+});
+
+test('Expired token is rejected with 410', () => {
+  expectThrows(() => verifyQrToken(token, new Date('2026-03-10T14:01:00')), 410);
+});
+
+test('Tampered booking id is rejected', () => {
+  const parts = token.split(':');
+  parts[1] = '64b0000000000000000000b2';
+  expectThrows(() => verifyQrToken(parts.join(':'), during), 422);
+});
+
+test('Extended expiry is rejected', () => {
+  const parts = token.split(':');
+  parts[3] = (parseInt(parts[3], 36) + 86400).toString(36);
+  expectThrows(() => verifyQrToken(parts.join(':'), during), 422);
+});
+
+test('Legacy unsigned token is rejected', () => {
+  expectThrows(() => verifyQrToken(`FD:${booking._id}:${booking.listingId}:${'a'.repeat(64)}`, during), 422);
+});
+
+test('Rescheduled booking gets a different token', () => {
+  if (generateQrToken({ ...booking, startDate: '2026-03-11', endDate: '2026-03-11' }) === token) {
+    throw new Error('token unchanged');
+  }
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,108 @@
+/**
+ * Unit Test for RecurringBookingService
+ *
+ * Tests recurrence rule parsing and occurrence expansion without a database
+ * Run with: node test-recurring-bookings.js
+ */
+
+const RecurringBookingService = require('./src/services/RecurringBookingService');
+
+console.log('=== RecurringBookingService - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, fn, expected) {
+  try {
+    const actual = fn();
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✓ ${name}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED`);
+      console.log('  Expected:', expected);
+      console.log('  Got:', actual);
+      failed++;
+    }
+  } catch (e) {
+    console.log(`✗ ${name} FAILED with error: ${e.message}`);
+    failed++;
+  }
+}
+
+function checkThrows(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+const expand = (startDate, rule) =>
+  RecurringBookingService.expandOccurrences(startDate, RecurringBookingService.parseRule(rule));
+
+console.log('--- Rule parsing ---');
+
+check('Object rule with weekday codes',
+  () => RecurringBookingService.parseRule({ byDay: ['TH', 'TU'], weeks: 4 }),
+  { byDay: [2, 4], interval: 1, weeks: 4, until: null, count: null });
+
+check('RRULE string',
+  () => RecurringBookingService.parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260430T000000Z'),
+  { byDay: [1, 3], interval: 2, weeks: null, until: '2026-04-30', count: null });
+
+checkThrows('Rule without an end',
+  () => RecurringBookingService.parseRule({ byDay: ['TU'] }), 422);
+
+checkThrows('Unknown weekday',
+  () => RecurringBookingService.parseRule({ byDay: ['XX'], weeks: 2 }), 422);
+
+checkThrows('Non-weekly RRULE',
+  () => RecurringBookingService.parseRule('FREQ=DAILY;COUNT=5'), 422);
+
+console.log('\n--- Expansion ---');
+
+// 2026-03-03 is a Tuesday
+check('Tuesdays and Thursdays for 2 weeks',
+  () => expand('2026-03-03', { byDay: ['TU', 'TH'], weeks: 2 }),
+  ['2026-03-03', '2026-03-05', '2026-03-10', '2026-03-12']);
+
+check('Start mid-week skips earlier days of the first week',
+  () => expand('2026-03-04', { byDay: [2, 4], weeks: 2 }),
+  ['2026-03-05', '2026-03-10', '2026-03-12']);
+
+check('Until date is inclusive',
+  () => expand('2026-03-03', { byDay: ['TU'], until: '2026-03-17' }),
+  ['2026-03-03', '2026-03-10', '2026-03-17']);
+
+check('Every other week',
+  () => expand('2026-03-02', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=3'),
+  ['2026-03-02', '2026-03-16', '2026-03-30']);
+
+check('Count limits occurrences',
+  () => expand('2026-03-03', { byDay: ['TU', 'TH'], count: 3 }),
+  ['2026-03-03', '2026-03-05', '2026-03-10']);
+
+checkThrows('Too many occurrences',
+  () => expand('2026-03-02', { byDay: [1, 2, 3, 4, 5], weeks: 52 }), 422);
+
+checkThrows('Until before start',
+  () => expand('2026-03-10', { byDay: ['TU'], until: '2026-03-01' }), 422);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+/**
+ * Unit Test for the availability rules shared by booking and search
+ *
+ * Tests findCandidateConflict against whole-space and seat-based listings,
+ * with daily and hourly requests, without a database
+ * Run with: node test-search-availability.js
+ */
+
+const { findCandidateConflict } = require('./src/controllers/bookings.controller');
+
+console.log('=== Search Availability - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const room = { seats: 1, priceRoomDay: 3000 };
+const desks = { seats: 4, priceSeatHour: 150, priceSeatDay: 800 };
+
+const booking = (startDate, endDate, checkInTime, checkOutTime, guests = 1) =>
+  ({ _id: `${startDate}-${checkInTime || 'day'}`, startDate, endDate, checkInTime, checkOutTime, guests, status: 'paid' });
+
+const conflict = (candidates, request, listingDoc) =>
+  findCandidateConflict(candidates, { requestedGuests: 1, listingDoc, ...request });
+
+console.log('--- Whole-space listings ---');
+
+const fullDay = [booking('2025-11-20', '2025-11-20')];
+check('Full-day booking blocks the day', conflict(fullDay, { startDate: '2025-11-20', endDate: '2025-11-20' }, room)?.status, 'paid');
+check('Full-day booking blocks a slot that day',
+  !!conflict(fullDay, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '09:00', checkOutTime: '10:00' }, room), true);
+check('Other days are free', conflict(fullDay, { startDate: '2025-11-21', endDate: '2025-11-22' }, room), null);
+check('A range covering the booking conflicts',
+  !!conflict(fullDay, { startDate: '2025-11-19', endDate: '2025-11-21' }, room), true);
+
+const morning = [booking('2025-11-20', '2025-11-20', '09:00', '12:00')];
+check('Afternoon slot is free', conflict(morning, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '13:00', checkOutTime: '17:00' }, room), null);
+check('Back-to-back slot is free', conflict(morning, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '12:00', checkOutTime: '14:00' }, room), null);
+check('Overlapping slot conflicts',
+  !!conflict(morning, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '11:00', checkOutTime: '14:00' }, room), true);
+
+const mornings = [booking('2025-11-20', '2025-11-22', '09:00', '12:00')];
+check('Multi-day timed stay occupies its middle days whole',
+  !!conflict(mornings, { startDate: '2025-11-21', endDate: '2025-11-21', checkInTime: '14:00', checkOutTime: '16:00' }, room), true);
+check('Multi-day timed stay frees its first day before check-in',
+  conflict(mornings, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '07:00', checkOutTime: '08:00' }, room), null);
+check('Multi-day timed stay frees its last day after check-out',
+  conflict(mornings, { startDate: '2025-11-22', endDate: '2025-11-22', checkInTime: '13:00', checkOutTime: '15:00' }, room), null);
+
+check('Waitlist holds count like bookings',
+  !!conflict([{ ...fullDay[0], status: 'waitlist_hold' }], { startDate: '2025-11-20', endDate: '2025-11-20' }, room), true);
+check('Invalid window is not a conflict', conflict(fullDay, { startDate: '2025-11-20', endDate: '2025-11-19' }, room), null);
+
+console.log('\n--- Seat-based listings ---');
+
+const twoTaken = [booking('2025-11-20', '2025-11-20', '09:00', '12:00', 2)];
+check('Seats left for two more', conflict(twoTaken, { startDate: '2025-11-20', endDate: '2025-11-20', requestedGuests: 2 }, desks), null);
+
+const full = conflict(twoTaken, { startDate: '2025-11-20', endDate: '2025-11-20', requestedGuests: 3 }, desks);
+check('Three more exceed capacity', full?.status, 'conflict_capacity');
+check('Capacity conflict reports seats used', full?.guestsUsed, 2);
+check('Capacity conflict reports the day', full?.startDate, '2025-11-20');
+
+check('Seats free up outside the booked hours',
+  conflict(twoTaken, { startDate: '2025-11-20', endDate: '2025-11-20', checkInTime: '13:00', checkOutTime: '17:00', requestedGuests: 4 }, desks), null);
+
+const busyDay = conflict([booking('2025-11-21', '2025-11-21', null, null, 4)],
+  { startDate: '2025-11-20', endDate: '2025-11-22', requestedGuests: 1 }, desks);
+check('A full day inside a range blocks the range', busyDay?.startDate, '2025-11-21');
+check('Guests default to one', conflict([booking('2025-11-20', '2025-11-20', null, null, 3)],
+  { startDate: '2025-11-20', endDate: '2025-11-20', requestedGuests: undefined }, desks), null);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+/**
+ * Unit Test for listing search sorting and cursors
+ *
+ * Tests sort selection, sort keys, keyset page stages and encrypted cursors,
+ * without a database
+ * Run with: node test-search-pagination.js
+ */
+
+const mongoose = require('mongoose');
+const ListingSearchService = require('./src/services/ListingSearchService');
+
+console.log('=== Search Pagination - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+function throwsWith(name, fn, statusCode) {
+  try {
+    fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (err) {
+    check(name, err.statusCode, statusCode);
+  }
+}
+
+const text = ListingSearchService.textQuery('makati');
+const geo = { origin: { lat: 14.55, lng: 121.02 } };
+
+console.log('--- Sort selection ---');
+
+check('Text searches default to relevance', ListingSearchService.resolveSort(undefined, { text }), 'relevance');
+check('Location searches default to distance', ListingSearchService.resolveSort(undefined, { geo }), 'distance');
+check('Other searches default to newest', ListingSearchService.resolveSort(undefined, {}), 'newest');
+check('Explicit sorts are kept', ListingSearchService.resolveSort('reviewCount', { text }), 'reviewCount');
+throwsWith('Unknown sorts are rejected', () => ListingSearchService.resolveSort('cheapest', {}), 400);
+throwsWith('Relevance needs a query', () => ListingSearchService.resolveSort('relevance', {}), 400);
+throwsWith('Distance needs a location', () => ListingSearchService.resolveSort('distance', { text }), 400);
+
+console.log('\n--- Sort keys ---');
+
+const newest = ListingSearchService.sortKeys('newest');
+check('Every sort ends with _id', newest.stage.$addFields._sort.k1, '$_id');
+check('Newest sorts by creation, latest first', newest.keys[0][1], -1);
+
+const featured = ListingSearchService.sortKeys('featured', { geo });
+check('Featured listings come first', featured.keys[0][1], -1);
+check('Featured then nearest for location searches', featured.stage.$addFields._sort.k1, '$distanceMeters');
+
+const rates = { PHP: { rate: 1 }, USD: { rate: 56 } };
+const cheapest = ListingSearchService.sortKeys('price', { priceUnit: 'day', rates });
+check('Listings without a price go last', cheapest.keys[0][1], -1);
+check('Price sorts cheapest first', cheapest.keys[1][1], 1);
+check('Price desc sorts dearest first', ListingSearchService.sortKeys('price_desc', { rates }).keys[1][1], -1);
+
+const price = cheapest.stage.$addFields._sort.k1.$ifNull[0].$multiply;
+const [byUnit, toPhp] = price;
+check('Rates for the unit itself win', byUnit.$ifNull[0].$min.length, 3);
+const hourly = byUnit.$ifNull[1].$min.find((e) => e.$cond[1].$multiply[0] === '$priceSeatHour');
+check('Hourly rates convert to a day of 8 hours', hourly.$cond[1].$multiply[1], 8);
+check('Prices convert to PHP', toPhp.$switch.branches.find((b) => b.then === 56).case.$eq[1], 'USD');
+throwsWith('Unknown price units are rejected', () => ListingSearchService.sortKeys('price', { priceUnit: 'week', rates }), 400);
+
+console.log('\n--- Page stages ---');
+
+check('First page only sorts', ListingSearchService.pageStages(newest.keys).length, 1);
+const id = new mongoose.Types.ObjectId();
+const [resume] = ListingSearchService.pageStages(newest.keys, [new Date('2025-01-01'), id]);
+check('Resumes past the first key', resume.$match.$or[0]['_sort.k0'].$lt.toISOString(), '2025-01-01T00:00:00.000Z');
+check('Ties resume past the _id', String(resume.$match.$or[1]['_sort.k1'].$lt), String(id));
+check('Ties keep the first key equal', resume.$match.$or[1]['_sort.k0'] instanceof Date, true);
+
+console.log('\n--- Cursors ---');
+
+const query = { where: 'makati', sort: 'newest', limit: '24' };
+const values = [new Date('2025-01-01T08:00:00Z'), id];
+const cursor = ListingSearchService.encodeCursor('newest', values, query);
+check('Cursors are opaque', /^[A-Za-z0-9_-]+$/.test(cursor), true);
+
+const decoded = ListingSearchService.decodeCursor(cursor, 'newest', { ...query, limit: '12', cursor }, 2);
+check('Dates survive the cursor', decoded[0] instanceof Date && decoded[0].getTime() === values[0].getTime(), true);
+check('Ids survive the cursor', decoded[1] instanceof mongoose.Types.ObjectId && String(decoded[1]) === String(id), true);
+check('No cursor starts from the top', ListingSearchService.decodeCursor(undefined, 'newest', query, 2), null);
+
+throwsWith('Cursor of another sort', () => ListingSearchService.decodeCursor(cursor, 'rating', query, 2), 400);
+throwsWith('Cursor of other filters', () => ListingSearchService.decodeCursor(cursor, 'newest', { ...query, where: 'bgc' }, 2), 400);
+throwsWith('Garbage cursor', () => ListingSearchService.decodeCursor('not-a-cursor', 'newest', query, 2), 400);
+const payload = ListingSearchService._open(cursor);
+const injected = ListingSearchService._seal({ ...payload, v: [{ $gt: '' }, payload.v[1]] });
+throwsWith('Cursor values must be plain', () => ListingSearchService.decodeCursor(injected, 'newest', query, 2), 400);
+
+const flipped = Buffer.from(cursor, 'base64url');
+flipped[flipped.length - 1] ^= 1;
+throwsWith('Altered cursor', () => ListingSearchService.decodeCursor(flipped.toString('base64url'), 'newest', query, 2), 400);
+const forged = Buffer.from(JSON.stringify(payload)).toString('base64url');
+throwsWith('Cursor not issued by the server', () => ListingSearchService.decodeCursor(forged, 'newest', query, 2), 400);
+
+// A distance sort value, e.g. the metres to a listing that hides its address
+const distanceQuery = { near: '14.5547,121.0244', sort: 'distance' };
+const distanceCursor = ListingSearchService.encodeCursor('distance', [1234.5678, id], distanceQuery);
+const raw = Buffer.from(distanceCursor, 'base64url').toString('latin1');
+check('Cursors don\'t carry readable sort values', raw.includes('1234.5678') || raw.includes('"v"'), false);
+check('Cursors are not plain JSON', (() => { try { JSON.parse(raw); return true; } catch { return false; } })(), false);
+check('Distance cursors still resume', ListingSearchService.decodeCursor(distanceCursor, 'distance', distanceQuery, 2)[0], 1234.5678);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit Test for listing text search helpers
+ *
+ * Tests word splitting, typo-tolerant patterns, amenity keys and the
+ * query / price conditions built for search, without a database
+ * Run with: node test-search-relevance.js
+ */
+
+const { TEXT_WEIGHTS, escapeRegex, tokenize, fuzzyPattern, amenityKeys } = require('./src/utils/search');
+const ListingSearchService = require('./src/services/ListingSearchService');
+const { PRICE_BUCKETS } = require('./src/services/ListingSearchService');
+
+console.log('=== Search Relevance - Unit Tests ===\n');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+const fuzzy = (term) => new RegExp(fuzzyPattern(term), 'i');
+
+console.log('--- Words ---');
+
+check('Words are lower-cased and split on punctuation', tokenize('Makati (BGC), Quiet!').join(' '), 'makati bgc quiet');
+check('Repeated words count once', tokenize('desk desk DESK').length, 1);
+check('Single letters are dropped', tokenize('a desk').join(' '), 'desk');
+check('Accented words are kept whole', tokenize('Café Parañaque').join(' '), 'café parañaque');
+check('Only punctuation gives no words', tokenize('(( ))').length, 0);
+check('Special characters are escaped', new RegExp(escapeRegex('(c++)')).test('room (c++) lab'), true);
+
+console.log('\n--- Typo tolerance ---');
+
+check('Exact word matches', fuzzy('coffee').test('Free coffee'), true);
+check('Missing letter matches', fuzzy('cofee').test('Free coffee'), true);
+check('Extra letter matches', fuzzy('coffeee').test('Free coffee'), true);
+check('Wrong letter matches', fuzzy('makiti').test('Makati City'), true);
+check('Swapped letters match', fuzzy('mkaati').test('Makati City'), true);
+check('Missing last letter matches', fuzzy('makat').test('Makati City'), true);
+check('Two typos do not match', fuzzy('mkiti').test('Makati City'), false);
+check('Short words must be exact', fuzzyPattern('bgc'), 'bgc');
+check('Patterns stay safe with special characters', fuzzy('c++ lab').test('c++ lab'), true);
+
+console.log('\n--- Amenity keys ---');
+
+check('Offered amenities are kept', amenityKeys({ wifi: true, ac: false, coffee: 'yes' }).join(','), 'wifi,coffee');
+check('Lists of amenities are accepted', amenityKeys(['wifi', ' printer ', 'wifi']).join(','), 'wifi,printer');
+check('Missing amenities give none', amenityKeys(undefined).length, 0);
+
+console.log('\n--- Query conditions ---');
+
+const text = ListingSearchService.textQuery('standing desk');
+check('Plain queries use the text index', text.mode, 'text');
+check('Text queries rank by text score', text.score.$meta, 'textScore');
+check('Empty queries add no condition', ListingSearchService.textQuery('   '), null);
+
+const regex = ListingSearchService.textQuery('Makati (BGC)', { regex: true });
+check('Map searches match every word', regex.match.$and.length, 2);
+check('Each word is matched across all weighted fields',
+  regex.match.$and[0].$or.length, Object.keys(TEXT_WEIGHTS).length);
+check('Regex queries are scored per word and field',
+  regex.score.$add.length, 2 * Object.keys(TEXT_WEIGHTS).length);
+check('Fuzzy queries tolerate typos',
+  ListingSearchService.textQuery('cofee', { fuzzy: true }).match.$or.find((c) => c.venue).venue.test('Coffee Lab'), true);
+
+const price = ListingSearchService.priceFilter('500', '2000');
+check('Price filter checks every daily rate', price.$or.length, 3);
+check('Price filter lower bound', price.$or[0].priceSeatDay.$gte, 500);
+check('No price filter without bounds', ListingSearchService.priceFilter(undefined, ''), null);
+check('Price buckets start at zero', PRICE_BUCKETS[0], 0);
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+if (failed === 0) {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+} else {
+  console.log(`\n✗ ${failed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,99 @@
+/**
+ * Unit Test for WaitlistService
+ *
+ * Tests the checks that reject joining a waitlist before availability is
+ * looked up, without a database
+ * Run with: node test-waitlist.js
+ */
+
+const WaitlistService = require('./src/services/WaitlistService');
+
+console.log('=== WaitlistService - Unit Tests ===\n');
+
+const now = new Date('2026-03-01T09:00:00');
+const userId = '64b0000000000000000000u1';
+
+const listing = {
+  _id: '64b000000000000000000001',
+  currency: 'PHP',
+  seats: 4,
+  priceSeatHour: 100,
+  priceSeatDay: 500,
+  availability: {
+    blackouts: [{ startDate: '2026-03-20', endDate: '2026-03-21', reason: 'Renovation' }],
+  },
+};
+
+let passed = 0;
+let failed = 0;
+
+async function checkRejects(name, fn, statusCode) {
+  try {
+    await fn();
+    console.log(`✗ ${name} FAILED: expected an error`);
+    failed++;
+  } catch (e) {
+    if (e.statusCode === statusCode) {
+      console.log(`✓ ${name} -> ${e.statusCode} ${e.message}`);
+      passed++;
+    } else {
+      console.log(`✗ ${name} FAILED: expected ${statusCode}, got ${e.statusCode} ${e.message}`);
+      failed++;
+    }
+  }
+}
+
+async function check(name, fn, expected) {
+  const actual = await fn();
+  if (actual === expected) {
+    console.log(`✓ ${name}`);
+    passed++;
+  } else {
+    console.log(`✗ ${name} FAILED: expected ${expected}, got ${actual}`);
+    failed++;
+  }
+}
+
+async function run() {
+  console.log('--- Join rejections ---');
+
+  await checkRejects('Invalid dates',
+    () => WaitlistService.join(listing, userId, { startDate: 'soon', endDate: '2026-03-10' }, now), 422);
+
+  await checkRejects('End before start',
+    () => WaitlistService.join(listing, userId, { startDate: '2026-03-10', endDate: '2026-03-09' }, now), 422);
+
+  await checkRejects('More guests than seats',
+    () => WaitlistService.join(listing, userId,
+      { startDate: '2026-03-10', endDate: '2026-03-10', guests: 5 }, now), 422);
+
+  await checkRejects('Window already started',
+    () => WaitlistService.join(listing, userId,
+      { startDate: '2026-03-01', endDate: '2026-03-01', checkInTime: '08:00', checkOutTime: '12:00' }, now), 422);
+
+  await checkRejects('Window in the past',
+    () => WaitlistService.join(listing, userId, { startDate: '2026-02-20', endDate: '2026-02-20' }, now), 422);
+
+  await checkRejects('Owner blackout is not a full slot',
+    () => WaitlistService.join(listing, userId, { startDate: '2026-03-20', endDate: '2026-03-20' }, now), 409);
+
+  console.log('\n--- Releasing slots ---');
+
+  await check('Release without a listing offers nothing',
+    () => WaitlistService.releaseSlot({ startDate: '2026-03-10', endDate: '2026-03-10' }, now), 0);
+
+  await check('Release without dates offers nothing',
+    () => WaitlistService.releaseSlot({ listingId: listing._id }, now), 0);
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+
+  if (failed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${failed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+run();